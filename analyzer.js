@@ -0,0 +1,148 @@
+// Pin history for the logic analyzer. The UI records every onPinChange event with the virtual
+// time it happened at; a pin driven by analogWrite() is kept as one PWM segment rather than
+// its individual edges. Captures measure period and duty cycle and export to VCD (Value Change
+// Dump, IEEE 1364), which GTKWave and PulseView open.
+const CAPTURE_MAX_CHANGES = 100000; // Per pin; the oldest changes are dropped beyond this
+
+class LogicCapture {
+    constructor() {
+        this.reset();
+    }
+
+    reset() {
+        this.channels = new Map(); // Pin id (as a string) -> [{ t, value, pwm }], t in virtual us
+    }
+
+    record(pin, value, pwm, t) {
+        const key = String(pin);
+        let changes = this.channels.get(key);
+        const last = changes ? changes[changes.length - 1] : { value: 0, pwm: 0 };
+        if (last.value === value && last.pwm === pwm) return;
+        if (!changes) {
+            // Pins start LOW; a channel only appears once its pin first changes
+            changes = [{ t: 0, value: 0, pwm: 0 }];
+            this.channels.set(key, changes);
+        }
+        changes.push({ t, value, pwm });
+        if (changes.length > CAPTURE_MAX_CHANGES) changes.splice(0, CAPTURE_MAX_CHANGES / 10);
+    }
+
+    // 1 or 0 for a steady level, or the duty (0-1) of a PWM segment
+    static level(change) {
+        if (!change.value) return 0;
+        return change.pwm > 0 && change.pwm < 255 ? change.pwm / 255 : 1;
+    }
+
+    static isPwm(change) {
+        return change.value && change.pwm > 0 && change.pwm < 255;
+    }
+
+    // Index of the last change at or before t (0 when t is before all of them)
+    static indexAt(changes, t) {
+        let lo = 0;
+        let hi = changes.length - 1;
+        while (lo < hi) {
+            const mid = (lo + hi + 1) >> 1;
+            if (changes[mid].t <= t) lo = mid;
+            else hi = mid - 1;
+        }
+        return lo;
+    }
+
+    // Period (us) and duty cycle (0-1) of the wave on a pin around time t, or null when there
+    // is no full cycle there. A PWM segment is measured from its frequency and duty.
+    measure(pin, t, pwmHz) {
+        const changes = this.channels.get(String(pin));
+        if (!changes) return null;
+        const i = LogicCapture.indexAt(changes, t);
+        if (LogicCapture.isPwm(changes[i])) {
+            return { period: 1e6 / pwmHz, duty: changes[i].pwm / 255 };
+        }
+        const rising = j => j > 0 && LogicCapture.level(changes[j]) === 1 && LogicCapture.level(changes[j - 1]) === 0;
+        let start = i;
+        while (start > 0 && !rising(start)) start--;
+        if (start === 0) {
+            // t is before the first rising edge; measure the first whole cycle after it
+            start = i + 1;
+            while (start < changes.length && !rising(start)) start++;
+        }
+        let fall = start + 1;
+        while (fall < changes.length && LogicCapture.level(changes[fall]) !== 0) fall++;
+        let next = fall + 1;
+        while (next < changes.length && !rising(next)) next++;
+        if (next >= changes.length) return null;
+        const period = changes[next].t - changes[start].t;
+        return { period, duty: (changes[fall].t - changes[start].t) / period };
+    }
+
+    // VCD text of the capture up to `end` (us). `channels` lists { pin, name, pwmHz } in the
+    // order to show them; PWM segments become the square wave the pin really outputs.
+    toVCD(channels, end, scope = 'arduino') {
+        const recorded = channels.filter(c => this.channels.has(String(c.pin)));
+        const ids = recorded.map((c, i) => LogicCapture.vcdId(i));
+        const lines = [
+            `$date ${new Date().toUTCString()} $end`,
+            '$version NeoLED Simulator $end',
+            '$timescale 1 ns $end',
+            `$scope module ${LogicCapture.vcdName(scope)} $end`,
+            ...recorded.map((c, i) => `$var wire 1 ${ids[i]} ${LogicCapture.vcdName(c.name)} $end`),
+            '$upscope $end',
+            '$enddefinitions $end',
+            '#0',
+            '$dumpvars',
+            ...ids.map(id => `0${id}`),
+            '$end'
+        ];
+
+        // Edges of every channel, merged in time order (sort is stable, so a pin's own edges
+        // keep their order)
+        const edges = [];
+        recorded.forEach((c, k) => {
+            const changes = this.channels.get(String(c.pin));
+            changes.forEach((change, i) => {
+                const until = i + 1 < changes.length ? changes[i + 1].t : end;
+                if (!LogicCapture.isPwm(change)) {
+                    edges.push({ t: change.t, k, value: change.value ? 1 : 0 });
+                    return;
+                }
+                const period = 1e6 / c.pwmHz;
+                const high = period * change.pwm / 255;
+                for (let t = change.t; t < until; t += period) {
+                    edges.push({ t, k, value: 1 });
+                    if (t + high < until) edges.push({ t: t + high, k, value: 0 });
+                }
+            });
+        });
+        edges.sort((a, b) => a.t - b.t);
+
+        const levels = ids.map(() => 0);
+        let time = 0;
+        edges.forEach(({ t, k, value }) => {
+            if (t > end || levels[k] === value) return;
+            const ns = Math.round(t * 1000);
+            if (ns !== time) {
+                lines.push(`#${ns}`);
+                time = ns;
+            }
+            lines.push(`${value}${ids[k]}`);
+            levels[k] = value;
+        });
+        lines.push(`#${Math.max(time, Math.round(end * 1000))}`);
+        return lines.join('\n') + '\n';
+    }
+
+    // Short identifier codes from the printable ASCII range, as VCD writers use
+    static vcdId(n) {
+        let id = '';
+        do {
+            id += String.fromCharCode(33 + (n % 94));
+            n = Math.floor(n / 94);
+        } while (n > 0);
+        return id;
+    }
+
+    // VCD names can't contain whitespace
+    static vcdName(name) {
+        return String(name).replace(/\s+/g, '_');
+    }
+}
@@ -0,0 +1,133 @@
+// Board profiles. The engine (pins, PWM, ADC), the compiler constants (A0, LED_BUILTIN), the
+// pin selectors and the rendered board are all built from these definitions.
+//
+// Each pin is { id, number, label, pwm, analog, inputOnly, analogOnly }:
+//   id          key used by the engine and the UI: a GPIO number, or 'A0'.. for AVR analog pins
+//   number      value of the pin in a sketch (A0 is 14 on the Uno)
+//   analog      name of the ADC input on this pin ('A0'..), if any
+//   inputOnly   can't drive an output (ESP32 GPIO 34-39)
+//   analogOnly  ADC input without a digital buffer (Nano A6/A7)
+// `layout` lists the pin groups drawn on the board; `side` is where the pin holes go.
+// `electrical` feeds the DC model in electrical.js: the absolute maximum current (mA) of one
+// pin and of all pins together (null when the datasheet gives none), the resistance of a pin
+// driven as an OUTPUT and of its internal pull-up. `pwmHz` is the analogWrite() frequency of
+// each pin (by pin id, else `default`), used to draw and export PWM as the wave a scope sees.
+
+const AVR_ELECTRICAL = { pinMaxMa: 40, totalMaxMa: 200, outputOhms: 25, pullupOhms: 35000 };
+
+// Pins of an AVR board: digital 0..n-1, then analog inputs numbered after them
+function avrPins({ digital, analog, pwm, analogOnly = [], labels = {} }) {
+    const pins = [];
+    for (let i = 0; i < digital; i++) {
+        const isPwm = pwm.includes(i);
+        pins.push({ id: i, number: i, label: labels[i] || (isPwm ? `~${i}` : String(i)), pwm: isPwm });
+    }
+    for (let i = 0; i < analog; i++) {
+        const name = `A${i}`;
+        pins.push({ id: name, number: digital + i, label: name, analog: name, analogOnly: analogOnly.includes(name) });
+    }
+    return pins;
+}
+
+// Pin ids from..to (inclusive, either direction) for layouts
+function pinRange(from, to, prefix = '') {
+    const ids = [];
+    const step = from <= to ? 1 : -1;
+    for (let i = from; i !== to + step; i += step) ids.push(prefix ? `${prefix}${i}` : i);
+    return ids;
+}
+
+const AVR_SERIAL_LABELS = { 0: 'RX←0', 1: 'TX→1' };
+
+const BOARDS = {
+    uno: {
+        name: 'Arduino Uno',
+        label: 'UNO',
+        color: '#004448',
+        vcc: 5,
+        adcBits: 10,
+        ledBuiltin: 13,
+        analogChannels: true, // analogRead(0) means A0
+        references: { DEFAULT: 5, INTERNAL: 1.1, EXTERNAL: 5 },
+        defines: { ARDUINO_AVR_UNO: 1, __AVR__: 1, __AVR_ATmega328P__: 1 },
+        electrical: AVR_ELECTRICAL,
+        pwmHz: { default: 490, 5: 980, 6: 980 }, // Timer0 runs pins 5 and 6 twice as fast
+        pins: avrPins({ digital: 14, analog: 6, pwm: [3, 5, 6, 9, 10, 11], labels: AVR_SERIAL_LABELS }),
+        layout: [
+            { title: 'DIGITAL (PWM~)', kind: 'digital', pins: [...pinRange(13, 0), 'GND'] },
+            { title: 'ANALOG IN', kind: 'analog', pins: pinRange(0, 5, 'A') },
+            { title: 'POWER', kind: 'power', pins: ['5V', '3.3V', 'GND'] }
+        ]
+    },
+    nano: {
+        name: 'Arduino Nano',
+        label: 'NANO',
+        color: '#0b3954',
+        vcc: 5,
+        adcBits: 10,
+        ledBuiltin: 13,
+        analogChannels: true,
+        references: { DEFAULT: 5, INTERNAL: 1.1, EXTERNAL: 5 },
+        defines: { ARDUINO_AVR_NANO: 1, __AVR__: 1, __AVR_ATmega328P__: 1 },
+        electrical: AVR_ELECTRICAL,
+        pwmHz: { default: 490, 5: 980, 6: 980 },
+        pins: avrPins({ digital: 14, analog: 8, pwm: [3, 5, 6, 9, 10, 11], analogOnly: ['A6', 'A7'], labels: AVR_SERIAL_LABELS }),
+        layout: [
+            { title: 'DIGITAL (PWM~)', kind: 'digital', pins: [...pinRange(13, 0), 'GND'] },
+            { title: 'ANALOG IN', kind: 'analog', pins: pinRange(0, 7, 'A') },
+            { title: 'POWER', kind: 'power', pins: ['5V', '3.3V', 'GND'] }
+        ]
+    },
+    mega: {
+        name: 'Arduino Mega 2560',
+        label: 'MEGA 2560',
+        color: '#004448',
+        vcc: 5,
+        adcBits: 10,
+        ledBuiltin: 13,
+        analogChannels: true,
+        references: { DEFAULT: 5, INTERNAL1V1: 1.1, INTERNAL2V56: 2.56, EXTERNAL: 5 },
+        defines: { ARDUINO_AVR_MEGA2560: 1, __AVR__: 1, __AVR_ATmega2560__: 1 },
+        electrical: AVR_ELECTRICAL,
+        pwmHz: { default: 490, 4: 980, 13: 980 },
+        pins: avrPins({
+            digital: 54,
+            analog: 16,
+            pwm: [...pinRange(2, 13), 44, 45, 46],
+            labels: Object.assign({ 14: 'TX3→14', 15: 'RX3←15', 16: 'TX2→16', 17: 'RX2←17', 18: 'TX1→18', 19: 'RX1←19', 20: 'SDA 20', 21: 'SCL 21' }, AVR_SERIAL_LABELS)
+        }),
+        layout: [
+            { title: 'DIGITAL (PWM~)', kind: 'digital', pins: [...pinRange(13, 0), 'GND'] },
+            { title: 'COMMUNICATION', kind: 'digital', pins: pinRange(14, 21) },
+            { title: 'DIGITAL 22-53', kind: 'digital', columns: 2, pins: pinRange(22, 53) },
+            { title: 'ANALOG IN', kind: 'analog', columns: 2, pins: pinRange(0, 15, 'A') },
+            { title: 'POWER', kind: 'power', pins: ['5V', '3.3V', 'GND'] }
+        ]
+    },
+    esp32: {
+        name: 'ESP32 DevKit',
+        label: 'ESP32',
+        color: '#1c1c24',
+        vcc: 3.3,
+        adcBits: 12,
+        ledBuiltin: 2,
+        analogChannels: false, // analogRead() takes the GPIO number
+        references: null,      // No analogReference(); the ADC always reads 0-3.3V here
+        defines: { ESP32: 1, ARDUINO_ARCH_ESP32: 1 },
+        electrical: { pinMaxMa: 40, totalMaxMa: null, outputOhms: 40, pullupOhms: 45000 },
+        pwmHz: { default: 1000 }, // LEDC channel set up by analogWrite() in the 2.x core
+        pins: [
+            [36, 'VP 36', 'A0', true], [39, 'VN 39', 'A3', true], [34, '34', 'A6', true], [35, '35', 'A7', true],
+            [32, '32', 'A4'], [33, '33', 'A5'], [25, '25', 'A18'], [26, '26', 'A19'], [27, '27', 'A17'],
+            [14, '14', 'A16'], [12, '12', 'A15'], [13, '13', 'A14'], [15, '15', 'A13'], [2, '2 LED', 'A12'],
+            [0, '0 BOOT', 'A11'], [4, '4', 'A10'], [16, 'RX2 16'], [17, 'TX2 17'], [5, '5'], [18, '18'],
+            [19, '19'], [21, 'SDA 21'], [3, 'RX0 3'], [1, 'TX0 1'], [22, 'SCL 22'], [23, '23']
+        ].map(([n, label, analog, inputOnly]) => ({ id: n, number: n, label, pwm: !inputOnly, analog, inputOnly: !!inputOnly })),
+        layout: [
+            { title: 'LEFT HEADER', kind: 'analog', pins: ['3.3V', 'GND', 36, 39, 34, 35, 32, 33, 25, 26, 27, 14, 12, 13] },
+            { title: 'RIGHT HEADER', kind: 'digital', pins: [23, 22, 1, 3, 21, 19, 18, 5, 17, 16, 4, 2, 15, 'GND', '5V'] }
+        ]
+    }
+};
+
+const DEFAULT_BOARD = 'uno';
@@ -0,0 +1,163 @@
+// Virtual time for the simulator.
+// Sketch time only moves when the sketch spends it (delays, API calls, loop overhead), so
+// millis()/micros() are deterministic. Real time is only used to pace the simulation at
+// the chosen speed.
+
+// Thrown from sync()/wait() once the clock is stopped, so a sketch blocked in delay() or
+// polling an input unwinds instead of running on at full speed
+class ClockStopped extends Error {
+    constructor() {
+        super('Clock stopped');
+        this.name = 'ClockStopped';
+    }
+}
+
+class VirtualClock {
+    constructor() {
+        this.speed = 1;            // Multiplier of real time; Infinity runs as fast as possible
+        this.maxSleepMs = 50;      // Long waits are split so stop/pause/speed changes apply quickly
+        this.yieldIntervalMs = 16; // Give the browser a frame at least this often
+        this.limit = Infinity;     // Virtual time the sketch may run to; kept across start()
+        this.onHold = null;        // Callback once the sketch is held at the limit
+        this.release = null;       // Resumes a sketch held at the limit
+        this.reset();
+    }
+
+    reset() {
+        this.now = 0; // Virtual microseconds since reset
+        this.running = false;
+        this.paused = false;
+        this.breakWaits = false; // While paused, let waits return so the debugger can stop at a line
+        this.anchorReal = 0;
+        this.anchorVirtual = 0;
+        this.lastYield = 0;
+    }
+
+    start() {
+        this.reset();
+        this.running = true;
+        this.rebase();
+    }
+
+    stop() {
+        this.running = false;
+        this.releaseHold();
+    }
+
+    pause() {
+        this.paused = true;
+    }
+
+    resume() {
+        this.paused = false;
+        this.breakWaits = false;
+        this.rebase();
+    }
+
+    // Lets the sketch run on to virtual time `us`; it is held at the first sync() past it, so
+    // headless runs (headless.js) can advance in exact steps
+    setLimit(us) {
+        this.limit = us;
+        this.rebase();
+        this.releaseHold();
+    }
+
+    releaseHold() {
+        const release = this.release;
+        this.release = null;
+        if (release) release();
+    }
+
+    setSpeed(speed) {
+        this.speed = speed > 0 ? speed : 1;
+        this.rebase();
+    }
+
+    // Pace from the current moment, so earlier lag or speed changes don't cause a jump
+    rebase() {
+        this.anchorReal = performance.now();
+        this.anchorVirtual = this.now;
+        this.lastYield = this.anchorReal;
+    }
+
+    micros() {
+        return this.now;
+    }
+
+    millis() {
+        return this.now / 1000;
+    }
+
+    // Virtual time as the screen shows it. A delay() spends its time up front and then waits
+    // for real time to catch up, so `now` sits at the end of it meanwhile; this follows real
+    // time at the current speed instead, never past `now`
+    displayMicros() {
+        if (!this.running || this.paused || this.speed === Infinity) return this.now;
+        const elapsed = (performance.now() - this.anchorReal) * 1000 * this.speed;
+        return Math.min(this.now, this.anchorVirtual + elapsed);
+    }
+
+    // Spend virtual time (execution cost or a delay)
+    advance(us) {
+        if (us > 0) this.now += us;
+    }
+
+    // Waits until real time has caught up with virtual time at the current speed.
+    // Returns null when there is nothing to wait for (the common case in busy loops), so callers
+    // can skip an await; otherwise a promise. Yields to the event loop at least once per frame.
+    sync() {
+        if (!this.running) throw new ClockStopped();
+        if (this.now >= this.limit) return this.wait();
+        const real = performance.now();
+        if (!this.paused) {
+            if (this.speed === Infinity) {
+                if (real - this.lastYield < this.yieldIntervalMs) return null;
+            } else {
+                const due = this.anchorReal + (this.now - this.anchorVirtual) / 1000 / this.speed;
+                const lead = due - real;
+                if (lead < -this.maxSleepMs) {
+                    // The browser couldn't keep up; slow virtual time down instead of racing to catch up
+                    this.rebase();
+                    return null;
+                }
+                if (lead <= 1 && real - this.lastYield < this.yieldIntervalMs) return null;
+            }
+        }
+        return this.wait();
+    }
+
+    async wait() {
+        while (this.running) {
+            if (this.paused) {
+                if (this.breakWaits) return;
+                await VirtualClock.timeout(this.maxSleepMs);
+                continue;
+            }
+            if (this.now >= this.limit) {
+                await new Promise(resolve => {
+                    this.release = resolve;
+                    if (this.onHold) this.onHold();
+                });
+                continue;
+            }
+            const real = performance.now();
+            this.lastYield = real;
+            const lead = this.speed === Infinity ? 0
+                : this.anchorReal + (this.now - this.anchorVirtual) / 1000 / this.speed - real;
+            await VirtualClock.timeout(Math.max(0, Math.min(lead, this.maxSleepMs)));
+            if (lead <= this.maxSleepMs && this.running) return;
+        }
+        throw new ClockStopped();
+    }
+
+    // Spend `us` of virtual time and wait for it at the current speed
+    async sleep(us) {
+        this.advance(us);
+        const wait = this.sync();
+        if (wait) await wait;
+    }
+
+    static timeout(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
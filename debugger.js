@@ -0,0 +1,113 @@
+// Line-level debugger for sketches. When compiled with `debug`, the transpiler puts a hook
+// before every statement, `if (__debug.hit(line)) await __debug.pause({ name: () => value })`,
+// and wraps sketch functions in enter()/leave(), so a pause, a breakpoint or a step can stop
+// the sketch at any line, not just at delay() boundaries. ArduinoSimulator owns one.
+class SketchDebugger {
+    constructor(sim) {
+        this.sim = sim;
+        this.breakpoints = new Set(); // Source lines; kept across runs
+        this.reset();
+    }
+
+    reset() {
+        this.line = 0;        // Line of the statement running now
+        this.stack = [];      // Sketch functions being run, outermost first
+        this.mode = null;     // null (run to a breakpoint), 'pause', 'into' or 'over'
+        this.from = null;     // { line, depth } a step started from
+        this.shallowest = 0;  // Lowest call depth reached since the step started
+        this.skip = null;     // { line, depth } resumed from; not stopped at again until left
+        this.release = null;  // { resolve, reject } of the stopped sketch
+        this.globals = {};    // Getters of the sketch's globals, from the compiled code
+        this.armed = this.breakpoints.size > 0;
+    }
+
+    setBreakpoints(lines) {
+        this.breakpoints = new Set(lines);
+        this.armed = this.mode !== null || this.breakpoints.size > 0;
+    }
+
+    enter(name) {
+        this.stack.push(name);
+    }
+
+    leave() {
+        this.stack.pop();
+        this.shallowest = Math.min(this.shallowest, this.stack.length);
+    }
+
+    // Called before every statement; true when the sketch should stop here
+    hit(line) {
+        if (!this.sim.isRunning) throw new ClockStopped();
+        this.line = line;
+        if (!this.armed) return false;
+        if (this.mode === 'pause') return true;
+        const depth = this.stack.length;
+        if (this.skip) {
+            if (line === this.skip.line && depth === this.skip.depth) return false;
+            this.skip = null;
+        }
+        if (this.mode === null) return this.breakpoints.has(line);
+        // A step ends on another line, or on the same line once its call has returned
+        const left = line !== this.from.line || this.shallowest < this.from.depth;
+        if (this.mode === 'into') return left || depth !== this.from.depth;
+        return depth <= this.from.depth && left; // 'over'
+    }
+
+    // Stops the sketch until resume() or the simulator stops
+    async pause(locals) {
+        this.mode = null;
+        this.skip = { line: this.line, depth: this.stack.length };
+        this.sim.isPaused = true;
+        this.sim.clock.pause();
+        this.sim.clock.breakWaits = false;
+        if (this.sim.onBreak) {
+            this.sim.onBreak({
+                line: this.line,
+                stack: this.stack.slice(),
+                locals: SketchDebugger.read(locals),
+                globals: SketchDebugger.read(this.globals)
+            });
+        }
+        await new Promise((resolve, reject) => {
+            this.release = { resolve, reject };
+        });
+    }
+
+    // Stop at the next line the sketch reaches
+    requestPause() {
+        this.mode = 'pause';
+        this.armed = true;
+    }
+
+    // Carry on to the next breakpoint (mode null), the next line ('into') or the next line
+    // of this function, stepping over calls ('over')
+    resume(mode = null) {
+        this.mode = mode;
+        this.from = { line: this.line, depth: this.stack.length };
+        this.shallowest = this.stack.length;
+        this.armed = mode !== null || this.breakpoints.size > 0;
+        const release = this.release;
+        this.release = null;
+        if (release) release.resolve();
+    }
+
+    // The simulator stopped: unwind a sketch stopped at a line
+    abort() {
+        const release = this.release;
+        this.reset();
+        if (release) release.reject(new ClockStopped());
+    }
+
+    // Current values of { name: getter }. A variable not yet in scope here reads as undefined
+    static read(getters) {
+        const values = {};
+        Object.entries(getters).forEach(([name, get]) => {
+            try {
+                values[name] = get();
+            } catch (e) {
+                values[name] = undefined;
+            }
+        });
+        return values;
+    }
+}
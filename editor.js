@@ -0,0 +1,472 @@
+// Sketch editor. The textarea stays the source of truth: a syntax-highlighted copy of its text
+// is drawn in a <pre> behind it (the textarea's own text is transparent), and a gutter beside
+// it shows line numbers, breakpoints and compile/runtime errors. Typing gets auto-indent,
+// bracket matching and completion of the Arduino API the simulator supports.
+const EDITOR_LINE_PX = 21; // 14px text at line-height 1.5
+const EDITOR_PADDING_PX = 15;
+const EDITOR_INDENT = '  ';
+const COMPLETION_MAX_ITEMS = 12;
+const BRACKET_PAIRS = { '(': ')', '[': ']', '{': '}' };
+
+// Keywords, types and library names by what they are, for highlighting and completion. The
+// transpiler's tables are the list of what the simulator supports.
+function editorVocabulary() {
+    const words = new Map();
+    const add = (names, kind) => names.forEach(name => {
+        if (!words.has(name) && !name.startsWith('_')) words.set(name, kind);
+    });
+    add([...KEYWORDS, ...QUALIFIERS], 'keyword');
+    add([...Object.keys(PRIMITIVE_TYPES), ...Object.keys(ARDUINO_BUILTINS.classes)], 'type');
+    add(Object.keys(ARDUINO_BUILTINS.functions), 'function');
+    // bitRead(), lowByte(), EVERY_N_MILLISECONDS() and the like are macros
+    add(Array.from(LIBRARY_MACROS.matchAll(/#define (\w+)\(/g), m => m[1]), 'function');
+    add(Object.keys(ARDUINO_BUILTINS.objects), 'object');
+    add(Object.keys(ARDUINO_BUILTINS.constants), 'constant');
+    return words;
+}
+
+const EDITOR_WORDS = editorVocabulary();
+
+// Comments, strings, directives, numbers, words and brackets, in the order they're tried
+const EDITOR_TOKEN_RE = new RegExp([
+    /\/\/[^\n]*/.source,
+    /\/\*[\s\S]*?(?:\*\/|(?![\s\S]))/.source,
+    /"(?:\\.|[^"\\\n])*"?/.source,
+    /'(?:\\.|[^'\\\n])*'?/.source,
+    /^[ \t]*#[ \t]*include[ \t]*<[^>\n]*>?/.source,
+    /^[ \t]*#[ \t]*\w*/.source,
+    /(?:\b(?:0[xX][\da-fA-F]+|0[bB][01]+|\d+\.?\d*(?:[eE][+-]?\d+)?)|\.\d+)[uUlLfF]*/.source,
+    /[A-Za-z_]\w*/.source,
+    /[()[\]{}]/.source
+].join('|'), 'gm');
+
+class SketchEditor {
+    constructor({ textarea, gutter, highlight, lineHighlight, completions }) {
+        this.textarea = textarea;
+        this.gutter = gutter;
+        this.highlight = highlight;         // <pre> behind the textarea
+        this.lineHighlight = lineHighlight;
+        this.completions = completions;     // Completion popup (<ul>)
+        this.code = document.createElement('code');
+        this.highlight.appendChild(this.code);
+        this.breakpoints = new Set(); // Source lines
+        this.stoppedLine = 0;         // Line the debugger stopped at; 0 when it isn't stopped
+        this.errors = [];             // [{ line, column, message }]; column 0 marks the whole line
+        this.tokens = [];             // [{ start, end, cls }] of the text; plain text left out
+        this.brackets = [];           // Offsets of the brackets outside comments and strings
+        this.match = null;            // [offset, offset] of the bracket pair at the caret
+        this.suggestions = null;      // { start, items, selected } while the popup is open
+        this.charWidth = 0;
+        this.onBreakpointsChange = null; // Callback(lines) when breakpoints are toggled or dropped
+
+        textarea.addEventListener('input', (e) => {
+            this.errors = [];
+            this.update();
+            // Only typing a name opens completions; pasting, deleting and moving close them
+            if (e.inputType === 'insertText' && /^[\w.]$/.test(e.data || '')) this.suggest();
+            else this.closeSuggestions();
+        });
+        textarea.addEventListener('scroll', () => {
+            this.closeSuggestions();
+            this.syncScroll();
+        });
+        textarea.addEventListener('keydown', (e) => this.onKeyDown(e));
+        textarea.addEventListener('keyup', () => this.matchBrackets());
+        textarea.addEventListener('mouseup', () => {
+            this.closeSuggestions();
+            this.matchBrackets();
+        });
+        textarea.addEventListener('blur', () => this.closeSuggestions());
+        gutter.addEventListener('click', (e) => {
+            const el = e.target.closest('.gutter-line');
+            if (!el) return;
+            this.toggleBreakpoint(Array.prototype.indexOf.call(gutter.children, el) + 1);
+        });
+        // mousedown rather than click, which would come after the textarea lost focus
+        completions.addEventListener('mousedown', (e) => {
+            const el = e.target.closest('li');
+            if (!el) return;
+            e.preventDefault();
+            this.suggestions.selected = Array.prototype.indexOf.call(completions.children, el);
+            this.complete();
+        });
+
+        this.update();
+    }
+
+    setCode(text) {
+        this.textarea.value = text;
+        this.errors = [];
+        this.closeSuggestions();
+        this.update();
+    }
+
+    toggleBreakpoint(line) {
+        if (this.breakpoints.has(line)) this.breakpoints.delete(line);
+        else this.breakpoints.add(line);
+        if (this.onBreakpointsChange) this.onBreakpointsChange(this.breakpoints);
+        this.renderGutter();
+    }
+
+    // Highlights a line and scrolls it into view; 0 clears the highlight
+    setStoppedLine(line) {
+        this.stoppedLine = line;
+        this.lineHighlight.classList.toggle('visible', line > 0);
+        if (line > 0) this.reveal(line);
+        this.renderGutter();
+    }
+
+    // Marks errors in the gutter and underlines them; they clear when the code is edited
+    setErrors(errors) {
+        this.errors = errors.filter(e => e.line > 0);
+        if (this.errors.length > 0) this.reveal(this.errors[0].line);
+        this.renderGutter();
+        this.paint();
+    }
+
+    // Scrolls a line into view unless it's already visible
+    reveal(line) {
+        const ta = this.textarea;
+        const top = EDITOR_PADDING_PX + (line - 1) * EDITOR_LINE_PX;
+        if (top < ta.scrollTop || top + EDITOR_LINE_PX > ta.scrollTop + ta.clientHeight) {
+            ta.scrollTop = top - ta.clientHeight / 2;
+        }
+    }
+
+    // The text changed
+    update() {
+        const text = this.textarea.value;
+        this.tokens = [];
+        this.brackets = [];
+        for (const m of text.matchAll(EDITOR_TOKEN_RE)) {
+            const token = m[0];
+            const start = m.index;
+            const end = start + token.length;
+            if (/^[()[\]{}]$/.test(token)) {
+                this.brackets.push(start);
+                continue;
+            }
+            const cls = SketchEditor.tokenClass(token);
+            if (cls) this.tokens.push({ start, end, cls });
+        }
+        this.renderGutter();
+        this.matchBrackets(true);
+    }
+
+    static tokenClass(token) {
+        if (token.startsWith('//') || token.startsWith('/*')) return 'tok-comment';
+        if (token[0] === '"' || token[0] === '\'') return 'tok-string';
+        if (token.trimStart()[0] === '#') return 'tok-directive';
+        if (/^[\d.]/.test(token)) return 'tok-number';
+        const kind = EDITOR_WORDS.get(token);
+        return kind ? `tok-${kind}` : null;
+    }
+
+    renderGutter() {
+        const gutter = this.gutter;
+        const count = this.textarea.value.split('\n').length;
+        // Breakpoints past the end of the code go with the lines they were on
+        const stale = [...this.breakpoints].filter(line => line > count);
+        if (stale.length > 0) {
+            stale.forEach(line => this.breakpoints.delete(line));
+            if (this.onBreakpointsChange) this.onBreakpointsChange(this.breakpoints);
+        }
+        while (gutter.children.length < count) {
+            const line = document.createElement('div');
+            line.className = 'gutter-line';
+            line.textContent = gutter.children.length + 1;
+            gutter.appendChild(line);
+        }
+        while (gutter.children.length > count) gutter.lastChild.remove();
+        Array.from(gutter.children).forEach((el, i) => {
+            const errors = this.errors.filter(e => e.line === i + 1);
+            el.classList.toggle('breakpoint', this.breakpoints.has(i + 1));
+            el.classList.toggle('current', i + 1 === this.stoppedLine);
+            el.classList.toggle('error', errors.length > 0);
+            el.title = errors.map(e => e.message).join('\n');
+        });
+        this.syncScroll();
+    }
+
+    syncScroll() {
+        const ta = this.textarea;
+        this.gutter.scrollTop = ta.scrollTop;
+        this.code.style.transform = `translate(${-ta.scrollLeft}px, ${-ta.scrollTop}px)`;
+        this.lineHighlight.style.top = `${EDITOR_PADDING_PX + (this.stoppedLine - 1) * EDITOR_LINE_PX - ta.scrollTop}px`;
+    }
+
+    // Draws the highlighted text, with errors and the matched bracket pair marked
+    paint() {
+        const text = this.textarea.value;
+        const marks = this.errors.map(e => ({ ...this.errorRange(text, e), cls: 'error-mark' }));
+        if (this.match) this.match.forEach(at => marks.push({ start: at, end: at + 1, cls: 'bracket-match' }));
+
+        // Cut the text wherever a token or a mark starts or ends
+        const cuts = new Set([0, text.length]);
+        [...this.tokens, ...marks].forEach(r => {
+            cuts.add(r.start);
+            cuts.add(r.end);
+        });
+        const points = [...cuts].sort((a, b) => a - b);
+        let html = '';
+        let t = 0;
+        for (let i = 0; i + 1 < points.length; i++) {
+            const start = points[i];
+            const end = points[i + 1];
+            while (t < this.tokens.length && this.tokens[t].end <= start) t++;
+            const classes = marks.filter(m => m.start <= start && m.end >= end).map(m => m.cls);
+            if (t < this.tokens.length && this.tokens[t].start <= start) classes.unshift(this.tokens[t].cls);
+            const piece = SketchEditor.escape(text.slice(start, end));
+            html += classes.length > 0 ? `<span class="${classes.join(' ')}">${piece}</span>` : piece;
+        }
+        // A trailing newline gives a last empty line its height
+        this.code.innerHTML = html + '\n';
+        this.syncScroll();
+    }
+
+    // Text to underline for an error: the token at its column, or the whole line without its
+    // indentation when there is no column
+    errorRange(text, { line, column }) {
+        const lines = text.split('\n');
+        const lineText = lines[line - 1] || '';
+        let start = 0;
+        for (let l = 0; l < line - 1 && l < lines.length; l++) start += lines[l].length + 1;
+        if (!column) {
+            const indent = lineText.length - lineText.trimStart().length;
+            return { start: start + indent, end: Math.max(start + indent + 1, start + lineText.trimEnd().length) };
+        }
+        const at = Math.min(column - 1, lineText.trimEnd().length - 1);
+        const token = /^(?:\w+|"(?:\\.|[^"\\])*"?|\S)/.exec(lineText.slice(Math.max(0, at)));
+        return { start: start + Math.max(0, at), end: start + Math.max(0, at) + (token ? token[0].length : 1) };
+    }
+
+    static escape(text) {
+        return text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+    }
+
+    // Finds the bracket pair beside the caret and repaints when it changed, or always after an
+    // edit
+    matchBrackets(edited = false) {
+        const ta = this.textarea;
+        let match = null;
+        if (ta.selectionStart === ta.selectionEnd) {
+            const caret = ta.selectionStart;
+            const at = [caret - 1, caret].find(p => this.brackets.includes(p));
+            if (at !== undefined) match = this.findPartner(at);
+        }
+        const changed = String(match) !== String(this.match);
+        this.match = match;
+        if (edited || changed) this.paint();
+    }
+
+    findPartner(at) {
+        const text = this.textarea.value;
+        const i = this.brackets.indexOf(at);
+        const open = BRACKET_PAIRS[text[at]];
+        const step = open ? 1 : -1;
+        let depth = 0;
+        for (let j = i; j >= 0 && j < this.brackets.length; j += step) {
+            const c = text[this.brackets[j]];
+            if (BRACKET_PAIRS[c] ? step > 0 : step < 0) depth++;
+            else depth--;
+            if (depth === 0) {
+                const pair = step > 0 ? [at, this.brackets[j]] : [this.brackets[j], at];
+                // Mismatched kinds, like ( ], aren't a pair
+                return BRACKET_PAIRS[text[pair[0]]] === text[pair[1]] ? pair : null;
+            }
+        }
+        return null;
+    }
+
+    // Replaces start..end with text and puts the caret `caret` characters into it. The
+    // browser's editing command keeps Ctrl+Z working; setRangeText is the fallback.
+    replace(start, end, text, caret = text.length) {
+        const ta = this.textarea;
+        ta.setSelectionRange(start, end);
+        const done = typeof document.execCommand === 'function' &&
+            document.execCommand(text ? 'insertText' : 'delete', false, text);
+        if (!done) {
+            ta.setRangeText(text, start, end, 'end');
+            ta.dispatchEvent(new Event('input'));
+        }
+        ta.setSelectionRange(start + caret, start + caret);
+    }
+
+    onKeyDown(e) {
+        if (e.ctrlKey || e.metaKey || e.altKey) return;
+        const ta = this.textarea;
+        const text = ta.value;
+        const start = ta.selectionStart;
+        const end = ta.selectionEnd;
+        const before = text[start - 1];
+        const after = text[end];
+
+        if (this.suggestions) {
+            const count = this.suggestions.items.length;
+            if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+                e.preventDefault();
+                this.suggestions.selected = (this.suggestions.selected + (e.key === 'ArrowDown' ? 1 : count - 1)) % count;
+                this.renderSuggestions();
+                return;
+            }
+            if (e.key === 'Enter' || e.key === 'Tab') {
+                e.preventDefault();
+                this.complete();
+                return;
+            }
+            if (e.key === 'Escape') {
+                e.preventDefault();
+                this.closeSuggestions();
+                return;
+            }
+        }
+
+        if (e.key === 'Enter') {
+            // Keep the indentation, and indent one more level after an opening brace
+            e.preventDefault();
+            const lineStart = text.lastIndexOf('\n', start - 1) + 1;
+            const indent = /^[ \t]*/.exec(text.slice(lineStart, start))[0];
+            if (text.slice(lineStart, start).trimEnd().endsWith('{')) {
+                const inner = '\n' + indent + EDITOR_INDENT;
+                // Between { and }, the closing brace goes on a line of its own
+                if (after === '}' && start === end) this.replace(start, end, inner + '\n' + indent, inner.length);
+                else this.replace(start, end, inner);
+            } else {
+                this.replace(start, end, '\n' + indent);
+            }
+        } else if (e.key === 'Tab' && !e.shiftKey) {
+            e.preventDefault();
+            this.replace(start, end, EDITOR_INDENT);
+        } else if (start === end && ')]}'.includes(e.key)) {
+            if (after === e.key) {
+                // Type over the closing bracket that was inserted with the opening one
+                e.preventDefault();
+                ta.setSelectionRange(start + 1, start + 1);
+                this.matchBrackets();
+                return;
+            }
+            const lineStart = text.lastIndexOf('\n', start - 1) + 1;
+            const lineBefore = text.slice(lineStart, start);
+            if (e.key === '}' && lineBefore.length > 0 && lineBefore.trim() === '') {
+                // A closing brace on a line of its own goes back one level
+                e.preventDefault();
+                const indent = lineBefore.slice(0, Math.max(0, lineBefore.length - EDITOR_INDENT.length));
+                this.replace(lineStart, start, indent + '}');
+            }
+        } else if (start === end && BRACKET_PAIRS[e.key] && (after === undefined || /[\s)\]};,]/.test(after))) {
+            e.preventDefault();
+            this.replace(start, end, e.key + BRACKET_PAIRS[e.key], 1);
+        } else if (e.key === 'Backspace' && start === end && BRACKET_PAIRS[before] && BRACKET_PAIRS[before] === after) {
+            // Deleting an opening bracket takes its empty pair with it
+            e.preventDefault();
+            this.replace(start - 1, start + 1, '');
+        }
+    }
+
+    // Opens completions for the name being typed at the caret; after `object.` they are the
+    // members of its class
+    suggest() {
+        const ta = this.textarea;
+        const caret = ta.selectionStart;
+        const text = ta.value;
+        // Not inside comments and strings
+        if (this.tokens.some(t => t.start < caret && t.end >= caret && (t.cls === 'tok-comment' || t.cls === 'tok-string'))) {
+            this.closeSuggestions();
+            return;
+        }
+        const m = /(?:([A-Za-z_]\w*)(?:\[[^\]\n]*\])*\.)?([A-Za-z_]\w*)?$/.exec(text.slice(0, caret));
+        const object = m && m[1];
+        const prefix = (m && m[2]) || '';
+        let candidates;
+        if (object) {
+            const cls = ARDUINO_BUILTINS.classes[this.typeOf(object)];
+            if (!cls) {
+                this.closeSuggestions();
+                return;
+            }
+            candidates = [
+                ...Object.keys(cls.methods || {}).map(name => ({ name, kind: 'method' })),
+                ...Object.keys(cls.fields || {}).map(name => ({ name, kind: 'field' }))
+            ];
+        } else {
+            if (prefix.length < 2) {
+                this.closeSuggestions();
+                return;
+            }
+            candidates = Array.from(EDITOR_WORDS, ([name, kind]) => ({ name, kind }));
+        }
+        const lower = prefix.toLowerCase();
+        const items = candidates
+            .filter(c => c.name !== prefix && c.name.toLowerCase().startsWith(lower))
+            // Exact-case matches first, then alphabetical
+            .sort((a, b) => (b.name.startsWith(prefix) - a.name.startsWith(prefix)) || a.name.localeCompare(b.name))
+            .slice(0, COMPLETION_MAX_ITEMS);
+        if (items.length === 0) {
+            this.closeSuggestions();
+            return;
+        }
+        this.suggestions = { start: caret - prefix.length, items, selected: 0 };
+        this.renderSuggestions();
+    }
+
+    // Class of a library object: a global like Serial, or a variable the sketch declares with
+    // a library type, e.g. `Adafruit_NeoPixel strip(...)` or `CRGB leds[NUM_LEDS]`
+    typeOf(name) {
+        if (ARDUINO_BUILTINS.objects[name]) return ARDUINO_BUILTINS.objects[name].type;
+        return Object.keys(ARDUINO_BUILTINS.classes).find(cls =>
+            new RegExp(`\\b${cls}\\s+(?:\\w+\\s*,\\s*)*${name}\\b`).test(this.textarea.value));
+    }
+
+    renderSuggestions() {
+        const { start, items, selected } = this.suggestions;
+        const ta = this.textarea;
+        const list = this.completions;
+        list.innerHTML = '';
+        items.forEach((item, i) => {
+            const li = document.createElement('li');
+            li.classList.toggle('selected', i === selected);
+            const kind = document.createElement('span');
+            kind.className = 'completion-kind';
+            kind.textContent = item.kind;
+            li.append(item.name, kind);
+            list.appendChild(li);
+        });
+        // Under the start of the name being typed
+        const before = ta.value.slice(0, start);
+        const line = before.split('\n').length - 1;
+        const column = start - before.lastIndexOf('\n') - 1;
+        list.style.top = `${EDITOR_PADDING_PX + (line + 1) * EDITOR_LINE_PX - ta.scrollTop}px`;
+        list.style.left = `${EDITOR_PADDING_PX + column * this.measureChar() - ta.scrollLeft}px`;
+        list.classList.add('open');
+        const current = list.children[selected];
+        if (current && current.scrollIntoView) current.scrollIntoView({ block: 'nearest' });
+    }
+
+    // Width of a character in the editor's monospace font
+    measureChar() {
+        if (!this.charWidth) {
+            const ctx = document.createElement('canvas').getContext('2d');
+            if (!ctx) return 8.4;
+            ctx.font = getComputedStyle(this.textarea).font;
+            this.charWidth = ctx.measureText('M'.repeat(10)).width / 10 || 8.4;
+        }
+        return this.charWidth;
+    }
+
+    complete() {
+        const { start, items, selected } = this.suggestions;
+        const item = items[selected];
+        const caret = this.textarea.selectionStart;
+        this.closeSuggestions();
+        // Functions come with their parentheses, the caret between them
+        const call = ['function', 'method'].includes(item.kind);
+        this.replace(start, caret, call ? `${item.name}()` : item.name, item.name.length + (call ? 1 : 0));
+    }
+
+    closeSuggestions() {
+        if (!this.suggestions) return;
+        this.suggestions = null;
+        this.completions.classList.remove('open');
+        this.completions.innerHTML = '';
+    }
+}
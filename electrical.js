@@ -0,0 +1,71 @@
+// Simple DC model of the LEDs on the breadboard. A pin set HIGH drives its LED through the
+// pin's own resistance (or the internal pull-up when it isn't an OUTPUT), the series resistor
+// and the LED's forward voltage; PWM scales the average, not the peak, current.
+
+const LED_MAX_MA = 30;  // Absolute maximum forward current of a 5 mm LED
+const LED_FULL_MA = 10; // Current at which an LED looks fully bright
+const DISPLAY_GAMMA = 2.2; // sRGB screens emit light as (value)^2.2
+
+// Forward voltage by colour: red to yellow are ~2 V (AlGaInP), green ~2.2 V, and blue, purple
+// and white (InGaN) ~3.2 V. Colours are '#RRGGBB'
+function ledForwardVoltage(color) {
+    const rgb = [1, 3, 5].map(i => parseInt(color.slice(i, i + 2), 16) / 255);
+    const max = Math.max(...rgb);
+    const min = Math.min(...rgb);
+    if (!(max > 0) || max - min < 0.2 * max) return 3.2; // White
+    const [r, g, b] = rgb;
+    let hue;
+    if (max === r) hue = (60 * (g - b) / (max - min) + 360) % 360;
+    else if (max === g) hue = 60 * (b - r) / (max - min) + 120;
+    else hue = 60 * (r - g) / (max - min) + 240;
+    if (hue >= 330 || hue < 40) return 2.0;
+    if (hue < 75) return 2.1;
+    if (hue < 165) return 2.2;
+    return 3.2;
+}
+
+// Current (mA) and PWM duty of an LED wired from a pin. `pinState` is { mode, value, pwm }
+// from ArduinoSimulator.pinState(); `source` is the board's or the 74HC595's `electrical`
+function ledOperatingPoint(pinState, source, vcc, resistorOhms, color) {
+    if (!pinState || !pinState.value) return { mA: 0, duty: 0 };
+    const driven = pinState.mode === 'OUTPUT';
+    const ohms = resistorOhms + (driven ? source.outputOhms : source.pullupOhms);
+    const headroom = vcc - ledForwardVoltage(color);
+    const mA = headroom > 0 ? headroom / ohms * 1000 : 0;
+    return { mA, duty: driven && pinState.pwm > 0 ? pinState.pwm / 255 : 1 };
+}
+
+// Screen level (0-1) that shows `light`, a share (0-1) of full output, as the eye sees it. The
+// eye is far more sensitive in the dark, so a 10% PWM duty looks about a third as bright, not a
+// tenth; encoding with the display's gamma makes the screen emit light in the LED's proportion,
+// and the eye then applies the same curve to both
+function perceivedBrightness(light) {
+    return Math.min(1, Math.max(0, light)) ** (1 / DISPLAY_GAMMA);
+}
+
+// How bright an LED looks (0-1) at an average current; its light output is about linear in it
+function ledBrightness(mA) {
+    return perceivedBrightness(mA / LED_FULL_MA);
+}
+
+// Peak currents drawn from pins, grouped by what sources them. Returns the overloads as
+// { source, pin, mA, max } for single pins (pin set) and whole sources (pin null)
+function currentOverloads(loads) {
+    const overloads = [];
+    const bySource = new Map();
+    loads.forEach(({ source, pin, mA }) => {
+        if (!bySource.has(source)) bySource.set(source, new Map());
+        const pins = bySource.get(source);
+        pins.set(pin, (pins.get(pin) || 0) + mA);
+    });
+    bySource.forEach((pins, source) => {
+        let total = 0;
+        pins.forEach((mA, pin) => {
+            total += mA;
+            if (mA > source.electrical.pinMaxMa) overloads.push({ source, pin, mA, max: source.electrical.pinMaxMa });
+        });
+        const max = source.electrical.totalMaxMa;
+        if (max !== null && total > max) overloads.push({ source, pin: null, mA: total, max });
+    });
+    return overloads;
+}
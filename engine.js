@@ -1,86 +1,252 @@
+// Approximate execution cost of core calls on a 16 MHz AVR, in virtual microseconds
+const EXECUTION_COST_US = {
+    loop: 4,
+    pinMode: 4,
+    digitalWrite: 5,
+    digitalRead: 5,
+    analogRead: 112, // 13 ADC clock cycles at 125 kHz, plus call overhead
+    analogWrite: 10,
+    millis: 1,
+    loopIteration: 0.5 // Compare, increment and branch of a for/while loop
+};
+
+// A loop in one pass of loop() that iterates this often without delay(), millis() or reading
+// an input is reported as a likely runaway loop
+const TIGHT_LOOP_ITERATIONS = 100000;
+
+// Contacts of buttons and switches bounce for a few milliseconds after they move
+const CONTACT_BOUNCE_US = 5000;
+
+const PULLUP_GLOW_PWM = 20; // Apparent brightness of an LED fed only by an internal pull-up
+const ANALOG_DEFAULT_VALUE = 512; // Slider position (0-1023) of a new potentiometer or light sensor: mid-scale
+
 class ArduinoSimulator {
     constructor() {
+        this.board = null;       // Board profile from boards.js, see setBoard()
+        this.pinsByNumber = null; // Sketch pin number -> pin definition
         this.pins = {};
         this.isRunning = false;
         this.isPaused = false;
         this.loopId = null;
+        this.clock = new VirtualClock();
+        this.serial = new HardwareSerial(this.clock);
         this.consoleLog = [];
         this.onPinChange = null; // Callback for UI updates
         this.onLog = null;       // Callback for Console
+        this.onSerial = null;    // Callback for the Serial Monitor
+        this.serial.onOutput = (text) => {
+            if (this.onSerial) this.onSerial(text);
+        };
+        this.serial.onWarning = (msg) => this.log(msg, 'warning');
+        this.serial.onPoll = () => {
+            this.untimedIterations = 0;
+        };
+        this.untimedIterations = 0; // Loop iterations since the sketch last kept time or read an input
+        this.overflowWarnings = false; // Log integer overflows/wraparounds in the sketch
+        this.overflowReported = new Set();
+        this.inputs = new Map(); // Buttons/switches by component id: { pin, wiring, closed, bounce, changedAt, edges }
+        this.analogInputs = new Map(); // Pots/light sensors by component id: { pin, value }
+        this.shiftRegisters = new Map(); // 74HC595s by component id (shiftreg.js)
+        this.analogReference = 'DEFAULT';
+        this.pinWarnings = new Set(); // Wiring warnings already logged this run
+        this.onPixels = null;    // Callback(pin, colors) when a NeoPixel strip is shown; colors null when reset
+        this.stripPins = new Set(); // Pins that have received NeoPixel data this run
+        this.debugger = new SketchDebugger(this);
+        this.onBreak = null;     // Callback({ line, stack, locals, globals }) when the debugger stops at a line
+        this.onError = null;     // Callback({ kind, line, column, message }) when the sketch fails to compile or run
+        this.setBoard(DEFAULT_BOARD);
+    }
+
+    // Switches to one of the profiles in BOARDS; resets every pin
+    setBoard(id) {
+        this.boardId = BOARDS[id] ? id : DEFAULT_BOARD;
+        this.board = BOARDS[this.boardId];
+        this.pinsByNumber = new Map(this.board.pins.map(p => [p.number, p]));
         this.resetPins();
     }
 
     resetPins() {
-        // Initialize digital pins 0-13 and analog A0-A5
-        for (let i = 0; i <= 13; i++) {
-            this.pins[i] = { mode: 'INPUT', value: 0, pwm: 0 };
-        }
-        ['A0', 'A1', 'A2', 'A3', 'A4', 'A5'].forEach(p => {
-            this.pins[p] = { mode: 'INPUT', value: 0, pwm: 0 };
+        // Initialize every pin of the board (0-13 and A0-A5 on the Uno)
+        this.pins = {};
+        this.board.pins.forEach(p => {
+            this.pins[p.id] = { mode: 'INPUT', value: 0, pwm: 0, pullup: false };
         });
     }
 
+    // Engine key of a sketch pin number (A0 is pin 14 on the Uno), or null after logging why
+    // the board can't use it as a digital pin
+    digitalPin(pin, fn) {
+        const info = this.pinsByNumber.get(pin);
+        if (!info) {
+            this.warnOnce(`invalid:${pin}`, `Error: ${fn}(${pin}): the ${this.board.name} has no pin ${pin}`, 'error');
+            return null;
+        }
+        if (info.analogOnly) {
+            this.warnOnce(`invalid:${pin}`, `Error: ${fn}(${info.label}): ${info.label} is an analog input only; use analogRead()`, 'error');
+            return null;
+        }
+        return info.id;
+    }
+
     // --- API Mocks (exposed to user code) ---
     _pinMode(pin, mode) {
-        if (!this.pins[pin]) {
-            this.log(`Error: Invalid pin ${pin}`, 'error');
+        const info = this.pinsByNumber.get(pin);
+        pin = this.digitalPin(pin, 'pinMode');
+        if (pin === null) return;
+        if (mode === 'OUTPUT' && info.inputOnly) {
+            this.warnOnce(`input-only:${pin}`, `Error: pinMode(${pin}, OUTPUT): GPIO ${pin} is input-only on the ${this.board.name}`, 'error');
             return;
         }
+        this.clock.advance(EXECUTION_COST_US.pinMode);
         this.pins[pin].mode = mode;
+        this.pins[pin].pullup = mode === 'INPUT_PULLUP';
+        // An OUTPUT starts driving its level (LOW lights a common-anode LED); an input stops
+        const driven = mode === 'OUTPUT';
+        this.pinChanged(pin, driven ? this.pins[pin].value : 0, driven ? this.pins[pin].pwm : 0);
         // this.log(`pinMode(${pin}, ${mode})`, 'info');
     }
 
     _digitalWrite(pin, value) {
-        if (!this.pins[pin]) {
-            this.log(`Error: Invalid pin ${pin}`, 'error');
-            return;
-        }
+        pin = this.digitalPin(pin, 'digitalWrite');
+        if (pin === null) return;
+        this.clock.advance(EXECUTION_COST_US.digitalWrite);
         // In Arduino, HIGH is 1, LOW is 0
         const val = (value === 'HIGH' || value === 1 || value === true) ? 1 : 0;
+        // Writing to an input pin only switches its internal pull-up on real hardware
+        const isOutput = this.pins[pin].mode === 'OUTPUT';
+        if (!isOutput) {
+            this.pins[pin].pullup = val === 1;
+            this.warnOnce(`mode:${pin}`, `Warning: digitalWrite(${pin}) on a pin that is not an OUTPUT; add pinMode(${pin}, OUTPUT) to setup(), or an LED on it will barely glow`);
+        }
         this.pins[pin].value = val;
         this.pins[pin].pwm = 0; // Reset PWM if digital used
 
-        if (this.onPinChange) this.onPinChange(pin, val, 0);
+        // The ~35k pull-up only lets a trickle of current through an LED
+        this.pinChanged(pin, val, val && !isOutput ? PULLUP_GLOW_PWM : 0);
         // this.log(`digitalWrite(${pin}, ${val ? 'HIGH' : 'LOW'})`);
     }
 
     _analogWrite(pin, value) {
-        if (!this.pins[pin]) {
-            this.log(`Error: Invalid pin ${pin}`, 'error');
+        const info = this.pinsByNumber.get(pin);
+        pin = this.digitalPin(pin, 'analogWrite');
+        if (pin === null) return;
+        if (info.inputOnly) {
+            this.warnOnce(`input-only:${pin}`, `Error: analogWrite(${pin}): GPIO ${pin} is input-only on the ${this.board.name}`, 'error');
             return;
         }
+        this.clock.advance(EXECUTION_COST_US.analogWrite);
         // Clamp 0-255
         let pwm = Math.max(0, Math.min(255, parseInt(value)));
+        // analogWrite() sets the pin to OUTPUT itself
+        this.pins[pin].mode = 'OUTPUT';
+        this.pins[pin].pullup = false;
+        if (pwm > 0 && pwm < 255 && !info.pwm) {
+            // No timer on this pin: the Arduino core falls back to digitalWrite at the halfway point
+            const level = pwm < 128 ? 'LOW' : 'HIGH';
+            const pwmPins = this.board.pins.filter(p => p.pwm).map(p => p.label).join(', ');
+            this.warnOnce(`pwm:${pin}`, `Warning: pin ${pin} does not support PWM on the ${this.board.name} (use ${pwmPins}); analogWrite(${pin}, ${pwm}) acts as digitalWrite(${pin}, ${level})`);
+            pwm = pwm < 128 ? 0 : 255;
+        }
         this.pins[pin].value = pwm > 0 ? 1 : 0; // Digital value is HIGH if pwm > 0
         this.pins[pin].pwm = pwm;
 
-        if (this.onPinChange) this.onPinChange(pin, this.pins[pin].value, pwm);
+        this.pinChanged(pin, this.pins[pin].value, pwm);
         // this.log(`analogWrite(${pin}, ${pwm})`);
     }
 
+    // shiftOut(): bit-bangs a byte, one data bit per clock pulse, like the Arduino core
+    _shiftOut(dataPin, clockPin, bitOrder, value) {
+        for (let i = 0; i < 8; i++) {
+            const bit = bitOrder === 0 ? (value >> i) & 1 : (value >> (7 - i)) & 1; // 0 is LSBFIRST
+            this._digitalWrite(dataPin, bit);
+            this._digitalWrite(clockPin, 1);
+            this._digitalWrite(clockPin, 0);
+        }
+    }
+
+    // shiftIn(): reads a byte, sampling the data pin while the clock is HIGH
+    async _shiftIn(dataPin, clockPin, bitOrder) {
+        let value = 0;
+        for (let i = 0; i < 8; i++) {
+            this._digitalWrite(clockPin, 1);
+            const bit = await this._digitalRead(dataPin);
+            value |= bitOrder === 0 ? bit << i : bit << (7 - i);
+            this._digitalWrite(clockPin, 0);
+        }
+        return value;
+    }
+
+    // Async so polling loops like `while (digitalRead(2) == HIGH);` let the page deliver clicks
+    async _digitalRead(pin) {
+        pin = this.digitalPin(pin, 'digitalRead');
+        if (pin === null) return 0;
+        this.untimedIterations = 0;
+        this.clock.advance(EXECUTION_COST_US.digitalRead);
+        const wait = this.clock.sync();
+        if (wait) await wait;
+        return this.readLevel(pin);
+    }
+
+    // On AVR boards analogRead(0) and analogRead(A0) both read channel A0
+    async _analogRead(pin) {
+        const analogPins = this.board.pins.filter(p => p.analog);
+        const info = this.board.analogChannels && pin >= 0 && pin < analogPins.length
+            ? analogPins.find(p => p.analog === `A${pin}`)
+            : this.pinsByNumber.get(pin);
+        if (!info || !info.analog) {
+            this.warnOnce(`invalid:${pin}`, `Error: analogRead(${pin}): not an analog input on the ${this.board.name} (use ${analogPins.map(p => p.analog).join(', ')})`, 'error');
+            return 0;
+        }
+        this.untimedIterations = 0;
+        this.clock.advance(EXECUTION_COST_US.analogRead);
+        const wait = this.clock.sync();
+        if (wait) await wait;
+        const steps = 2 ** this.board.adcBits;
+        const v = this.pinVoltage(info.id);
+        if (v === null) {
+            this.warnOnce(`floating:${info.id}`, `Warning: analogRead(${info.analog}) on an unconnected pin reads noise`);
+            return Math.floor(Math.random() * steps);
+        }
+        // ADC = Vin * 2^bits / Vref, saturating at full scale
+        const vref = this.board.references ? this.board.references[this.analogReference] : this.board.vcc;
+        return Math.min(steps - 1, Math.floor(v * steps / vref));
+    }
+
+    _analogReference(mode) {
+        const refs = this.board.references;
+        if (!refs) {
+            this.warnOnce('aref', `Error: analogReference() is not available on the ${this.board.name}`, 'error');
+            return;
+        }
+        if (!refs[mode]) {
+            this.warnOnce(`aref:${mode}`, `Error: analogReference(${mode}) is not available on the ${this.board.name} (use ${Object.keys(refs).join(', ')})`, 'error');
+            return;
+        }
+        if (mode === 'EXTERNAL') this.warnOnce('aref', 'Warning: nothing is connected to AREF; EXTERNAL reference assumed to be 5V');
+        this.analogReference = mode;
+    }
+
     async _delay(ms) {
-        if (!this.isRunning) return; // Exit if stopped
-
-        // Return a promise that resolves after ms
-        return new Promise(resolve => {
-            const start = Date.now();
-            const check = () => {
-                if (!this.isRunning) {
-                    resolve();
-                    return;
-                }
-                if (this.isPaused) {
-                    requestAnimationFrame(check); // Spin wait if paused
-                    return;
-                }
-                if (Date.now() - start >= ms) {
-                    resolve();
-                } else {
-                    setTimeout(check, 10); // Check again in 10ms
-                }
-            };
-            setTimeout(check, ms);
-        });
+        this.untimedIterations = 0;
+        await this.clock.sleep(Math.max(0, ms) * 1000);
+    }
+
+    async _delayMicroseconds(us) {
+        this.untimedIterations = 0;
+        await this.clock.sleep(Math.max(0, us));
+    }
+
+    _millis() {
+        this.untimedIterations = 0;
+        this.clock.advance(EXECUTION_COST_US.millis);
+        return Math.floor(this.clock.millis()) >>> 0;
+    }
+
+    _micros() {
+        this.untimedIterations = 0;
+        this.clock.advance(EXECUTION_COST_US.millis);
+        // Timer0 gives micros() a 4 us resolution on a 16 MHz board; wraps after ~71 minutes
+        return (Math.floor(this.clock.micros() / 4) * 4) >>> 0;
     }
 
     _random(min, max) {
@@ -93,171 +259,373 @@ class ArduinoSimulator {
         return Math.floor(Math.random() * (max - min)) + min;
     }
 
-    // --- System ---
+    // Called by the compiled sketch at the start of every loop iteration. The sketch runs on the
+    // page's thread, so this is what keeps `while (true) {}` from freezing it: the iteration
+    // costs a little virtual time and the clock yields to the page at least once per frame.
+    _loopEdge(line) {
+        if (++this.untimedIterations === TIGHT_LOOP_ITERATIONS) {
+            this.warnOnce(`spin:${line}`, `Warning: the loop on line ${line} has run ${TIGHT_LOOP_ITERATIONS} times without delay(), millis() or reading an input; it may never end`);
+        }
+        this.clock.advance(EXECUTION_COST_US.loopIteration);
+        return this.clock.sync();
+    }
 
-    log(msg, type = 'output') {
-        const entry = { time: Date.now(), msg, type };
-        this.consoleLog.push(entry);
-        if (this.onLog) this.onLog(entry);
+    // Called by the compiled sketch when an integer value wraps around its type width
+    _overflow(value, result, type, line) {
+        if (!this.overflowWarnings) return;
+        // Report each line once per run so a wrapping counter doesn't flood the console
+        const key = `${line}:${type}`;
+        if (this.overflowReported.has(key)) return;
+        this.overflowReported.add(key);
+        if (!Number.isFinite(value)) {
+            this.log(`Warning (line ${line}): division by zero in ${type} arithmetic, result is ${result}`, 'warning');
+        } else {
+            this.log(`Warning (line ${line}): overflow, ${value} does not fit in ${type} and wrapped to ${result}`, 'warning');
+        }
     }
 
-    // Transpiler
-    transpile(arduinoCode) {
-        let code = arduinoCode;
-
-        // 1. Remove comments
-        code = code.replace(/\/\/.*$/gm, '').replace(/\/\*[\s\S]*?\*\//g, '');
-
-        // 2. Data Types
-        // Replace 'int var[]' -> 'let var' (arrays)
-        // Must happen before 'int var'
-        // Matches: int name[]
-        code = code.replace(/\b(int|float|long|double|boolean|byte|char|String|unsigned\s+int|unsigned\s+long)\s+(\w+)\s*\[\s*\]/g, 'let $2');
-
-        // Replace 'int ' -> 'let '
-        const types = ['int', 'float', 'long', 'double', 'boolean', 'byte', 'char', 'String', 'unsigned'];
-        types.forEach(type => {
-            const regex = new RegExp(`\\b${type}\\b\\s+`, 'g');
-            code = code.replace(regex, 'let ');
+    // Voltage on a pin from the output latch, pots/sensors, buttons/switches or pull resistors;
+    // null when nothing drives it (floating)
+    pinVoltage(pin) {
+        const state = this.pins[pin];
+        const vcc = this.board.vcc;
+        if (state.mode === 'OUTPUT') return state.value ? vcc : 0;
+        for (const input of this.analogInputs.values()) {
+            if (input.pin == pin) return input.value / 1023 * vcc;
+        }
+        const now = this.clock.micros();
+        const driven = new Set();
+        let pulledDown = false;
+        this.inputs.forEach(input => {
+            if (input.pin != pin) return;
+            // Each bounce edge that has already happened flips the contact once more
+            const bounced = input.edges.filter(t => t <= now - input.changedAt).length;
+            const closed = bounced % 2 ? !input.closed : input.closed;
+            if (closed) driven.add(input.wiring === 'vcc' ? 1 : 0);
+            else if (input.wiring === 'vcc') pulledDown = true; // External 10k pull-down
         });
+        if (driven.size > 1) {
+            this.warnOnce(`short:${pin}`, `Warning: pin ${pin} is shorted between 5V and GND by closed contacts`);
+            return 0;
+        }
+        if (driven.size) return driven.values().next().value * vcc;
+        // A 10k pull-down outweighs the ~35k internal pull-up
+        if (pulledDown) return 0;
+        if (state.pullup) return vcc;
+        return null;
+    }
+
+    // Logic level seen by digitalRead(), or noise if the pin is floating
+    readLevel(pin) {
+        const v = this.pinVoltage(pin);
+        if (v !== null) return v >= this.board.vcc / 2 ? 1 : 0;
+        this.warnOnce(`floating:${pin}`, `Warning: digitalRead(${pin}) on a floating pin reads noise; use INPUT_PULLUP or a pull-down resistor`);
+        return Math.random() < 0.5 ? 1 : 0;
+    }
 
-        // 3. Array Initialization: {1, 2, 3} -> [1, 2, 3]
-        // Look for assignment to { ... }
-        code = code.replace(/=\s*\{([\s\S]*?)\};/g, '= [$1];');
-
-        // 4. Function Definitions
-        // Identify all user-defined functions to handle 'await' later
-        const functionNames = [];
-        const funcDefRegex = /void\s+(\w+)\s*\(([^)]*)\)\s*\{/g;
-        let match;
-        // Make a passing copy to find names
-        while ((match = funcDefRegex.exec(code)) !== null) {
-            if (match[1] !== 'setup' && match[1] !== 'loop') {
-                functionNames.push(match[1]);
+    // A board pin's level or mode changed: clock any 74HC595 wired to it, then tell the UI
+    pinChanged(pin, value, pwm) {
+        if (this.shiftRegisters.size) this.updateShiftRegisters();
+        if (this.onPinChange) this.onPinChange(pin, value, pwm);
+    }
+
+    updateShiftRegisters() {
+        const registers = [...this.shiftRegisters.values()];
+        const level = pin => {
+            const state = this.pins[pin];
+            return state && state.mode === 'OUTPUT' && state.value ? 1 : 0;
+        };
+        // Chained chips share the clock edge, so sample every DS before any of them shifts
+        const clocked = registers.filter(r => {
+            const rising = level(r.clock) > r.clockLevel;
+            r.clockLevel = level(r.clock);
+            return rising;
+        });
+        const bits = clocked.map(r => {
+            const chained = /^(.+):Q7S$/.exec(r.data || '');
+            if (!chained) return level(r.data);
+            const upstream = this.shiftRegisters.get(chained[1]);
+            return upstream ? upstream.serialOut : 0;
+        });
+        clocked.forEach((r, i) => r.clockIn(bits[i]));
+
+        registers.forEach(r => {
+            const rising = level(r.latch) > r.latchLevel;
+            r.latchLevel = level(r.latch);
+            if (!rising) return;
+            const changed = r.latchOut();
+            for (let q = 0; q < 8; q++) {
+                if ((changed >> q) & 1 && this.onPinChange) this.onPinChange(r.outputPin(q), (r.outputs >> q) & 1, 0);
             }
-        }
+        });
+    }
 
-        // Convert definitions to async
-        code = code.replace(/void\s+setup\s*\(\s*\)\s*\{/g, 'async function user_setup() {');
-        code = code.replace(/void\s+loop\s*\(\s*\)\s*\{/g, 'async function user_loop() {');
-        // Other void functions
-        code = code.replace(/void\s+(\w+)\s*\(([^)]*)\)\s*\{/g, 'async function $1($2) {');
+    // analogWrite() frequency of a board pin, in Hz
+    pwmFrequency(pin) {
+        return this.board.pwmHz[pin] || this.board.pwmHz.default;
+    }
 
-        // 5. Function Calls & Await
-        // delay -> await _delay
-        code = code.replace(/\bdelay\s*\(/g, 'await _delay(');
+    // Mode and level of a board pin or a 74HC595 output ('<id>:Q3'), for components wired to it
+    pinState(pin) {
+        if (this.pins[pin]) return this.pins[pin];
+        const output = /^(.+):Q([0-7])$/.exec(pin || '');
+        const register = output && this.shiftRegisters.get(output[1]);
+        return register ? { mode: 'OUTPUT', value: (register.outputs >> output[2]) & 1, pwm: 0 } : null;
+    }
 
-        // user functions -> await func()
-        functionNames.forEach(name => {
-            // We need to match calls "name(" but NOT "async function name(" 
-            // Since we already replaced "void name" with "async function name", 
-            // we can use a negative lookbehind if supported, OR simply check that it's not preceded by 'function '
+    // Logs a wiring problem once per run so polling loops don't flood the console
+    warnOnce(key, msg, type = 'warning') {
+        if (this.pinWarnings.has(key)) return;
+        this.pinWarnings.add(key);
+        this.log(msg, type);
+    }
 
-            // Simple, robust replacement:
-            // 1. Replace all usages of 'name(' with 'await name('
-            // 2. Fix the definition that we broke: 'async function await name(' back to 'async function name('
+    // Called by the UI when a button/switch is wired, pressed or released. `input` is
+    // { pin, wiring: 'gnd' | 'vcc', closed, bounce }, or null when the component is removed.
+    setInput(id, input) {
+        if (!input) {
+            this.inputs.delete(id);
+            return;
+        }
+        const previous = this.inputs.get(id);
+        const moved = previous && previous.closed !== input.closed;
+        if (!moved) {
+            this.inputs.set(id, Object.assign({}, input, { changedAt: previous ? previous.changedAt : 0, edges: previous ? previous.edges : [] }));
+            return;
+        }
+        // An even number of edges, so the contact settles in its new position
+        const edges = [];
+        if (input.bounce) {
+            const count = 2 * (1 + Math.floor(Math.random() * 4));
+            for (let i = 0; i < count; i++) edges.push(Math.random() * CONTACT_BOUNCE_US);
+            edges.sort((a, b) => a - b);
+        }
+        this.inputs.set(id, Object.assign({}, input, { changedAt: this.clock.micros(), edges }));
+    }
 
-            const callRegex = new RegExp(`\\b${name}\\s*\\(`, 'g');
-            code = code.replace(callRegex, `await ${name}(`);
+    // Called by the UI when a potentiometer/light sensor is wired or its slider moves.
+    // `input` is { pin, value } with value the slider position 0-1023 (0 V to VCC), or null.
+    setAnalogInput(id, input) {
+        if (input) this.analogInputs.set(id, input);
+        else this.analogInputs.delete(id);
+    }
 
-            const fixDefRegex = new RegExp(`async\\s+function\\s+await\\s+${name}\\(`, 'g');
-            code = code.replace(fixDefRegex, `async function ${name}(`);
-        });
+    // Called by the pattern designer to show a step on the LEDs while no sketch runs: drives an
+    // output at `level` (0-255) as analogWrite() would, so pins without PWM switch at 128
+    driveOutput(pin, level) {
+        const info = this.board.pins.find(p => String(p.id) === String(pin));
+        if (!info || info.analogOnly || info.inputOnly) return;
+        const pwm = info.pwm || level === 0 || level === 255 ? level : (level < 128 ? 0 : 255);
+        Object.assign(this.pins[info.id], { mode: 'OUTPUT', pullup: false, value: pwm > 0 ? 1 : 0, pwm });
+        this.pinChanged(info.id, pwm > 0 ? 1 : 0, pwm);
+    }
 
-        // 6. System Functions & Constants
-        code = code.replace(/\bpinMode\s*\(/g, '_pinMode(');
-        code = code.replace(/\bdigitalWrite\s*\(/g, '_digitalWrite(');
-        code = code.replace(/\banalogWrite\s*\(/g, '_analogWrite(');
-        code = code.replace(/\brandom\s*\(/g, '_random(');
+    // Called by the UI when a 74HC595 is wired. `wiring` is { data, clock, latch } with board pin
+    // ids (data may be '<id>:Q7S' to chain from another register), or null when it is removed.
+    setShiftRegister(id, wiring) {
+        if (!wiring) {
+            this.shiftRegisters.delete(id);
+            return;
+        }
+        const register = this.shiftRegisters.get(id) || new ShiftRegister595(id);
+        Object.assign(register, { data: wiring.data, clock: wiring.clock, latch: wiring.latch });
+        this.shiftRegisters.set(id, register);
+    }
 
-        code = code.replace(/\bHIGH\b/g, '1');
-        code = code.replace(/\bLOW\b/g, '0');
-        code = code.replace(/\bOUTPUT\b/g, '"OUTPUT"');
-        code = code.replace(/\bINPUT\b/g, '"INPUT"');
-        code = code.replace(/\bINPUT_PULLUP\b/g, '"INPUT_PULLUP"');
+    // Called by AdafruitNeoPixel.show() with [r, g, b] per pixel
+    showPixels(pin, colors) {
+        this.untimedIterations = 0; // Sending the data takes real time
+        const info = this.pinsByNumber.get(pin);
+        if (!info) return;
+        this.stripPins.add(info.id);
+        if (this.onPixels) this.onPixels(info.id, colors);
+    }
 
-        // 7. Math functions wrapper (optional, ensuring Math is used)
-        // Arduino 'sin', 'cos', etc -> Math.sin, Math.cos
-        // But users usually use standard C math. JS Math is close.
+    // Text sent from the Serial Monitor input line
+    sendSerial(text) {
+        this.serial.receive(text);
+    }
 
-        console.log("Transpiled Code:\n", code); // For debug
-        return code;
+    // Simulation speed: 0.25x-10x real time, or Infinity for as fast as possible
+    setSpeed(speed) {
+        this.clock.setSpeed(speed);
+    }
+
+    // --- System ---
+
+    log(msg, type = 'output') {
+        const entry = { time: Date.now(), msg, type };
+        this.consoleLog.push(entry);
+        if (this.onLog) this.onLog(entry);
+    }
+
+    // Transpiler (see transpiler.js)
+    transpile(arduinoCode) {
+        // Pin names and the board macros (ARDUINO_AVR_UNO, ESP32, ...) depend on the board
+        const constants = { LED_BUILTIN: { js: String(this.board.ledBuiltin), type: 'int' } };
+        this.board.pins.forEach(p => {
+            if (p.analog) constants[p.analog] = { js: String(p.number), type: 'int' };
+        });
+        const transpiler = new ArduinoTranspiler({ defines: this.board.defines, constants, debug: true });
+        return transpiler.transpile(arduinoCode);
     }
 
     async run(userCode) {
         if (this.isRunning) this.stop();
         this.isRunning = true;
         this.isPaused = false;
+        this.overflowReported.clear();
+        this.pinWarnings.clear();
+        this.untimedIterations = 0;
+        this.analogReference = 'DEFAULT';
+        this.clock.start();
+        this.serial.reset();
         this.resetPins();
+        this.debugger.reset();
         this.log("Compiling...", "system");
 
         try {
             const transpiledCode = this.transpile(userCode);
 
             // Create the execution context
-            const _pinMode = this._pinMode.bind(this);
-            const _digitalWrite = this._digitalWrite.bind(this);
-            const _analogWrite = this._analogWrite.bind(this);
-            const _delay = this._delay.bind(this);
-            const _random = this._random.bind(this);
-
-            // Create a safe-ish scope for variables
-            // 'let' variables at top level of transpiled code need to be accessible to setup/loop
-            // If we wrap everything in a function, they are closure variables. 
-            // This works perfectly.
+            const context = {
+                _pinMode: this._pinMode.bind(this),
+                _digitalWrite: this._digitalWrite.bind(this),
+                _digitalRead: this._digitalRead.bind(this),
+                _analogRead: this._analogRead.bind(this),
+                _analogReference: this._analogReference.bind(this),
+                _analogWrite: this._analogWrite.bind(this),
+                _delay: this._delay.bind(this),
+                _delayMicroseconds: this._delayMicroseconds.bind(this),
+                _millis: this._millis.bind(this),
+                _micros: this._micros.bind(this),
+                _random: this._random.bind(this),
+                _shiftOut: this._shiftOut.bind(this),
+                _shiftIn: this._shiftIn.bind(this),
+                _Serial: this.serial,
+                _NeoPixel: AdafruitNeoPixel.bind(null, this),
+                _FastLED: new CFastLED(this),
+                _FastLEDLib: new FastLEDLib(this),
+                _CEveryNMillis: CEveryNTime.bind(null, this, 1),
+                _CEveryNSeconds: CEveryNTime.bind(null, this, 1000),
+                _overflow: this._overflow.bind(this),
+                _loopEdge: this._loopEdge.bind(this),
+                __debug: this.debugger
+            };
 
+            // Globals of the sketch become closure variables shared by setup/loop
             const completeCode = `
                 ${transpiledCode}
-                return { user_setup, user_loop };
+                return { user_init, user_setup, user_loop, __globals };
             `;
 
-            const runFn = new Function('_pinMode', '_digitalWrite', '_analogWrite', '_delay', '_random', completeCode);
+            const runFn = new Function(...Object.keys(context), completeCode);
 
-            const { user_setup, user_loop } = runFn(_pinMode, _digitalWrite, _analogWrite, _delay, _random);
+            const { user_init, user_setup, user_loop, __globals } = runFn(...Object.values(context));
+            this.debugger.globals = __globals;
 
             this.log("Upload execution started.", "system");
 
+            // Global initialisers that call sketch functions
+            await user_init();
+
             // Run Setup
             if (user_setup) await user_setup();
 
             // Run Loop repeatedly
             if (user_loop) {
                 while (this.isRunning) {
-                    if (this.isPaused) {
-                        await new Promise(r => setTimeout(r, 100));
-                        continue;
-                    }
+                    this.untimedIterations = 0;
                     await user_loop();
-                    await new Promise(r => setTimeout(r, 10)); // Yield to event loop
+                    this.clock.advance(EXECUTION_COST_US.loop);
+                    // Pace to the chosen speed; only await when there is something to wait for
+                    const wait = this.clock.sync();
+                    if (wait) await wait;
                 }
             } else {
                 this.log("No loop() function found.", "error");
             }
 
         } catch (e) {
-            this.log(e.toString(), "error");
+            if (e instanceof ClockStopped) return; // Stopped while the sketch was waiting
+            const error = this.describeError(e);
+            if (error.kind === 'compile') this.log(e.toString(), "error");
+            else this.log(error.line ? `Runtime error (line ${error.line}): ${error.message}` : `Runtime error: ${error.message}`, "error");
+            if (this.onError) this.onError(error);
             console.error(e);
             this.stop();
         }
     }
 
+    // Where and why the sketch failed, in terms of its own source. Compile errors carry their
+    // position; anything thrown while it runs happened on the last line the debugger hook saw,
+    // and the JavaScript message is put the way it would show up in C++.
+    describeError(e) {
+        if (e instanceof CompileError) {
+            return { kind: 'compile', line: e.line, column: e.column, message: e.message };
+        }
+        let message = e && e.message ? e.message : String(e);
+        if (/call stack|too much recursion/i.test(message)) {
+            message = 'stack overflow: a function keeps calling itself (runaway recursion)';
+        } else if (/invalid array length/i.test(message)) {
+            message = 'array size is negative or too large';
+        } else if (e instanceof TypeError && /is not a function/.test(message)) {
+            message = 'called something that is not a function';
+        } else if (e instanceof TypeError && /undefined|null/.test(message)) {
+            message = 'array index out of range, or a variable used before it was set';
+        }
+        return { kind: 'runtime', line: this.debugger.line, column: 0, message };
+    }
+
     stop() {
         this.isRunning = false;
+        this.clock.stop();
+        this.debugger.abort();
         this.loopId = null;
         this.log("Execution stopped.", "system");
         this.resetPins();
         if (this.onPinChange) {
             Object.keys(this.pins).forEach(p => this.onPinChange(p, 0, 0));
         }
+        // The 74HC595s lose power too
+        this.shiftRegisters.forEach(r => {
+            r.reset();
+            for (let q = 0; q < 8; q++) {
+                if (this.onPinChange) this.onPinChange(r.outputPin(q), 0, 0);
+            }
+        });
+        // Powering the board down also blanks the strips
+        if (this.onPixels) this.stripPins.forEach(p => this.onPixels(p, null));
+        this.stripPins.clear();
     }
 
+    // Pausing stops the sketch at the next line it reaches (see debugger.js); a delay() in
+    // progress is cut short so that happens at once
     pause() {
         this.isPaused = true;
+        this.clock.pause();
+        this.clock.breakWaits = true;
+        this.debugger.requestPause();
         this.log("Execution paused.", "system");
     }
 
     resume() {
         this.isPaused = false;
+        this.clock.resume();
+        this.debugger.resume();
         this.log("Execution resumed.", "system");
     }
+
+    // Runs a paused sketch to its next line ('into'), or to the next line of the same
+    // function, stepping over calls ('over')
+    step(mode = 'into') {
+        if (!this.isRunning || !this.isPaused) return;
+        this.isPaused = false;
+        this.clock.resume();
+        this.debugger.resume(mode);
+    }
+
+    setBreakpoints(lines) {
+        this.debugger.setBreakpoints(lines);
+    }
 }
@@ -0,0 +1,869 @@
+// FastLED library emulation: CRGB/CHSV colours, CRGBPalette16, the global `FastLED` controller and
+// the library's 8-bit math, colour and palette helpers. The integer math follows the library
+// (with FASTLED_SCALE8_FIXED), so sketches produce the same colours as on a real strip.
+
+// Data rate per chipset: clockless chips take 1.25 us per bit, SPI chips are clocked by the library
+const FASTLED_CHIPSETS = {
+    NEOPIXEL: { bitUs: 1.25, latchUs: 50 },
+    WS2811: { bitUs: 1.25, latchUs: 50 },
+    WS2812: { bitUs: 1.25, latchUs: 50 },
+    WS2812B: { bitUs: 1.25, latchUs: 50 },
+    WS2813: { bitUs: 1.25, latchUs: 300 },
+    WS2815: { bitUs: 1.25, latchUs: 300 },
+    SK6812: { bitUs: 1.25, latchUs: 80 },
+    APA106: { bitUs: 1.25, latchUs: 50 },
+    PL9823: { bitUs: 1.25, latchUs: 50 },
+    UCS1903: { bitUs: 2.5, latchUs: 50 },
+    TM1803: { bitUs: 2.5, latchUs: 50 },
+    TM1809: { bitUs: 1.25, latchUs: 50 },
+    APA102: { bitUs: 1 / 12, latchUs: 0, spi: true },
+    SK9822: { bitUs: 1 / 12, latchUs: 0, spi: true },
+    DOTSTAR: { bitUs: 1 / 12, latchUs: 0, spi: true },
+    WS2801: { bitUs: 1, latchUs: 500, spi: true },
+    LPD8806: { bitUs: 1 / 12, latchUs: 0, spi: true },
+    P9813: { bitUs: 1 / 12, latchUs: 0, spi: true }
+};
+
+// The library's predefined 16-colour palettes (RainbowColors_p, ...)
+const FASTLED_PALETTES = {
+    CloudColors_p: [
+        0x0000FF, 0x00008B, 0x00008B, 0x00008B, 0x00008B, 0x00008B, 0x00008B, 0x00008B,
+        0x0000FF, 0x00008B, 0x87CEEB, 0x87CEEB, 0xADD8E6, 0xFFFFFF, 0xADD8E6, 0x87CEEB
+    ],
+    LavaColors_p: [
+        0x000000, 0x800000, 0x000000, 0x800000, 0x8B0000, 0x8B0000, 0x800000, 0x8B0000,
+        0x8B0000, 0x8B0000, 0xFF0000, 0xFFA500, 0xFFFFFF, 0xFFA500, 0xFF0000, 0x8B0000
+    ],
+    OceanColors_p: [
+        0x191970, 0x00008B, 0x191970, 0x000080, 0x00008B, 0x0000CD, 0x2E8B57, 0x008080,
+        0x5F9EA0, 0x0000FF, 0x008B8B, 0x6495ED, 0x7FFFD4, 0x2E8B57, 0x00FFFF, 0x87CEFA
+    ],
+    ForestColors_p: [
+        0x006400, 0x006400, 0x556B2F, 0x006400, 0x008000, 0x228B22, 0x6B8E23, 0x008000,
+        0x2E8B57, 0x66CDAA, 0x32CD32, 0x9ACD32, 0x90EE90, 0x7CFC00, 0x66CDAA, 0x228B22
+    ],
+    RainbowColors_p: [
+        0xFF0000, 0xD52A00, 0xAB5500, 0xAB7F00, 0xABAB00, 0x56D500, 0x00FF00, 0x00D52A,
+        0x00AB55, 0x0056AA, 0x0000FF, 0x2A00D5, 0x5500AB, 0x7F0081, 0xAB0055, 0xD5002B
+    ],
+    RainbowStripeColors_p: [
+        0xFF0000, 0x000000, 0xAB5500, 0x000000, 0xABAB00, 0x000000, 0x00FF00, 0x000000,
+        0x00AB55, 0x000000, 0x0000FF, 0x000000, 0x5500AB, 0x000000, 0xAB0055, 0x000000
+    ],
+    PartyColors_p: [
+        0x5500AB, 0x84007C, 0xB5004B, 0xE5001B, 0xE81700, 0xB84700, 0xAB7700, 0xABAB00,
+        0xAB5500, 0xDD2200, 0xF2000E, 0xC2003E, 0x8F0071, 0x5F00A1, 0x2F00D0, 0x0007F9
+    ],
+    HeatColors_p: [
+        0x000000, 0x330000, 0x660000, 0x990000, 0xCC0000, 0xFF0000, 0xFF3300, 0xFF6600,
+        0xFF9900, 0xFFCC00, 0xFFFF00, 0xFFFF33, 0xFFFF66, 0xFFFF99, 0xFFFFCC, 0xFFFFFF
+    ]
+};
+
+// Power model of setMaxPowerInVoltsAndMilliamps(): mW per channel at full brightness
+const FASTLED_POWER_MW = { r: 16 * 5, g: 11 * 5, b: 15 * 5, dark: 1 * 5, mcu: 25 * 5 };
+
+class CRGB {
+    // CRGB(), CRGB(r, g, b), CRGB(0xRRGGBB), CRGB(CHSV) or a copy of another CRGB
+    constructor(r = 0, g, b) {
+        if (g === undefined) {
+            if (r instanceof CRGB) [r, g, b] = [r.r, r.g, r.b];
+            else if (r instanceof CHSV) [r, g, b] = FastLEDLib.hsv2rgb_rainbow(r.h, r.s, r.v);
+            else [r, g, b] = [r >> 16, r >> 8, r];
+        }
+        this.r = r & 0xFF;
+        this.g = g & 0xFF;
+        this.b = b & 0xFF;
+    }
+
+    // Assignment and by-value parameters copy; colour codes and CHSV convert implicitly
+    static from(v) {
+        return new CRGB(v);
+    }
+
+    clone() {
+        return new CRGB(this.r, this.g, this.b);
+    }
+
+    get red() { return this.r; }
+    set red(v) { this.r = v & 0xFF; }
+    get green() { return this.g; }
+    set green(v) { this.g = v & 0xFF; }
+    get blue() { return this.b; }
+    set blue(v) { this.b = v & 0xFF; }
+
+    setRGB(r, g, b) {
+        [this.r, this.g, this.b] = [r & 0xFF, g & 0xFF, b & 0xFF];
+        return this;
+    }
+
+    setHSV(h, s, v) {
+        [this.r, this.g, this.b] = FastLEDLib.hsv2rgb_rainbow(h, s, v);
+        return this;
+    }
+
+    setHue(h) {
+        return this.setHSV(h, 255, 255);
+    }
+
+    setColorCode(code) {
+        return this.setRGB(code >> 16, code >> 8, code);
+    }
+
+    nscale8(scale) {
+        return this.map(c => FastLEDLib.scale8(c, scale));
+    }
+
+    nscale8_video(scale) {
+        return this.map(c => FastLEDLib.scale8_video(c, scale));
+    }
+
+    fadeToBlackBy(amount) {
+        return this.nscale8(255 - (amount & 0xFF));
+    }
+
+    fadeLightBy(amount) {
+        return this.fadeToBlackBy(amount);
+    }
+
+    maximizeBrightness(limit = 255) {
+        const max = Math.max(this.r, this.g, this.b);
+        if (!max) return this;
+        const factor = Math.floor(((limit & 0xFF) * 256) / max);
+        return this.map(c => (c * factor) >> 8);
+    }
+
+    getLuma() {
+        return FastLEDLib.scale8(this.r, 54) + FastLEDLib.scale8(this.g, 183) + FastLEDLib.scale8(this.b, 18);
+    }
+
+    getAverageLight() {
+        return FastLEDLib.scale8(this.r, 85) + FastLEDLib.scale8(this.g, 85) + FastLEDLib.scale8(this.b, 85);
+    }
+
+    // --- Operators (in place; the compiler clones the left operand for a binary operator) ---
+
+    add(v) {
+        const o = CRGB.from(v);
+        return this.setRGB(FastLEDLib.qadd8(this.r, o.r), FastLEDLib.qadd8(this.g, o.g), FastLEDLib.qadd8(this.b, o.b));
+    }
+
+    sub(v) {
+        const o = CRGB.from(v);
+        return this.setRGB(FastLEDLib.qsub8(this.r, o.r), FastLEDLib.qsub8(this.g, o.g), FastLEDLib.qsub8(this.b, o.b));
+    }
+
+    mul(d) {
+        return this.map(c => FastLEDLib.qmul8(c, d));
+    }
+
+    div(d) {
+        d &= 0xFF;
+        return this.map(c => Math.trunc(c / d));
+    }
+
+    shr(d) {
+        return this.map(c => c >> d);
+    }
+
+    // % scales down to d/256ths of the brightness, never turning a lit channel off
+    mod(d) {
+        return this.nscale8_video(d);
+    }
+
+    // | keeps the brighter of each channel, & the dimmer
+    or(v) {
+        if (typeof v === 'number' && v <= 0xFF) return this.map(c => Math.max(c, v));
+        const o = CRGB.from(v);
+        return this.setRGB(Math.max(this.r, o.r), Math.max(this.g, o.g), Math.max(this.b, o.b));
+    }
+
+    and(v) {
+        if (typeof v === 'number' && v <= 0xFF) return this.map(c => Math.min(c, v));
+        const o = CRGB.from(v);
+        return this.setRGB(Math.min(this.r, o.r), Math.min(this.g, o.g), Math.min(this.b, o.b));
+    }
+
+    equals(v) {
+        const o = CRGB.from(v);
+        return this.r === o.r && this.g === o.g && this.b === o.b;
+    }
+
+    // <, >, <= and >= compare the sum of the channels
+    compare(v) {
+        const o = CRGB.from(v);
+        return (this.r + this.g + this.b) - (o.r + o.g + o.b);
+    }
+
+    map(fn) {
+        return this.setRGB(fn(this.r), fn(this.g), fn(this.b));
+    }
+}
+
+class CHSV {
+    constructor(h = 0, s = 0, v = 0) {
+        if (h instanceof CHSV) [h, s, v] = [h.h, h.s, h.v];
+        this.h = h & 0xFF;
+        this.s = s & 0xFF;
+        this.v = v & 0xFF;
+    }
+
+    static from(v) {
+        return new CHSV(v);
+    }
+
+    clone() {
+        return new CHSV(this.h, this.s, this.v);
+    }
+
+    get hue() { return this.h; }
+    set hue(v) { this.h = v & 0xFF; }
+    get sat() { return this.s; }
+    set sat(v) { this.s = v & 0xFF; }
+    get val() { return this.v; }
+    set val(v) { this.v = v & 0xFF; }
+
+    setHSV(h, s, v) {
+        [this.h, this.s, this.v] = [h & 0xFF, s & 0xFF, v & 0xFF];
+        return this;
+    }
+}
+
+class CRGBPalette16 {
+    // A predefined palette or another palette, one colour, a 2-4 colour gradient, or 16 colours
+    constructor(...colors) {
+        this.entries = Array.from({ length: 16 }, () => new CRGB());
+        if (colors.length === 1 && (Array.isArray(colors[0]) || colors[0] instanceof CRGBPalette16)) {
+            const src = Array.isArray(colors[0]) ? colors[0] : colors[0].entries;
+            src.slice(0, 16).forEach((c, i) => { this.entries[i] = CRGB.from(c); });
+        } else if (colors.length === 1) {
+            FastLEDLib.fill_solid(this.entries, 16, colors[0]);
+        } else if (colors.length >= 2 && colors.length <= 4) {
+            FastLEDLib.fill_gradient_RGB(this.entries, 16, ...colors);
+        } else {
+            colors.slice(0, 16).forEach((c, i) => { this.entries[i] = CRGB.from(c); });
+        }
+    }
+
+    static from(v) {
+        return new CRGBPalette16(v);
+    }
+
+    clone() {
+        return new CRGBPalette16(this);
+    }
+}
+
+// Timer behind EVERY_N_MILLISECONDS / EVERY_N_SECONDS; `unitMs` is 1 or 1000
+class CEveryNTime {
+    constructor(sim, unitMs, period) {
+        this.sim = sim;
+        this.unitMs = unitMs;
+        this.period = period;
+        this.reset();
+    }
+
+    getTime() {
+        return Math.floor(this.sim.clock.millis() / this.unitMs);
+    }
+
+    ready() {
+        const now = this.getTime();
+        if (now - this.prev < this.period) return false;
+        this.prev = now;
+        return true;
+    }
+
+    reset() {
+        this.prev = this.getTime();
+    }
+
+    trigger() {
+        this.prev = this.getTime() - this.period;
+    }
+
+    setPeriod(period) {
+        this.period = period;
+    }
+
+    getPeriod() {
+        return this.period;
+    }
+
+    getElapsed() {
+        return this.getTime() - this.prev;
+    }
+
+    getRemaining() {
+        return Math.max(0, this.period - this.getElapsed());
+    }
+}
+
+// Returned by FastLED.addLeds(); one strip of a CRGB array on a data pin
+class CLEDController {
+    constructor(chipset, pin, leds, offset, count) {
+        this.chipset = chipset;
+        this.pin = pin;
+        this.leds = leds;
+        this.offset = offset;
+        this.count = count;
+    }
+
+    // Colour correction and temperature compensate for the LEDs themselves; the screen doesn't
+    // need them, so they are accepted and ignored
+    setCorrection() {
+        return this;
+    }
+
+    setTemperature() {
+        return this;
+    }
+
+    setDither() {
+        return this;
+    }
+
+    size() {
+        return this.count;
+    }
+
+    pixels() {
+        return this.leds.slice(this.offset, this.offset + this.count);
+    }
+}
+
+// The global `FastLED` object
+class CFastLED {
+    constructor(sim) {
+        this.sim = sim;
+        this.controllers = [];
+        this.brightness = 255;
+        this.maxPowerMw = 0; // 0: no power limit
+    }
+
+    // addLeds<CHIPSET, DATA_PIN[, CLOCK_PIN][, ORDER]>(leds, count) or (leds, offset, count)
+    addLeds([chipset, dataPin], leds, countOrOffset, count = 0) {
+        const offset = count ? countOrOffset : 0;
+        const n = count || countOrOffset;
+        const chip = FASTLED_CHIPSETS[chipset];
+        const controller = new CLEDController(chip, dataPin, leds, offset, n);
+        if (dataPin === undefined) {
+            this.sim.warnOnce(`fastled:${chipset}`, `Error: FastLED.addLeds<${chipset}>: give the data pin, e.g. addLeds<${chipset}, 6, GRB>`, 'error');
+            return controller;
+        }
+        const id = this.sim.digitalPin(dataPin, 'FastLED.addLeds');
+        if (id === null) return controller;
+        this.sim.pins[id].mode = 'OUTPUT';
+        this.controllers.push(controller);
+        return controller;
+    }
+
+    setBrightness(b) {
+        this.brightness = b & 0xFF;
+    }
+
+    getBrightness() {
+        return this.brightness;
+    }
+
+    setMaxPowerInVoltsAndMilliamps(volts, milliamps) {
+        this.maxPowerMw = volts * milliamps;
+    }
+
+    setMaxPowerInMilliWatts(mw) {
+        this.maxPowerMw = mw;
+    }
+
+    setCorrection() {}
+
+    setTemperature() {}
+
+    setDither() {}
+
+    setMaxRefreshRate() {}
+
+    size() {
+        return this.controllers.length ? this.controllers[0].count : 0;
+    }
+
+    count() {
+        return this.controllers.length;
+    }
+
+    // Sends every strip at the global brightness (reduced to stay under the power limit)
+    show(brightness = this.brightness) {
+        brightness &= 0xFF;
+        if (this.maxPowerMw) brightness = this.maxBrightnessForPower(brightness);
+        this.controllers.forEach(c => {
+            this.send(c, c.pixels().map(p => [p.r, p.g, p.b].map(v => FastLEDLib.scale8(v, brightness))));
+        });
+    }
+
+    showColor(color, brightness = this.brightness) {
+        const c = CRGB.from(color);
+        const rgb = [c.r, c.g, c.b].map(v => FastLEDLib.scale8(v, brightness & 0xFF));
+        this.controllers.forEach(ctl => this.send(ctl, Array.from({ length: ctl.count }, () => rgb)));
+    }
+
+    clear(writeData = false) {
+        this.controllers.forEach(c => {
+            for (let i = 0; i < c.count; i++) c.leds[c.offset + i] = new CRGB();
+        });
+        if (writeData) this.show(0);
+    }
+
+    clearData() {
+        this.clear(false);
+    }
+
+    // Shows, then waits; the library keeps refreshing during the delay for dithering
+    async delay(ms) {
+        this.show();
+        await this.sim._delay(ms);
+    }
+
+    send(controller, colors) {
+        const chip = controller.chipset || FASTLED_CHIPSETS.WS2812B;
+        this.sim.clock.advance(colors.length * (chip.spi ? 32 : 24) * chip.bitUs + chip.latchUs);
+        this.sim.showPixels(controller.pin, colors);
+    }
+
+    maxBrightnessForPower(target) {
+        const mw = FASTLED_POWER_MW;
+        let total = mw.mcu;
+        this.controllers.forEach(c => {
+            const sum = { r: 0, g: 0, b: 0 };
+            c.pixels().forEach(p => { sum.r += p.r; sum.g += p.g; sum.b += p.b; });
+            total += ((sum.r * mw.r) >>> 8) + ((sum.g * mw.g) >>> 8) + ((sum.b * mw.b) >>> 8) + mw.dark * c.count;
+        });
+        const requested = Math.floor((total * target) / 256);
+        if (requested <= this.maxPowerMw) return target;
+        return Math.floor((target * this.maxPowerMw) / requested);
+    }
+}
+
+// FastLED's free functions. The 8-bit math and colour helpers are static; random and beat
+// functions keep the random seed and read the clock, so each run gets its own instance.
+class FastLEDLib {
+    constructor(sim) {
+        this.sim = sim;
+        this.seed = 1337; // RAND16_SEED: sketches see the same "random" sequence every run
+    }
+
+    // --- Random numbers (the library's 16-bit LCG) ---
+
+    random16(min, lim) {
+        this.seed = (this.seed * 2053 + 13849) & 0xFFFF;
+        if (min === undefined) return this.seed;
+        if (lim === undefined) [min, lim] = [0, min];
+        return (min + ((this.seed * ((lim - min) & 0xFFFF)) >>> 16)) & 0xFFFF;
+    }
+
+    random8(min, lim) {
+        const r16 = this.random16();
+        const r = ((r16 & 0xFF) + (r16 >> 8)) & 0xFF;
+        if (min === undefined) return r;
+        if (lim === undefined) [min, lim] = [0, min];
+        return (min + ((r * ((lim - min) & 0xFF)) >> 8)) & 0xFF;
+    }
+
+    random16_add_entropy(entropy) {
+        this.seed = (this.seed + entropy) & 0xFFFF;
+    }
+
+    random16_set_seed(seed) {
+        this.seed = seed & 0xFFFF;
+    }
+
+    random16_get_seed() {
+        return this.seed;
+    }
+
+    // --- Beat generators (sawtooth and sine waves at a given BPM) ---
+
+    beat88(bpm88, timebase = 0) {
+        return Math.floor(((this.sim._millis() - timebase) * (bpm88 & 0xFFFF) * 280) / 65536) & 0xFFFF;
+    }
+
+    beat16(bpm, timebase = 0) {
+        if (bpm < 256) bpm <<= 8;
+        return this.beat88(bpm, timebase);
+    }
+
+    beat8(bpm, timebase = 0) {
+        return this.beat16(bpm, timebase) >> 8;
+    }
+
+    beatsin88(bpm88, lowest = 0, highest = 65535, timebase = 0, phase = 0) {
+        const s = FastLEDLib.sin16((this.beat88(bpm88, timebase) + phase) & 0xFFFF) + 32768;
+        return (lowest + FastLEDLib.scale16(s, highest - lowest)) & 0xFFFF;
+    }
+
+    beatsin16(bpm, lowest = 0, highest = 65535, timebase = 0, phase = 0) {
+        const s = FastLEDLib.sin16((this.beat16(bpm, timebase) + phase) & 0xFFFF) + 32768;
+        return (lowest + FastLEDLib.scale16(s, highest - lowest)) & 0xFFFF;
+    }
+
+    beatsin8(bpm, lowest = 0, highest = 255, timebase = 0, phase = 0) {
+        const s = FastLEDLib.sin8(this.beat8(bpm, timebase) + phase);
+        return (lowest + FastLEDLib.scale8(s, highest - lowest)) & 0xFF;
+    }
+
+    // --- 8-bit math ---
+
+    static scale8(i, scale) {
+        return ((i & 0xFF) * (1 + (scale & 0xFF))) >> 8;
+    }
+
+    // Like scale8(), but never scales a non-zero value to zero
+    static scale8_video(i, scale) {
+        i &= 0xFF;
+        scale &= 0xFF;
+        return ((i * scale) >> 8) + (i && scale ? 1 : 0);
+    }
+
+    static scale16(i, scale) {
+        return Math.floor(((i & 0xFFFF) * (1 + (scale & 0xFFFF))) / 65536);
+    }
+
+    static qadd8(i, j) {
+        return Math.min(255, (i & 0xFF) + (j & 0xFF));
+    }
+
+    static qsub8(i, j) {
+        return Math.max(0, (i & 0xFF) - (j & 0xFF));
+    }
+
+    static qmul8(i, j) {
+        return Math.min(255, (i & 0xFF) * (j & 0xFF));
+    }
+
+    static add8(i, j) {
+        return (i + j) & 0xFF;
+    }
+
+    static sub8(i, j) {
+        return (i - j) & 0xFF;
+    }
+
+    static mul8(i, j) {
+        return (i * j) & 0xFF;
+    }
+
+    static avg8(i, j) {
+        return ((i & 0xFF) + (j & 0xFF)) >> 1;
+    }
+
+    static blend8(a, b, amountOfB) {
+        a &= 0xFF;
+        b &= 0xFF;
+        amountOfB &= 0xFF;
+        return ((((a << 8) | b) + b * amountOfB - a * amountOfB) >> 8) & 0xFF;
+    }
+
+    static lerp8by8(a, b, frac) {
+        a &= 0xFF;
+        b &= 0xFF;
+        if (b > a) return a + FastLEDLib.scale8(b - a, frac);
+        return a - FastLEDLib.scale8(a - b, frac);
+    }
+
+    static map8(in8, rangeStart, rangeEnd) {
+        return ((rangeStart & 0xFF) + FastLEDLib.scale8(in8, (rangeEnd - rangeStart) & 0xFF)) & 0xFF;
+    }
+
+    static dim8_raw(x) {
+        return FastLEDLib.scale8(x, x);
+    }
+
+    static dim8_video(x) {
+        return FastLEDLib.scale8_video(x, x);
+    }
+
+    static brighten8_raw(x) {
+        const ix = 255 - (x & 0xFF);
+        return 255 - FastLEDLib.scale8(ix, ix);
+    }
+
+    static ease8InOutQuad(i) {
+        i &= 0xFF;
+        const j = i & 0x80 ? 255 - i : i;
+        const jj2 = (FastLEDLib.scale8(j, j) << 1) & 0xFF;
+        return i & 0x80 ? 255 - jj2 : jj2;
+    }
+
+    static ease8InOutCubic(i) {
+        i &= 0xFF;
+        const ii = FastLEDLib.scale8(i, i);
+        const iii = FastLEDLib.scale8(ii, i);
+        const r1 = (3 * ii - 2 * iii) & 0xFFFF;
+        return r1 & 0x100 ? 255 : r1 & 0xFF;
+    }
+
+    static triwave8(i) {
+        i &= 0xFF;
+        if (i & 0x80) i = 255 - i;
+        return (i << 1) & 0xFF;
+    }
+
+    static quadwave8(i) {
+        return FastLEDLib.ease8InOutQuad(FastLEDLib.triwave8(i));
+    }
+
+    static cubicwave8(i) {
+        return FastLEDLib.ease8InOutCubic(FastLEDLib.triwave8(i));
+    }
+
+    // sin8_C(): piecewise-linear sine, 0..255 centred on 128
+    static sin8(theta) {
+        const B_M16_INTERLEAVE = [0, 49, 49, 41, 90, 27, 117, 10];
+        theta &= 0xFF;
+        let offset = theta & 0x40 ? 255 - theta : theta;
+        offset &= 0x3F;
+        let secoffset = offset & 0x0F;
+        if (theta & 0x40) secoffset++;
+        const section = offset >> 4;
+        const b = B_M16_INTERLEAVE[section * 2];
+        const m16 = B_M16_INTERLEAVE[section * 2 + 1];
+        let y = ((m16 * secoffset) >> 4) + b;
+        if (theta & 0x80) y = -y;
+        return (y + 128) & 0xFF;
+    }
+
+    static cos8(theta) {
+        return FastLEDLib.sin8(theta + 64);
+    }
+
+    // sin16_C(): -32767..32767
+    static sin16(theta) {
+        const BASE = [0, 6393, 12539, 18204, 23170, 27245, 30273, 32137];
+        const SLOPE = [49, 48, 44, 38, 31, 23, 14, 4];
+        theta &= 0xFFFF;
+        let offset = (theta & 0x3FFF) >> 3;
+        if (theta & 0x4000) offset = 2047 - offset;
+        const section = offset >> 8;
+        const y = SLOPE[section] * ((offset & 0xFF) >> 1) + BASE[section];
+        return theta & 0x8000 ? -y : y;
+    }
+
+    static cos16(theta) {
+        return FastLEDLib.sin16(theta + 16384);
+    }
+
+    // --- Colour ---
+
+    // hsv2rgb_rainbow(): FastLED's default HSV conversion, with a wider yellow than the spectrum
+    static hsv2rgb_rainbow(hue, sat, val) {
+        hue &= 0xFF;
+        sat &= 0xFF;
+        val &= 0xFF;
+        const scale8 = FastLEDLib.scale8;
+        const offset8 = (hue & 0x1F) << 3;
+        const third = scale8(offset8, 85);
+        const twothirds = scale8(offset8, 170);
+        let r, g, b;
+        switch (hue >> 5) {
+            case 0: [r, g, b] = [255 - third, third, 0]; break;        // red -> orange
+            case 1: [r, g, b] = [171, 85 + third, 0]; break;           // orange -> yellow
+            case 2: [r, g, b] = [171 - twothirds, 170 + third, 0]; break; // yellow -> green
+            case 3: [r, g, b] = [0, 255 - third, third]; break;        // green -> aqua
+            case 4: [r, g, b] = [0, 171 - twothirds, 85 + twothirds]; break; // aqua -> blue
+            case 5: [r, g, b] = [third, 0, 255 - third]; break;        // blue -> purple
+            case 6: [r, g, b] = [85 + third, 0, 171 - third]; break;   // purple -> pink
+            default: [r, g, b] = [170 + third, 0, 85 - third];         // pink -> red
+        }
+        if (sat !== 255) {
+            if (sat === 0) {
+                [r, g, b] = [255, 255, 255];
+            } else {
+                const desat = FastLEDLib.scale8_video(255 - sat, 255 - sat);
+                const satscale = 255 - desat;
+                [r, g, b] = [r, g, b].map(c => (c ? scale8(c, satscale) : 0) + desat);
+            }
+        }
+        if (val !== 255) {
+            val = FastLEDLib.scale8_video(val, val);
+            [r, g, b] = val === 0 ? [0, 0, 0] : [r, g, b].map(c => scale8(c, val));
+        }
+        return [r, g, b];
+    }
+
+    static blend(a, b, amountOfB) {
+        a = CRGB.from(a);
+        b = CRGB.from(b);
+        return new CRGB(FastLEDLib.blend8(a.r, b.r, amountOfB), FastLEDLib.blend8(a.g, b.g, amountOfB), FastLEDLib.blend8(a.b, b.b, amountOfB));
+    }
+
+    // Blends `overlay` into `existing` in place
+    static nblend(existing, overlay, amountOfOverlay) {
+        const c = FastLEDLib.blend(existing, overlay, amountOfOverlay);
+        return existing.setRGB(c.r, c.g, c.b);
+    }
+
+    static HeatColor(temperature) {
+        const t192 = FastLEDLib.scale8_video(temperature, 191);
+        const heatramp = (t192 & 0x3F) << 2;
+        if (t192 & 0x80) return new CRGB(255, 255, heatramp);
+        if (t192 & 0x40) return new CRGB(255, heatramp, 0);
+        return new CRGB(heatramp, 0, 0);
+    }
+
+    // --- Palettes ---
+
+    static ColorFromPalette(palette, index, brightness = 255, blendType = 1) {
+        const entries = (palette instanceof CRGBPalette16 ? palette : CRGBPalette16.from(palette)).entries;
+        index &= 0xFF;
+        brightness &= 0xFF;
+        const hi4 = index >> 4;
+        const lo4 = index & 0x0F;
+        let [r, g, b] = [entries[hi4].r, entries[hi4].g, entries[hi4].b];
+        if (lo4 && blendType) {
+            const next = entries[hi4 === 15 ? 0 : hi4 + 1];
+            const f2 = lo4 << 4;
+            const f1 = 255 - f2;
+            const scale8 = FastLEDLib.scale8;
+            [r, g, b] = [scale8(r, f1) + scale8(next.r, f2), scale8(g, f1) + scale8(next.g, f2), scale8(b, f1) + scale8(next.b, f2)];
+        }
+        if (brightness !== 255) {
+            [r, g, b] = brightness ? [r, g, b].map(c => FastLEDLib.scale8(c, brightness + 1)) : [0, 0, 0];
+        }
+        return new CRGB(r, g, b);
+    }
+
+    // Moves `current` at most `maxChanges` channel steps toward `target`
+    static nblendPaletteTowardPalette(current, target, maxChanges) {
+        let changes = 0;
+        for (let i = 0; i < 16 && changes < maxChanges; i++) {
+            const p1 = current.entries[i], p2 = target.entries[i];
+            for (const ch of ['r', 'g', 'b']) {
+                if (p1[ch] === p2[ch]) continue;
+                if (p1[ch] < p2[ch]) p1[ch]++;
+                else p1[ch] -= p1[ch] - p2[ch] > 1 ? 2 : 1;
+                if (++changes >= maxChanges) break;
+            }
+        }
+    }
+
+    // --- Whole-array operations (leds is a CRGB array or a palette) ---
+
+    static fill_solid(leds, num, color) {
+        leds = FastLEDLib.entries(leds);
+        for (let i = 0; i < num; i++) leds[i] = CRGB.from(color);
+    }
+
+    static fill_rainbow(leds, num, initialHue, deltaHue = 5) {
+        leds = FastLEDLib.entries(leds);
+        const hsv = new CHSV(initialHue, 240, 255);
+        for (let i = 0; i < num; i++) {
+            leds[i] = CRGB.from(hsv);
+            hsv.hue += deltaHue;
+        }
+    }
+
+    // fill_gradient_RGB(leds, num, c1, c2[, c3[, c4]]) or (leds, startPos, startColor, endPos, endColor)
+    static fill_gradient_RGB(leds, ...args) {
+        leds = FastLEDLib.entries(leds);
+        if (args.length === 4 && typeof args[2] === 'number') {
+            FastLEDLib.gradient(leds, args[0], CRGB.from(args[1]), args[2], CRGB.from(args[3]));
+            return;
+        }
+        const [num, ...colors] = args;
+        const c = colors.map(CRGB.from);
+        const last = num - 1;
+        if (c.length === 2) {
+            FastLEDLib.gradient(leds, 0, c[0], last, c[1]);
+        } else if (c.length === 3) {
+            const half = last >> 1;
+            FastLEDLib.gradient(leds, 0, c[0], half, c[1]);
+            FastLEDLib.gradient(leds, half, c[1], last, c[2]);
+        } else {
+            const third = Math.floor(last / 3), twoThirds = Math.floor((last * 2) / 3);
+            FastLEDLib.gradient(leds, 0, c[0], third, c[1]);
+            FastLEDLib.gradient(leds, third, c[1], twoThirds, c[2]);
+            FastLEDLib.gradient(leds, twoThirds, c[2], last, c[3]);
+        }
+    }
+
+    // Linear gradient in 8.8 fixed point, as the library steps it
+    static gradient(leds, startPos, start, endPos, end) {
+        if (endPos < startPos) [startPos, start, endPos, end] = [endPos, end, startPos, start];
+        const divisor = endPos - startPos || 1;
+        const delta = ch => (Math.trunc((((end[ch] - start[ch]) << 7) << 16 >> 16) / divisor) * 2) << 16 >> 16;
+        const d = { r: delta('r'), g: delta('g'), b: delta('b') };
+        let [r88, g88, b88] = [start.r << 8, start.g << 8, start.b << 8];
+        for (let i = startPos; i <= endPos; i++) {
+            leds[i] = new CRGB(r88 >> 8, g88 >> 8, b88 >> 8);
+            r88 = (r88 + d.r) & 0xFFFF;
+            g88 = (g88 + d.g) & 0xFFFF;
+            b88 = (b88 + d.b) & 0xFFFF;
+        }
+    }
+
+    static fill_palette(leds, num, startIndex, incIndex, palette, brightness = 255, blendType = 1) {
+        leds = FastLEDLib.entries(leds);
+        let index = startIndex & 0xFF;
+        for (let i = 0; i < num; i++) {
+            leds[i] = FastLEDLib.ColorFromPalette(palette, index, brightness, blendType);
+            index = (index + incIndex) & 0xFF;
+        }
+    }
+
+    static nscale8(leds, num, scale) {
+        leds = FastLEDLib.entries(leds);
+        for (let i = 0; i < num; i++) leds[i].nscale8(scale);
+    }
+
+    static fadeToBlackBy(leds, num, fadeBy) {
+        FastLEDLib.nscale8(leds, num, 255 - (fadeBy & 0xFF));
+    }
+
+    static fadeLightBy(leds, num, fadeBy) {
+        FastLEDLib.nscale8(leds, num, 255 - (fadeBy & 0xFF));
+    }
+
+    static fade_raw(leds, num, fadeBy) {
+        FastLEDLib.nscale8(leds, num, 255 - (fadeBy & 0xFF));
+    }
+
+    static fade_video(leds, num, fadeBy) {
+        leds = FastLEDLib.entries(leds);
+        for (let i = 0; i < num; i++) leds[i].nscale8_video(255 - (fadeBy & 0xFF));
+    }
+
+    // One pass of a 1D blur: each pixel keeps 255-amount and shares amount/2 with each neighbour
+    static blur1d(leds, num, amount) {
+        leds = FastLEDLib.entries(leds);
+        const keep = 255 - (amount & 0xFF);
+        const seep = (amount & 0xFF) >> 1;
+        let carry = new CRGB();
+        for (let i = 0; i < num; i++) {
+            const cur = leds[i].clone();
+            const part = cur.clone().nscale8(seep);
+            cur.nscale8(keep).add(carry);
+            if (i) leds[i - 1].add(part);
+            leds[i] = cur;
+            carry = part;
+        }
+    }
+
+    static entries(leds) {
+        return leds instanceof CRGBPalette16 ? leds.entries : leds;
+    }
+
+    // `leds + n` in a sketch: the array from entry n on, reading and writing through to it
+    static offset(leds, n) {
+        const isIndex = key => typeof key === 'string' && /^\d+$/.test(key);
+        return new Proxy(FastLEDLib.entries(leds), {
+            get: (target, key, receiver) => {
+                if (isIndex(key)) return target[n + Number(key)];
+                if (key === 'length') return Math.max(0, target.length - n);
+                return Reflect.get(target, key, receiver);
+            },
+            set: (target, key, value) => {
+                if (isIndex(key)) target[n + Number(key)] = value;
+                else target[key] = value;
+                return true;
+            }
+        });
+    }
+}
@@ -0,0 +1,216 @@
+// Animated GIF encoder for the export (GIF89a). Each frame gets its own 256-colour palette,
+// chosen by median cut, and only the rectangle that changed since the previous frame is
+// stored, so a still breadboard with a few blinking LEDs makes a small file. Frames that
+// change nothing just lengthen the one before.
+const GIF_MAX_CODES = 4096; // LZW codes are at most 12 bits
+const GIF_PALETTE_SIZE = 256;
+
+class GifEncoder {
+    constructor(width, height) {
+        this.width = width;
+        this.height = height;
+        this.parts = [];       // Encoded bytes so far, as Uint8Arrays
+        this.previous = null;  // Pixels of the last frame, to find what changed
+        this.pending = null;   // { rect, bytes, delay } of the last frame, written once its delay is known
+        this.elapsedMs = 0;
+        this.writtenCs = 0;    // Delays are in centiseconds; rounding is carried over between frames
+
+        const header = [...'GIF89a'].map(c => c.charCodeAt(0));
+        const screen = [...uint16(width), ...uint16(height), 0, 0, 0]; // No global colour table
+        const loop = [0x21, 0xFF, 11, ...[...'NETSCAPE2.0'].map(c => c.charCodeAt(0)), 3, 1, 0, 0, 0]; // Loop forever
+        this.parts.push(new Uint8Array([...header, ...screen, ...loop]));
+    }
+
+    // Adds `rgba` (width * height * 4 bytes, as ImageData has them) shown for `delayMs`
+    addFrame(rgba, delayMs) {
+        this.elapsedMs += delayMs;
+        const cs = Math.round(this.elapsedMs / 10);
+        const delay = cs - this.writtenCs;
+        this.writtenCs = cs;
+
+        const pixels = new Uint32Array(rgba.buffer, rgba.byteOffset, this.width * this.height);
+        const rect = this.previous ? changedRect(this.previous, pixels, this.width, this.height)
+            : { x: 0, y: 0, width: this.width, height: this.height };
+        if (!rect) {
+            this.pending.delay += delay;
+            return;
+        }
+        this.flush();
+        this.previous = pixels.slice();
+        this.pending = { rect, bytes: encodeGifImage(pixels, this.width, rect), delay };
+    }
+
+    flush() {
+        if (!this.pending) return;
+        const { rect, bytes, delay } = this.pending;
+        // Graphic control: keep this frame under the next one, which only redraws what changed
+        const control = [0x21, 0xF9, 4, 1 << 2, ...uint16(Math.min(delay, 0xFFFF)), 0, 0];
+        const descriptor = [0x2C, ...uint16(rect.x), ...uint16(rect.y), ...uint16(rect.width), ...uint16(rect.height), 0x80 | 7];
+        this.parts.push(new Uint8Array([...control, ...descriptor]), bytes);
+        this.pending = null;
+    }
+
+    finish() {
+        this.flush();
+        this.parts.push(new Uint8Array([0x3B]));
+        return new Blob(this.parts, { type: 'image/gif' });
+    }
+}
+
+function uint16(value) {
+    return [value & 0xFF, (value >> 8) & 0xFF];
+}
+
+// Bounding box of the pixels that differ, or null when none do
+function changedRect(before, after, width, height) {
+    let left = width;
+    let right = -1;
+    let top = height;
+    let bottom = -1;
+    for (let y = 0; y < height; y++) {
+        const row = y * width;
+        for (let x = 0; x < width; x++) {
+            if (before[row + x] === after[row + x]) continue;
+            if (x < left) left = x;
+            if (x > right) right = x;
+            if (y < top) top = y;
+            bottom = y;
+        }
+    }
+    if (right < 0) return null;
+    return { x: left, y: top, width: right - left + 1, height: bottom - top + 1 };
+}
+
+// Local colour table and LZW data of the `rect` part of a frame
+function encodeGifImage(pixels, width, rect) {
+    const bins = new Uint16Array(rect.width * rect.height); // 15-bit colour of each pixel
+    let i = 0;
+    for (let y = rect.y; y < rect.y + rect.height; y++) {
+        for (let x = rect.x; x < rect.x + rect.width; x++) {
+            const p = pixels[y * width + x]; // Little-endian: 0xAABBGGRR
+            bins[i++] = ((p & 0xF8) << 7) | ((p >> 6) & 0x3E0) | ((p >> 19) & 0x1F);
+        }
+    }
+    const { palette, lookup } = medianCut(bins);
+    const indices = new Uint8Array(bins.length);
+    for (let j = 0; j < bins.length; j++) indices[j] = lookup[bins[j]];
+
+    const data = lzwEncode(indices, 8);
+    const blocks = [];
+    for (let j = 0; j < data.length; j += 255) {
+        const block = data.subarray(j, j + 255);
+        blocks.push(block.length, ...block);
+    }
+    return new Uint8Array([...palette, 8, ...blocks, 0]);
+}
+
+// Up to 256 colours for a set of 15-bit colours: boxes of colours are split at the median of
+// their widest channel until there are enough, and each becomes the average colour in it.
+// Splitting the widest box rather than the busiest keeps small, bright LEDs their own colour.
+function medianCut(bins) {
+    const counts = new Uint32Array(1 << 15);
+    bins.forEach(b => { counts[b]++; });
+    const colors = [];
+    counts.forEach((n, b) => {
+        if (n) colors.push(b);
+    });
+    const channel = (b, c) => (b >> (10 - c * 5)) & 0x1F; // 0 red, 1 green, 2 blue
+
+    const measure = (list) => {
+        const min = [31, 31, 31];
+        const max = [0, 0, 0];
+        list.forEach(b => {
+            for (let c = 0; c < 3; c++) {
+                const v = channel(b, c);
+                if (v < min[c]) min[c] = v;
+                if (v > max[c]) max[c] = v;
+            }
+        });
+        const ranges = max.map((v, c) => v - min[c]);
+        const widest = ranges.indexOf(Math.max(...ranges));
+        return { list, widest, range: ranges[widest] };
+    };
+    const boxes = [measure(colors)];
+    while (boxes.length < GIF_PALETTE_SIZE) {
+        let pick = -1;
+        boxes.forEach((box, k) => {
+            if (box.list.length > 1 && box.range > 0 && (pick < 0 || box.range > boxes[pick].range)) pick = k;
+        });
+        if (pick < 0) break;
+        const { list, widest } = boxes[pick];
+        list.sort((a, b) => channel(a, widest) - channel(b, widest));
+        const total = list.reduce((sum, b) => sum + counts[b], 0);
+        let seen = counts[list[0]];
+        let cut = 1;
+        while (cut < list.length - 1 && seen < total / 2) seen += counts[list[cut++]];
+        boxes.splice(pick, 1, measure(list.slice(0, cut)), measure(list.slice(cut)));
+    }
+
+    const palette = new Uint8Array(GIF_PALETTE_SIZE * 3);
+    const lookup = new Uint8Array(1 << 15);
+    boxes.forEach((box, k) => {
+        const sum = [0, 0, 0];
+        let n = 0;
+        box.list.forEach(b => {
+            lookup[b] = k;
+            for (let c = 0; c < 3; c++) sum[c] += channel(b, c) * counts[b];
+            n += counts[b];
+        });
+        // 5 bits back to 8, so full-on channels stay 255
+        for (let c = 0; c < 3; c++) palette[k * 3 + c] = Math.round((sum[c] / n) * 255 / 31);
+    });
+    return { palette, lookup };
+}
+
+// Variable-length LZW as GIF uses it: codes grow from minCodeSize + 1 bits up to 12, and the
+// table starts over with a clear code once it is full
+function lzwEncode(indices, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const table = new Int16Array(GIF_MAX_CODES << 8); // (prefix code << 8 | index) -> code
+    const out = new Uint8Array(indices.length * 2 + 16);
+    let length = 0;
+    let bits = 0;
+    let bitCount = 0;
+    let codeSize;
+    let nextCode;
+    const emit = (code) => {
+        bits |= code << bitCount;
+        bitCount += codeSize;
+        while (bitCount >= 8) {
+            out[length++] = bits & 0xFF;
+            bits >>>= 8;
+            bitCount -= 8;
+        }
+    };
+    const reset = () => {
+        table.fill(-1);
+        codeSize = minCodeSize + 1;
+        nextCode = endCode + 1;
+    };
+
+    reset();
+    emit(clearCode);
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const key = (prefix << 8) | indices[i];
+        if (table[key] >= 0) {
+            prefix = table[key];
+            continue;
+        }
+        emit(prefix);
+        if (nextCode === GIF_MAX_CODES) {
+            emit(clearCode);
+            reset();
+        } else {
+            // Codes widen once the next one to be added no longer fits
+            if (nextCode >= 1 << codeSize) codeSize++;
+            table[key] = nextCode++;
+        }
+        prefix = indices[i];
+    }
+    emit(prefix);
+    emit(endCode);
+    if (bitCount > 0) out[length++] = bits & 0xFF;
+    return out.subarray(0, length);
+}
@@ -0,0 +1,320 @@
+// Headless runs of sketches in Node, for checking exercises automatically. The simulator's
+// scripts are loaded as the page loads them; SketchTester runs a sketch in steps of simulated
+// time as fast as possible, drives its inputs and asserts pin states and waveforms.
+//
+// As a command line tool it runs every *.spec.js in a folder:
+//
+//   node headless.js specs/ [--sketch student.ino] [--timeout 30]
+//
+// A spec exports { sketch, board, tests }: `sketch` is an .ino path relative to the spec (or
+// the one given with --sketch), and each test is an async function of a fresh SketchTester:
+//
+//   module.exports = {
+//       sketch: 'blink.ino',
+//       tests: {
+//           'pin 13 blinks once a second': async (t) => {
+//               await t.run(5000);
+//               t.expectPeriod(13, 1000, { tolerance: 0.05 });
+//           }
+//       }
+//   };
+//
+// specs/blink.spec.js is a working example with its sketch.
+'use strict';
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// The scripts index.html loads that work without a page, in the same order
+const SIMULATOR_SCRIPTS = [
+    'boards.js', 'transpiler.js', 'clock.js', 'serial.js', 'neopixel.js', 'fastled.js',
+    'shiftreg.js', 'debugger.js', 'analyzer.js', 'engine.js', 'electrical.js', 'project.js'
+];
+
+const DEFAULT_TEST_TIMEOUT_S = 30; // Real time one test may take
+
+let simulator = null;
+
+// The simulator's classes, loaded once into their own context. Their console is quiet: the
+// sketch's errors reach the tester through onLog
+function loadSimulator() {
+    if (simulator) return simulator;
+    const context = vm.createContext({
+        console: { log() {}, warn() {}, error() {} },
+        setTimeout,
+        clearTimeout,
+        performance,
+        TextEncoder
+    });
+    SIMULATOR_SCRIPTS.forEach(file => {
+        const source = fs.readFileSync(path.join(__dirname, file), 'utf8');
+        vm.runInContext(source, context, { filename: file });
+    });
+    simulator = vm.runInContext('({ ArduinoSimulator, VirtualClock, LogicCapture, CompileError, BOARDS, DEFAULT_BOARD, readProject, ProjectError, PROJECT_FORMAT, PROJECT_VERSION, ANALOG_DEFAULT_VALUE })', context);
+    return simulator;
+}
+
+// A failed expectation
+class SketchAssertion extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'SketchAssertion';
+    }
+}
+
+function formatMs(us) {
+    return `${+(us / 1000).toFixed(3)} ms`;
+}
+
+class SketchTester {
+    constructor(code, { board } = {}) {
+        const { ArduinoSimulator, LogicCapture, DEFAULT_BOARD } = loadSimulator();
+        this.code = code;
+        this.sim = new ArduinoSimulator();
+        this.sim.setBoard(board || DEFAULT_BOARD);
+        this.sim.setSpeed(Infinity);
+        this.capture = new LogicCapture();
+        this.logs = [];   // { msg, type } the simulator logged
+        this.serial = ''; // Everything the sketch printed
+        this.sim.onLog = (entry) => this.logs.push(entry);
+        this.sim.onSerial = (text) => {
+            this.serial += text;
+        };
+        this.sim.onPinChange = (pin, value, pwm) => this.capture.record(pin, value, pwm, this.sim.clock.micros());
+        this.done = null; // Settles when the sketch ends, fails or is stopped
+    }
+
+    // Simulated milliseconds since power-up
+    get time() {
+        return this.sim.clock.millis();
+    }
+
+    // Compiles the sketch (a CompileError is thrown from here) and powers the board up, holding
+    // the sketch at time 0
+    start() {
+        this.sim.transpile(this.code);
+        this.sim.clock.setLimit(0);
+        this.done = this.sim.run(this.code);
+    }
+
+    // Runs the sketch for `ms` more simulated milliseconds. A delay() that spans the end is
+    // entered, so time() may end up a little further on; pins keep the level they had at the end
+    async run(ms) {
+        if (!this.done) this.start();
+        const clock = this.sim.clock;
+        const limit = Math.max(clock.limit, 0) + ms * 1000;
+        await new Promise(resolve => {
+            clock.onHold = resolve;
+            this.done.then(resolve);
+            clock.setLimit(limit);
+        });
+        clock.onHold = null;
+    }
+
+    stop() {
+        if (this.sim.isRunning) this.sim.stop();
+    }
+
+    // Engine id of a pin as a sketch names it: 13, 14 or 'A0' for A0 on the Uno
+    pinId(pin) {
+        const board = this.sim.board;
+        const info = board.pins.find(p => p.id === pin) || this.sim.pinsByNumber.get(pin);
+        if (!info) throw new SketchAssertion(`The ${board.name} has no pin ${pin}`);
+        return info.id;
+    }
+
+    // --- Inputs ---
+
+    // Drives a pin HIGH (1) or LOW (0) from outside, like a switch to 5V or GND; null leaves it
+    // unconnected again
+    setPin(pin, level) {
+        const id = this.pinId(pin);
+        this.sim.setInput(`test:${id}`, level === null ? null : { pin: id, wiring: level ? 'vcc' : 'gnd', closed: true, bounce: false });
+    }
+
+    // Puts `value` (0-1023, 0 V to VCC) on an analog input
+    setAnalog(pin, value) {
+        const id = this.pinId(pin);
+        this.sim.setAnalogInput(`test:${id}`, { pin: id, value: Math.max(0, Math.min(1023, value)) });
+    }
+
+    sendSerial(text) {
+        this.sim.serial.receive(text);
+    }
+
+    // --- State ---
+
+    // Level of a pin: what it drives as an OUTPUT, otherwise what is on it (null if floating)
+    level(pin) {
+        const id = this.pinId(pin);
+        const state = this.sim.pins[id];
+        if (state.mode === 'OUTPUT') return state.value ? 1 : 0;
+        const v = this.sim.pinVoltage(id);
+        return v === null ? null : (v >= this.sim.board.vcc / 2 ? 1 : 0);
+    }
+
+    // analogWrite() value of a pin: 0-255, 255 when simply HIGH
+    pwm(pin) {
+        const state = this.sim.pins[this.pinId(pin)];
+        if (state.mode !== 'OUTPUT' || !state.value) return 0;
+        return state.pwm > 0 ? state.pwm : 255;
+    }
+
+    // Full cycles of a pin between `from` and `to` (ms): { period, duty } each, period in us.
+    // A pin left at a PWM level counts as one cycle at its PWM frequency
+    cycles(pin, { from = 0, to = Infinity } = {}) {
+        const { LogicCapture } = loadSimulator();
+        const id = this.pinId(pin);
+        const changes = this.capture.channels.get(String(id)) || [];
+        const level = i => LogicCapture.level(changes[i]);
+        const rises = [];
+        changes.forEach((c, i) => {
+            if (i > 0 && c.t >= from * 1000 && c.t <= to * 1000 && level(i) === 1 && level(i - 1) === 0) rises.push(i);
+        });
+        const cycles = [];
+        for (let k = 0; k + 1 < rises.length; k++) {
+            let fall = rises[k] + 1;
+            while (level(fall) !== 0) fall++;
+            const period = changes[rises[k + 1]].t - changes[rises[k]].t;
+            cycles.push({ period, duty: (changes[fall].t - changes[rises[k]].t) / period });
+        }
+        const last = changes[changes.length - 1];
+        if (cycles.length === 0 && last && LogicCapture.isPwm(last)) {
+            cycles.push({ period: 1e6 / this.sim.pwmFrequency(id), duty: last.pwm / 255 });
+        }
+        return cycles;
+    }
+
+    // --- Expectations (each throws a SketchAssertion when it fails) ---
+
+    expectPin(pin, level) {
+        const actual = this.level(pin);
+        if (actual !== level) {
+            const name = v => (v === null ? 'floating' : v ? 'HIGH' : 'LOW');
+            throw new SketchAssertion(`Expected pin ${pin} to be ${name(level)} at ${formatMs(this.sim.clock.micros())}, but it is ${name(actual)}`);
+        }
+    }
+
+    expectPwm(pin, value, { tolerance = 0 } = {}) {
+        const actual = this.pwm(pin);
+        if (Math.abs(actual - value) > tolerance) {
+            throw new SketchAssertion(`Expected pin ${pin} at PWM ${value}${tolerance ? ` ±${tolerance}` : ''}, but it is at ${actual}`);
+        }
+    }
+
+    // Every full cycle's period within `tolerance` (a fraction) of `ms`
+    expectPeriod(pin, ms, { tolerance = 0.05, from, to } = {}) {
+        const cycles = this.cycles(pin, { from, to });
+        if (cycles.length === 0) throw new SketchAssertion(`Expected pin ${pin} to toggle with a ${ms} ms period, but it did not complete a cycle`);
+        const worst = cycles.reduce((a, b) => (Math.abs(b.period - ms * 1000) > Math.abs(a.period - ms * 1000) ? b : a));
+        if (Math.abs(worst.period - ms * 1000) > tolerance * ms * 1000) {
+            throw new SketchAssertion(`Expected pin ${pin} to toggle with a ${ms} ms period ±${+(tolerance * 100).toFixed(2)}%, but a cycle took ${formatMs(worst.period)}`);
+        }
+    }
+
+    // Every full cycle's duty (0-1) within `tolerance` of `duty`
+    expectDuty(pin, duty, { tolerance = 0.05, from, to } = {}) {
+        const cycles = this.cycles(pin, { from, to });
+        if (cycles.length === 0) throw new SketchAssertion(`Expected pin ${pin} to have a ${duty * 100}% duty cycle, but it did not complete a cycle`);
+        const worst = cycles.reduce((a, b) => (Math.abs(b.duty - duty) > Math.abs(a.duty - duty) ? b : a));
+        if (Math.abs(worst.duty - duty) > tolerance) {
+            throw new SketchAssertion(`Expected pin ${pin} to have a ${+(duty * 100).toFixed(1)}% duty cycle, but a cycle was ${+(worst.duty * 100).toFixed(1)}%`);
+        }
+    }
+
+    // Serial output so far contains `text`, or matches it when it is a RegExp
+    expectSerial(text) {
+        const found = text instanceof RegExp ? text.test(this.serial) : this.serial.includes(text);
+        if (!found) throw new SketchAssertion(`Expected the serial output to contain ${text}, but it was ${JSON.stringify(this.serial.slice(-200))}`);
+    }
+
+    // No error logged: runtime errors, invalid pins, burnt LEDs
+    expectNoErrors() {
+        const error = this.logs.find(l => l.type === 'error');
+        if (error) throw new SketchAssertion(`Expected no errors, but got: ${error.msg}`);
+    }
+}
+
+// Runs one spec's tests, each on a fresh board. Returns [{ name, passed, error, ms }]
+async function runSpec(file, { sketch, timeout = DEFAULT_TEST_TIMEOUT_S } = {}) {
+    const spec = require(path.resolve(file));
+    const sketchFile = sketch || (spec.sketch && path.resolve(path.dirname(file), spec.sketch));
+    if (!sketchFile) throw new Error(`${file}: no sketch given (set "sketch" in the spec or use --sketch)`);
+    const code = fs.readFileSync(sketchFile, 'utf8');
+    const results = [];
+    for (const [name, test] of Object.entries(spec.tests || {})) {
+        const tester = new SketchTester(code, { board: spec.board });
+        const started = Date.now();
+        let timer = null;
+        try {
+            await Promise.race([
+                test(tester),
+                new Promise((resolve, reject) => {
+                    timer = setTimeout(() => {
+                        reject(new SketchAssertion(`Timed out after ${timeout} s, at ${formatMs(tester.sim.clock.micros())} of simulated time`));
+                    }, timeout * 1000);
+                })
+            ]);
+            results.push({ name, passed: true, ms: Date.now() - started });
+        } catch (e) {
+            results.push({ name, passed: false, error: e, ms: Date.now() - started });
+        } finally {
+            clearTimeout(timer);
+            tester.stop();
+            if (tester.done) await tester.done;
+        }
+    }
+    return results;
+}
+
+async function main(args) {
+    const options = { dir: null, sketch: null, timeout: DEFAULT_TEST_TIMEOUT_S };
+    for (let i = 0; i < args.length; i++) {
+        if (args[i] === '--sketch') options.sketch = path.resolve(args[++i]);
+        else if (args[i] === '--timeout') options.timeout = parseFloat(args[++i]);
+        else options.dir = args[i];
+    }
+    if (!options.dir) {
+        console.error('Usage: node headless.js <spec folder or file> [--sketch file.ino] [--timeout seconds]');
+        return 2;
+    }
+    const files = fs.statSync(options.dir).isDirectory()
+        ? fs.readdirSync(options.dir).filter(f => f.endsWith('.spec.js')).sort().map(f => path.join(options.dir, f))
+        : [options.dir];
+    let passed = 0;
+    let failed = 0;
+    for (const file of files) {
+        console.log(path.basename(file));
+        let results;
+        try {
+            results = await runSpec(file, options);
+        } catch (e) {
+            console.log(`  ✗ ${e.message}`);
+            failed++;
+            continue;
+        }
+        results.forEach(r => {
+            if (r.passed) {
+                passed++;
+                console.log(`  ✓ ${r.name} (${r.ms} ms)`);
+            } else {
+                failed++;
+                console.log(`  ✗ ${r.name}`);
+                // Failed expectations and compile errors explain themselves; anything else is a bug in the spec
+                const known = r.error.name === 'SketchAssertion' || r.error.name === 'CompileError';
+                console.log(`      ${known ? r.error.toString().replace(/^SketchAssertion: /, '') : r.error.stack}`);
+            }
+        });
+    }
+    console.log(`\n${passed} passed, ${failed} failed`);
+    return failed ? 1 : 0;
+}
+
+module.exports = { loadSimulator, SketchTester, SketchAssertion, runSpec };
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    });
+}
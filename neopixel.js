@@ -0,0 +1,152 @@
+// WS2812 / NeoPixel strips, driven through the Adafruit_NeoPixel library API.
+// Like the real protocol, pixel colours only reach the strip component when the sketch calls show().
+const NEOPIXEL_BIT_US = 1.25;  // 800 kHz data rate
+const NEOPIXEL_LATCH_US = 50;  // Low time that makes the strip latch the new colours
+
+class AdafruitNeoPixel {
+    constructor(sim, n = 0, pin = 6, type = 0x52) {
+        this.sim = sim;
+        this.pin = pin;
+        this.type = type;
+        this.brightness = 0; // Stored +1 like the library, so 0 means full brightness
+        this.begun = false;
+        this.updateLength(n);
+    }
+
+    begin() {
+        const id = this.sim.digitalPin(this.pin, 'Adafruit_NeoPixel');
+        if (id === null) return;
+        this.sim.pins[id].mode = 'OUTPUT';
+        this.begun = true;
+    }
+
+    updateLength(n) {
+        this.pixels = new Array(Math.max(0, n)).fill(0);
+    }
+
+    updateType(type) {
+        this.type = type;
+    }
+
+    setPin(pin) {
+        this.pin = pin;
+        if (this.begun) this.begin();
+    }
+
+    numPixels() {
+        return this.pixels.length;
+    }
+
+    // setPixelColor(n, color) or setPixelColor(n, r, g, b[, w])
+    setPixelColor(n, r, g, b, w = 0) {
+        if (n < 0 || n >= this.pixels.length) return;
+        this.pixels[n] = g === undefined ? r >>> 0 : AdafruitNeoPixel.Color(r, g, b, w);
+    }
+
+    getPixelColor(n) {
+        return n >= 0 && n < this.pixels.length ? this.pixels[n] : 0;
+    }
+
+    fill(color = 0, first = 0, count = 0) {
+        if (first >= this.pixels.length) return;
+        const end = count ? Math.min(first + count, this.pixels.length) : this.pixels.length;
+        for (let i = first; i < end; i++) this.pixels[i] = color >>> 0;
+    }
+
+    clear() {
+        this.pixels.fill(0);
+    }
+
+    setBrightness(b) {
+        this.brightness = (b + 1) & 0xFF;
+    }
+
+    getBrightness() {
+        return (this.brightness - 1) & 0xFF;
+    }
+
+    canShow() {
+        return true;
+    }
+
+    // Latches the buffer into the strip; the transfer takes 30 us per RGB pixel
+    show() {
+        if (!this.begun) {
+            this.sim.warnOnce(`neopixel:${this.pin}`, `Warning: NeoPixel strip on pin ${this.pin} shown before begin(); nothing is sent`);
+            return;
+        }
+        const bytesPerPixel = this.isRGBW() ? 4 : 3;
+        this.sim.clock.advance(this.pixels.length * bytesPerPixel * 8 * NEOPIXEL_BIT_US + NEOPIXEL_LATCH_US);
+        const scale = this.brightness;
+        const colors = this.pixels.map(c => {
+            let [w, r, g, b] = [c >>> 24, (c >> 16) & 0xFF, (c >> 8) & 0xFF, c & 0xFF];
+            if (scale) [w, r, g, b] = [w, r, g, b].map(v => (v * scale) >> 8);
+            // The white LED of an RGBW pixel adds to all three channels
+            return this.isRGBW() ? [r, g, b].map(v => Math.min(255, v + w)) : [r, g, b];
+        });
+        this.sim.showPixels(this.pin, colors);
+    }
+
+    // Colour order byte: white and red offsets are equal for plain RGB strips
+    isRGBW() {
+        return ((this.type >> 6) & 3) !== ((this.type >> 4) & 3);
+    }
+
+    Color(r, g, b, w) {
+        return AdafruitNeoPixel.Color(r, g, b, w);
+    }
+
+    ColorHSV(hue, sat, val) {
+        return AdafruitNeoPixel.ColorHSV(hue, sat, val);
+    }
+
+    gamma8(x) {
+        return AdafruitNeoPixel.gamma8(x);
+    }
+
+    gamma32(c) {
+        return AdafruitNeoPixel.gamma32(c);
+    }
+
+    static Color(r, g, b, w = 0) {
+        return (((w & 0xFF) << 24) | ((r & 0xFF) << 16) | ((g & 0xFF) << 8) | (b & 0xFF)) >>> 0;
+    }
+
+    // Same integer math as the library, so colours match real strips exactly
+    static ColorHSV(hue, sat = 255, val = 255) {
+        hue = Math.floor(((hue & 0xFFFF) * 1530 + 32768) / 65536);
+        sat &= 0xFF;
+        val &= 0xFF;
+        let r, g, b;
+        if (hue < 510) {
+            b = 0;
+            if (hue < 255) [r, g] = [255, hue];
+            else [r, g] = [510 - hue, 255];
+        } else if (hue < 1020) {
+            r = 0;
+            if (hue < 765) [g, b] = [255, hue - 510];
+            else [g, b] = [1020 - hue, 255];
+        } else if (hue < 1530) {
+            g = 0;
+            if (hue < 1275) [r, b] = [hue - 1020, 255];
+            else [r, b] = [255, 1530 - hue];
+        } else {
+            [r, g, b] = [255, 0, 0];
+        }
+        const v1 = 1 + val;
+        const s1 = 1 + sat;
+        const s2 = 255 - sat;
+        const channel = c => ((((c * s1) >> 8) + s2) * v1) >> 8;
+        return ((channel(r) << 16) | (channel(g) << 8) | channel(b)) >>> 0;
+    }
+
+    // The library's gamma table is pow(x / 255, 2.6) * 255, rounded
+    static gamma8(x) {
+        return Math.floor(Math.pow((x & 0xFF) / 255, 2.6) * 255 + 0.5);
+    }
+
+    static gamma32(c) {
+        return ((AdafruitNeoPixel.gamma8(c >>> 24) << 24) | (AdafruitNeoPixel.gamma8(c >> 16) << 16) |
+            (AdafruitNeoPixel.gamma8(c >> 8) << 8) | AdafruitNeoPixel.gamma8(c)) >>> 0;
+    }
+}
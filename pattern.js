@@ -0,0 +1,152 @@
+// LED patterns drawn on a grid for the pattern designer: one row per LED pin, one column per
+// time step, and a brightness (0-255) in every cell. A pattern is written out as a sketch that
+// plays it from a table in flash, and a logic analyzer capture can be read back into one.
+const PATTERN_MAX_STEPS = 128;
+const PATTERN_MIN_STEP_MS = 10;
+const PATTERN_DEFAULT_STEP_MS = 100;
+
+class LedPattern {
+    constructor(steps = 8, stepMs = PATTERN_DEFAULT_STEP_MS) {
+        this.steps = steps;
+        this.stepMs = stepMs;
+        this.levels = new Map(); // Pin id (as a string) -> Uint8Array with a level per step
+    }
+
+    row(pin) {
+        const key = String(pin);
+        if (!this.levels.has(key)) this.levels.set(key, new Uint8Array(this.steps));
+        return this.levels.get(key);
+    }
+
+    level(pin, step) {
+        return this.row(pin)[step];
+    }
+
+    set(pin, step, level) {
+        this.row(pin)[step] = Math.min(255, Math.max(0, Math.round(level)));
+    }
+
+    // Longer patterns keep their steps and add dark ones at the end
+    resize(steps) {
+        steps = Math.min(PATTERN_MAX_STEPS, Math.max(1, steps));
+        this.levels.forEach((row, key) => {
+            const resized = new Uint8Array(steps);
+            resized.set(row.subarray(0, steps));
+            this.levels.set(key, resized);
+        });
+        this.steps = steps;
+    }
+
+    clear() {
+        this.levels.forEach(row => row.fill(0));
+    }
+
+    // Whether every cell of these rows is fully on or off, so digitalWrite() can play them
+    isDigital(pins) {
+        return pins.every(pin => this.row(pin).every(level => level === 0 || level === 255));
+    }
+
+    // A sketch playing the pattern on `pins` (board pin ids, one per row, in row order) from a
+    // PROGMEM table: a row of the table per step and a column per LED
+    toSketch(pins, board) {
+        const digital = this.isDigital(pins);
+        const rows = pins.map(pin => this.row(pin));
+        const table = [];
+        for (let step = 0; step < this.steps; step++) {
+            const cells = rows.map(row => (digital ? String(row[step] ? 1 : 0) : String(row[step]).padStart(3)));
+            table.push(`  {${cells.join(', ')}}`);
+        }
+        // Pins without a timer can't dim: analogWrite() switches them at the halfway point
+        const fixed = digital ? [] : pins.filter((pin, i) => {
+            const info = board.pins.find(p => String(p.id) === String(pin));
+            return !(info && info.pwm) && rows[i].some(level => level > 0 && level < 255);
+        });
+
+        const lines = [
+            `// LED pattern: ${pins.length} LED${pins.length === 1 ? '' : 's'}, ${this.steps} step${this.steps === 1 ? '' : 's'} of ${this.stepMs} ms`,
+            `const byte LED_COUNT = ${pins.length};`,
+            `const byte STEP_COUNT = ${this.steps};`,
+            `const unsigned long STEP_MS = ${this.stepMs};`,
+            '',
+            `const byte LED_PINS[LED_COUNT] = {${pins.join(', ')}};`
+        ];
+        if (fixed.length) {
+            lines.push(`// ${listPins(fixed)} ${fixed.length === 1 ? 'has' : 'have'} no PWM on the ${board.name}: dimmed steps are fully on from 128 and off below`);
+        }
+        lines.push(
+            '',
+            digital ? '// One row per step: each LED on (1) or off (0)' : '// One row per step: the brightness of each LED (0-255)',
+            'const byte PATTERN[STEP_COUNT][LED_COUNT] PROGMEM = {',
+            table.join(',\n'),
+            '};',
+            '',
+            'void setup() {',
+            '  for (byte i = 0; i < LED_COUNT; i++) {',
+            '    pinMode(LED_PINS[i], OUTPUT);',
+            '  }',
+            '}',
+            '',
+            'void loop() {',
+            '  for (byte step = 0; step < STEP_COUNT; step++) {',
+            '    for (byte i = 0; i < LED_COUNT; i++) {',
+            digital ? '      digitalWrite(LED_PINS[i], pgm_read_byte(&PATTERN[step][i]));'
+                : '      analogWrite(LED_PINS[i], pgm_read_byte(&PATTERN[step][i]));',
+            '    }',
+            '    delay(STEP_MS);',
+            '  }',
+            '}'
+        );
+        return lines.join('\n');
+    }
+
+    // The pattern `pins` played in a logic analyzer capture up to time `end` (us), or null when
+    // none of them changed. The step is the longest time that divides every gap between
+    // changes, each cell is its pin's level halfway through the step, and a recording of a
+    // loop is cut to its first round once it has repeated.
+    static fromCapture(capture, pins, end) {
+        const channels = pins.map(pin => capture.channels.get(String(pin)) || [{ t: 0, value: 0, pwm: 0 }]);
+        const times = [...new Set(channels.flatMap(changes => changes.slice(1).map(c => c.t)))].sort((a, b) => a - b);
+        if (times.length === 0) return null;
+
+        let stepMs = 0;
+        for (let i = 1; i < times.length; i++) {
+            // Changes less than 1 ms apart, such as one LED off and the next on, share a step
+            const gap = Math.round((times[i] - times[i - 1]) / 1000);
+            if (gap > 0) stepMs = gcd(stepMs, gap);
+        }
+        stepMs = Math.max(PATTERN_MIN_STEP_MS, stepMs || PATTERN_DEFAULT_STEP_MS);
+        const stepUs = stepMs * 1000;
+        const start = times[0];
+        let steps = Math.min(PATTERN_MAX_STEPS, Math.max(1, Math.floor((end - start) / stepUs)));
+
+        const rows = channels.map(changes => {
+            const row = new Uint8Array(steps);
+            for (let step = 0; step < steps; step++) {
+                const change = changes[LogicCapture.indexAt(changes, start + (step + 0.5) * stepUs)];
+                row[step] = Math.round(LogicCapture.level(change) * 255);
+            }
+            return row;
+        });
+        for (let period = 1; period <= steps / 2; period++) {
+            const repeats = rows.every(row => row.every((level, step) => step + period >= steps || level === row[step + period]));
+            if (repeats) {
+                steps = period;
+                break;
+            }
+        }
+
+        const pattern = new LedPattern(steps, stepMs);
+        pins.forEach((pin, i) => pattern.row(pin).set(rows[i].subarray(0, steps)));
+        return pattern;
+    }
+}
+
+function gcd(a, b) {
+    return b === 0 ? a : gcd(b, a % b);
+}
+
+// "Pin 7", "Pins 2 and 4", "Pins 2, 4 and 7"
+function listPins(pins) {
+    if (pins.length === 1) return `Pin ${pins[0]}`;
+    return `Pins ${pins.slice(0, -1).join(', ')} and ${pins[pins.length - 1]}`;
+}
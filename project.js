@@ -0,0 +1,225 @@
+// Project files: the board, the sketch, the circuit (every component with its wiring and
+// position) and the simulator settings, as SAVE writes them, autosave keeps them and share
+// links carry them. Files name their format version. Older ones are brought up to date one
+// version at a time, then every field is checked, so a bad file is reported field by field
+// instead of being half loaded.
+const PROJECT_FORMAT = 'neoled-project';
+const PROJECT_VERSION = 1;
+const PROJECT_SPEEDS = ['0.25', '0.5', '1', '2', '5', '10', 'max']; // Values of the speed selector
+const PROJECT_MAX_PROBLEMS = 20; // Problems listed before the rest are summed up
+
+// Board pins each kind of connection can use
+const PIN_USES = {
+    output: p => !p.inputOnly && !p.analogOnly,
+    control: p => !p.inputOnly && !p.analogOnly, // 74HC595 clock and latch
+    serial: p => !p.inputOnly && !p.analogOnly,  // 74HC595 data, or the Q7' of another
+    input: p => !p.analogOnly,
+    analog: p => !!p.analog
+};
+
+class ProjectError extends Error {
+    constructor(problems) {
+        super(problems.join('\n'));
+        this.name = 'ProjectError';
+        this.problems = problems; // 'field: problem', e.g. 'leds[2].pin: the Arduino Uno has no pin 20'
+    }
+}
+
+// Steps from each version to the next: PROJECT_MIGRATIONS[n] turns version n into n + 1
+const PROJECT_MIGRATIONS = [
+    // 0 -> 1. Files had no version. The first held only { code, leds: [{ id, pin, color }] };
+    // boards, wiring, positions and the other components were added over time. Missing fields
+    // get the values the loader assumed for them, and pins become strings or null.
+    (data) => {
+        // Lists came later, so a missing one is empty; anything else in its place is an error
+        const lists = ['leds', 'inputs', 'analogs', 'strips', 'rgbLeds', 'displays', 'shiftRegisters'];
+        const problems = lists.filter(name => data[name] !== undefined && !Array.isArray(data[name]))
+            .map(name => `${name}: expected a list, got ${describeValue(data[name])}`);
+        if (problems.length > 0) throw new ProjectError(problems);
+        const items = (list, defaults) => (list || []).map(item =>
+            (isPlainObject(item) ? { ...defaults, ...item } : item));
+        const pin = value => (value === undefined || value === null || value === '' ? null : String(value));
+        const pins = (value, names) => {
+            if (!isPlainObject(value)) return value;
+            const result = {};
+            names.forEach(name => { result[name] = null; });
+            Object.entries(value).forEach(([name, v]) => { result[name] = pin(v); });
+            return result;
+        };
+        const ledIds = new Set((data.leds || []).map(led => led && led.id));
+        let nextLedId = 0;
+        const freeLedId = () => {
+            while (ledIds.has(nextLedId)) nextLedId++;
+            ledIds.add(nextLedId);
+            return nextLedId;
+        };
+        return {
+            format: PROJECT_FORMAT,
+            version: 1,
+            board: data.board === undefined ? DEFAULT_BOARD : data.board,
+            code: data.code === undefined ? '' : data.code,
+            settings: { speed: '1', overflowWarnings: false },
+            leds: items(data.leds, { color: '#00FF00', resistor: 220, ground: true, reversed: false })
+                .map(led => (isPlainObject(led) ? { ...led, id: Number.isInteger(led.id) ? led.id : freeLedId(), pin: pin(led.pin) } : led)),
+            inputs: items(data.inputs, { kind: 'button', wiring: 'gnd', bounce: false, closed: false })
+                .map(input => (isPlainObject(input) ? { ...input, pin: pin(input.pin) } : input)),
+            analogs: items(data.analogs, { kind: 'pot', value: ANALOG_DEFAULT_VALUE })
+                .map(analog => (isPlainObject(analog) ? { ...analog, pin: pin(analog.pin) } : analog)),
+            strips: items(data.strips, { count: 8, layout: 'strip', columns: 8 })
+                .map(strip => (isPlainObject(strip) ? { ...strip, pin: pin(strip.pin) } : strip)),
+            rgbLeds: items(data.rgbLeds, { common: 'cathode' })
+                .map(rgb => (isPlainObject(rgb) ? { ...rgb, pins: pins(rgb.pins || {}, ['r', 'g', 'b']) } : rgb)),
+            displays: items(data.displays, { common: 'cathode' })
+                .map(display => (isPlainObject(display) ? { ...display, pins: pins(display.pins || {}, []) } : display)),
+            shiftRegisters: items(data.shiftRegisters, {})
+                .map(sr => (isPlainObject(sr) ? { ...sr, pins: pins(sr.pins || {}, ['data', 'clock', 'latch']) } : sr))
+        };
+    }
+];
+
+function isPlainObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+// A file's contents (parsed JSON) as a current, checked project. `displayPins` lists the pin
+// names of each kind of display ({ digit1: ['A', ...], ... }). Throws a ProjectError.
+function readProject(data, displayPins) {
+    if (!isPlainObject(data)) throw new ProjectError(['the file does not contain a project']);
+    const version = data.version === undefined ? 0 : data.version;
+    if (!Number.isInteger(version) || version < 0) {
+        throw new ProjectError([`version: expected a whole number, got ${describeValue(version)}`]);
+    }
+    if (version > PROJECT_VERSION) {
+        throw new ProjectError([`version: the file is format version ${version}, from a newer simulator; this one reads up to version ${PROJECT_VERSION}`]);
+    }
+    let project = data;
+    for (let v = version; v < PROJECT_VERSION; v++) project = PROJECT_MIGRATIONS[v](project);
+    const problems = checkProject(project, displayPins);
+    if (problems.length > PROJECT_MAX_PROBLEMS) {
+        const more = problems.length - PROJECT_MAX_PROBLEMS;
+        problems.splice(PROJECT_MAX_PROBLEMS, more, `… and ${more} more`);
+    }
+    if (problems.length > 0) throw new ProjectError(problems);
+    return project;
+}
+
+function describeValue(value) {
+    if (value === undefined) return 'nothing';
+    const text = JSON.stringify(value);
+    return text.length > 40 ? `${text.slice(0, 37)}...` : text;
+}
+
+// Every problem with a current-version project, as 'field: problem'
+function checkProject(project, displayPins) {
+    const problems = [];
+    const expect = (path, value, ok, expected) => {
+        if (!ok(value)) problems.push(`${path}: expected ${expected}, got ${describeValue(value)}`);
+        return ok(value);
+    };
+    const isBool = v => typeof v === 'boolean';
+    const isInt = (min, max) => v => Number.isInteger(v) && v >= min && v <= max;
+    const oneOf = values => v => values.includes(v);
+    const listOf = values => values.map(v => `"${v}"`).join(', ');
+
+    expect('format', project.format, v => v === PROJECT_FORMAT, `"${PROJECT_FORMAT}"`);
+    const board = BOARDS[project.board];
+    expect('board', project.board, v => !!BOARDS[v], `one of ${listOf(Object.keys(BOARDS))}`);
+    expect('code', project.code, v => typeof v === 'string', 'the sketch as text');
+    if (expect('settings', project.settings, isPlainObject, 'an object')) {
+        expect('settings.speed', project.settings.speed, oneOf(PROJECT_SPEEDS), `one of ${listOf(PROJECT_SPEEDS)}`);
+        expect('settings.overflowWarnings', project.settings.overflowWarnings, isBool, 'true or false');
+    }
+
+    // Each component list, with the checks of one item
+    const registers = new Set(Array.isArray(project.shiftRegisters)
+        ? project.shiftRegisters.filter(isPlainObject).map(sr => sr.id) : []);
+    const components = (name, check) => {
+        if (!expect(name, project[name], Array.isArray, 'a list')) return;
+        project[name].forEach((item, i) => {
+            const path = `${name}[${i}]`;
+            if (!expect(path, item, isPlainObject, 'an object')) return;
+            // Positions on the breadboard; without one a component is placed automatically
+            ['x', 'y'].forEach(axis => {
+                if (item[axis] !== undefined) expect(`${path}.${axis}`, item[axis], v => Number.isFinite(v) && v >= 0, 'a position of 0 or more');
+            });
+            check(item, path);
+        });
+    };
+    const pin = (path, value, use) => {
+        if (value === null) return;
+        if (typeof value !== 'string') {
+            problems.push(`${path}: expected a pin name or null, got ${describeValue(value)}`);
+            return;
+        }
+        const output = /^(sr-\d+):Q([0-7]|7S)$/.exec(value);
+        if (output) {
+            const serial = output[2] === '7S';
+            if (!registers.has(output[1])) problems.push(`${path}: there is no 74HC595 "${output[1]}" in the project`);
+            else if (serial ? use !== 'serial' : use !== 'output') problems.push(`${path}: ${value} can't be wired here`);
+            return;
+        }
+        if (!board) return; // Reported under board
+        const info = board.pins.find(p => String(p.id) === value);
+        if (!info) problems.push(`${path}: the ${board.name} has no pin ${value}`);
+        else if (!PIN_USES[use](info)) problems.push(`${path}: pin ${value} of the ${board.name} can't be used as ${use === 'analog' ? 'an analog input' : use === 'input' ? 'an input' : 'an output'}`);
+    };
+    const pinSet = (path, value, names, use) => {
+        if (!expect(path, value, isPlainObject, 'an object of pins')) return;
+        Object.keys(value).forEach(name => {
+            if (!names.includes(name)) problems.push(`${path}.${name}: not a pin of this component (it has ${names.join(', ')})`);
+            else pin(`${path}.${name}`, value[name], typeof use === 'function' ? use(name) : use);
+        });
+    };
+
+    const ledIds = new Set();
+    components('leds', (led, path) => {
+        if (expect(`${path}.id`, led.id, isInt(0, Number.MAX_SAFE_INTEGER), 'a whole number')) {
+            if (ledIds.has(led.id)) problems.push(`${path}.id: another LED has id ${led.id}`);
+            ledIds.add(led.id);
+        }
+        pin(`${path}.pin`, led.pin, 'output');
+        expect(`${path}.color`, led.color, v => /^#[0-9a-f]{6}$/i.test(v), 'a colour like "#00FF00"');
+        expect(`${path}.resistor`, led.resistor, isInt(0, 1e7), 'ohms (0 for none)');
+        expect(`${path}.ground`, led.ground, isBool, 'true or false');
+        expect(`${path}.reversed`, led.reversed, isBool, 'true or false');
+    });
+    components('inputs', (input, path) => {
+        expect(`${path}.kind`, input.kind, oneOf(['button', 'switch']), '"button" or "switch"');
+        pin(`${path}.pin`, input.pin, 'input');
+        expect(`${path}.wiring`, input.wiring, oneOf(['gnd', 'vcc']), '"gnd" or "vcc"');
+        expect(`${path}.bounce`, input.bounce, isBool, 'true or false');
+        expect(`${path}.closed`, input.closed, isBool, 'true or false');
+    });
+    components('analogs', (analog, path) => {
+        expect(`${path}.kind`, analog.kind, oneOf(['pot', 'ldr']), '"pot" or "ldr"');
+        pin(`${path}.pin`, analog.pin, 'analog');
+        expect(`${path}.value`, analog.value, isInt(0, 1023), 'a reading from 0 to 1023');
+    });
+    components('strips', (strip, path) => {
+        pin(`${path}.pin`, strip.pin, 'output');
+        expect(`${path}.count`, strip.count, isInt(1, 256), '1 to 256 pixels');
+        expect(`${path}.layout`, strip.layout, oneOf(['strip', 'ring', 'matrix', 'zigzag']), '"strip", "ring", "matrix" or "zigzag"');
+        expect(`${path}.columns`, strip.columns, isInt(1, 32), '1 to 32 columns');
+    });
+    components('rgbLeds', (rgb, path) => {
+        pinSet(`${path}.pins`, rgb.pins, ['r', 'g', 'b'], 'output');
+        expect(`${path}.common`, rgb.common, oneOf(['anode', 'cathode']), '"anode" or "cathode"');
+    });
+    components('displays', (display, path) => {
+        const names = displayPins[display.kind];
+        if (expect(`${path}.kind`, display.kind, v => !!displayPins[v], `one of ${listOf(Object.keys(displayPins))}`)) {
+            pinSet(`${path}.pins`, display.pins, names, 'output');
+        }
+        expect(`${path}.common`, display.common, oneOf(['anode', 'cathode']), '"anode" or "cathode"');
+    });
+    const registerIds = new Set();
+    components('shiftRegisters', (sr, path) => {
+        if (expect(`${path}.id`, sr.id, v => /^sr-\d+$/.test(v), 'an id like "sr-0"')) {
+            if (registerIds.has(sr.id)) problems.push(`${path}.id: another 74HC595 has id ${sr.id}`);
+            registerIds.add(sr.id);
+            if (sr.pins && sr.pins.data === `${sr.id}:Q7S`) problems.push(`${path}.pins.data: a 74HC595 can't feed itself`);
+        }
+        pinSet(`${path}.pins`, sr.pins, ['data', 'clock', 'latch'], name => (name === 'data' ? 'serial' : 'control'));
+    });
+    return problems;
+}
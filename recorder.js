@@ -0,0 +1,569 @@
+// Frames for the export. ScenePainter draws the breadboard onto a canvas from the page's own
+// layout and computed styles, so the neon look of style.css (glows, colours, fonts) carries
+// over without being drawn twice. WebmRecorder turns those frames into a video, and LightSheet
+// keeps the colour of every light per frame for a sprite sheet. The GIF encoder is gif.js.
+const LIGHT_SELECTOR = '.led-bulb, .pixel, .seg, .shiftreg-q'; // Elements that light up
+const SHEET_CELL_PX = 12;    // Square per light and frame in the LED sheet
+const SHEET_MAX_PX = 16384;  // Tallest canvas every browser allows
+const SHADOW_SHIFT_PX = 10000; // Shapes are drawn this far off the canvas so only their shadow shows
+
+class ScenePainter {
+    // Paints `root` and everything in it, scrolled-away parts included; elements matching
+    // `skip` are left out
+    constructor(root, { skip = null } = {}) {
+        this.root = root;
+        this.skip = skip;
+        this.scale = 1;
+        this.origin = { x: 0, y: 0 }; // Page position of the root's scroll area
+    }
+
+    get width() {
+        return this.root.scrollWidth;
+    }
+
+    get height() {
+        return this.root.scrollHeight;
+    }
+
+    paint(ctx, scale = 1) {
+        const box = this.root.getBoundingClientRect();
+        this.origin = { x: box.left - this.root.scrollLeft, y: box.top - this.root.scrollTop };
+        this.scale = scale;
+        ctx.save();
+        ctx.setTransform(scale, 0, 0, scale, 0, 0);
+        ctx.fillStyle = backdropColor(this.root);
+        ctx.fillRect(0, 0, this.width, this.height);
+        this.paintChildren(ctx, this.root);
+        ctx.restore();
+    }
+
+    // Colour each light shows (over black) as [r, g, b], in page order
+    lightColors() {
+        return [...this.root.querySelectorAll(LIGHT_SELECTOR)].map(el => {
+            const style = getComputedStyle(el);
+            const opacity = parseFloat(style.opacity);
+            let color = over([0, 0, 0], parseColor(style.backgroundColor), opacity);
+            const before = getComputedStyle(el, '::before');
+            if (hasContent(before)) color = over(color, parseColor(before.backgroundColor), opacity * parseFloat(before.opacity));
+            return color.map(Math.round);
+        });
+    }
+
+    // Children in stacking order: positioned ones with a z-index go over their siblings
+    paintChildren(ctx, el) {
+        const nodes = [...el.childNodes].map((node, i) => {
+            let z = 0;
+            if (node.nodeType === Node.ELEMENT_NODE) {
+                const style = getComputedStyle(node);
+                if (style.position !== 'static' && style.zIndex !== 'auto') z = parseInt(style.zIndex, 10);
+            }
+            return { node, z, i };
+        });
+        nodes.sort((a, b) => a.z - b.z || a.i - b.i);
+        nodes.forEach(({ node }) => {
+            if (node.nodeType === Node.TEXT_NODE) this.paintText(ctx, node);
+            else if (node.nodeType === Node.ELEMENT_NODE) this.paintElement(ctx, node);
+        });
+    }
+
+    paintElement(ctx, el) {
+        if (this.skip && el.matches(this.skip)) return;
+        if (el.getClientRects().length === 0) return; // display: none, or not laid out (options)
+        if (el instanceof SVGSVGElement) {
+            this.paintSvg(ctx, el);
+            return;
+        }
+        const style = getComputedStyle(el);
+        const opacity = parseFloat(style.opacity);
+        if (opacity <= 0) return;
+        ctx.save();
+        ctx.globalAlpha *= opacity;
+
+        // Transforms turn the box about its centre; children are placed by their own rects,
+        // which already include it
+        const rect = el.getBoundingClientRect();
+        const transformed = style.transform !== 'none';
+        const box = transformed
+            ? { x: -el.offsetWidth / 2, y: -el.offsetHeight / 2, w: el.offsetWidth, h: el.offsetHeight }
+            : { x: rect.left - this.origin.x, y: rect.top - this.origin.y, w: rect.width, h: rect.height };
+        const paintOwn = (draw) => {
+            ctx.save();
+            if (transformed) {
+                const m = new DOMMatrix(style.transform);
+                ctx.translate(rect.left - this.origin.x + rect.width / 2, rect.top - this.origin.y + rect.height / 2);
+                ctx.transform(m.a, m.b, m.c, m.d, 0, 0);
+            }
+            draw();
+            ctx.restore();
+        };
+
+        const visible = style.visibility !== 'hidden';
+        if (visible) {
+            paintOwn(() => {
+                this.paintBox(ctx, style, box);
+                this.paintPseudo(ctx, el, '::before', style, box);
+            });
+        }
+        if (el instanceof HTMLSelectElement || el instanceof HTMLInputElement || el instanceof HTMLTextAreaElement) {
+            if (visible) this.paintControl(ctx, el, style, box);
+        } else {
+            this.paintChildren(ctx, el);
+        }
+        if (visible) paintOwn(() => this.paintPseudo(ctx, el, '::after', style, box));
+        ctx.restore();
+    }
+
+    // Background, shadows and border, in the order CSS draws them
+    paintBox(ctx, style, box) {
+        const radius = borderRadius(style, box);
+        const shadows = parseShadows(style.boxShadow);
+        shadows.filter(s => !s.inset).reverse().forEach(s => this.paintShadow(ctx, box, radius, s));
+
+        const background = parseColor(style.backgroundColor);
+        if (background[3] > 0) {
+            ctx.fillStyle = style.backgroundColor;
+            roundedRect(ctx, box.x, box.y, box.w, box.h, radius);
+            ctx.fill();
+        }
+        const gradient = createGradient(ctx, style, box);
+        if (gradient) {
+            ctx.fillStyle = gradient;
+            roundedRect(ctx, box.x, box.y, box.w, box.h, radius);
+            ctx.fill();
+        }
+        shadows.filter(s => s.inset).reverse().forEach(s => this.paintInsetShadow(ctx, box, radius, s));
+        paintBorder(ctx, style, box, radius);
+    }
+
+    // Shadows ignore the canvas transform, so their sizes are scaled by hand
+    setShadow(ctx, shadow, shiftX) {
+        ctx.shadowColor = shadow.color;
+        ctx.shadowBlur = shadow.blur * this.scale;
+        ctx.shadowOffsetX = (shadow.x + shiftX) * this.scale;
+        ctx.shadowOffsetY = shadow.y * this.scale;
+    }
+
+    // Outside the box only, as CSS clips it
+    paintShadow(ctx, box, radius, shadow) {
+        ctx.save();
+        const margin = shadow.blur * 2 + Math.abs(shadow.spread) + Math.abs(shadow.x) + Math.abs(shadow.y) + 1;
+        ctx.beginPath();
+        ctx.rect(box.x - margin, box.y - margin, box.w + margin * 2, box.h + margin * 2);
+        roundedRect(ctx, box.x, box.y, box.w, box.h, radius, false);
+        ctx.clip('evenodd');
+        this.setShadow(ctx, shadow, SHADOW_SHIFT_PX);
+        ctx.fillStyle = '#000';
+        const s = shadow.spread;
+        roundedRect(ctx, box.x - s - SHADOW_SHIFT_PX, box.y - s, box.w + s * 2, box.h + s * 2, radius + s);
+        ctx.fill();
+        ctx.restore();
+    }
+
+    // Cast into the box by a frame around it
+    paintInsetShadow(ctx, box, radius, shadow) {
+        ctx.save();
+        roundedRect(ctx, box.x, box.y, box.w, box.h, radius);
+        ctx.clip();
+        this.setShadow(ctx, shadow, SHADOW_SHIFT_PX);
+        ctx.fillStyle = '#000';
+        const margin = shadow.blur * 2 + Math.abs(shadow.x) + Math.abs(shadow.y) + 1;
+        const s = shadow.spread;
+        ctx.beginPath();
+        ctx.rect(box.x - margin - SHADOW_SHIFT_PX, box.y - margin, box.w + margin * 2, box.h + margin * 2);
+        roundedRect(ctx, box.x + s - SHADOW_SHIFT_PX, box.y + s, Math.max(0, box.w - s * 2), Math.max(0, box.h - s * 2), Math.max(0, radius - s), false);
+        ctx.fill('evenodd');
+        ctx.restore();
+    }
+
+    // ::before/::after, where they are absolutely placed boxes (LED light, switch knob, dial)
+    // or a symbol over the element
+    paintPseudo(ctx, el, which, parentStyle, parentBox) {
+        const style = getComputedStyle(el, which);
+        if (!hasContent(style) || style.display === 'none') return;
+        const opacity = parseFloat(style.opacity);
+        if (opacity <= 0) return;
+        const px = value => parseFloat(value) || 0;
+        const inner = {
+            x: parentBox.x + px(parentStyle.borderLeftWidth),
+            y: parentBox.y + px(parentStyle.borderTopWidth),
+            w: parentBox.w - px(parentStyle.borderLeftWidth) - px(parentStyle.borderRightWidth),
+            h: parentBox.h - px(parentStyle.borderTopWidth) - px(parentStyle.borderBottomWidth)
+        };
+        let box = inner;
+        if (style.position === 'absolute') {
+            // Resolved sizes exclude padding and border unless the pseudo-element is border-box
+            let w = px(style.width);
+            let h = px(style.height);
+            if (style.boxSizing !== 'border-box') {
+                w += px(style.paddingLeft) + px(style.paddingRight) + px(style.borderLeftWidth) + px(style.borderRightWidth);
+                h += px(style.paddingTop) + px(style.paddingBottom) + px(style.borderTopWidth) + px(style.borderBottomWidth);
+            }
+            const left = style.left !== 'auto' ? px(style.left) : style.right !== 'auto' ? inner.w - px(style.right) - w : 0;
+            const top = style.top !== 'auto' ? px(style.top) : style.bottom !== 'auto' ? inner.h - px(style.bottom) - h : 0;
+            box = { x: inner.x + left + px(style.marginLeft), y: inner.y + top + px(style.marginTop), w, h };
+        }
+        ctx.save();
+        ctx.globalAlpha *= opacity;
+        this.paintBox(ctx, style, box);
+        const text = /^"(.*)"$/.exec(style.content);
+        if (text && text[1]) {
+            applyFont(ctx, style);
+            ctx.textAlign = 'center';
+            ctx.fillText(text[1], box.x + box.w / 2, baseline(ctx, box.y + box.h / 2));
+        }
+        ctx.restore();
+    }
+
+    // Form controls draw their own insides; this is their value as text, or a slider,
+    // checkbox or colour well
+    paintControl(ctx, el, style, box) {
+        const type = el instanceof HTMLInputElement ? el.type : el.tagName.toLowerCase();
+        const accent = style.accentColor === 'auto' ? style.color : style.accentColor;
+        const midY = box.y + box.h / 2;
+        ctx.save();
+        if (type === 'range') {
+            const share = (el.value - el.min) / ((el.max - el.min) || 1);
+            const x = box.x + 6 + share * (box.w - 12);
+            ctx.fillStyle = '#444';
+            ctx.fillRect(box.x + 2, midY - 2, box.w - 4, 4);
+            ctx.fillStyle = accent;
+            ctx.fillRect(box.x + 2, midY - 2, x - box.x - 2, 4);
+            ctx.beginPath();
+            ctx.arc(x, midY, 6, 0, Math.PI * 2);
+            ctx.fill();
+        } else if (type === 'checkbox') {
+            const size = Math.min(12, box.w, box.h);
+            const x = box.x + (box.w - size) / 2;
+            const y = midY - size / 2;
+            ctx.fillStyle = el.checked ? accent : '#fff';
+            roundedRect(ctx, x, y, size, size, 2);
+            ctx.fill();
+            if (el.checked) {
+                ctx.strokeStyle = '#000';
+                ctx.lineWidth = 2;
+                ctx.beginPath();
+                ctx.moveTo(x + size * 0.2, y + size * 0.5);
+                ctx.lineTo(x + size * 0.42, y + size * 0.72);
+                ctx.lineTo(x + size * 0.8, y + size * 0.28);
+                ctx.stroke();
+            }
+        } else if (type === 'color') {
+            ctx.fillStyle = el.value;
+            ctx.fillRect(box.x + 2, box.y + 2, box.w - 4, box.h - 4);
+        } else if (type !== 'file' && type !== 'hidden') {
+            const option = el instanceof HTMLSelectElement ? el.options[el.selectedIndex] : null;
+            const text = el instanceof HTMLSelectElement ? (option ? option.textContent.trim() : '') : el.value;
+            const left = box.x + (parseFloat(style.borderLeftWidth) || 0) + (parseFloat(style.paddingLeft) || 0) + 2;
+            ctx.beginPath();
+            ctx.rect(box.x, box.y, box.w, box.h);
+            ctx.clip();
+            applyFont(ctx, style);
+            ctx.fillText(text, left, baseline(ctx, midY));
+            if (el instanceof HTMLSelectElement) {
+                ctx.textAlign = 'right';
+                ctx.fillText('▾', box.x + box.w - 3, baseline(ctx, midY));
+            }
+        }
+        ctx.restore();
+    }
+
+    paintText(ctx, node) {
+        const parent = node.parentElement;
+        const style = getComputedStyle(parent);
+        if (style.visibility === 'hidden') return;
+        let text = node.textContent.replace(/\s+/g, ' ').trim();
+        if (!text) return;
+        if (style.textTransform === 'uppercase') text = text.toUpperCase();
+        const range = document.createRange();
+        range.selectNodeContents(node);
+        const rects = [...range.getClientRects()].filter(r => r.width > 0);
+        if (rects.length === 0) return;
+
+        ctx.save();
+        applyFont(ctx, style);
+        const shadow = parseShadows(style.textShadow)[0];
+        if (shadow) this.setShadow(ctx, shadow, 0);
+        // A wrapped text has a rect per line; fill each with as many words as fit
+        const words = text.split(' ');
+        rects.forEach((r, i) => {
+            let line = i === rects.length - 1 ? words.join(' ') : '';
+            if (!line) {
+                while (words.length && ctx.measureText(line ? `${line} ${words[0]}` : words[0]).width <= r.width + 1) {
+                    line = line ? `${line} ${words.shift()}` : words.shift();
+                }
+                if (!line && words.length) line = words.shift();
+            }
+            ctx.fillText(line, r.left - this.origin.x, baseline(ctx, r.top - this.origin.y + r.height / 2));
+        });
+        ctx.restore();
+    }
+
+    // Wires and resistors: every shape with its place in the drawing and its computed style
+    paintSvg(ctx, svg) {
+        const rect = svg.getBoundingClientRect();
+        svg.querySelectorAll('path, rect, circle, line').forEach(shape => {
+            if (this.skip && shape.matches(this.skip)) return;
+            const style = getComputedStyle(shape);
+            if (style.display === 'none' || style.visibility === 'hidden') return;
+            let opacity = 1;
+            for (let node = shape; node !== svg; node = node.parentNode) opacity *= parseFloat(getComputedStyle(node).opacity);
+            const m = shape.getCTM();
+            ctx.save();
+            ctx.globalAlpha *= opacity;
+            ctx.translate(rect.left - this.origin.x, rect.top - this.origin.y);
+            ctx.transform(m.a, m.b, m.c, m.d, m.e, m.f);
+            const number = name => parseFloat(shape.getAttribute(name)) || 0;
+            let path;
+            if (shape.tagName === 'path') {
+                path = new Path2D(shape.getAttribute('d') || '');
+            } else if (shape.tagName === 'rect') {
+                path = new Path2D();
+                const r = number('rx');
+                roundedRect(path, number('x'), number('y'), number('width'), number('height'), r);
+            } else if (shape.tagName === 'circle') {
+                path = new Path2D();
+                path.arc(number('cx'), number('cy'), number('r'), 0, Math.PI * 2);
+            } else {
+                path = new Path2D();
+                path.moveTo(number('x1'), number('y1'));
+                path.lineTo(number('x2'), number('y2'));
+            }
+            if (style.fill !== 'none') {
+                ctx.fillStyle = style.fill;
+                ctx.fill(path);
+            }
+            if (style.stroke !== 'none') {
+                ctx.strokeStyle = style.stroke;
+                ctx.lineWidth = parseFloat(style.strokeWidth) || 1;
+                ctx.lineCap = style.strokeLinecap;
+                ctx.setLineDash(style.strokeDasharray === 'none' ? [] : style.strokeDasharray.split(/[\s,]+/).map(parseFloat));
+                ctx.stroke(path);
+            }
+            ctx.restore();
+        });
+    }
+}
+
+// The colour showing behind an element: the first background that isn't transparent
+function backdropColor(el) {
+    for (let node = el; node instanceof Element; node = node.parentElement) {
+        const color = getComputedStyle(node).backgroundColor;
+        if (parseColor(color)[3] > 0) return color;
+    }
+    return '#000';
+}
+
+function hasContent(style) {
+    return style.content !== 'none' && style.content !== 'normal';
+}
+
+// [r, g, b, a] of a computed colour ('rgb(...)' or 'rgba(...)')
+function parseColor(text) {
+    const m = /rgba?\(([^)]*)\)/.exec(text || '');
+    if (!m) return [0, 0, 0, 0];
+    const [r, g, b, a = 1] = m[1].split(/[\s,/]+/).filter(Boolean).map(parseFloat);
+    return [r, g, b, a];
+}
+
+// `top` ([r, g, b, a]) drawn at `opacity` over `base` ([r, g, b])
+function over(base, top, opacity) {
+    const a = top[3] * opacity;
+    return base.map((v, c) => v + (top[c] - v) * a);
+}
+
+// Splits a CSS list at the commas that aren't inside brackets
+function splitTopLevel(text) {
+    const parts = [];
+    let depth = 0;
+    let start = 0;
+    for (let i = 0; i < text.length; i++) {
+        if (text[i] === '(') depth++;
+        else if (text[i] === ')') depth--;
+        else if (text[i] === ',' && depth === 0) {
+            parts.push(text.slice(start, i).trim());
+            start = i + 1;
+        }
+    }
+    parts.push(text.slice(start).trim());
+    return parts;
+}
+
+// Computed box-shadow or text-shadow as [{ color, x, y, blur, spread, inset }]
+function parseShadows(text) {
+    if (!text || text === 'none') return [];
+    return splitTopLevel(text).map(part => {
+        const color = /rgba?\([^)]*\)/.exec(part);
+        const lengths = part.replace(/rgba?\([^)]*\)/, '').match(/-?[\d.]+px/g) || [];
+        const [x = 0, y = 0, blur = 0, spread = 0] = lengths.map(parseFloat);
+        return { color: color ? color[0] : 'rgba(0, 0, 0, 0)', x, y, blur, spread, inset: /\binset\b/.test(part) };
+    });
+}
+
+// A single linear or radial gradient background, the kinds style.css uses
+function createGradient(ctx, style, box) {
+    const m = /^(linear|radial)-gradient\((.*)\)$/.exec(style.backgroundImage);
+    if (!m || splitTopLevel(style.backgroundImage).length > 1) return null;
+    const args = splitTopLevel(m[2]);
+    const first = /rgba?\(|#/.test(args[0]) ? null : args.shift();
+    let gradient;
+    const cx = box.x + box.w / 2;
+    const cy = box.y + box.h / 2;
+    if (m[1] === 'radial') {
+        const closest = first && /closest-side/.test(first);
+        const r = closest ? Math.min(box.w, box.h) / 2 : Math.hypot(box.w, box.h) / 2;
+        gradient = ctx.createRadialGradient(cx, cy, 0, cx, cy, r);
+    } else {
+        const sides = { 'to top': 0, 'to right': 90, 'to bottom': 180, 'to left': 270 };
+        const degrees = !first ? 180 : first in sides ? sides[first] : parseFloat(first) || 180;
+        const angle = degrees * Math.PI / 180;
+        const half = (Math.abs(box.w * Math.sin(angle)) + Math.abs(box.h * Math.cos(angle))) / 2;
+        const dx = Math.sin(angle) * half;
+        const dy = -Math.cos(angle) * half;
+        gradient = ctx.createLinearGradient(cx - dx, cy - dy, cx + dx, cy + dy);
+    }
+    let last = 0;
+    args.forEach((stop, i) => {
+        const color = /rgba?\([^)]*\)/.exec(stop);
+        if (!color) return;
+        const at = /(-?[\d.]+)%/.exec(stop.replace(color[0], ''));
+        const offset = at ? parseFloat(at[1]) / 100 : i / Math.max(1, args.length - 1);
+        last = Math.min(1, Math.max(last, offset));
+        gradient.addColorStop(last, color[0]);
+    });
+    return gradient;
+}
+
+function borderRadius(style, box) {
+    const value = style.borderTopLeftRadius;
+    const r = value.endsWith('%') ? parseFloat(value) / 100 * Math.min(box.w, box.h) : parseFloat(value) || 0;
+    return Math.min(r, box.w / 2, box.h / 2);
+}
+
+// Adds a rounded rectangle to `target` (a context or Path2D), starting a new path unless told not to
+function roundedRect(target, x, y, w, h, r, fresh = true) {
+    if (fresh && target.beginPath) target.beginPath();
+    r = Math.max(0, Math.min(r, w / 2, h / 2));
+    target.moveTo(x + r, y);
+    target.arcTo(x + w, y, x + w, y + h, r);
+    target.arcTo(x + w, y + h, x, y + h, r);
+    target.arcTo(x, y + h, x, y, r);
+    target.arcTo(x, y, x + w, y, r);
+    target.closePath();
+}
+
+function paintBorder(ctx, style, box, radius) {
+    const sides = ['Top', 'Right', 'Bottom', 'Left'].map(side => ({
+        width: parseFloat(style[`border${side}Width`]) || 0,
+        color: style[`border${side}Color`],
+        style: style[`border${side}Style`]
+    }));
+    const drawn = sides.map(s => (s.style === 'none' || s.style === 'hidden' ? 0 : s.width));
+    if (drawn.every(w => w === 0)) return;
+    ctx.save();
+    if (drawn.every(w => w === drawn[0]) && sides.every(s => s.color === sides[0].color)) {
+        const w = drawn[0];
+        ctx.strokeStyle = sides[0].color;
+        ctx.lineWidth = w;
+        if (sides[0].style === 'dashed') ctx.setLineDash([w * 3, w * 2]);
+        else if (sides[0].style === 'dotted') ctx.setLineDash([w, w]);
+        roundedRect(ctx, box.x + w / 2, box.y + w / 2, box.w - w, box.h - w, Math.max(0, radius - w / 2));
+        ctx.stroke();
+    } else {
+        // Sides that differ are drawn square
+        const [top, right, bottom, left] = drawn;
+        const edges = [
+            [box.x, box.y, box.w, top],
+            [box.x + box.w - right, box.y, right, box.h],
+            [box.x, box.y + box.h - bottom, box.w, bottom],
+            [box.x, box.y, left, box.h]
+        ];
+        edges.forEach((edge, i) => {
+            if (!drawn[i]) return;
+            ctx.fillStyle = sides[i].color;
+            ctx.fillRect(...edge);
+        });
+    }
+    ctx.restore();
+}
+
+function applyFont(ctx, style) {
+    ctx.font = `${style.fontStyle} ${style.fontWeight} ${style.fontSize} ${style.fontFamily}`;
+    ctx.fillStyle = style.color;
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'alphabetic';
+    if ('letterSpacing' in ctx) ctx.letterSpacing = style.letterSpacing === 'normal' ? '0px' : style.letterSpacing;
+}
+
+// Baseline that centres the current font's line box on `middle`
+function baseline(ctx, middle) {
+    const m = ctx.measureText('Mg');
+    if (!m.fontBoundingBoxAscent) return middle + m.actualBoundingBoxAscent / 2;
+    return middle + (m.fontBoundingBoxAscent - m.fontBoundingBoxDescent) / 2;
+}
+
+// Frames drawn on a canvas, recorded as a WebM video. MediaRecorder stamps frames with the real
+// time they arrive, so it runs only while each frame is shown for its share of the video and
+// is paused while the next one is drawn, however long that takes.
+class WebmRecorder {
+    static get supported() {
+        return typeof MediaRecorder !== 'undefined' && typeof HTMLCanvasElement.prototype.captureStream === 'function' &&
+            MediaRecorder.isTypeSupported('video/webm');
+    }
+
+    constructor(canvas, fps) {
+        const stream = canvas.captureStream(0);
+        this.track = stream.getVideoTracks()[0];
+        this.type = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'].find(t => MediaRecorder.isTypeSupported(t));
+        this.recorder = new MediaRecorder(stream, { mimeType: this.type, videoBitsPerSecond: 8e6 });
+        this.chunks = [];
+        this.recorder.ondataavailable = (e) => {
+            if (e.data.size > 0) this.chunks.push(e.data);
+        };
+        this.frameMs = 1000 / fps;
+        this.recorder.start();
+        this.recorder.pause();
+    }
+
+    // Records what is on the canvas now as the next frame
+    async addFrame() {
+        this.recorder.resume();
+        this.track.requestFrame();
+        await new Promise(resolve => setTimeout(resolve, this.frameMs));
+        this.recorder.pause();
+    }
+
+    finish() {
+        return new Promise(resolve => {
+            this.recorder.onstop = () => resolve(new Blob(this.chunks, { type: 'video/webm' }));
+            this.recorder.stop();
+            this.track.stop();
+        });
+    }
+}
+
+// Every light's colour in every frame, saved as a PNG: a row per frame, a square per light
+class LightSheet {
+    constructor() {
+        this.rows = []; // [[r, g, b], ...] per frame
+    }
+
+    addFrame(colors) {
+        this.rows.push(colors);
+    }
+
+    toBlob() {
+        const columns = Math.max(1, ...this.rows.map(row => row.length));
+        const cell = Math.max(1, Math.min(SHEET_CELL_PX, Math.floor(SHEET_MAX_PX / Math.max(1, this.rows.length))));
+        const canvas = document.createElement('canvas');
+        canvas.width = columns * cell;
+        canvas.height = Math.max(1, this.rows.length) * cell;
+        const ctx = canvas.getContext('2d');
+        ctx.fillStyle = '#000';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        this.rows.forEach((row, y) => row.forEach((color, x) => {
+            ctx.fillStyle = `rgb(${color.join(',')})`;
+            ctx.fillRect(x * cell, y * cell, cell, cell);
+        }));
+        return new Promise(resolve => canvas.toBlob(resolve, 'image/png'));
+    }
+}
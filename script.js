@@ -4,22 +4,70 @@ document.addEventListener('DOMContentLoaded', () => {
 
   // Elements
   const codeEditor = document.getElementById('code-editor');
+  const boardSelect = document.getElementById('board-select');
+  const boardEl = document.getElementById('arduino-board');
+  const boardTitle = document.getElementById('board-title');
   const btnRun = document.getElementById('btn-run');
   const btnPause = document.getElementById('btn-pause');
+  const btnStep = document.getElementById('btn-step');
+  const btnStepOver = document.getElementById('btn-step-over');
   const btnReset = document.getElementById('btn-reset');
+  const speedSelect = document.getElementById('speed-select');
+  const btnSlowMotion = document.getElementById('btn-slowmo');
+  const simTime = document.getElementById('sim-time');
   const btnAddLed = document.getElementById('btn-add-led');
+  const componentSelect = document.getElementById('component-select');
   const btnClearConsole = document.getElementById('btn-clear-console');
+  const chkOverflow = document.getElementById('chk-overflow');
   const componentsArea = document.getElementById('components-area');
+  const boardContainer = document.getElementById('board-container');
+  const wireLayer = document.getElementById('wire-layer');
   const templateSelect = document.getElementById('template-select');
   const consoleOutput = document.getElementById('console-output');
+  const serialOutput = document.getElementById('serial-output');
+  const watchOutput = document.getElementById('watch-output');
+  const serialForm = document.getElementById('serial-form');
+  const serialInput = document.getElementById('serial-input');
+  const serialLineEnding = document.getElementById('serial-line-ending');
+  const btnClearSerial = document.getElementById('btn-clear-serial');
+  const chkAutoscroll = document.getElementById('chk-autoscroll');
   const simStatus = document.getElementById('sim-status');
   const btnDownload = document.getElementById('btn-download');
   const btnSave = document.getElementById('btn-save');
   const fileLoad = document.getElementById('file-load');
 
+  // Highlighting, line numbers, breakpoints and error markers (editor.js)
+  const editor = new SketchEditor({
+    textarea: codeEditor,
+    gutter: document.getElementById('editor-gutter'),
+    highlight: document.getElementById('editor-highlight'),
+    lineHighlight: document.getElementById('line-highlight'),
+    completions: document.getElementById('editor-completions')
+  });
+
   // State
-  let leds = []; // Array of { element, pin, color }
+  let leds = []; // Array of { element, pin, color, resistor, ground, reversed, burnt, mA, render, sync }
   let ledIdCounter = 0;
+  let inputs = []; // Array of { id, element, kind, pin, wiring, bounce, closed }
+  let inputIdCounter = 0;
+  let analogs = []; // Array of { id, element, kind, pin, value }
+  let analogIdCounter = 0;
+  let strips = []; // Array of { id, element, pin, count, layout, columns, frame }
+  let stripIdCounter = 0;
+  let stripsPending = false; // Redraw scheduled for the next frame
+  let rgbLeds = []; // Array of { id, element, pins: { r, g, b }, common, levels: { r, g, b } }
+  let rgbIdCounter = 0;
+  let displays = []; // Array of { id, element, kind, common, pins, update, frame, sync }
+  let displayIdCounter = 0;
+  let displaysPending = false; // Persistence-of-vision frame scheduled
+  let displaysLastFrame = 0;
+  let shiftRegs = []; // Array of { id, element, number, source, pins: { data, clock, latch }, outputs, sync }
+  let shiftRegIdCounter = 0;
+  let boardSource = null; // The board as a current source for the DC model (electrical.js)
+  let serialText = '';       // Serial Monitor contents
+  let serialPending = false; // Redraw scheduled for the next frame
+  let exporting = false;     // The export is stepping the sketch frame by frame (section 10)
+  let patternPreview = null; // { step, timer, pins } while the pattern designer plays on the LEDs (section 11)
 
   // --- Engine Callbacks ---
 
@@ -32,7 +80,43 @@ document.addEventListener('DOMContentLoaded', () => {
     consoleOutput.scrollTop = consoleOutput.scrollHeight;
   };
 
+  // Sketches can print thousands of lines a second; redraw at most once per frame
+  const SERIAL_MAX_CHARS = 20000;
+  simulator.onSerial = (text) => {
+    serialText += text.replace(/\r/g, '');
+    if (serialText.length > SERIAL_MAX_CHARS) serialText = serialText.slice(-SERIAL_MAX_CHARS);
+    if (serialPending) return;
+    serialPending = true;
+    requestAnimationFrame(() => {
+      serialPending = false;
+      serialOutput.textContent = serialText;
+      if (chkAutoscroll.checked) serialOutput.scrollTop = serialOutput.scrollHeight;
+    });
+  };
+
+  // show() can run far more often than the screen refreshes; keep the latest frame per strip
+  simulator.onPixels = (pin, colors) => {
+    strips.forEach(strip => {
+      if (strip.pin != pin) return;
+      if (!colors) strip.frame = strip.frame.map(() => null);
+      // Pixels past the end of the data keep their colour, like on a real strip
+      else colors.slice(0, strip.count).forEach((c, i) => { strip.frame[i] = c; });
+      strip.dirty = true;
+    });
+    if (stripsPending) return;
+    stripsPending = true;
+    requestAnimationFrame(() => {
+      stripsPending = false;
+      strips.forEach(strip => {
+        if (strip.dirty) strip.render();
+      });
+    });
+  };
+
   simulator.onPinChange = (pin, value, pwm) => {
+    // The pattern designer's preview drives pins without a sketch; it isn't part of the capture
+    if (!patternPreview || simulator.isRunning) capture.record(pin, value, pwm, simulator.clock.micros());
+
     // Update Board UI
     const pinRow = document.querySelector(`.pin-row[data-pin="${pin}"]`);
     if (pinRow) {
@@ -47,32 +131,112 @@ document.addEventListener('DOMContentLoaded', () => {
     }
 
     // Update Connected LEDs
-    leds.forEach(led => {
-      if (led.pin == pin) {
-        const bulb = led.element.querySelector('.led-bulb');
-        if (value) {
-          bulb.classList.add('lit');
-          // Handle PWM brightness if applicable
-          if (pwm > 0) {
-            bulb.style.opacity = pwm / 255;
-          } else {
-            bulb.style.opacity = 1;
-          }
-        } else {
-          bulb.classList.remove('lit');
-          bulb.style.opacity = 1; // Reset opacity for next ON state
-        }
-      }
+    const wired = leds.filter(led => led.pin == pin);
+    wired.forEach(led => led.render());
+    if (wired.length) checkCurrents();
+
+    // Update RGB LEDs: each channel's level is its pin's PWM duty (255 when simply HIGH)
+    rgbLeds.forEach(rgb => {
+      let changed = false;
+      ['r', 'g', 'b'].forEach(ch => {
+        if (rgb.pins[ch] != pin) return;
+        rgb.levels[ch] = value ? (pwm > 0 ? pwm : 255) : 0;
+        changed = true;
+      });
+      if (changed) rgb.render();
+    });
+
+    // Update seven-segment displays and bar graphs wired to this pin
+    displays.forEach(display => {
+      if (Object.values(display.pins).some(p => p == pin)) display.update();
     });
+
+    // Update the output indicators of a 74HC595
+    const output = /^(.+):Q([0-7])$/.exec(pin);
+    const shiftReg = output && shiftRegs.find(sr => sr.id === output[1]);
+    if (shiftReg) shiftReg.outputs[output[2]].classList.toggle('lit', !!value);
   };
 
+  // --- Board ---
+
+  Object.entries(BOARDS).forEach(([id, board]) => {
+    const opt = document.createElement('option');
+    opt.value = id;
+    opt.textContent = board.name;
+    boardSelect.appendChild(opt);
+  });
+  boardSelect.value = simulator.boardId;
+
+  // Draw the pin headers of the selected board from its layout
+  function renderBoard() {
+    const board = simulator.board;
+    boardEl.innerHTML = '';
+    boardEl.style.background = board.color;
+    boardTitle.textContent = `// BREADBOARD & ${board.label}`;
+    boardSource = { name: board.label, electrical: board.electrical };
+
+    const label = document.createElement('div');
+    label.className = 'board-label';
+    label.textContent = board.label;
+    boardEl.appendChild(label);
+
+    board.layout.forEach(group => {
+      const groupEl = document.createElement('div');
+      groupEl.className = `pin-group ${group.kind}-pins`;
+      if (group.columns === 2) groupEl.classList.add('two-columns');
+      const title = document.createElement('div');
+      title.className = 'pin-label';
+      title.textContent = group.title;
+      groupEl.appendChild(title);
+
+      const list = document.createElement('div');
+      list.className = 'pin-list';
+      group.pins.forEach(id => {
+        const info = board.pins.find(p => p.id === id);
+        const row = document.createElement('div');
+        row.className = 'pin-row';
+        row.dataset.pin = id;
+        const hole = document.createElement('div');
+        hole.className = 'pin-hole';
+        const text = document.createElement('span');
+        text.textContent = info ? info.label : id; // Power pins aren't in board.pins
+        row.append(hole, text);
+        list.appendChild(row);
+      });
+      groupEl.appendChild(list);
+      boardEl.appendChild(groupEl);
+    });
+  }
+  renderBoard();
+
+  function applyBoard(id) {
+    if (simulator.isRunning) {
+      simulator.stop();
+      setSimStatus('STOPPED');
+    }
+    simulator.setBoard(id);
+    boardSelect.value = simulator.boardId;
+    renderBoard();
+    refreshPinSelectors();
+  }
+
+  boardSelect.addEventListener('change', (e) => {
+    applyBoard(e.target.value);
+  });
+
   // --- UI Interactions ---
 
   // 1. Controls
+  // Runs the sketch from power-up, with a fresh logic analyzer capture and no error marks
+  function startRun() {
+    resetCapture();
+    editor.setErrors([]);
+    return simulator.run(codeEditor.value);
+  }
+
   btnRun.addEventListener('click', () => {
     if (!simulator.isRunning) {
-      const code = codeEditor.value;
-      simulator.run(code).then(() => {
+      startRun().then(() => {
         // Determine if natural finish or stopped
         if (!simulator.isRunning) {
           setSimStatus('STOPPED');
@@ -86,7 +250,7 @@ document.addEventListener('DOMContentLoaded', () => {
       // If running, maybe restart?
       simulator.stop();
       setTimeout(() => {
-        simulator.run(codeEditor.value);
+        startRun();
         setSimStatus('RUNNING');
       }, 100);
     }
@@ -96,18 +260,25 @@ document.addEventListener('DOMContentLoaded', () => {
     if (simulator.isRunning) {
       if (simulator.isPaused) {
         simulator.resume();
-        btnPause.textContent = "⏸ PAUSE";
-        btnPause.classList.remove('paused-btn');
         setSimStatus('RUNNING');
       } else {
+        // The sketch stops at its next line and simulator.onBreak reports where
         simulator.pause();
-        btnPause.textContent = "▶ RESUME";
-        btnPause.classList.add('paused-btn');
         setSimStatus('PAUSED');
       }
     }
   });
 
+  btnStep.addEventListener('click', () => {
+    setSimStatus('RUNNING');
+    simulator.step('into');
+  });
+
+  btnStepOver.addEventListener('click', () => {
+    setSimStatus('RUNNING');
+    simulator.step('over');
+  });
+
   btnReset.addEventListener('click', () => {
     simulator.stop();
     setSimStatus('OFFLINE');
@@ -116,10 +287,72 @@ document.addEventListener('DOMContentLoaded', () => {
     document.querySelectorAll('.led-bulb').forEach(b => b.classList.remove('lit'));
   });
 
+  const selectedSpeed = () => (speedSelect.value === 'max' ? Infinity : parseFloat(speedSelect.value));
+
+  speedSelect.addEventListener('change', () => {
+    simulator.setSpeed(selectedSpeed());
+  });
+
+  // PWM slow motion: time runs 500x slower, so a 490 Hz pin switches about once a second, and
+  // LEDs show whether their pin is on or off at this instant instead of the average
+  const PWM_SLOW_MOTION = 1 / 500;
+  const LED_GLOW_PX = 20; // Glow radius of a fully bright LED
+  let slowMotion = false;
+
+  btnSlowMotion.addEventListener('click', () => {
+    slowMotion = !slowMotion;
+    btnSlowMotion.classList.toggle('active', slowMotion);
+    speedSelect.disabled = slowMotion;
+    simulator.setSpeed(slowMotion ? PWM_SLOW_MOTION : selectedSpeed());
+    requestAnimationFrame(renderPwmFrame);
+  });
+
+  // Redraws everything PWM can light while slow motion runs, and once more when it ends
+  function renderPwmFrame() {
+    leds.forEach(led => led.render());
+    rgbLeds.forEach(rgb => rgb.render());
+    if (slowMotion) requestAnimationFrame(renderPwmFrame);
+  }
+
+  // Share of the time (0-1) a pin at PWM `duty` is on as shown: the duty itself, or in slow
+  // motion 1 or 0 by where the pin's PWM cycle is now (the timers run from power-up). Exported
+  // frames show what the eye sees, as at full speed
+  function pwmShown(pin, duty) {
+    if (!slowMotion || exporting || duty <= 0 || duty >= 1) return duty;
+    const period = 1e6 / simulator.pwmFrequency(pin);
+    return simulator.clock.displayMicros() % period < duty * period ? 1 : 0;
+  }
+
+  // Lights a bulb at a brightness (0-1, as the eye sees it): it shines and glows further the
+  // brighter it is
+  function showLedLight(bulb, brightness) {
+    bulb.classList.toggle('lit', brightness > 0);
+    bulb.style.setProperty('--led-level', brightness.toFixed(3));
+    bulb.style.setProperty('--led-glow', `${Math.round(LED_GLOW_PX * brightness)}px`);
+  }
+
+  // Virtual time readout
+  const updateSimTime = () => {
+    simTime.textContent = `${(simulator.clock.displayMicros() / 1e6).toFixed(3)} s`;
+    requestAnimationFrame(updateSimTime);
+  };
+  requestAnimationFrame(updateSimTime);
+
   function setSimStatus(status) {
     simStatus.textContent = status;
     simStatus.className = 'status-indicator ' + status.toLowerCase();
 
+    btnStep.disabled = status !== 'PAUSED';
+    btnStepOver.disabled = status !== 'PAUSED';
+    if (status === 'PAUSED') {
+      btnPause.textContent = "▶ RESUME";
+      btnPause.classList.add('paused-btn');
+      return;
+    }
+    btnPause.textContent = "⏸ PAUSE";
+    btnPause.classList.remove('paused-btn');
+    editor.setStoppedLine(0);
+
     if (status === 'RUNNING') {
       btnRun.textContent = "⏹ STOP";
       btnRun.classList.add('stop-mode');
@@ -128,36 +361,100 @@ document.addEventListener('DOMContentLoaded', () => {
       btnRun.textContent = "▶ RUN";
       btnRun.classList.remove('stop-mode');
       btnPause.disabled = true;
-      btnPause.textContent = "⏸ PAUSE";
     }
   }
 
+  // 1b. Debugger: breakpoints in the editor gutter, the line the sketch stopped at and the
+  // values of its variables there
+  const WATCH_MAX_ITEMS = 16;
+
+  editor.onBreakpointsChange = (lines) => simulator.setBreakpoints(lines);
+
+  function formatWatchValue(value, depth = 0) {
+    if (value === undefined) return '—';
+    if (typeof value === 'number') return Number.isInteger(value) ? String(value) : String(+value.toFixed(4));
+    if (typeof value === 'string') return JSON.stringify(value);
+    if (Array.isArray(value) || ArrayBuffer.isView(value)) {
+      if (depth > 2) return '[…]';
+      const items = Array.from(value.slice(0, WATCH_MAX_ITEMS), v => formatWatchValue(v, depth + 1));
+      if (value.length > WATCH_MAX_ITEMS) items.push(`… ${value.length} items`);
+      return `[${items.join(', ')}]`;
+    }
+    if (value && typeof value === 'object') {
+      if (depth > 2) return '{…}';
+      const fields = Object.keys(value).map(key => `${key}: ${formatWatchValue(value[key], depth + 1)}`);
+      return `{${fields.join(', ')}}`;
+    }
+    return String(value);
+  }
+
+  function renderWatch({ stack, locals, globals }) {
+    watchOutput.innerHTML = '';
+    const section = (title, values) => {
+      const heading = document.createElement('div');
+      heading.className = 'watch-heading';
+      heading.textContent = title;
+      watchOutput.appendChild(heading);
+      const names = Object.keys(values);
+      if (names.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'log-line';
+        empty.textContent = '(none)';
+        watchOutput.appendChild(empty);
+      }
+      names.forEach(name => {
+        const row = document.createElement('div');
+        row.className = 'log-line';
+        const label = document.createElement('span');
+        label.className = 'watch-name';
+        label.textContent = name;
+        const value = document.createElement('span');
+        value.className = 'watch-value';
+        value.textContent = formatWatchValue(values[name]);
+        row.append(label, ' = ', value);
+        watchOutput.appendChild(row);
+      });
+    };
+    section(`LOCALS — ${stack.length > 0 ? stack.join(' › ') : '(top level)'}`, locals);
+    section('GLOBALS', globals);
+  }
+
+  simulator.onBreak = (stop) => {
+    setSimStatus('PAUSED');
+    editor.setStoppedLine(stop.line);
+    renderWatch(stop);
+  };
+
+  // Compile and runtime errors are marked on the sketch line they came from
+  simulator.onError = (error) => editor.setErrors([error]);
+
   // 2. Add LED
   btnAddLed.addEventListener('click', () => {
     createLedComponent();
   });
 
-  function createLedComponent() {
-    const id = ledIdCounter++;
+  function createLedComponent(id = ledIdCounter++) {
     const template = document.getElementById('led-template');
     const clone = template.content.cloneNode(true);
     const el = clone.querySelector('.led-component');
 
     el.dataset.id = id;
 
+    const led = {
+      id: id,
+      element: el,
+      pin: null, // User must select
+      color: '#00FF00',
+      resistor: 220,   // Ohms, 0 for none
+      ground: true,    // Cathode wired to GND
+      reversed: false, // Anode toward GND
+      burnt: false,
+      mA: 0            // Peak current drawn from the pin
+    };
+
     // Pin Selector
     const select = el.querySelector('.pin-selector');
-    // Populate pins 0-13 + A0-A5
-    const pins = [];
-    for (let i = 0; i <= 13; i++) pins.push(i);
-    ['A0', 'A1', 'A2', 'A3', 'A4', 'A5'].forEach(p => pins.push(p));
-
-    pins.forEach(p => {
-      const opt = document.createElement('option');
-      opt.value = p;
-      opt.textContent = p;
-      select.appendChild(opt);
-    });
+    populatePinSelector(select);
 
     // Event Listeners for Component
     const btnRemove = el.querySelector('.btn-remove');
@@ -174,6 +471,7 @@ document.addEventListener('DOMContentLoaded', () => {
       const led = leds.find(l => l.id === id);
       if (led) led.color = color;
       colorPicker.value = color; // Sync picker
+      render(); // The forward voltage depends on the colour
     };
 
     // Native Picker
@@ -192,7 +490,7 @@ document.addEventListener('DOMContentLoaded', () => {
     select.addEventListener('change', (e) => {
       const newPin = e.target.value;
       // Check conflict
-      const conflict = leds.find(l => l.id !== id && l.pin === newPin);
+      const conflict = newPin && leds.find(l => l.id !== id && l.pin === newPin);
       if (conflict) {
         // Show warning in console (simulator.log is not directly accessible here easily unless we expose it or use simple alert/console)
         // Let's use the consoleOutput if possible, or just browser alert/console.
@@ -200,285 +498,2743 @@ document.addEventListener('DOMContentLoaded', () => {
         alert(`⚠️ Warning: Pin ${newPin} is already in use by another LED!`);
       }
 
-      const led = leds.find(l => l.id === id);
-      if (led) led.pin = newPin;
+      led.pin = newPin;
+      led.burnt = false;
+      led.sync();
+    });
+
+    // Current flows from the pin through the resistor and the LED to GND, and sets how bright
+    // it glows (electrical.js). Only a cathode wired to GND lets it light; too much current
+    // burns it out until its wiring is changed
+    const bulb = el.querySelector('.led-bulb');
+    const render = () => {
+      const conducting = led.pin && led.ground && !led.reversed && !led.burnt;
+      const state = conducting ? simulator.pinState(led.pin) : null;
+      const { mA, duty } = ledOperatingPoint(state, pinSource(led.pin), simulator.board.vcc, led.resistor, led.color);
+      if (mA > LED_MAX_MA) {
+        led.burnt = true;
+        led.mA = 0;
+        simulator.log(`💥 The LED on ${pinLabel(led.pin)} burnt out: ${Math.round(mA)} mA is over its ${LED_MAX_MA} mA maximum. Add a current-limiting resistor (220 Ω is typical)`, 'error');
+        sync();
+        return;
+      }
+      led.mA = mA;
+      bulb.title = led.burnt ? 'Burnt out' : `${(mA * duty).toFixed(1)} mA`;
+      showLedLight(bulb, ledBrightness(mA * pwmShown(led.pin, duty)));
+    };
 
-      // Update Connection Line Visual
+    const resistorSelect = el.querySelector('.resistor-selector');
+    const legGnd = el.querySelector('.leg-gnd');
+
+    // Show the circuit, flag mistakes and redraw from the pin's current level
+    const sync = () => {
+      resistorSelect.value = led.resistor;
+      legGnd.classList.toggle('connected', led.ground);
       const line = el.querySelector('.connection-line');
-      if (newPin) {
-        line.textContent = `Wire: ${newPin} ⏚ GND`;
-        line.style.color = 'var(--neon-green)';
+      let problem = null;
+      if (led.burnt) problem = 'Burnt out: add a current-limiting resistor';
+      else if (led.pin && !led.ground) problem = 'No path to GND: wire the cathode ⏚ to a GND pin';
+      else if (led.pin && led.reversed) problem = 'Reversed: the anode (long leg) goes toward the pin';
+      else if (led.pin && !led.resistor) problem = 'No current-limiting resistor';
+      el.classList.toggle('wiring-error', !!problem);
+      bulb.classList.toggle('burnt', led.burnt);
+      el.title = problem ? `⚠ ${problem}` : '';
+      if (led.pin) {
+        const resistor = led.resistor ? ` → ${formatOhms(led.resistor)}` : '';
+        line.textContent = problem ? `⚠ ${problem}` : `Wire: ${led.pin}${resistor} → LED ⏚ GND`;
+        line.style.color = problem ? 'var(--neon-red)' : 'var(--neon-green)';
         line.style.fontSize = '0.7em';
         line.style.marginTop = '5px';
       } else {
         line.textContent = '';
       }
+      render();
+    };
+
+    resistorSelect.addEventListener('change', (e) => {
+      led.resistor = parseInt(e.target.value, 10) || 0;
+      led.burnt = false;
+      sync();
+    });
+    legGnd.addEventListener('click', () => {
+      led.ground = !led.ground;
+      led.burnt = false;
+      sync();
+    });
+    el.querySelector('.btn-reverse').addEventListener('click', () => {
+      led.reversed = !led.reversed;
+      led.burnt = false;
+      sync();
     });
 
     // Add to DOM
     componentsArea.appendChild(el);
 
     // Add to State
-    leds.push({
-      id: id,
-      element: el,
-      pin: null, // User must select
-      color: '#00FF00'
-    });
+    led.render = render;
+    led.sync = sync;
+    leds.push(led);
+    sync();
+    return led;
   }
 
-  // 3. Clear Console
-  btnClearConsole.addEventListener('click', () => {
-    consoleOutput.innerHTML = '';
-    simulator.consoleLog = [];
-  });
+  function formatOhms(ohms) {
+    return ohms >= 1000 ? `${ohms / 1000} kΩ` : `${ohms} Ω`;
+  }
 
-  // 4. Templates
-  const templates = {
-    blink: `void setup() {
-  pinMode(13, OUTPUT);
-}
+  // What sources a pin's current: the board, or the 74HC595 it is an output of
+  function pinSource(pin) {
+    const output = /^(.+):Q[0-7]$/.exec(pin);
+    const shiftReg = output && shiftRegs.find(sr => sr.id === output[1]);
+    return shiftReg ? shiftReg.source : boardSource;
+  }
 
-void loop() {
-  digitalWrite(13, HIGH);
-  delay(500);
-  digitalWrite(13, LOW);
-  delay(500);
-}`,
-    fade: `int brightness = 0;
-int fadeAmount = 5;
+  function pinLabel(pin) {
+    const output = /^(.+):Q([0-7])$/.exec(pin);
+    const shiftReg = output && shiftRegs.find(sr => sr.id === output[1]);
+    return shiftReg ? `595#${shiftReg.number} Q${output[2]}` : `pin ${pin}`;
+  }
 
-void setup() {
-  pinMode(9, OUTPUT);
-}
+  // Warn (once per run) when LEDs draw more than a pin, or the board or a 74HC595 as a
+  // whole, can source
+  function checkCurrents() {
+    const loads = leds.filter(l => l.mA > 0).map(l => ({ source: pinSource(l.pin), pin: l.pin, mA: l.mA }));
+    currentOverloads(loads).forEach(({ source, pin, mA, max }) => {
+      const what = pin === null ? `The ${source.name} is sourcing ${Math.round(mA)} mA in total` : `${pinLabel(pin)} is sourcing ${Math.round(mA)} mA`;
+      simulator.warnOnce(`current:${source.name}:${pin}`, `Warning: ${what}, over its ${max} mA limit; use larger resistors or light fewer LEDs at once`);
+    });
+  }
 
-void loop() {
-  analogWrite(9, brightness);
-  brightness = brightness + fadeAmount;
+  // Fill a pin selector with the board's pins that can drive an 'output', read an 'input',
+  // or are 'analog' inputs; keeps the current choice if the board still has it.
+  // Outputs also list 74HC595 outputs; 'control' is a board output pin only, and 'serial'
+  // (a 74HC595's DS) adds the Q7' of the other registers
+  function populatePinSelector(select, filter = 'output') {
+    const previous = select.value;
+    select.dataset.pins = filter;
+    select.querySelectorAll('option:not([value=""])').forEach(o => o.remove());
 
-  if (brightness <= 0 || brightness >= 255) {
-    fadeAmount = -fadeAmount;
+    const addOption = (value, text) => {
+      const opt = document.createElement('option');
+      opt.value = value;
+      opt.textContent = text;
+      select.appendChild(opt);
+    };
+    simulator.board.pins.filter(PIN_USES[filter]).sort((a, b) => a.number - b.number).forEach(p => {
+      addOption(p.id, p.analog && p.analog !== p.id ? `${p.id} (${p.analog})` : p.id);
+    });
+    if (filter === 'output') {
+      shiftRegs.forEach(sr => {
+        for (let q = 0; q < 8; q++) addOption(`${sr.id}:Q${q}`, `595#${sr.number} Q${q}`);
+      });
+    }
+    if (filter === 'serial') {
+      const owner = select.closest('.shiftreg-component');
+      shiftRegs.forEach(sr => {
+        if (!owner || owner.dataset.id !== sr.id) addOption(`${sr.id}:Q7S`, `595#${sr.number} Q7'`);
+      });
+    }
+    select.value = [...select.options].some(o => o.value === previous) ? previous : '';
   }
-  delay(30);
-}`,
-    siren: `void setup() {
-  pinMode(12, OUTPUT);
-  pinMode(13, OUTPUT);
-}
 
-void loop() {
-  digitalWrite(12, HIGH);
-  digitalWrite(13, LOW);
-  delay(200);
-  digitalWrite(12, LOW);
-  digitalWrite(13, HIGH);
-  delay(200);
-}`,
-    knight_rider: `// Connect LEDs to pins 2, 3, 4, 5, 6
-void setup() {
-  for (int i = 2; i < 7; i++) {
-    pinMode(i, OUTPUT);
+  // After a board change, drop pins the new board doesn't have (components become unwired)
+  function refreshPinSelectors() {
+    componentsArea.querySelectorAll('.pin-selector').forEach(select => {
+      const previous = select.value;
+      populatePinSelector(select, select.dataset.pins);
+      if (select.value !== previous) select.dispatchEvent(new Event('change'));
+    });
   }
-}
 
-void loop() {
-  for (int i = 2; i < 7; i++) {
-    digitalWrite(i, HIGH);
-    delay(50);
-    digitalWrite(i, LOW);
-  }
-  for (int i = 5; i > 2; i--) {
-    digitalWrite(i, HIGH);
-    delay(50);
-    digitalWrite(i, LOW);
-  }
-}`,
-    complex: `// ====== LED Pins ======
-// Connect LEDs to pins 2, 3, 4, 5, 6
-int leds[] = {2, 3, 4, 5, 6};
-int totalLEDs = 5;
+  // 2b. Add Button / Switch
+  componentSelect.addEventListener('change', (e) => {
+    const kind = e.target.value;
+    if (kind === 'button' || kind === 'switch') createInputComponent(kind);
+    if (kind === 'pot' || kind === 'ldr') createAnalogComponent(kind);
+    if (kind === 'strip') createStripComponent();
+    if (kind === 'rgb') createRgbComponent();
+    if (kind === 'digit1' || kind === 'digit4' || kind === 'bar') createDisplayComponent(kind);
+    if (kind === 'shiftreg') createShiftRegisterComponent();
+    e.target.value = '';
+  });
 
-// ====== Setup ======
-void setup() {
-  for (int i = 0; i < totalLEDs; i++) {
-    pinMode(leds[i], OUTPUT);
-  }
-}
+  function createInputComponent(kind) {
+    const id = `input-${inputIdCounter++}`;
+    const template = document.getElementById('input-template');
+    const clone = template.content.cloneNode(true);
+    const el = clone.querySelector('.input-component');
+    el.dataset.id = id;
+    el.classList.add(kind);
+    el.querySelector('.input-label').textContent = kind === 'button' ? 'PUSH BUTTON' : 'TOGGLE SWITCH';
 
-// ====== Main Loop ======
-void loop() {
-  pattern1();  // Running light
-  pattern2();  // Blink all
-  pattern3();  // Bounce
-  pattern4();  // Alternate
-  pattern5();  // Random
-}
+    const input = { id, element: el, kind, pin: null, wiring: 'gnd', bounce: false, closed: false };
+    const actuator = el.querySelector('.input-actuator');
+    const select = el.querySelector('.pin-selector');
+    const wiringSelect = el.querySelector('.wiring-selector');
+    const chkBounce = el.querySelector('.chk-bounce');
+    populatePinSelector(select, 'input');
 
-// ====== Pattern 1: Running Light ======
-void pattern1() {
-  for (int i = 0; i < totalLEDs; i++) {
-    digitalWrite(leds[i], HIGH);
-    delay(150);
-    digitalWrite(leds[i], LOW);
-  }
-}
+    // Push the current wiring and contact state to the engine
+    const sync = () => {
+      actuator.classList.toggle('closed', input.closed);
+      const line = el.querySelector('.connection-line');
+      if (input.pin) {
+        line.textContent = input.wiring === 'vcc' ? `Wire: 5V ⇄ ${input.pin} ⏚ 10k` : `Wire: ${input.pin} ⇄ GND`;
+        line.style.color = 'var(--neon-green)';
+        line.style.fontSize = '0.7em';
+        line.style.marginTop = '5px';
+        simulator.setInput(id, { pin: input.pin, wiring: input.wiring, closed: input.closed, bounce: input.bounce });
+      } else {
+        line.textContent = '';
+        simulator.setInput(id, null);
+      }
+    };
+    input.sync = sync;
 
-// ====== Pattern 2: Blink All ======
-void pattern2() {
-  for (int i = 0; i < 3; i++) {
-    for (int j = 0; j < totalLEDs; j++) {
-      digitalWrite(leds[j], HIGH);
+    if (kind === 'button') {
+      // Momentary: closed only while held down
+      const press = (closed) => (e) => {
+        e.preventDefault();
+        if (input.closed === closed) return;
+        input.closed = closed;
+        sync();
+      };
+      actuator.addEventListener('mousedown', press(true));
+      actuator.addEventListener('touchstart', press(true));
+      ['mouseup', 'mouseleave', 'touchend', 'touchcancel'].forEach(evt => actuator.addEventListener(evt, press(false)));
+    } else {
+      actuator.addEventListener('click', () => {
+        input.closed = !input.closed;
+        sync();
+      });
     }
-    delay(300);
 
-    for (int j = 0; j < totalLEDs; j++) {
-      digitalWrite(leds[j], LOW);
-    }
-    delay(300);
-  }
-}
+    select.addEventListener('change', (e) => {
+      input.pin = e.target.value || null;
+      sync();
+    });
+    wiringSelect.addEventListener('change', (e) => {
+      input.wiring = e.target.value;
+      sync();
+    });
+    chkBounce.addEventListener('change', (e) => {
+      input.bounce = e.target.checked;
+      sync();
+    });
 
-// ====== Pattern 3: Bounce Effect ======
-void pattern3() {
-  // Forward
-  for (int i = 0; i < totalLEDs; i++) {
-    digitalWrite(leds[i], HIGH);
-    delay(100);
-    digitalWrite(leds[i], LOW);
-  }
+    el.querySelector('.btn-remove').addEventListener('click', () => {
+      el.remove();
+      simulator.setInput(id, null);
+      inputs = inputs.filter(i => i.id !== id);
+    });
 
-  // Backward
-  for (int i = totalLEDs - 1; i >= 0; i--) {
-    digitalWrite(leds[i], HIGH);
-    delay(100);
-    digitalWrite(leds[i], LOW);
+    componentsArea.appendChild(el);
+    inputs.push(input);
+    return input;
   }
-}
 
-// ====== Pattern 4: Alternate LEDs ======
-void pattern4() {
-  for (int i = 0; i < 4; i++) {
-    for (int j = 0; j < totalLEDs; j++) {
-      if (j % 2 == 0)
-        digitalWrite(leds[j], HIGH);
-      else
-        digitalWrite(leds[j], LOW);
-    }
-    delay(300);
+  // 2c. Add Potentiometer / Light Sensor
+  function createAnalogComponent(kind) {
+    const id = `analog-${analogIdCounter++}`;
+    const template = document.getElementById('analog-template');
+    const clone = template.content.cloneNode(true);
+    const el = clone.querySelector('.analog-component');
+    el.dataset.id = id;
+    el.classList.add(kind);
+    el.querySelector('.input-label').textContent = kind === 'pot' ? 'POTENTIOMETER' : 'LIGHT SENSOR';
 
-    for (int j = 0; j < totalLEDs; j++) {
+    const analog = { id, element: el, kind, pin: null, value: ANALOG_DEFAULT_VALUE };
+    const select = el.querySelector('.pin-selector');
+    const slider = el.querySelector('.analog-slider');
+    populatePinSelector(select, 'analog');
+
+    // Show the reading and push it to the engine
+    const sync = () => {
+      slider.value = analog.value;
+      el.querySelector('.analog-value').textContent = kind === 'pot'
+        ? analog.value
+        : `${analog.value} (${Math.round(analog.value / 10.23)}% light)`;
+      el.style.setProperty('--knob-angle', `${(analog.value / 1023) * 270 - 135}deg`);
+      el.style.setProperty('--light-level', 0.15 + 0.85 * analog.value / 1023);
+      const line = el.querySelector('.connection-line');
+      if (analog.pin) {
+        line.textContent = kind === 'pot' ? `Wire: 5V ⇄ ${analog.pin} ⇄ GND` : `Wire: 5V ⇄ LDR ⇄ ${analog.pin} ⏚ 10k`;
+        line.style.color = 'var(--neon-green)';
+        line.style.fontSize = '0.7em';
+        line.style.marginTop = '5px';
+        simulator.setAnalogInput(id, { pin: analog.pin, value: analog.value });
+      } else {
+        line.textContent = '';
+        simulator.setAnalogInput(id, null);
+      }
+    };
+    analog.sync = sync;
+
+    slider.addEventListener('input', (e) => {
+      analog.value = parseInt(e.target.value, 10);
+      sync();
+    });
+
+    select.addEventListener('change', (e) => {
+      analog.pin = e.target.value || null;
+      sync();
+    });
+
+    el.querySelector('.btn-remove').addEventListener('click', () => {
+      el.remove();
+      simulator.setAnalogInput(id, null);
+      analogs = analogs.filter(a => a.id !== id);
+    });
+
+    componentsArea.appendChild(el);
+    analogs.push(analog);
+    sync();
+    return analog;
+  }
+
+  // 2d. Add NeoPixel Strip
+  function createStripComponent() {
+    const id = `strip-${stripIdCounter++}`;
+    const template = document.getElementById('strip-template');
+    const clone = template.content.cloneNode(true);
+    const el = clone.querySelector('.strip-component');
+    el.dataset.id = id;
+
+    const strip = { id, element: el, pin: null, count: 8, layout: 'strip', columns: 8, frame: [], dirty: false };
+    const pixelsEl = el.querySelector('.strip-pixels');
+    const select = el.querySelector('.pin-selector');
+    const countInput = el.querySelector('.strip-count');
+    const layoutSelect = el.querySelector('.strip-layout');
+    const columnsInput = el.querySelector('.strip-columns');
+    populatePinSelector(select, 'output');
+
+    // Rebuild the pixels for the current count and layout
+    const build = () => {
+      strip.frame = Array.from({ length: strip.count }, (_, i) => strip.frame[i] || null);
+      pixelsEl.innerHTML = '';
+      pixelsEl.className = `strip-pixels ${strip.layout}`;
+      const isMatrix = strip.layout === 'matrix' || strip.layout === 'zigzag';
+      const columns = Math.min(strip.columns, strip.count);
+      pixelsEl.style.gridTemplateColumns = isMatrix ? `repeat(${columns}, 1fr)` : '';
+      columnsInput.style.display = isMatrix ? '' : 'none';
+      el.style.width = isMatrix ? `${Math.max(130, columns * 14 + 30)}px` : '';
+
+      const cells = [];
+      for (let i = 0; i < strip.count; i++) {
+        const px = document.createElement('div');
+        px.className = 'pixel';
+        px.title = `#${i}`;
+        if (strip.layout === 'ring') {
+          const angle = (i / strip.count) * 2 * Math.PI - Math.PI / 2;
+          px.style.left = `${50 + 42 * Math.cos(angle)}%`;
+          px.style.top = `${50 + 42 * Math.sin(angle)}%`;
+        }
+        cells.push(px);
+      }
+      // Zigzag matrices are wired back and forth, so every other row runs right to left
+      const width = isMatrix ? columns : cells.length;
+      for (let row = 0; row * width < cells.length; row++) {
+        const rowCells = cells.slice(row * width, (row + 1) * width);
+        if (strip.layout === 'zigzag' && row % 2 === 1) {
+          rowCells.reverse();
+          for (let pad = rowCells.length; pad < width; pad++) pixelsEl.appendChild(document.createElement('div'));
+        }
+        pixelsEl.append(...rowCells);
+      }
+      strip.pixels = cells;
+      render();
+    };
+
+    const render = () => {
+      strip.dirty = false;
+      strip.pixels.forEach((px, i) => {
+        const c = strip.frame[i];
+        if (c && (c[0] || c[1] || c[2])) {
+          // Scale up so dim colours still read as their hue; the glow carries the brightness
+          const max = Math.max(c[0], c[1], c[2]);
+          const color = `rgb(${c.map(v => Math.round(v * 255 / max)).join(',')})`;
+          px.style.backgroundColor = color;
+          px.style.opacity = 0.35 + 0.65 * max / 255;
+          px.style.boxShadow = `0 0 ${2 + 8 * max / 255}px ${color}`;
+        } else {
+          px.style.backgroundColor = '';
+          px.style.opacity = '';
+          px.style.boxShadow = '';
+        }
+      });
+    };
+    strip.render = render;
+
+    // Show the wiring and settings
+    const sync = () => {
+      countInput.value = strip.count;
+      layoutSelect.value = strip.layout;
+      columnsInput.value = strip.columns;
+      const line = el.querySelector('.connection-line');
+      if (strip.pin) {
+        line.textContent = `Wire: ${strip.pin} → DIN`;
+        line.style.color = 'var(--neon-green)';
+        line.style.fontSize = '0.7em';
+        line.style.marginTop = '5px';
+      } else {
+        line.textContent = '';
+      }
+      build();
+    };
+    strip.sync = sync;
+
+    select.addEventListener('change', (e) => {
+      strip.pin = e.target.value || null;
+      strip.frame = [];
+      sync();
+    });
+    countInput.addEventListener('change', (e) => {
+      strip.count = Math.max(1, Math.min(256, parseInt(e.target.value, 10) || 1));
+      sync();
+    });
+    layoutSelect.addEventListener('change', (e) => {
+      strip.layout = e.target.value;
+      sync();
+    });
+    columnsInput.addEventListener('change', (e) => {
+      strip.columns = Math.max(1, Math.min(32, parseInt(e.target.value, 10) || 1));
+      sync();
+    });
+
+    el.querySelector('.btn-remove').addEventListener('click', () => {
+      el.remove();
+      strips = strips.filter(s => s.id !== id);
+    });
+
+    componentsArea.appendChild(el);
+    strips.push(strip);
+    sync();
+    return strip;
+  }
+
+  // 2e. Add RGB LED
+  function createRgbComponent() {
+    const id = `rgb-${rgbIdCounter++}`;
+    const template = document.getElementById('rgb-template');
+    const clone = template.content.cloneNode(true);
+    const el = clone.querySelector('.rgb-component');
+    el.dataset.id = id;
+
+    const rgb = { id, element: el, pins: { r: null, g: null, b: null }, common: 'cathode', levels: { r: 0, g: 0, b: 0 } };
+    const bulb = el.querySelector('.led-bulb');
+    const commonSelect = el.querySelector('.rgb-common');
+    const selects = {};
+    el.querySelectorAll('.rgb-pins .pin-selector').forEach(select => {
+      selects[select.dataset.channel] = select;
+      populatePinSelector(select, 'output');
+    });
+
+    // Mix the three channels. A common-anode LED lights when its pin sinks current, so only
+    // a pin driven as an OUTPUT (LOW, or a low PWM duty) turns that channel on
+    const render = () => {
+      const mix = ['r', 'g', 'b'].map(ch => {
+        const pin = rgb.pins[ch];
+        if (!pin) return 0;
+        const high = pwmShown(pin, rgb.levels[ch] / 255);
+        if (rgb.common === 'cathode') return high;
+        const state = simulator.pinState(pin);
+        return state && state.mode === 'OUTPUT' ? 1 - high : 0;
+      });
+      const max = Math.max(...mix);
+      if (max > 0) {
+        // Full-brightness hue with the channels' light mixed in proportion, and the brightest
+        // channel setting how strongly it glows
+        bulb.style.setProperty('--led-color', `rgb(${mix.map(v => Math.round(255 * perceivedBrightness(v / max))).join(',')})`);
+      }
+      showLedLight(bulb, perceivedBrightness(max));
+    };
+    rgb.render = render;
+
+    // Show the wiring and the current mix
+    const sync = () => {
+      ['r', 'g', 'b'].forEach(ch => {
+        selects[ch].value = rgb.pins[ch] || '';
+        const state = rgb.pins[ch] && simulator.pinState(rgb.pins[ch]);
+        rgb.levels[ch] = state && state.value ? (state.pwm > 0 ? state.pwm : 255) : 0;
+      });
+      commonSelect.value = rgb.common;
+      const line = el.querySelector('.connection-line');
+      const wired = ['r', 'g', 'b'].filter(ch => rgb.pins[ch]);
+      if (wired.length) {
+        const legs = wired.map(ch => `${ch.toUpperCase()}:${rgb.pins[ch]}`).join(' ');
+        line.textContent = `Wire: ${legs} ${rgb.common === 'cathode' ? '⏚ GND' : '⇡ 5V'}`;
+        line.style.color = 'var(--neon-green)';
+        line.style.fontSize = '0.7em';
+        line.style.marginTop = '5px';
+      } else {
+        line.textContent = '';
+      }
+      render();
+    };
+    rgb.sync = sync;
+
+    Object.entries(selects).forEach(([ch, select]) => {
+      select.addEventListener('change', (e) => {
+        rgb.pins[ch] = e.target.value || null;
+        sync();
+      });
+    });
+    commonSelect.addEventListener('change', (e) => {
+      rgb.common = e.target.value;
+      sync();
+    });
+
+    el.querySelector('.btn-remove').addEventListener('click', () => {
+      el.remove();
+      rgbLeds = rgbLeds.filter(r => r.id !== id);
+    });
+
+    componentsArea.appendChild(el);
+    rgbLeds.push(rgb);
+    sync();
+    return rgb;
+  }
+
+  // 2f. Add Seven-Segment Display / Bar Graph
+  const SEGMENTS = ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'dp'];
+  const DISPLAY_KINDS = {
+    digit1: { label: '7-SEGMENT', digits: 1, pins: SEGMENTS, auto: [2, 3, 4, 5, 6, 7, 8, 9] },
+    digit4: { label: '4-DIGIT 7-SEGMENT', digits: 4, pins: [...SEGMENTS, 'D1', 'D2', 'D3', 'D4'], auto: [2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13] },
+    bar: { label: 'LED BAR GRAPH', digits: 0, pins: ['1', '2', '3', '4', '5', '6', '7', '8', '9', '10'], auto: [2, 3, 4, 5, 6, 7, 8, 9, 10, 11] }
+  };
+  // How long the eye keeps seeing a segment after it goes dark (real time)
+  const PERSISTENCE_MS = 30;
+
+  // How hard a pin drives: 0 (LOW) to 1 (HIGH, or its PWM duty), or null when it isn't an OUTPUT
+  function pinDrive(pin) {
+    const state = pin && simulator.pinState(pin);
+    if (!state || state.mode !== 'OUTPUT') return null;
+    return state.value ? (state.pwm > 0 ? state.pwm / 255 : 1) : 0;
+  }
+
+  // Segments are lit by the share of virtual time they carried current, smoothed by the eye's
+  // persistence, so a scanned 4-digit display looks steady at full speed and flickers in slow motion
+  function scheduleDisplays() {
+    if (displaysPending) return;
+    displaysPending = true;
+    displaysLastFrame = performance.now();
+    requestAnimationFrame(displayFrame);
+  }
+
+  function displayFrame(time) {
+    if (exporting) return; // The export steps the displays itself, one video frame at a time
+    const keep = Math.exp(-Math.max(0, time - displaysLastFrame) / PERSISTENCE_MS);
+    displaysLastFrame = time;
+    let settling = false;
+    displays.forEach(d => {
+      if (d.frame(keep)) settling = true;
+    });
+    if (settling) requestAnimationFrame(displayFrame);
+    else displaysPending = false;
+  }
+
+  function createDisplayComponent(kindName) {
+    const id = `display-${displayIdCounter++}`;
+    const kind = DISPLAY_KINDS[kindName];
+    const template = document.getElementById('display-template');
+    const clone = template.content.cloneNode(true);
+    const el = clone.querySelector('.display-component');
+    el.dataset.id = id;
+    el.querySelector('.input-label').textContent = kind.label;
+
+    const display = { id, element: el, kind: kindName, common: 'cathode', pins: {} };
+    const visual = el.querySelector('.display-visual');
+    const pinsEl = el.querySelector('.display-pins');
+    const commonSelect = el.querySelector('.display-common');
+
+    // Segment elements; `pin` is the key of the segment's own pin, `digit` the key of its common
+    const segments = [];
+    if (kind.digits) {
+      for (let d = 0; d < kind.digits; d++) {
+        const digitEl = document.createElement('div');
+        digitEl.className = 'digit';
+        SEGMENTS.forEach(s => {
+          const segEl = document.createElement('div');
+          segEl.className = `seg seg-${s}`;
+          digitEl.appendChild(segEl);
+          segments.push({ el: segEl, pin: s, digit: kind.digits > 1 ? `D${d + 1}` : null });
+        });
+        visual.appendChild(digitEl);
+      }
+    } else {
+      visual.classList.add('bar');
+      kind.pins.forEach(key => {
+        const segEl = document.createElement('div');
+        segEl.className = 'seg';
+        visual.appendChild(segEl);
+        segments.push({ el: segEl, pin: key, digit: null });
+      });
+    }
+
+    const selects = {};
+    kind.pins.forEach(key => {
+      display.pins[key] = null;
+      const label = document.createElement('label');
+      label.textContent = key.toUpperCase();
+      const select = document.createElement('select');
+      select.className = 'pin-selector';
+      select.innerHTML = '<option value="">Pin?</option>';
+      populatePinSelector(select, 'output');
+      select.addEventListener('change', (e) => {
+        display.pins[key] = e.target.value || null;
+        sync();
+      });
+      label.appendChild(select);
+      pinsEl.appendChild(label);
+      selects[key] = select;
+    });
+
+    // Current through a segment (0-1): its pin and its common must be driven to opposite
+    // levels. A single digit or bar's common is wired straight to GND (cathode) or 5V (anode)
+    const intensity = (s) => {
+      const seg = pinDrive(display.pins[s.pin]);
+      const common = s.digit ? pinDrive(display.pins[s.digit]) : (display.common === 'cathode' ? 0 : 1);
+      if (seg === null || common === null) return 0;
+      return Math.max(0, display.common === 'cathode' ? seg - common : common - seg);
+    };
+
+    let state = segments.map(() => 0); // Current right now
+    let shown = segments.map(() => 0); // Brightness on screen
+    let acc = segments.map(() => 0);   // Lit time (us) since the window started
+    let since = 0;
+    let windowStart = 0;
+    let changes = 0;
+
+    const integrate = (now) => {
+      const dt = now - since;
+      if (dt > 0) state.forEach((v, i) => { acc[i] += v * dt; });
+      since = now;
+    };
+
+    const render = () => {
+      segments.forEach((s, i) => {
+        const lit = shown[i] > 0.01;
+        s.el.classList.toggle('lit', lit);
+        s.el.style.opacity = lit ? 0.3 + 0.7 * Math.sqrt(Math.min(1, shown[i])) : '';
+      });
+    };
+
+    // A pin changed at the current virtual time
+    display.update = () => {
+      const now = simulator.clock.displayMicros();
+      if (displaysPending) {
+        integrate(now);
+      } else {
+        // Nothing moved since the last frame settled: start a fresh window
+        acc = acc.map(() => 0);
+        since = windowStart = now;
+      }
+      state = segments.map(intensity);
+      changes++;
+      scheduleDisplays();
+    };
+
+    // One screen frame; returns true while the picture is still changing
+    display.frame = (keep) => {
+      const now = simulator.clock.displayMicros();
+      integrate(now);
+      const span = now - windowStart;
+      let settling = changes > 0;
+      shown = shown.map((v, i) => {
+        const duty = span > 0 ? acc[i] / span : state[i];
+        const next = duty + (v - duty) * keep;
+        if (Math.abs(next - duty) > 0.005) settling = true;
+        return next;
+      });
+      acc = acc.map(() => 0);
+      windowStart = now;
+      changes = 0;
+      render();
+      return settling;
+    };
+
+    // Show the wiring and redraw from the current pin levels
+    const sync = () => {
+      kind.pins.forEach(key => { selects[key].value = display.pins[key] || ''; });
+      commonSelect.value = display.common;
+      const wired = kind.pins.filter(key => display.pins[key]).length;
+      const line = el.querySelector('.connection-line');
+      if (wired) {
+        const common = kind.digits > 1 ? 'commons on D1-D4' : display.common === 'cathode' ? 'common ⏚ GND' : 'common ⇡ 5V';
+        line.textContent = `Wire: ${wired}/${kind.pins.length} pins, ${common}`;
+        line.style.color = wired === kind.pins.length ? 'var(--neon-green)' : 'var(--text-dim)';
+        line.style.fontSize = '0.7em';
+        line.style.marginTop = '5px';
+      } else {
+        line.textContent = '';
+      }
+      state = segments.map(intensity);
+      shown = state.slice();
+      render();
+    };
+    display.sync = sync;
+
+    commonSelect.addEventListener('change', (e) => {
+      display.common = e.target.value;
+      sync();
+    });
+
+    // The pins the display templates use, where the board has them
+    el.querySelector('.btn-autowire').addEventListener('click', () => {
+      kind.pins.forEach((key, i) => {
+        const pin = simulator.board.pins.find(p => p.number === kind.auto[i] && !p.inputOnly && !p.analogOnly);
+        display.pins[key] = pin ? pin.id : null;
+      });
+      sync();
+    });
+
+    el.querySelector('.btn-remove').addEventListener('click', () => {
+      el.remove();
+      displays = displays.filter(d => d.id !== id);
+    });
+
+    componentsArea.appendChild(el);
+    displays.push(display);
+    sync();
+    return display;
+  }
+
+  // 2g. Add 74HC595 Shift Register
+  // Its eight outputs show up in every output pin selector, so LEDs, RGB LEDs and displays
+  // wire to them like board pins. `id` is passed when a saved project restores its wiring
+  function createShiftRegisterComponent(id = `sr-${shiftRegIdCounter++}`) {
+    const template = document.getElementById('shiftreg-template');
+    const clone = template.content.cloneNode(true);
+    const el = clone.querySelector('.shiftreg-component');
+    el.dataset.id = id;
+
+    const shiftReg = { id, element: el, number: Number(id.split('-')[1]) + 1, pins: { data: null, clock: null, latch: null }, outputs: [] };
+    shiftReg.source = { name: `74HC595 #${shiftReg.number}`, electrical: SHIFT_REGISTER_ELECTRICAL };
+    el.querySelector('.input-label').textContent = `74HC595 #${shiftReg.number}`;
+
+    const outputsEl = el.querySelector('.shiftreg-outputs');
+    for (let q = 0; q < 8; q++) {
+      const out = document.createElement('div');
+      out.className = 'shiftreg-q';
+      out.title = `Q${q}`;
+      outputsEl.appendChild(out);
+      shiftReg.outputs.push(out);
+    }
+
+    const selects = {};
+    el.querySelectorAll('.shiftreg-pins .pin-selector').forEach(select => {
+      const key = select.dataset.input;
+      selects[key] = select;
+      populatePinSelector(select, key === 'data' ? 'serial' : 'control');
+      select.addEventListener('change', (e) => {
+        shiftReg.pins[key] = e.target.value || null;
+        sync();
+      });
+    });
+
+    // Show the wiring and hand it to the engine
+    const sync = () => {
+      Object.keys(selects).forEach(key => { selects[key].value = shiftReg.pins[key] || ''; });
+      simulator.setShiftRegister(id, shiftReg.pins);
+      const line = el.querySelector('.connection-line');
+      const { data, clock, latch } = shiftReg.pins;
+      if (data || clock || latch) {
+        const chained = data && shiftRegs.find(sr => data === `${sr.id}:Q7S`);
+        const ds = chained ? `595#${chained.number} Q7'` : data || '?';
+        line.textContent = `Wire: DS ${ds} SH ${clock || '?'} ST ${latch || '?'}`;
+        line.style.color = data && clock && latch ? 'var(--neon-green)' : 'var(--text-dim)';
+        line.style.fontSize = '0.7em';
+        line.style.marginTop = '5px';
+      } else {
+        line.textContent = '';
+      }
+      const state = simulator.shiftRegisters.get(id);
+      shiftReg.outputs.forEach((out, q) => out.classList.toggle('lit', !!((state.outputs >> q) & 1)));
+    };
+    shiftReg.sync = sync;
+
+    // The pins of the shift register template (data 11, clock 12, latch 8); a later chip
+    // chains from the one before it and shares its clock and latch
+    el.querySelector('.btn-autowire').addEventListener('click', () => {
+      const previous = shiftRegs[shiftRegs.indexOf(shiftReg) - 1];
+      const byNumber = n => {
+        const pin = simulator.board.pins.find(p => p.number === n && !p.inputOnly && !p.analogOnly);
+        return pin ? pin.id : null;
+      };
+      shiftReg.pins = previous
+        ? { data: `${previous.id}:Q7S`, clock: previous.pins.clock, latch: previous.pins.latch }
+        : { data: byNumber(11), clock: byNumber(12), latch: byNumber(8) };
+      sync();
+    });
+
+    // An LED on each output, Q0 first
+    el.querySelector('.btn-add-leds').addEventListener('click', () => {
+      for (let q = 0; q < 8; q++) {
+        createLedComponent();
+        const select = leds[leds.length - 1].element.querySelector('.pin-selector');
+        select.value = `${id}:Q${q}`;
+        select.dispatchEvent(new Event('change'));
+      }
+    });
+
+    el.querySelector('.btn-remove').addEventListener('click', () => {
+      el.remove();
+      shiftRegs = shiftRegs.filter(sr => sr.id !== id);
+      simulator.setShiftRegister(id, null);
+      refreshPinSelectors();
+    });
+
+    componentsArea.appendChild(el);
+    shiftRegs.push(shiftReg);
+    sync();
+    refreshPinSelectors();
+    return shiftReg;
+  }
+
+  // 3. Clear Console
+  btnClearConsole.addEventListener('click', () => {
+    consoleOutput.innerHTML = '';
+    simulator.consoleLog = [];
+  });
+
+  chkOverflow.addEventListener('change', (e) => {
+    simulator.overflowWarnings = e.target.checked;
+  });
+
+  // Serial Monitor
+  btnClearSerial.addEventListener('click', () => {
+    serialText = '';
+    serialOutput.textContent = '';
+  });
+
+  const LINE_ENDINGS = { none: '', nl: '\n', cr: '\r', both: '\r\n' };
+  serialForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    if (!simulator.isRunning) return;
+    simulator.sendSerial(serialInput.value + LINE_ENDINGS[serialLineEnding.value]);
+    serialInput.value = '';
+  });
+
+  // 4. Templates
+  const templates = {
+    blink: `void setup() {
+  pinMode(13, OUTPUT);
+}
+
+void loop() {
+  digitalWrite(13, HIGH);
+  delay(500);
+  digitalWrite(13, LOW);
+  delay(500);
+}`,
+    fade: `int brightness = 0;
+int fadeAmount = 5;
+
+void setup() {
+  pinMode(9, OUTPUT);
+}
+
+void loop() {
+  analogWrite(9, brightness);
+  brightness = brightness + fadeAmount;
+
+  if (brightness <= 0 || brightness >= 255) {
+    fadeAmount = -fadeAmount;
+  }
+  delay(30);
+}`,
+    siren: `void setup() {
+  pinMode(12, OUTPUT);
+  pinMode(13, OUTPUT);
+}
+
+void loop() {
+  digitalWrite(12, HIGH);
+  digitalWrite(13, LOW);
+  delay(200);
+  digitalWrite(12, LOW);
+  digitalWrite(13, HIGH);
+  delay(200);
+}`,
+    knight_rider: `// Connect LEDs to pins 2, 3, 4, 5, 6
+void setup() {
+  for (int i = 2; i < 7; i++) {
+    pinMode(i, OUTPUT);
+  }
+}
+
+void loop() {
+  for (int i = 2; i < 7; i++) {
+    digitalWrite(i, HIGH);
+    delay(50);
+    digitalWrite(i, LOW);
+  }
+  for (int i = 5; i > 2; i--) {
+    digitalWrite(i, HIGH);
+    delay(50);
+    digitalWrite(i, LOW);
+  }
+}`,
+    complex: `// ====== LED Pins ======
+// Connect LEDs to pins 2, 3, 4, 5, 6
+int leds[] = {2, 3, 4, 5, 6};
+int totalLEDs = 5;
+
+// ====== Setup ======
+void setup() {
+  for (int i = 0; i < totalLEDs; i++) {
+    pinMode(leds[i], OUTPUT);
+  }
+}
+
+// ====== Main Loop ======
+void loop() {
+  pattern1();  // Running light
+  pattern2();  // Blink all
+  pattern3();  // Bounce
+  pattern4();  // Alternate
+  pattern5();  // Random
+}
+
+// ====== Pattern 1: Running Light ======
+void pattern1() {
+  for (int i = 0; i < totalLEDs; i++) {
+    digitalWrite(leds[i], HIGH);
+    delay(150);
+    digitalWrite(leds[i], LOW);
+  }
+}
+
+// ====== Pattern 2: Blink All ======
+void pattern2() {
+  for (int i = 0; i < 3; i++) {
+    for (int j = 0; j < totalLEDs; j++) {
+      digitalWrite(leds[j], HIGH);
+    }
+    delay(300);
+
+    for (int j = 0; j < totalLEDs; j++) {
+      digitalWrite(leds[j], LOW);
+    }
+    delay(300);
+  }
+}
+
+// ====== Pattern 3: Bounce Effect ======
+void pattern3() {
+  // Forward
+  for (int i = 0; i < totalLEDs; i++) {
+    digitalWrite(leds[i], HIGH);
+    delay(100);
+    digitalWrite(leds[i], LOW);
+  }
+
+  // Backward
+  for (int i = totalLEDs - 1; i >= 0; i--) {
+    digitalWrite(leds[i], HIGH);
+    delay(100);
+    digitalWrite(leds[i], LOW);
+  }
+}
+
+// ====== Pattern 4: Alternate LEDs ======
+void pattern4() {
+  for (int i = 0; i < 4; i++) {
+    for (int j = 0; j < totalLEDs; j++) {
+      if (j % 2 == 0)
+        digitalWrite(leds[j], HIGH);
+      else
+        digitalWrite(leds[j], LOW);
+    }
+    delay(300);
+
+    for (int j = 0; j < totalLEDs; j++) {
       if (j % 2 == 0)
         digitalWrite(leds[j], LOW);
       else
         digitalWrite(leds[j], HIGH);
     }
-    delay(300);
+    delay(300);
+  }
+
+  // Turn off all
+  for (int j = 0; j < totalLEDs; j++) {
+    digitalWrite(leds[j], LOW);
+  }
+}
+
+// ====== Pattern 5: Random Blink ======
+void pattern5() {
+  for (int i = 0; i < 10; i++) {
+    int randLED = random(0, totalLEDs);
+    digitalWrite(leds[randLED], HIGH);
+    delay(100);
+    digitalWrite(leds[randLED], LOW);
+  }
+}`,
+    button_toggle: `// Push button between pin 2 and GND, LED on pin 13
+// Turn on BOUNCE on the button to see why the debounce is needed
+const int buttonPin = 2;
+const int ledPin = 13;
+const unsigned long debounceMs = 50;
+
+bool ledOn = false;
+int lastReading = HIGH;
+int buttonState = HIGH;
+unsigned long lastChange = 0;
+
+void setup() {
+  pinMode(buttonPin, INPUT_PULLUP);
+  pinMode(ledPin, OUTPUT);
+}
+
+void loop() {
+  int reading = digitalRead(buttonPin);
+  if (reading != lastReading) {
+    lastChange = millis();
+  }
+  lastReading = reading;
+
+  if (millis() - lastChange > debounceMs && reading != buttonState) {
+    buttonState = reading;
+    if (buttonState == LOW) {
+      ledOn = !ledOn;
+      digitalWrite(ledPin, ledOn ? HIGH : LOW);
+    }
+  }
+}`,
+    pot_brightness: `// Potentiometer wiper on A0, LED on PWM pin 9
+const int potPin = A0;
+const int ledPin = 9;
+
+void setup() {
+  pinMode(ledPin, OUTPUT);
+  Serial.begin(9600);
+}
+
+void loop() {
+  int reading = analogRead(potPin);
+  int brightness = map(reading, 0, 1023, 0, 255);
+  analogWrite(ledPin, brightness);
+  Serial.println(reading);
+  delay(50);
+}`,
+    night_light: `// Light sensor on A1, LED on PWM pin 10
+// The darker it gets, the brighter the LED
+const int sensorPin = A1;
+const int ledPin = 10;
+
+void setup() {
+  pinMode(ledPin, OUTPUT);
+}
+
+void loop() {
+  int light = analogRead(sensorPin);
+  int level = map(light, 200, 700, 255, 0);
+  analogWrite(ledPin, constrain(level, 0, 255));
+  delay(100);
+}`,
+    rgb_mixing: `// RGB LED colour mixing: red on pin 9, green on 10, blue on 11 (all PWM pins)
+// For a common-anode LED, set the component to "Common anode" and uncomment the next line
+// #define COMMON_ANODE
+
+const int redPin = 9;
+const int greenPin = 10;
+const int bluePin = 11;
+
+void setColor(int red, int green, int blue) {
+#ifdef COMMON_ANODE
+  // The shared lead is at 5V, so a channel is brightest when its pin is LOW
+  red = 255 - red;
+  green = 255 - green;
+  blue = 255 - blue;
+#endif
+  analogWrite(redPin, red);
+  analogWrite(greenPin, green);
+  analogWrite(bluePin, blue);
+}
+
+void setup() {
+  pinMode(redPin, OUTPUT);
+  pinMode(greenPin, OUTPUT);
+  pinMode(bluePin, OUTPUT);
+}
+
+void loop() {
+  setColor(255, 0, 0);   // Red
+  delay(1000);
+  setColor(0, 255, 0);   // Green
+  delay(1000);
+  setColor(0, 0, 255);   // Blue
+  delay(1000);
+  setColor(255, 255, 0); // Yellow = red + green
+  delay(1000);
+  setColor(0, 255, 255); // Aqua = green + blue
+  delay(1000);
+  setColor(80, 0, 80);   // Purple = a little red + a little blue
+  delay(1000);
+  setColor(255, 255, 255); // White = all three
+  delay(1000);
+
+  // Cross-fade red -> green -> blue -> red
+  for (int i = 0; i < 255; i++) {
+    setColor(255 - i, i, 0);
+    delay(5);
+  }
+  for (int i = 0; i < 255; i++) {
+    setColor(0, 255 - i, i);
+    delay(5);
+  }
+  for (int i = 0; i < 255; i++) {
+    setColor(i, 0, 255 - i);
+    delay(5);
+  }
+}`,
+    seven_segment: `// Single-digit seven-segment display counting 0-9
+// Segments a-g on pins 2-8, decimal point on pin 9 (press AUTO PINS on the display)
+// For a common-anode display, set it to "Common anode" and uncomment the next line
+// #define COMMON_ANODE
+
+const byte segmentPins[8] = {2, 3, 4, 5, 6, 7, 8, 9}; // a b c d e f g dp
+
+// Bit 0 is segment a ... bit 6 is segment g, bit 7 the decimal point
+const byte digits[10] = {
+  B00111111, // 0
+  B00000110, // 1
+  B01011011, // 2
+  B01001111, // 3
+  B01100110, // 4
+  B01101101, // 5
+  B01111101, // 6
+  B00000111, // 7
+  B01111111, // 8
+  B01101111  // 9
+};
+
+void showDigit(int n, bool dot) {
+  byte bits = digits[n];
+  if (dot) bits |= B10000000;
+  for (int s = 0; s < 8; s++) {
+    bool on = (bits >> s) & 1;
+#ifdef COMMON_ANODE
+    on = !on; // The common lead is at 5V: a segment lights when its pin is LOW
+#endif
+    digitalWrite(segmentPins[s], on ? HIGH : LOW);
+  }
+}
+
+void setup() {
+  for (int s = 0; s < 8; s++) {
+    pinMode(segmentPins[s], OUTPUT);
+  }
+}
+
+void loop() {
+  for (int n = 0; n < 10; n++) {
+    showDigit(n, n % 2 == 1);
+    delay(1000);
+  }
+}`,
+    four_digit: `// 4-digit multiplexed seven-segment display counting tenths of a second
+// Segments a-g + dp on pins 2-9, digit commons D1-D4 on pins 10-13 (press AUTO PINS)
+// Only one digit is lit at a time; scanning them quickly makes all four appear lit.
+// Try the 0.25x speed to watch the scanning.
+
+const byte segmentPins[8] = {2, 3, 4, 5, 6, 7, 8, 9}; // a b c d e f g dp
+const byte digitPins[4] = {10, 11, 12, 13};         // D1 (left) .. D4 (right)
+
+const byte digits[10] = {
+  B00111111, B00000110, B01011011, B01001111, B01100110,
+  B01101101, B01111101, B00000111, B01111111, B01101111
+};
+
+void setup() {
+  for (int s = 0; s < 8; s++) {
+    pinMode(segmentPins[s], OUTPUT);
+  }
+  for (int d = 0; d < 4; d++) {
+    pinMode(digitPins[d], OUTPUT);
+    digitalWrite(digitPins[d], HIGH); // Common cathode: HIGH turns the digit off
+  }
+}
+
+void loop() {
+  int value = (millis() / 100) % 10000;
+  int places[4] = {value / 1000, (value / 100) % 10, (value / 10) % 10, value % 10};
+
+  for (int d = 0; d < 4; d++) {
+    byte bits = digits[places[d]];
+    if (d == 2) bits |= B10000000; // Decimal point before the tenths
+    for (int s = 0; s < 8; s++) {
+      digitalWrite(segmentPins[s], (bits >> s) & 1);
+    }
+    digitalWrite(digitPins[d], LOW);  // Light this digit
+    delay(4);
+    digitalWrite(digitPins[d], HIGH); // Blank it before changing the segments
+  }
+}`,
+    bar_graph: `// 10-segment LED bar graph showing a potentiometer
+// Bar segments 1-10 on pins 2-11 (press AUTO PINS), potentiometer on A0
+
+const int barPins[10] = {2, 3, 4, 5, 6, 7, 8, 9, 10, 11};
+
+void setup() {
+  for (int i = 0; i < 10; i++) {
+    pinMode(barPins[i], OUTPUT);
+  }
+}
+
+void loop() {
+  int level = map(analogRead(A0), 0, 1023, 0, 10);
+  for (int i = 0; i < 10; i++) {
+    digitalWrite(barPins[i], i < level ? HIGH : LOW);
+  }
+  delay(20);
+}`,
+    neopixel_rainbow: `#include <Adafruit_NeoPixel.h>
+
+// NeoPixel strip or ring: data in on pin 6, 16 pixels
+#define PIN 6
+#define NUMPIXELS 16
+
+Adafruit_NeoPixel strip(NUMPIXELS, PIN, NEO_GRB + NEO_KHZ800);
+
+void setup() {
+  strip.begin();
+  strip.setBrightness(80);
+  strip.show(); // All pixels off
+}
+
+void loop() {
+  // Five turns of the colour wheel, spread along the strip
+  for (long firstHue = 0; firstHue < 5 * 65536L; firstHue += 256) {
+    for (int i = 0; i < strip.numPixels(); i++) {
+      long pixelHue = firstHue + (i * 65536L / strip.numPixels());
+      strip.setPixelColor(i, strip.gamma32(strip.ColorHSV(pixelHue)));
+    }
+    strip.show();
+    delay(10);
+  }
+}`,
+    neopixel_chase: `#include <Adafruit_NeoPixel.h>
+
+// NeoPixel strip: data in on pin 6, 16 pixels
+#define PIN 6
+#define NUMPIXELS 16
+
+Adafruit_NeoPixel strip(NUMPIXELS, PIN, NEO_GRB + NEO_KHZ800);
+
+void setup() {
+  strip.begin();
+  strip.setBrightness(120);
+}
+
+// Every third pixel lit, marching along like theatre marquee lights
+void theaterChase(uint32_t color, int wait) {
+  for (int a = 0; a < 10; a++) {
+    for (int b = 0; b < 3; b++) {
+      strip.clear();
+      for (int c = b; c < strip.numPixels(); c += 3) {
+        strip.setPixelColor(c, color);
+      }
+      strip.show();
+      delay(wait);
+    }
+  }
+}
+
+void loop() {
+  theaterChase(strip.Color(127, 127, 127), 50); // White
+  theaterChase(strip.Color(127, 0, 0), 50);     // Red
+  theaterChase(strip.Color(0, 0, 127), 50);     // Blue
+}`,
+
+    fastled_demo: `#include <FastLED.h>
+
+// WS2812B strip on pin 6 with 16 pixels (add a NeoPixel Strip component)
+#define DATA_PIN 6
+#define NUM_LEDS 16
+#define BRIGHTNESS 96
+#define FRAMES_PER_SECOND 120
+
+CRGB leds[NUM_LEDS];
+
+uint8_t gPattern = 0; // Index of the current pattern
+uint8_t gHue = 0;     // Rotating "base colour" used by many of the patterns
+
+void setup() {
+  FastLED.addLeds<WS2812B, DATA_PIN, GRB>(leds, NUM_LEDS).setCorrection(TypicalLEDStrip);
+  FastLED.setBrightness(BRIGHTNESS);
+}
+
+void rainbowWithGlitter() {
+  fill_rainbow(leds, NUM_LEDS, gHue, 7);
+  if (random8() < 80) {
+    leds[random16(NUM_LEDS)] += CRGB::White;
+  }
+}
+
+// Random coloured speckles that blink in and fade smoothly
+void confetti() {
+  fadeToBlackBy(leds, NUM_LEDS, 10);
+  int pos = random16(NUM_LEDS);
+  leds[pos] += CHSV(gHue + random8(64), 200, 255);
+}
+
+// A coloured dot sweeping back and forth, with fading trails
+void sinelon() {
+  fadeToBlackBy(leds, NUM_LEDS, 20);
+  int pos = beatsin16(13, 0, NUM_LEDS - 1);
+  leds[pos] += CHSV(gHue, 255, 192);
+}
+
+// Eight coloured dots, weaving in and out of sync with each other
+void juggle() {
+  fadeToBlackBy(leds, NUM_LEDS, 20);
+  uint8_t dothue = 0;
+  for (int i = 0; i < 8; i++) {
+    leds[beatsin16(i + 7, 0, NUM_LEDS - 1)] |= CHSV(dothue, 200, 255);
+    dothue += 32;
+  }
+}
+
+void loop() {
+  switch (gPattern) {
+    case 0: rainbowWithGlitter(); break;
+    case 1: confetti(); break;
+    case 2: sinelon(); break;
+    default: juggle(); break;
+  }
+  FastLED.show();
+  FastLED.delay(1000 / FRAMES_PER_SECOND);
+
+  EVERY_N_MILLISECONDS(20) { gHue++; }                      // Slowly cycle the base colour
+  EVERY_N_SECONDS(10) { gPattern = (gPattern + 1) % 4; }    // Change patterns periodically
+}`,
+
+    fastled_fire: `#include <FastLED.h>
+
+// Fire2012: a simple one-dimensional fire simulation on a 30 pixel strip on pin 6
+#define DATA_PIN 6
+#define NUM_LEDS 30
+#define BRIGHTNESS 200
+#define FRAMES_PER_SECOND 60
+
+// How much the air cools as it rises (suggested range 20-100)
+#define COOLING 55
+// Chance (out of 255) that a new spark is lit each frame (suggested range 50-200)
+#define SPARKING 120
+
+CRGB leds[NUM_LEDS];
+
+void setup() {
+  FastLED.addLeds<WS2812B, DATA_PIN, GRB>(leds, NUM_LEDS).setCorrection(TypicalLEDStrip);
+  FastLED.setBrightness(BRIGHTNESS);
+}
+
+void fire2012() {
+  static uint8_t heat[NUM_LEDS];
+
+  // Step 1. Cool down every cell a little
+  for (int i = 0; i < NUM_LEDS; i++) {
+    heat[i] = qsub8(heat[i], random8(0, ((COOLING * 10) / NUM_LEDS) + 2));
+  }
+  // Step 2. Heat from each cell drifts up and diffuses a little
+  for (int k = NUM_LEDS - 1; k >= 2; k--) {
+    heat[k] = (heat[k - 1] + heat[k - 2] + heat[k - 2]) / 3;
+  }
+  // Step 3. Randomly ignite new sparks of heat near the bottom
+  if (random8() < SPARKING) {
+    int y = random8(7);
+    heat[y] = qadd8(heat[y], random8(160, 255));
+  }
+  // Step 4. Map from heat cells to LED colours
+  for (int j = 0; j < NUM_LEDS; j++) {
+    leds[j] = HeatColor(heat[j]);
+  }
+}
+
+void loop() {
+  random16_add_entropy(random(256));
+  fire2012();
+  FastLED.show();
+  FastLED.delay(1000 / FRAMES_PER_SECOND);
+}`,
+    shift_register: `// Knight Rider on 16 LEDs through two daisy-chained 74HC595 shift registers
+// Add two 74HC595s and press AUTO PINS on each (DS 11, SH_CP 12, ST_CP 8; the second
+// chip's DS comes from the first chip's Q7'), then press + 8 LEDS on each
+const int dataPin = 11;  // DS
+const int clockPin = 12; // SH_CP
+const int latchPin = 8;  // ST_CP
+
+unsigned int pattern = 0; // Bit n lights LED n; the second chip holds bits 8-15
+int position = 0;
+int direction = 1;
+
+void writeRegisters() {
+  digitalWrite(latchPin, LOW);
+  // The first byte out travels on to the far chip, so send the high byte first
+  shiftOut(dataPin, clockPin, MSBFIRST, highByte(pattern));
+  shiftOut(dataPin, clockPin, MSBFIRST, lowByte(pattern));
+  digitalWrite(latchPin, HIGH); // All 16 outputs change together
+}
+
+void setup() {
+  pinMode(dataPin, OUTPUT);
+  pinMode(clockPin, OUTPUT);
+  pinMode(latchPin, OUTPUT);
+}
+
+void loop() {
+  pattern = 0;
+  bitSet(pattern, position);
+  writeRegisters();
+  delay(60);
+
+  position += direction;
+  if (position == 15 || position == 0) direction = -direction;
+}`
+  };
+
+  templateSelect.addEventListener('change', (e) => {
+    const key = e.target.value;
+    if (key && templates[key]) {
+      replaceProject(() => editor.setCode(templates[key]));
+    }
+  });
+
+  // 5. Download
+  btnDownload.addEventListener('click', () => {
+    const text = codeEditor.value;
+    const blob = new Blob([text], { type: 'text/plain' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'sketch.ino';
+    a.click();
+    URL.revokeObjectURL(url);
+  });
+
+  // 6. Save/Load Project (the file format and its checks are in project.js)
+  const displayPins = Object.fromEntries(Object.entries(DISPLAY_KINDS).map(([kind, info]) => [kind, info.pins]));
+  const savedPins = pins => Object.fromEntries(Object.entries(pins).map(([name, pin]) => [name, pin || null]));
+
+  // The board, the code, the settings and every component with its wiring and position
+  function projectData() {
+    return {
+      format: PROJECT_FORMAT,
+      version: PROJECT_VERSION,
+      board: simulator.boardId,
+      code: codeEditor.value,
+      settings: {
+        speed: speedSelect.value,
+        overflowWarnings: chkOverflow.checked
+      },
+      leds: leds.map(l => ({
+        id: l.id,
+        pin: l.pin || null,
+        color: l.color,
+        resistor: l.resistor,
+        ground: l.ground,
+        reversed: l.reversed,
+        ...componentPosition(l.element)
+      })),
+      inputs: inputs.map(i => ({
+        kind: i.kind,
+        pin: i.pin || null,
+        wiring: i.wiring,
+        bounce: i.bounce,
+        closed: i.kind === 'switch' && i.closed,
+        ...componentPosition(i.element)
+      })),
+      analogs: analogs.map(a => ({
+        kind: a.kind,
+        pin: a.pin || null,
+        value: a.value,
+        ...componentPosition(a.element)
+      })),
+      strips: strips.map(s => ({
+        pin: s.pin || null,
+        count: s.count,
+        layout: s.layout,
+        columns: s.columns,
+        ...componentPosition(s.element)
+      })),
+      rgbLeds: rgbLeds.map(r => ({
+        pins: savedPins(r.pins),
+        common: r.common,
+        ...componentPosition(r.element)
+      })),
+      displays: displays.map(d => ({
+        kind: d.kind,
+        common: d.common,
+        pins: savedPins(d.pins),
+        ...componentPosition(d.element)
+      })),
+      shiftRegisters: shiftRegs.map(sr => ({
+        id: sr.id,
+        pins: savedPins(sr.pins),
+        ...componentPosition(sr.element)
+      }))
+    };
+  }
+
+  btnSave.addEventListener('click', () => {
+    const blob = new Blob([JSON.stringify(projectData(), null, 2)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = 'neoled_project.json';
+    a.click();
+    URL.revokeObjectURL(url);
+  });
+
+  fileLoad.addEventListener('change', (e) => {
+    const file = e.target.files[0];
+    if (!file) return;
+
+    const reader = new FileReader();
+    reader.onload = (event) => {
+      try {
+        const project = JSON.parse(event.target.result);
+        replaceProject(() => loadProject(project));
+        alert("Project loaded successfully!");
+      } catch (err) {
+        console.error(err);
+        if (err instanceof ProjectError) {
+          alert(`${file.name} can't be loaded:\n\n${err.problems.map(p => `• ${p}`).join('\n')}`);
+        } else if (err instanceof SyntaxError) {
+          alert(`${file.name} can't be loaded: it isn't a project file (${err.message})`);
+        } else {
+          alert("Error loading project file.");
+        }
+      }
+    };
+    reader.readAsText(file);
+    // Reset input
+    e.target.value = '';
+  });
+
+  // Replaces the board, code, settings and components with those of a project file's contents.
+  // The file is checked (and brought up to the current format) before anything changes, so a
+  // bad one throws a ProjectError and leaves the open project as it was.
+  function loadProject(data) {
+    const project = readProject(data, displayPins);
+
+    editor.setCode(project.code);
+    applyBoard(project.board);
+
+    speedSelect.value = project.settings.speed;
+    if (!slowMotion) simulator.setSpeed(selectedSpeed());
+    chkOverflow.checked = project.settings.overflowWarnings;
+    simulator.overflowWarnings = project.settings.overflowWarnings;
+
+    // 74HC595 Shift Registers first, so components can wire to their outputs
+    shiftRegs.forEach(sr => {
+      sr.element.remove();
+      simulator.setShiftRegister(sr.id, null);
+    });
+    shiftRegs = [];
+    shiftRegIdCounter = Math.max(0, ...project.shiftRegisters.map(data => Number(data.id.slice(3)) + 1));
+    const created = project.shiftRegisters.map(data => createShiftRegisterComponent(data.id));
+    // Chains refer to other registers, so wire them once all exist
+    created.forEach((shiftReg, i) => {
+      const data = project.shiftRegisters[i];
+      Object.keys(shiftReg.pins).forEach(key => { shiftReg.pins[key] = data.pins[key] || null; });
+      shiftReg.sync();
+      placeComponent(shiftReg.element, data);
+    });
+
+    // LEDs, keeping their ids
+    leds.forEach(l => l.element.remove());
+    leds = [];
+    ledIdCounter = Math.max(0, ...project.leds.map(data => data.id + 1));
+    project.leds.forEach(data => {
+      const led = createLedComponent(data.id);
+      led.pin = data.pin;
+      led.element.querySelector('.pin-selector').value = data.pin || '';
+      led.color = data.color;
+      led.element.querySelector('.color-picker').value = data.color;
+      led.element.querySelector('.led-bulb').style.setProperty('--led-color', data.color);
+      led.resistor = data.resistor;
+      led.ground = data.ground;
+      led.reversed = data.reversed;
+      led.sync();
+      placeComponent(led.element, data);
+    });
+
+    // Buttons / Switches
+    inputs.forEach(i => {
+      i.element.remove();
+      simulator.setInput(i.id, null);
+    });
+    inputs = [];
+    project.inputs.forEach(data => {
+      const input = createInputComponent(data.kind);
+      input.pin = data.pin;
+      input.wiring = data.wiring;
+      input.bounce = data.bounce;
+      input.closed = input.kind === 'switch' && data.closed;
+      input.element.querySelector('.pin-selector').value = input.pin || '';
+      input.element.querySelector('.wiring-selector').value = input.wiring;
+      input.element.querySelector('.chk-bounce').checked = input.bounce;
+      input.sync();
+      placeComponent(input.element, data);
+    });
+
+    // Potentiometers / Light Sensors
+    analogs.forEach(a => {
+      a.element.remove();
+      simulator.setAnalogInput(a.id, null);
+    });
+    analogs = [];
+    project.analogs.forEach(data => {
+      const analog = createAnalogComponent(data.kind);
+      analog.pin = data.pin;
+      analog.value = data.value;
+      analog.element.querySelector('.pin-selector').value = analog.pin || '';
+      analog.sync();
+      placeComponent(analog.element, data);
+    });
+
+    // NeoPixel Strips
+    strips.forEach(s => s.element.remove());
+    strips = [];
+    project.strips.forEach(data => {
+      const strip = createStripComponent();
+      strip.pin = data.pin;
+      strip.count = data.count;
+      strip.layout = data.layout;
+      strip.columns = data.columns;
+      strip.element.querySelector('.pin-selector').value = strip.pin || '';
+      strip.sync();
+      placeComponent(strip.element, data);
+    });
+
+    // RGB LEDs
+    rgbLeds.forEach(r => r.element.remove());
+    rgbLeds = [];
+    project.rgbLeds.forEach(data => {
+      const rgb = createRgbComponent();
+      ['r', 'g', 'b'].forEach(ch => { rgb.pins[ch] = data.pins[ch] || null; });
+      rgb.common = data.common;
+      rgb.sync();
+      placeComponent(rgb.element, data);
+    });
+
+    // Seven-Segment Displays / Bar Graphs
+    displays.forEach(d => d.element.remove());
+    displays = [];
+    project.displays.forEach(data => {
+      const display = createDisplayComponent(data.kind);
+      Object.keys(display.pins).forEach(key => { display.pins[key] = data.pins[key] || null; });
+      display.common = data.common;
+      display.sync();
+      placeComponent(display.element, data);
+    });
+  }
+
+  // 7. Breadboard: components are placed freely and wired from the board's pin holes.
+  // The pin selectors stay the source of truth; wires are drawn from them
+  const GRID = 10;
+  const COMPONENT_GAP = 30;
+  const SVG_NS = 'http://www.w3.org/2000/svg';
+  const RESISTOR_BANDS = ['#111', '#8B4513', '#E02020', '#FF8000', '#FFE000', '#20A020', '#2050FF', '#A040FF', '#888', '#FFF'];
+
+  // Position of a component, for the project file
+  function componentPosition(el) {
+    return { x: parseInt(el.style.left, 10) || 0, y: parseInt(el.style.top, 10) || 0 };
+  }
+
+  // Move a component to a saved position; projects saved before the layout are placed automatically
+  function placeComponent(el, pos) {
+    if (!Number.isFinite(pos.x) || !Number.isFinite(pos.y)) return;
+    el.style.left = `${Math.max(0, pos.x)}px`;
+    el.style.top = `${Math.max(0, pos.y)}px`;
+    fitComponentsArea();
+    scheduleWires();
+  }
+
+  // New components take the first free spot, scanning rows from the top left
+  function autoPlace(el) {
+    const taken = [...componentsArea.querySelectorAll('.component')]
+      .filter(c => c !== el && c.style.left)
+      .map(c => ({ x: c.offsetLeft, y: c.offsetTop, w: c.offsetWidth, h: c.offsetHeight }));
+    const w = el.offsetWidth;
+    const h = el.offsetHeight;
+    const width = Math.max(componentsArea.clientWidth, w);
+    const free = (x, y) => taken.every(t =>
+      x >= t.x + t.w + COMPONENT_GAP || x + w + COMPONENT_GAP <= t.x ||
+      y >= t.y + t.h + COMPONENT_GAP || y + h + COMPONENT_GAP <= t.y);
+    for (let y = 0; ; y += GRID * 2) {
+      for (let x = 0; x + w <= width; x += GRID * 2) {
+        if (free(x, y)) {
+          placeComponent(el, { x, y });
+          return;
+        }
+      }
+    }
   }
 
-  // Turn off all
-  for (int j = 0; j < totalLEDs; j++) {
-    digitalWrite(leds[j], LOW);
+  // Grow the area so components dragged past its edge can be scrolled to
+  function fitComponentsArea() {
+    let right = 0;
+    let bottom = 0;
+    componentsArea.querySelectorAll('.component').forEach(c => {
+      right = Math.max(right, c.offsetLeft + c.offsetWidth);
+      bottom = Math.max(bottom, c.offsetTop + c.offsetHeight);
+    });
+    componentsArea.style.minWidth = right ? `${right + COMPONENT_GAP}px` : '';
+    componentsArea.style.height = bottom ? `${bottom + COMPONENT_GAP}px` : '';
   }
-}
 
-// ====== Pattern 5: Random Blink ======
-void pattern5() {
-  for (int i = 0; i < 10; i++) {
-    int randLED = random(0, totalLEDs);
-    digitalWrite(leds[randLED], HIGH);
-    delay(100);
-    digitalWrite(leds[randLED], LOW);
+  new MutationObserver(records => {
+    records.forEach(r => r.addedNodes.forEach(node => {
+      if (node.classList && node.classList.contains('component') && !node.style.left) autoPlace(node);
+    }));
+    fitComponentsArea();
+    scheduleWires();
+  }).observe(componentsArea, { childList: true });
+
+  // Drag a component by any part that isn't a control
+  componentsArea.addEventListener('pointerdown', (e) => {
+    const el = e.target.closest('.component');
+    if (!el || e.button !== 0) return;
+    if (e.target.closest('select, input, button, label, .input-actuator, .leg-gnd')) return;
+    e.preventDefault();
+    const start = { x: e.clientX, y: e.clientY, left: el.offsetLeft, top: el.offsetTop };
+    const snap = v => Math.max(0, Math.round(v / GRID) * GRID);
+    el.classList.add('dragging');
+    const move = (ev) => {
+      el.style.left = `${snap(start.left + ev.clientX - start.x)}px`;
+      el.style.top = `${snap(start.top + ev.clientY - start.y)}px`;
+      fitComponentsArea();
+      scheduleWires();
+    };
+    const up = () => {
+      el.classList.remove('dragging');
+      document.removeEventListener('pointermove', move);
+      document.removeEventListener('pointerup', up);
+    };
+    document.addEventListener('pointermove', move);
+    document.addEventListener('pointerup', up);
+  });
+
+  // --- Wires ---
+
+  let wiresPending = false;
+  function scheduleWires() {
+    if (wiresPending) return;
+    wiresPending = true;
+    requestAnimationFrame(() => {
+      wiresPending = false;
+      drawWires();
+    });
   }
-}`
-  };
 
-  templateSelect.addEventListener('change', (e) => {
-    const key = e.target.value;
-    if (key && templates[key]) {
-      codeEditor.value = templates[key];
+  // A point in the board container's scrolled coordinates, which the wire layer uses
+  function containerPoint(clientX, clientY) {
+    const box = boardContainer.getBoundingClientRect();
+    return { x: clientX - box.left + boardContainer.scrollLeft, y: clientY - box.top + boardContainer.scrollTop };
+  }
+
+  function anchor(el, side = 'center') {
+    const r = el.getBoundingClientRect();
+    const x = side === 'left' ? r.left : side === 'right' ? r.right : r.left + r.width / 2;
+    return containerPoint(x, r.top + r.height / 2);
+  }
+
+  // Where a wire to `pin` starts: a board pin hole, or a 74HC595 output
+  function wireSource(pin) {
+    const output = /^(.+):Q([0-7]|7S)$/.exec(pin);
+    if (!output) return boardEl.querySelector(`.pin-row[data-pin="${pin}"] .pin-hole`);
+    const shiftReg = shiftRegs.find(sr => sr.id === output[1]);
+    if (!shiftReg) return null;
+    return output[2] === '7S' ? shiftReg.element.querySelector('.shiftreg-outputs') : shiftReg.outputs[output[2]];
+  }
+
+  function setWirePath(path, from, to) {
+    const bend = Math.max(30, Math.abs(to.x - from.x) / 2);
+    path.setAttribute('d', `M ${from.x} ${from.y} C ${from.x + bend} ${from.y}, ${to.x - bend} ${to.y}, ${to.x} ${to.y}`);
+  }
+
+  function addWire(from, to, kind, title, onRemove) {
+    const path = document.createElementNS(SVG_NS, 'path');
+    path.setAttribute('class', `wire ${kind}`);
+    setWirePath(path, from, to);
+    if (title) {
+      const tip = document.createElementNS(SVG_NS, 'title');
+      tip.textContent = `${title} (click to remove)`;
+      path.appendChild(tip);
+    }
+    if (onRemove) path.addEventListener('click', onRemove);
+    wireLayer.appendChild(path);
+    return path;
+  }
+
+  // A resistor sits halfway along the wire, turned to follow it, with its colour code
+  function addResistor(from, to, ohms) {
+    const bend = Math.max(30, Math.abs(to.x - from.x) / 2);
+    const angle = Math.atan2(to.y - from.y, to.x - from.x - bend) * 180 / Math.PI;
+    const digits = String(ohms);
+    const bands = [digits[0], digits[1] || '0', digits.length - 2].map(d => RESISTOR_BANDS[Math.max(0, Number(d))]);
+    const g = document.createElementNS(SVG_NS, 'g');
+    g.setAttribute('class', 'resistor');
+    g.setAttribute('transform', `translate(${(from.x + to.x) / 2} ${(from.y + to.y) / 2}) rotate(${angle})`);
+    const body = document.createElementNS(SVG_NS, 'rect');
+    Object.entries({ x: -11, y: -4, width: 22, height: 8, rx: 3 }).forEach(([k, v]) => body.setAttribute(k, v));
+    g.appendChild(body);
+    bands.forEach((color, i) => {
+      const band = document.createElementNS(SVG_NS, 'rect');
+      Object.entries({ x: -6 + i * 4, y: -4, width: 2, height: 8, fill: color }).forEach(([k, v]) => band.setAttribute(k, v));
+      g.appendChild(band);
+    });
+    const tip = document.createElementNS(SVG_NS, 'title');
+    tip.textContent = formatOhms(ohms);
+    g.appendChild(tip);
+    wireLayer.appendChild(g);
+  }
+
+  function drawWires() {
+    wireLayer.innerHTML = '';
+    // Measure without the old layer, so the area can shrink when components move back
+    wireLayer.setAttribute('width', 0);
+    wireLayer.setAttribute('height', 0);
+    wireLayer.setAttribute('width', boardContainer.scrollWidth);
+    wireLayer.setAttribute('height', boardContainer.scrollHeight);
+
+    componentsArea.querySelectorAll('.pin-selector').forEach(select => {
+      if (!select.value) return;
+      const source = wireSource(select.value);
+      if (!source) return;
+      const from = anchor(source, /:Q7S$/.test(select.value) ? 'right' : 'center');
+      const to = anchor(select, 'left');
+      const label = select.options[select.selectedIndex].textContent;
+      addWire(from, to, 'signal', `Wire from ${label}`, () => {
+        select.value = '';
+        select.dispatchEvent(new Event('change', { bubbles: true }));
+      });
+      const led = leds.find(l => l.element.contains(select));
+      if (led && led.resistor) addResistor(from, to, led.resistor);
+    });
+
+    // LED cathodes to the board's GND
+    const gnd = boardEl.querySelector('.pin-row[data-pin="GND"] .pin-hole');
+    if (gnd) {
+      leds.forEach(led => {
+        if (!led.ground) return;
+        addWire(anchor(gnd), anchor(led.element.querySelector('.leg-gnd')), 'ground', 'GND wire', () => {
+          led.ground = false;
+          led.sync();
+          scheduleWires();
+        });
+      });
     }
+  }
+
+  // Drag from a pin hole on the board to a component's leg to wire it
+  boardEl.addEventListener('pointerdown', (e) => {
+    const hole = e.target.closest('.pin-hole');
+    if (!hole || e.button !== 0) return;
+    e.preventDefault();
+    const pin = hole.parentElement.dataset.pin;
+    const from = anchor(hole);
+    const draft = addWire(from, from, 'draft');
+    const move = (ev) => setWirePath(draft, from, containerPoint(ev.clientX, ev.clientY));
+    const up = (ev) => {
+      document.removeEventListener('pointermove', move);
+      document.removeEventListener('pointerup', up);
+      draft.remove();
+      connectWire(pin, document.elementFromPoint(ev.clientX, ev.clientY));
+    };
+    document.addEventListener('pointermove', move);
+    document.addEventListener('pointerup', up);
   });
 
-  // 5. Download
-  btnDownload.addEventListener('click', () => {
-    const text = codeEditor.value;
-    const blob = new Blob([text], { type: 'text/plain' });
+  function connectWire(pin, target) {
+    const leg = target && target.closest('.leg-gnd');
+    if (leg) {
+      const led = leds.find(l => l.element.contains(leg));
+      if (pin !== 'GND') {
+        simulator.log(`The LED's cathode ⏚ goes to GND, not ${pin}`, 'warning');
+        return;
+      }
+      led.ground = true;
+      led.sync();
+      scheduleWires();
+      return;
+    }
+    const select = target && target.closest('.pin-selector');
+    if (!select || !componentsArea.contains(select)) return;
+    if (![...select.options].some(o => o.value === pin)) {
+      simulator.log(`Pin ${pin} can't be wired to that leg`, 'warning');
+      return;
+    }
+    select.value = pin;
+    select.dispatchEvent(new Event('change', { bubbles: true }));
+  }
+
+  // Anything that can move a leg or a pin hole redraws the wires
+  ['change', 'input', 'click'].forEach(type => componentsArea.addEventListener(type, scheduleWires));
+  new MutationObserver(scheduleWires).observe(boardEl, { childList: true });
+  new ResizeObserver(scheduleWires).observe(componentsArea);
+  window.addEventListener('resize', scheduleWires);
+
+  // 8. Logic analyzer: every pin change with its virtual time, drawn as traces under the
+  // breadboard, with two cursors, period/duty measurements and VCD export
+  const capture = new LogicCapture();
+  const analyzer = document.getElementById('analyzer');
+  const analyzerBody = document.getElementById('analyzer-body');
+  const analyzerCanvas = document.getElementById('analyzer-canvas');
+  const analyzerReadout = document.getElementById('analyzer-readout');
+  const btnAnalyzer = document.getElementById('btn-analyzer');
+  const btnAnalyzerLive = document.getElementById('btn-analyzer-live');
+  const TRACE_LABEL_PX = 150;
+  const TRACE_ROW_PX = 26;
+  const TRACE_RULER_PX = 18;
+  const TRACE_ZOOM = 1.5;
+  const traceView = { usPerPx: 2500, end: 0, live: true, cursorA: null, cursorB: null, dirty: true };
+
+  function resetCapture() {
+    capture.reset();
+    Object.assign(traceView, { end: 0, live: true, cursorA: null, cursorB: null, dirty: true });
+  }
+
+  function formatTime(us) {
+    const abs = Math.abs(us);
+    if (abs >= 1e6) return `${+(us / 1e6).toFixed(3)} s`;
+    if (abs >= 1e3) return `${+(us / 1e3).toFixed(3)} ms`;
+    return `${+us.toFixed(1)} µs`;
+  }
+
+  function formatHz(hz) {
+    return hz >= 1000 ? `${+(hz / 1000).toFixed(2)} kHz` : `${+hz.toFixed(2)} Hz`;
+  }
+
+  function traceLabel(pin) {
+    const output = /^(.+):Q([0-7])$/.exec(pin);
+    const shiftReg = output && shiftRegs.find(sr => sr.id === output[1]);
+    if (shiftReg) return `595#${shiftReg.number} Q${output[2]}`;
+    return /^\d+$/.test(pin) ? `D${pin}` : pin;
+  }
+
+  // Board pins in board order, then 74HC595 outputs
+  function traceChannels() {
+    const order = simulator.board.pins.map(p => String(p.id));
+    const rank = pin => (order.includes(pin) ? order.indexOf(pin) : order.length);
+    return [...capture.channels.keys()]
+      .sort((a, b) => rank(a) - rank(b) || a.localeCompare(b))
+      .map(pin => ({ pin, name: traceLabel(pin), pwmHz: simulator.pwmFrequency(order.includes(pin) ? pin : 'default') }));
+  }
+
+  function drawAnalyzer() {
+    const channels = traceChannels();
+    // The canvas grows to fit every trace and the panel scrolls
+    const height = Math.max(analyzerBody.clientHeight, TRACE_RULER_PX + channels.length * TRACE_ROW_PX + 4);
+    analyzerCanvas.style.height = `${height}px`;
+    const ctx = analyzerCanvas.getContext('2d');
+    const ratio = window.devicePixelRatio || 1;
+    const width = analyzerCanvas.clientWidth;
+    if (analyzerCanvas.width !== Math.round(width * ratio) || analyzerCanvas.height !== Math.round(height * ratio)) {
+      analyzerCanvas.width = Math.round(width * ratio);
+      analyzerCanvas.height = Math.round(height * ratio);
+    }
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+    ctx.font = '11px "Courier Prime", monospace';
+    ctx.textBaseline = 'middle';
+
+    const now = simulator.clock.micros();
+    if (traceView.live) traceView.end = now;
+    const plot = width - TRACE_LABEL_PX;
+    const start = traceView.end - plot * traceView.usPerPx;
+    const toX = t => TRACE_LABEL_PX + (t - start) / traceView.usPerPx;
+
+    // Time ruler with 1/2/5 steps about 100 px apart
+    const raw = traceView.usPerPx * 100;
+    const decade = 10 ** Math.floor(Math.log10(raw));
+    const step = [1, 2, 5, 10].map(m => m * decade).find(s => s >= raw);
+    ctx.fillStyle = '#555';
+    ctx.strokeStyle = '#1a1a25';
+    for (let t = Math.ceil(Math.max(0, start) / step) * step; t <= traceView.end; t += step) {
+      const x = toX(t);
+      ctx.beginPath();
+      ctx.moveTo(x, TRACE_RULER_PX);
+      ctx.lineTo(x, height);
+      ctx.stroke();
+      ctx.fillText(formatTime(t), x + 3, TRACE_RULER_PX / 2);
+    }
+
+    const measureAt = traceView.cursorA !== null ? traceView.cursorA : traceView.end;
+    channels.forEach((channel, row) => {
+      const top = TRACE_RULER_PX + row * TRACE_ROW_PX + 5;
+      const bottom = top + TRACE_ROW_PX - 10;
+      const changes = capture.channels.get(channel.pin);
+
+      ctx.fillStyle = '#aaa';
+      ctx.fillText(channel.name, 8, (top + bottom) / 2);
+      const m = capture.measure(channel.pin, measureAt, channel.pwmHz);
+      if (m) {
+        ctx.fillStyle = '#666';
+        ctx.fillText(`${formatTime(m.period)} ${Math.round(m.duty * 100)}%`, 64, (top + bottom) / 2);
+      }
+
+      ctx.save();
+      ctx.beginPath();
+      ctx.rect(TRACE_LABEL_PX, 0, plot, height);
+      ctx.clip();
+      ctx.strokeStyle = '#0aff00';
+      ctx.fillStyle = 'rgba(10, 255, 0, 0.25)';
+      ctx.beginPath();
+      let i = LogicCapture.indexAt(changes, start);
+      let lastY = null;
+      while (i < changes.length && changes[i].t <= traceView.end) {
+        const change = changes[i];
+        const x0 = Math.max(TRACE_LABEL_PX, toX(change.t));
+        const x1 = i + 1 < changes.length ? Math.min(toX(changes[i + 1].t), width) : toX(traceView.live ? now : traceView.end);
+        if (x1 - x0 < 1 && i + 1 < changes.length) {
+          // Several changes within this pixel: draw a solid bar and skip past them
+          ctx.moveTo(Math.floor(x0) + 0.5, top);
+          ctx.lineTo(Math.floor(x0) + 0.5, bottom);
+          i = Math.max(i + 1, LogicCapture.indexAt(changes, start + (Math.floor(x0) + 1 - TRACE_LABEL_PX) * traceView.usPerPx));
+          lastY = null;
+          continue;
+        }
+        const level = LogicCapture.level(change);
+        if (LogicCapture.isPwm(change)) {
+          ctx.fillRect(x0, bottom - (bottom - top) * level, x1 - x0, (bottom - top) * level);
+          if (x1 - x0 > 60) {
+            ctx.save();
+            ctx.fillStyle = '#0aff00';
+            ctx.fillText(`PWM ${Math.round(level * 100)}%`, x0 + 4, (top + bottom) / 2);
+            ctx.restore();
+          }
+        }
+        const y = level === 1 ? top : bottom;
+        if (lastY !== null && lastY !== y) ctx.lineTo(x0, y);
+        else ctx.moveTo(x0, y);
+        ctx.lineTo(x1, y);
+        lastY = y;
+        i++;
+      }
+      ctx.stroke();
+      ctx.restore();
+    });
+    if (channels.length === 0) {
+      ctx.fillStyle = '#555';
+      ctx.fillText('Run a sketch: pin changes are recorded here.', TRACE_LABEL_PX, TRACE_RULER_PX + TRACE_ROW_PX / 2);
+    }
+
+    // Cursors and the time between them
+    [['cursorA', '#00f3ff'], ['cursorB', '#bc13fe']].forEach(([key, color]) => {
+      const t = traceView[key];
+      if (t === null) return;
+      const x = toX(t);
+      if (x < TRACE_LABEL_PX || x > width) return;
+      ctx.strokeStyle = color;
+      ctx.beginPath();
+      ctx.moveTo(x, 0);
+      ctx.lineTo(x, height);
+      ctx.stroke();
+    });
+    const { cursorA, cursorB } = traceView;
+    let readout = cursorA !== null ? `A ${formatTime(cursorA)}` : '';
+    if (cursorB !== null) readout += `  B ${formatTime(cursorB)}`;
+    if (cursorA !== null && cursorB !== null && cursorA !== cursorB) {
+      const delta = Math.abs(cursorB - cursorA);
+      readout += `  Δ ${formatTime(delta)} (${formatHz(1e6 / delta)})`;
+    }
+    analyzerReadout.textContent = readout;
+    btnAnalyzerLive.classList.toggle('active', traceView.live);
+    traceView.dirty = false;
+  }
+
+  const analyzerFrame = () => {
+    if (!analyzer.classList.contains('open')) return;
+    if (traceView.dirty || (traceView.live && simulator.isRunning)) drawAnalyzer();
+    requestAnimationFrame(analyzerFrame);
+  };
+
+  btnAnalyzer.addEventListener('click', () => {
+    analyzer.classList.toggle('open');
+    btnAnalyzer.classList.toggle('active', analyzer.classList.contains('open'));
+    traceView.dirty = true;
+    requestAnimationFrame(analyzerFrame);
+    scheduleWires();
+  });
+
+  // Zooms by `factor` keeping the time under x (the right edge when following) in place
+  function zoomAnalyzer(factor, x) {
+    const width = analyzerCanvas.clientWidth;
+    const anchor = traceView.live || x === undefined ? width : x;
+    const t = traceView.end - (width - anchor) * traceView.usPerPx;
+    traceView.usPerPx = Math.min(1e6, Math.max(0.01, traceView.usPerPx * factor));
+    traceView.end = t + (width - anchor) * traceView.usPerPx;
+    traceView.dirty = true;
+  }
+
+  document.getElementById('btn-analyzer-zoom-in').addEventListener('click', () => zoomAnalyzer(1 / TRACE_ZOOM));
+  document.getElementById('btn-analyzer-zoom-out').addEventListener('click', () => zoomAnalyzer(TRACE_ZOOM));
+  btnAnalyzerLive.addEventListener('click', () => {
+    traceView.live = true;
+    traceView.dirty = true;
+  });
+
+  analyzerCanvas.addEventListener('wheel', (e) => {
+    e.preventDefault();
+    const rect = analyzerCanvas.getBoundingClientRect();
+    zoomAnalyzer(e.deltaY > 0 ? TRACE_ZOOM : 1 / TRACE_ZOOM, e.clientX - rect.left);
+  }, { passive: false });
+
+  // Dragging scrolls through time; a click without dragging places a cursor
+  let traceDrag = null;
+  analyzerCanvas.addEventListener('pointerdown', (e) => {
+    if (e.button !== 0) return;
+    traceDrag = { x: e.clientX, end: traceView.end, moved: false };
+    analyzerCanvas.setPointerCapture(e.pointerId);
+  });
+  analyzerCanvas.addEventListener('pointermove', (e) => {
+    if (!traceDrag) return;
+    const dx = e.clientX - traceDrag.x;
+    if (Math.abs(dx) < 3 && !traceDrag.moved) return;
+    traceDrag.moved = true;
+    traceView.live = false;
+    traceView.end = Math.min(simulator.clock.micros(), traceDrag.end - dx * traceView.usPerPx);
+    traceView.dirty = true;
+  });
+  analyzerCanvas.addEventListener('pointerup', (e) => {
+    if (!traceDrag) return;
+    const moved = traceDrag.moved;
+    traceDrag = null;
+    if (moved) return;
+    const rect = analyzerCanvas.getBoundingClientRect();
+    const x = e.clientX - rect.left;
+    if (x < TRACE_LABEL_PX) return;
+    const t = traceView.end - (analyzerCanvas.clientWidth - x) * traceView.usPerPx;
+    traceView[e.shiftKey ? 'cursorB' : 'cursorA'] = Math.max(0, t);
+    traceView.dirty = true;
+  });
+  analyzerCanvas.addEventListener('contextmenu', (e) => {
+    e.preventDefault();
+    traceView.cursorA = null;
+    traceView.cursorB = null;
+    traceView.dirty = true;
+  });
+
+  document.getElementById('btn-analyzer-vcd').addEventListener('click', () => {
+    if (capture.channels.size === 0) {
+      simulator.log('The logic analyzer has nothing to export yet; run a sketch first', 'warning');
+      return;
+    }
+    const vcd = capture.toVCD(traceChannels(), simulator.clock.micros(), simulator.board.name);
+    const blob = new Blob([vcd], { type: 'text/plain' });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = 'sketch.ino';
+    a.download = 'capture.vcd';
     a.click();
     URL.revokeObjectURL(url);
   });
 
-  // 6. Save/Load Project
-  btnSave.addEventListener('click', () => {
-    const project = {
-      code: codeEditor.value,
-      leds: leds.map(l => ({
-        id: l.id,
-        pin: l.pin,
-        color: l.color
-      }))
+  // 9. Workspace: sketches autosaved in this browser and switched from the sidebar, and share
+  // links that carry a whole project in the URL (workspace.js)
+  const AUTOSAVE_MS = 1000;
+  const SHARE_URL_LONG = 2000; // Some chat apps and URL shorteners cut links longer than this
+  const sketchesPane = document.getElementById('sketches-pane');
+  const sketchList = document.getElementById('sketch-list');
+  const sketchName = document.getElementById('sketch-name');
+  const btnSketches = document.getElementById('btn-sketches');
+  const btnSketchRevert = document.getElementById('btn-sketch-revert');
+  const store = new ProjectStore(browserStorage());
+  let savedJson = null;       // The project as last saved, so unchanged work isn't written again
+  let storageFailed = false;  // A failed save is reported once until saving works again
+
+  // localStorage, or for this page only when the browser refuses it (some private modes)
+  function browserStorage() {
+    try {
+      const storage = window.localStorage;
+      storage.getItem(WORKSPACE_KEY);
+      return storage;
+    } catch (e) {
+      simulator.log('Autosave is off: this browser does not allow local storage. Use SAVE to keep your work.', 'warning');
+      const items = new Map();
+      return {
+        getItem: key => (items.has(key) ? items.get(key) : null),
+        setItem: (key, value) => items.set(key, String(value)),
+        removeItem: key => items.delete(key)
+      };
+    }
+  }
+
+  function saveProject(replacing = false) {
+    const project = projectData();
+    try {
+      store.save(store.current, project, replacing);
+      savedJson = JSON.stringify(project);
+      storageFailed = false;
+    } catch (e) {
+      if (!storageFailed) simulator.log('Autosave failed: browser storage is full. Delete old sketches or use SAVE.', 'error');
+      storageFailed = true;
+    }
+    if (sketchesPane.classList.contains('open')) renderSketches();
+  }
+
+  function autosave() {
+    if (!store.current || JSON.stringify(projectData()) === savedJson) return;
+    saveProject();
+  }
+
+  // Replaces the open project wholesale (a file, a template); REVERT brings back what it replaced
+  function replaceProject(apply) {
+    autosave();
+    apply();
+    saveProject(true);
+    renderSketches();
+  }
+
+  function projectProblems(e) {
+    return e instanceof ProjectError ? e.problems.join('; ') : e.message;
+  }
+
+  // Shows a saved sketch without saving the one on screen first; false when it can't be
+  // loaded, leaving the open sketch as it was
+  function showSketch(id) {
+    try {
+      loadProject(store.load(id));
+    } catch (e) {
+      console.error(e);
+      simulator.log(`"${(store.find(id) || {}).name || id}" could not be opened: ${projectProblems(e)}`, 'error');
+      return false;
+    }
+    store.open(id);
+    savedJson = JSON.stringify(projectData());
+    renderSketches();
+    return true;
+  }
+
+  function blankProject() {
+    return {
+      ...projectData(),
+      code: templates.blink,
+      leds: [], inputs: [], analogs: [], strips: [], rgbLeds: [], displays: [], shiftRegisters: []
     };
-    const blob = new Blob([JSON.stringify(project, null, 2)], { type: 'application/json' });
+  }
+
+  // Adds a sketch and opens it; false when the storage is full, leaving the page as it is
+  function createSketch(name, project) {
+    let id;
+    try {
+      id = store.create(name, project);
+    } catch (e) {
+      simulator.log(`"${name}" could not be created: browser storage is full. Delete old sketches or use SAVE.`, 'error');
+      return false;
+    }
+    return showSketch(id);
+  }
+
+  function newSketch() {
+    autosave();
+    createSketch(store.uniqueName(`Sketch ${store.sketches.length + 1}`), blankProject());
+  }
+
+  function renderSketches() {
+    const current = store.find(store.current);
+    sketchName.textContent = current ? `— ${current.name}` : '';
+    btnSketchRevert.disabled = !current || !store.canRevert(current.id);
+    sketchList.innerHTML = '';
+    store.sketches.forEach(sketch => {
+      const item = document.createElement('li');
+      item.className = 'sketch-item';
+      item.classList.toggle('current', sketch.id === store.current);
+      item.dataset.id = sketch.id;
+      const name = document.createElement('span');
+      name.className = 'sketch-item-name';
+      name.textContent = sketch.name;
+      const updated = document.createElement('span');
+      updated.className = 'sketch-item-time';
+      updated.textContent = new Date(sketch.updated).toLocaleString();
+      const rename = document.createElement('button');
+      rename.className = 'icon-btn sketch-rename';
+      rename.title = 'Rename';
+      rename.textContent = '✎';
+      const remove = document.createElement('button');
+      remove.className = 'icon-btn sketch-delete';
+      remove.title = 'Delete';
+      remove.textContent = '🗑';
+      item.append(name, updated, rename, remove);
+      sketchList.appendChild(item);
+    });
+  }
+
+  sketchList.addEventListener('click', (e) => {
+    const item = e.target.closest('.sketch-item');
+    if (!item) return;
+    const sketch = store.find(item.dataset.id);
+    if (e.target.closest('.sketch-rename')) {
+      const name = prompt('Rename sketch:', sketch.name);
+      if (name && name.trim()) store.rename(sketch.id, name.trim());
+      renderSketches();
+    } else if (e.target.closest('.sketch-delete')) {
+      if (!confirm(`Delete "${sketch.name}"? It can't be recovered afterwards.`)) return;
+      store.remove(sketch.id);
+      if (store.current) renderSketches();
+      else if (store.sketches.length === 0 || !showSketch(store.latest().id)) newSketch();
+    } else if (sketch.id !== store.current) {
+      autosave();
+      showSketch(sketch.id);
+    }
+  });
+
+  btnSketches.addEventListener('click', () => {
+    sketchesPane.classList.toggle('open');
+    btnSketches.classList.toggle('active', sketchesPane.classList.contains('open'));
+    renderSketches();
+    scheduleWires();
+  });
+
+  document.getElementById('btn-sketch-new').addEventListener('click', newSketch);
+
+  btnSketchRevert.addEventListener('click', () => {
+    autosave();
+    const project = store.revert(store.current);
+    if (!project) return;
+    try {
+      loadProject(project);
+    } catch (e) {
+      store.revert(store.current);
+      simulator.log(`The previous version could not be loaded: ${projectProblems(e)}`, 'error');
+      return;
+    }
+    savedJson = JSON.stringify(projectData());
+    renderSketches();
+  });
+
+  document.getElementById('btn-sketch-share').addEventListener('click', async () => {
+    const url = location.href.split('#')[0] + await encodeShareFragment(projectData());
+    if (url.length > SHARE_URL_LONG) {
+      simulator.log(`The share link is ${url.length} characters long; some chat apps cut links this long`, 'warning');
+    }
+    try {
+      await navigator.clipboard.writeText(url);
+      simulator.log('Share link copied to the clipboard', 'system');
+    } catch (e) {
+      prompt('Copy this link to share the sketch and its circuit:', url);
+    }
+  });
+
+  // A share link opens as a sketch of its own, so it never overwrites one
+  async function openSharedLink() {
+    let project = null;
+    let damaged = false;
+    try {
+      const data = await decodeShareFragment(location.hash);
+      // Checked before it's added, so a bad link leaves no broken sketch behind
+      if (data) project = readProject(data, displayPins);
+    } catch (e) {
+      damaged = true;
+      const why = e instanceof ProjectError ? projectProblems(e) : `it is damaged or incomplete (${e.message})`;
+      simulator.log(`This share link could not be opened: ${why}`, 'error');
+    }
+    if (!project && !damaged) return false;
+    // Dropped from the address bar, so a reload shows the saved sketch rather than a second copy
+    history.replaceState(null, '', location.pathname + location.search);
+    if (damaged) return false;
+    autosave();
+    return createSketch(store.uniqueName('Shared sketch'), project);
+  }
+
+  window.addEventListener('hashchange', openSharedLink);
+  window.addEventListener('pagehide', autosave);
+
+  (async () => {
+    const opened = (location.hash && await openSharedLink()) || (store.current && showSketch(store.current));
+    // On the first visit, or when the saved sketch can't be opened, the page as it is becomes
+    // a new sketch
+    if (!opened) createSketch(store.uniqueName(`Sketch ${store.sketches.length + 1}`), projectData());
+    setInterval(autosave, AUTOSAVE_MS);
+  })();
+
+  // 10. Export: the sketch run from power-up for a set time on the virtual clock, and the
+  // breadboard drawn frame by frame into an animated GIF or a WebM video (recorder.js, gif.js),
+  // with an optional PNG sheet of every light's colour in every frame
+  const EXPORT_MAX_SECONDS = 60;
+  const exportPanel = document.getElementById('export-panel');
+  const btnExport = document.getElementById('btn-export');
+  const btnExportRecord = document.getElementById('btn-export-record');
+  const exportSeconds = document.getElementById('export-seconds');
+  const exportFps = document.getElementById('export-fps');
+  const exportScale = document.getElementById('export-scale');
+  const exportFormat = document.getElementById('export-format');
+  const chkExportSheet = document.getElementById('chk-export-sheet');
+  const exportReadout = document.getElementById('export-readout');
+  let exportCancelled = false;
+
+  btnExport.addEventListener('click', () => {
+    exportPanel.classList.toggle('open');
+    btnExport.classList.toggle('active', exportPanel.classList.contains('open'));
+    scheduleWires();
+  });
+
+  btnExportRecord.addEventListener('click', () => {
+    if (exporting) exportCancelled = true;
+    else exportAnimation();
+  });
+
+  function downloadBlob(blob, name) {
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = 'neoled_project.json';
+    a.download = name;
     a.click();
     URL.revokeObjectURL(url);
-  });
+  }
 
-  fileLoad.addEventListener('change', (e) => {
-    const file = e.target.files[0];
-    if (!file) return;
+  // Exports are named after the sketch
+  function exportName(suffix) {
+    const sketch = store.find(store.current);
+    return `${(sketch ? sketch.name : 'neoled').replace(/[^\w-]+/g, '_')}${suffix}`;
+  }
 
-    const reader = new FileReader();
-    reader.onload = (event) => {
-      try {
-        const project = JSON.parse(event.target.result);
+  async function exportAnimation() {
+    const format = exportFormat.value;
+    if (format === 'webm' && !WebmRecorder.supported) {
+      simulator.log('This browser cannot record WebM video; export a GIF instead', 'error');
+      return;
+    }
+    const seconds = Math.min(EXPORT_MAX_SECONDS, Math.max(0.1, parseFloat(exportSeconds.value) || 0));
+    exportSeconds.value = seconds;
+    const fps = parseInt(exportFps.value, 10);
+    const scale = parseFloat(exportScale.value);
+    const frames = Math.round(seconds * fps);
+
+    if (simulator.isRunning) simulator.stop();
+    const painter = new ScenePainter(boardContainer, { skip: '.instruction-text' });
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(painter.width * scale);
+    canvas.height = Math.round(painter.height * scale);
+    const ctx = canvas.getContext('2d', { willReadFrequently: format === 'gif' });
+    const video = format === 'gif' ? new GifEncoder(canvas.width, canvas.height) : new WebmRecorder(canvas, fps);
+    const sheet = chkExportSheet.checked ? new LightSheet() : null;
 
-        // Load Code
-        if (project.code) codeEditor.value = project.code;
-
-        // Load LEDs
-        if (project.leds && Array.isArray(project.leds)) {
-          // Clear existing
-          document.querySelectorAll('.led-component').forEach(el => el.remove());
-          leds = [];
-          ledIdCounter = 0; // Reset or continue? Safe to continue or reset if we clear leds.
-
-          // Recreate
-          project.leds.forEach(ledData => {
-            createLedComponent(); // Adds to end of Main leds array
-            const newLed = leds[leds.length - 1];
-
-            // Restore properties
-            newLed.pin = ledData.pin;
-            newLed.color = ledData.color;
-            newLed.id = ledData.id; // Keep original ID if needed, or let createLedComponent assign new one.
-            // Actually createLedComponent increments counter. 
-            // Let's just update the UI specific to this new LED
-
-            // Update UI Pin
-            const select = newLed.element.querySelector('.pin-selector');
-            select.value = ledData.pin || "";
-
-            // Update UI Color
-            const colorPicker = newLed.element.querySelector('.color-picker');
-            colorPicker.value = ledData.color;
-            newLed.element.querySelector('.led-bulb').style.setProperty('--led-color', ledData.color);
-          });
+    exporting = true;
+    exportCancelled = false;
+    boardContainer.classList.add('exporting'); // No CSS transitions, so every frame is settled
+    btnExportRecord.textContent = '⏹ CANCEL';
+    resetCapture();
+    editor.setErrors([]);
+    setSimStatus('RUNNING');
+    btnRun.disabled = true;
+    btnPause.disabled = true;
+
+    // Run in exact steps, as headless.js does; a breakpoint would hold the sketch for good
+    const clock = simulator.clock;
+    simulator.setSpeed(Infinity);
+    simulator.setBreakpoints([]);
+    clock.setLimit(0);
+    const done = simulator.run(codeEditor.value);
+    const runTo = (us) => new Promise(resolve => {
+      clock.onHold = resolve;
+      done.then(resolve);
+      clock.setLimit(us);
+    });
+    const frameUs = 1e6 / fps;
+    const keep = Math.exp(-1000 / fps / PERSISTENCE_MS);
+    let failure = null;
+    try {
+      for (let i = 0; i < frames && !exportCancelled; i++) {
+        await runTo(i * frameUs);
+        if (!simulator.isRunning) {
+          failure = 'SKETCH FAILED'; // The error is in the console and marked in the editor
+          break;
         }
-        alert("Project loaded successfully!");
-      } catch (err) {
-        console.error(err);
-        alert("Error loading project file.");
+        // Bring everything that lights up to this instant
+        leds.forEach(led => led.render());
+        rgbLeds.forEach(rgb => rgb.render());
+        strips.forEach(strip => strip.render());
+        displays.forEach(display => display.frame(keep));
+        painter.paint(ctx, scale);
+        if (sheet) sheet.addFrame(painter.lightColors());
+        if (format === 'gif') {
+          video.addFrame(ctx.getImageData(0, 0, canvas.width, canvas.height).data, 1000 / fps);
+          await VirtualClock.timeout(0); // Let the page show progress and take a cancel
+        } else {
+          await video.addFrame();
+        }
+        exportReadout.textContent = `FRAME ${i + 1}/${frames}`;
       }
-    };
-    reader.readAsText(file);
-    // Reset input
-    e.target.value = '';
+    } catch (e) {
+      failure = 'EXPORT FAILED';
+      simulator.log(`The export failed: ${e.message}`, 'error');
+      console.error(e);
+    } finally {
+      exporting = false;
+      displaysPending = false;
+      clock.onHold = null;
+      clock.setLimit(Infinity);
+      simulator.setSpeed(slowMotion ? PWM_SLOW_MOTION : selectedSpeed());
+      simulator.setBreakpoints(editor.breakpoints);
+      if (simulator.isRunning) simulator.stop();
+      boardContainer.classList.remove('exporting');
+      btnExportRecord.textContent = '⏺ RECORD';
+      btnRun.disabled = false;
+      setSimStatus('STOPPED');
+    }
+
+    const blob = await video.finish();
+    if (failure || exportCancelled) {
+      exportReadout.textContent = failure || 'CANCELLED';
+      return;
+    }
+    downloadBlob(blob, exportName(`.${format}`));
+    if (sheet) downloadBlob(await sheet.toBlob(), exportName('-leds.png'));
+    exportReadout.textContent = `${frames} FRAMES, ${Math.ceil(blob.size / 1024)} KB`;
+    simulator.log(`Exported ${seconds} s of the sketch as ${format.toUpperCase()}: ${frames} frames at ${fps} fps`, 'system');
+  }
+
+  // 11. Pattern designer: a grid of LED brightness per time step (pattern.js), played on the
+  // breadboard's LEDs without a sketch, written into the editor as one, or read back from the
+  // pins the logic analyzer recorded
+  const PATTERN_LABEL_PX = 56;
+  const PATTERN_CELL_PX = 22;
+  const PATTERN_ROW_PX = 22;
+  const PATTERN_RULER_PX = 18;
+  const PATTERN_WHEEL_STEP = 16;
+  const PATTERN_MAX_STEP_MS = 10000;
+  const patternPanel = document.getElementById('pattern-panel');
+  const patternCanvas = document.getElementById('pattern-canvas');
+  const patternSteps = document.getElementById('pattern-steps');
+  const patternStepMs = document.getElementById('pattern-step-ms');
+  const patternBrush = document.getElementById('pattern-brush');
+  const patternReadout = document.getElementById('pattern-readout');
+  const btnPattern = document.getElementById('btn-pattern');
+  const btnPatternPreview = document.getElementById('btn-pattern-preview');
+  const patternView = { dirty: true, rows: '' };
+  let pattern = new LedPattern();
+  let patternPaint = null; // Level a drag paints, set by the cell it started on
+
+  // A row per board pin with an LED, in board order and the colour of its first LED. LEDs on
+  // 74HC595 outputs have no row: the sketch can't write to them directly
+  function patternRows() {
+    const order = simulator.board.pins.filter(p => !p.analogOnly && !p.inputOnly).map(p => String(p.id));
+    const rows = [];
+    leds.forEach(led => {
+      const pin = String(led.pin);
+      if (order.includes(pin) && !rows.some(row => row.pin === pin)) rows.push({ pin, color: led.color });
+    });
+    return rows.sort((a, b) => order.indexOf(a.pin) - order.indexOf(b.pin));
+  }
+
+  function drawPattern(rows) {
+    const width = PATTERN_LABEL_PX + pattern.steps * PATTERN_CELL_PX + 1;
+    const height = PATTERN_RULER_PX + Math.max(1, rows.length) * PATTERN_ROW_PX + 1;
+    patternCanvas.style.width = `${width}px`;
+    patternCanvas.style.height = `${height}px`;
+    const ctx = patternCanvas.getContext('2d');
+    const ratio = window.devicePixelRatio || 1;
+    if (patternCanvas.width !== Math.round(width * ratio) || patternCanvas.height !== Math.round(height * ratio)) {
+      patternCanvas.width = Math.round(width * ratio);
+      patternCanvas.height = Math.round(height * ratio);
+    }
+    ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+    ctx.clearRect(0, 0, width, height);
+    ctx.font = '11px "Courier Prime", monospace';
+    ctx.textBaseline = 'middle';
+
+    // Step numbers every fourth column
+    ctx.fillStyle = '#555';
+    for (let step = 0; step < pattern.steps; step += 4) {
+      ctx.fillText(String(step + 1), PATTERN_LABEL_PX + step * PATTERN_CELL_PX + 3, PATTERN_RULER_PX / 2);
+    }
+
+    rows.forEach((row, r) => {
+      const top = PATTERN_RULER_PX + r * PATTERN_ROW_PX;
+      ctx.fillStyle = '#aaa';
+      ctx.fillText(traceLabel(row.pin), 8, top + PATTERN_ROW_PX / 2);
+      for (let step = 0; step < pattern.steps; step++) {
+        const x = PATTERN_LABEL_PX + step * PATTERN_CELL_PX;
+        ctx.fillStyle = '#111';
+        ctx.fillRect(x + 1, top + 1, PATTERN_CELL_PX - 2, PATTERN_ROW_PX - 2);
+        const level = pattern.level(row.pin, step);
+        if (level === 0) continue;
+        // As bright as the LED will look at this level
+        ctx.globalAlpha = perceivedBrightness(level / 255);
+        ctx.fillStyle = row.color;
+        ctx.fillRect(x + 1, top + 1, PATTERN_CELL_PX - 2, PATTERN_ROW_PX - 2);
+        ctx.globalAlpha = 1;
+      }
+    });
+    if (rows.length === 0) {
+      ctx.fillStyle = '#555';
+      ctx.fillText('Wire LEDs to board pins: each pin gets a row here.', PATTERN_LABEL_PX, PATTERN_RULER_PX + PATTERN_ROW_PX / 2);
+    }
+
+    if (patternPreview) {
+      ctx.strokeStyle = '#00f3ff';
+      ctx.strokeRect(PATTERN_LABEL_PX + patternPreview.step * PATTERN_CELL_PX + 0.5, 0.5, PATTERN_CELL_PX - 1, height - 1);
+    }
+
+    let readout = `${pattern.steps} × ${pattern.stepMs} ms = ${formatTime(pattern.steps * pattern.stepMs * 1000)}`;
+    const fixed = rows.filter(row => {
+      const info = simulator.board.pins.find(p => String(p.id) === row.pin);
+      return !info.pwm && pattern.row(row.pin).some(level => level > 0 && level < 255);
+    });
+    if (fixed.length) readout += `  ⚠ no PWM on ${fixed.map(row => traceLabel(row.pin)).join(', ')}: dimmed steps are on or off`;
+    patternReadout.textContent = readout;
+    patternView.dirty = false;
+  }
+
+  // Redraws on edits, preview steps and LEDs being rewired or recoloured
+  const patternFrame = () => {
+    if (!patternPanel.classList.contains('open')) return;
+    const rows = patternRows();
+    const key = `${simulator.boardId} ${rows.map(row => `${row.pin}:${row.color}`).join(' ')}`;
+    if (patternView.dirty || key !== patternView.rows) drawPattern(rows);
+    patternView.rows = key;
+    requestAnimationFrame(patternFrame);
+  };
+
+  btnPattern.addEventListener('click', () => {
+    patternPanel.classList.toggle('open');
+    const open = patternPanel.classList.contains('open');
+    btnPattern.classList.toggle('active', open);
+    if (!open) stopPatternPreview();
+    patternView.dirty = true;
+    requestAnimationFrame(patternFrame);
+    scheduleWires();
+  });
+
+  patternSteps.addEventListener('change', () => {
+    pattern.resize(parseInt(patternSteps.value, 10) || 1);
+    patternSteps.value = pattern.steps;
+    patternView.dirty = true;
+  });
+
+  patternStepMs.addEventListener('change', () => {
+    const ms = Math.round(parseFloat(patternStepMs.value) || PATTERN_DEFAULT_STEP_MS);
+    pattern.stepMs = Math.min(PATTERN_MAX_STEP_MS, Math.max(PATTERN_MIN_STEP_MS, ms));
+    patternStepMs.value = pattern.stepMs;
+    patternView.dirty = true;
+  });
+
+  // The row and step under the pointer, or null outside the cells
+  function patternCell(e) {
+    const rect = patternCanvas.getBoundingClientRect();
+    const step = Math.floor((e.clientX - rect.left - PATTERN_LABEL_PX) / PATTERN_CELL_PX);
+    const row = Math.floor((e.clientY - rect.top - PATTERN_RULER_PX) / PATTERN_ROW_PX);
+    const rows = patternRows();
+    if (step < 0 || step >= pattern.steps || row < 0 || row >= rows.length) return null;
+    return { pin: rows[row].pin, step };
+  }
+
+  // A click lights a step at the brush level, or turns it off if it already is; dragging on
+  // paints the same onto every step it crosses
+  patternCanvas.addEventListener('pointerdown', (e) => {
+    const cell = patternCell(e);
+    if (!cell) return;
+    const brush = parseInt(patternBrush.value, 10);
+    patternPaint = e.button === 2 || pattern.level(cell.pin, cell.step) === brush ? 0 : brush;
+    pattern.set(cell.pin, cell.step, patternPaint);
+    patternCanvas.setPointerCapture(e.pointerId);
+    patternView.dirty = true;
+  });
+  patternCanvas.addEventListener('pointermove', (e) => {
+    if (patternPaint === null) return;
+    const cell = patternCell(e);
+    if (!cell || pattern.level(cell.pin, cell.step) === patternPaint) return;
+    pattern.set(cell.pin, cell.step, patternPaint);
+    patternView.dirty = true;
+  });
+  patternCanvas.addEventListener('pointerup', () => {
+    patternPaint = null;
+  });
+  patternCanvas.addEventListener('contextmenu', (e) => e.preventDefault());
+
+  patternCanvas.addEventListener('wheel', (e) => {
+    const cell = patternCell(e);
+    if (!cell) return;
+    e.preventDefault();
+    const level = pattern.level(cell.pin, cell.step);
+    pattern.set(cell.pin, cell.step, level + (e.deltaY < 0 ? PATTERN_WHEEL_STEP : -PATTERN_WHEEL_STEP));
+    patternView.dirty = true;
+  }, { passive: false });
+
+  // The preview sets the pins straight from the grid on the real-time clock, so edits show on
+  // the next step. Running a sketch takes the pins back
+  function startPatternPreview() {
+    if (simulator.isRunning) {
+      simulator.stop();
+      setSimStatus('STOPPED');
+    }
+    patternPreview = { step: 0, timer: null, pins: new Set() };
+    btnPatternPreview.textContent = '⏹ STOP';
+    btnPatternPreview.classList.add('active');
+    playPatternStep();
+  }
+
+  function playPatternStep() {
+    if (simulator.isRunning) {
+      stopPatternPreview();
+      return;
+    }
+    const preview = patternPreview;
+    preview.step %= pattern.steps; // The grid may have shrunk
+    patternRows().forEach(row => {
+      simulator.driveOutput(row.pin, pattern.level(row.pin, preview.step));
+      preview.pins.add(row.pin);
+    });
+    patternView.dirty = true;
+    preview.timer = setTimeout(() => {
+      preview.step++;
+      playPatternStep();
+    }, pattern.stepMs);
+  }
+
+  function stopPatternPreview() {
+    if (!patternPreview) return;
+    clearTimeout(patternPreview.timer);
+    if (!simulator.isRunning) {
+      patternPreview.pins.forEach(pin => simulator.driveOutput(pin, 0));
+      simulator.resetPins();
+    }
+    patternPreview = null;
+    btnPatternPreview.textContent = '▶ PREVIEW';
+    btnPatternPreview.classList.remove('active');
+    patternView.dirty = true;
+  }
+
+  btnPatternPreview.addEventListener('click', () => {
+    if (patternPreview) stopPatternPreview();
+    else startPatternPreview();
+  });
+
+  document.getElementById('btn-pattern-clear').addEventListener('click', () => {
+    pattern.clear();
+    patternView.dirty = true;
+  });
+
+  // Run a sketch such as a template with the LEDs wired, then read what its pins did
+  document.getElementById('btn-pattern-import').addEventListener('click', () => {
+    const pins = patternRows().map(row => row.pin);
+    const imported = pins.length > 0 && LedPattern.fromCapture(capture, pins, simulator.clock.micros());
+    if (!imported) {
+      simulator.log('The logic analyzer has no changes on the LED pins to import; run a sketch that drives them first', 'warning');
+      return;
+    }
+    pattern = imported;
+    patternSteps.value = pattern.steps;
+    patternStepMs.value = pattern.stepMs;
+    patternView.dirty = true;
+    simulator.log(`Imported ${pattern.steps} steps of ${pattern.stepMs} ms from the logic analyzer into the pattern designer`, 'system');
+  });
+
+  document.getElementById('btn-pattern-code').addEventListener('click', () => {
+    const pins = patternRows().map(row => row.pin);
+    if (pins.length === 0) {
+      simulator.log('The pattern designer has no LEDs: wire LEDs to board pins first', 'warning');
+      return;
+    }
+    stopPatternPreview();
+    replaceProject(() => editor.setCode(pattern.toSketch(pins, simulator.board)));
+    simulator.log('The pattern is in the editor as a sketch; press RUN to play it', 'system');
   });
 });
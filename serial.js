@@ -0,0 +1,243 @@
+// Serial port (UART) of the simulated board, exposed to sketches as `Serial`.
+// Output is paced at the configured baud rate: print() only blocks once the 64-byte transmit
+// buffer is full, like the real HardwareSerial. Input typed in the serial monitor is queued as
+// bytes for available()/read()/parseInt()/readStringUntil().
+const SERIAL_BUFFER_SIZE = 64;
+
+class HardwareSerial {
+    constructor(clock) {
+        this.clock = clock;
+        this.onOutput = null;  // Callback(text) for the serial monitor
+        this.onWarning = null; // Callback(msg) for misuse the board would silently ignore
+        this.onPoll = null;    // Callback when the sketch checks for input
+        this.reset();
+    }
+
+    reset() {
+        this.baud = 0;
+        this.timeout = 1000; // Stream timeout for parseInt()/readString*(), in ms
+        this.rx = [];
+        this.txDoneAt = 0;   // Virtual time (us) when the last queued byte has been sent
+        this.warned = false;
+    }
+
+    // Bytes typed into the serial monitor
+    receive(text) {
+        this.rx.push(...new TextEncoder().encode(text));
+    }
+
+    // --- Sketch API ---
+
+    begin(baud) {
+        this.baud = baud > 0 ? baud : 0;
+        this.txDoneAt = this.clock.micros();
+    }
+
+    end() {
+        this.baud = 0;
+    }
+
+    async print(kind, value, format) {
+        return this.transmit(HardwareSerial.format(kind, value, format));
+    }
+
+    async println(kind, value, format) {
+        return this.transmit(HardwareSerial.format(kind, value, format) + '\r\n');
+    }
+
+    async write(kind, value, length) {
+        let text;
+        if (kind === 'string' || kind === 'chars') {
+            text = HardwareSerial.format(kind, value);
+            if (length !== undefined) text = text.slice(0, length);
+        } else {
+            text = String.fromCharCode(value & 0xFF);
+        }
+        return this.transmit(text);
+    }
+
+    // Waits until all queued output has been sent
+    async flush() {
+        const left = this.txDoneAt - this.clock.micros();
+        if (left > 0) await this.clock.sleep(left);
+    }
+
+    availableForWrite() {
+        if (!this.baud) return 0;
+        const queued = Math.ceil((this.txDoneAt - this.clock.micros()) * this.baud / 10e6);
+        return Math.max(0, SERIAL_BUFFER_SIZE - Math.max(0, queued));
+    }
+
+    // Async so `while (!Serial.available());` lets the page run and deliver typed input
+    async available() {
+        if (this.onPoll) this.onPoll();
+        this.clock.advance(1);
+        const wait = this.clock.sync();
+        if (wait) await wait;
+        return this.rx.length;
+    }
+
+    read() {
+        this.clock.advance(1);
+        return this.rx.length ? this.rx.shift() : -1;
+    }
+
+    peek() {
+        return this.rx.length ? this.rx[0] : -1;
+    }
+
+    setTimeout(ms) {
+        this.timeout = Math.max(0, ms);
+    }
+
+    // Stream::parseInt(): skips to the first digit or '-', returns 0 on timeout
+    async parseInt() {
+        let c = await this.peekNext(ch => ch === 45 || HardwareSerial.isDigit(ch));
+        if (c < 0) return 0;
+        let value = 0;
+        let negative = false;
+        do {
+            if (c === 45) negative = true;
+            else value = value * 10 + c - 48;
+            this.rx.shift();
+            c = await this.timedRead(false);
+        } while (HardwareSerial.isDigit(c));
+        return (negative ? -value : value) | 0;
+    }
+
+    // Stream::parseFloat(): like parseInt() with one decimal point, returns 0 on timeout
+    async parseFloat() {
+        let c = await this.peekNext(ch => ch === 45 || ch === 46 || HardwareSerial.isDigit(ch));
+        if (c < 0) return 0;
+        let value = 0;
+        let fraction = 1;
+        let negative = false;
+        let isFraction = false;
+        do {
+            if (c === 45) negative = true;
+            else if (c === 46) isFraction = true;
+            else {
+                value = value * 10 + c - 48;
+                if (isFraction) fraction *= 0.1;
+            }
+            this.rx.shift();
+            c = await this.timedRead(false);
+        } while (HardwareSerial.isDigit(c) || (c === 46 && !isFraction));
+        value *= fraction;
+        return Math.fround(negative ? -value : value);
+    }
+
+    async readString() {
+        let text = '';
+        let c;
+        while ((c = await this.timedRead(true)) >= 0) text += String.fromCharCode(c);
+        return text;
+    }
+
+    async readStringUntil(terminator) {
+        let text = '';
+        let c;
+        while ((c = await this.timedRead(true)) >= 0 && c !== terminator) text += String.fromCharCode(c);
+        return text;
+    }
+
+    // --- Internals ---
+
+    // Sends text at the baud rate; returns the number of bytes written
+    async transmit(text) {
+        if (!this.baud) {
+            if (!this.warned && this.onWarning) this.onWarning('Serial output ignored: call Serial.begin() in setup() first');
+            this.warned = true;
+            return 0;
+        }
+        this.clock.advance(5);
+        const now = this.clock.micros();
+        const byteUs = 10e6 / this.baud; // 8N1: start + 8 data + stop bits
+        this.txDoneAt = Math.max(this.txDoneAt, now) + text.length * byteUs;
+        if (this.onOutput) this.onOutput(text);
+        // Block only for the part that doesn't fit in the transmit buffer
+        const blocked = this.txDoneAt - now - SERIAL_BUFFER_SIZE * byteUs;
+        if (blocked > 0) await this.clock.sleep(blocked);
+        return text.length;
+    }
+
+    // Waits up to the stream timeout for a byte; returns -1 on timeout
+    async timedRead(consume) {
+        const start = this.clock.micros();
+        while (!this.rx.length) {
+            if (this.clock.micros() - start >= this.timeout * 1000) return -1;
+            await this.clock.sleep(1000);
+        }
+        return consume ? this.rx.shift() : this.rx[0];
+    }
+
+    // Discards bytes until one matches, without consuming it
+    async peekNext(accept) {
+        for (;;) {
+            const c = await this.timedRead(false);
+            if (c < 0 || accept(c)) return c;
+            this.rx.shift();
+        }
+    }
+
+    static isDigit(c) {
+        return c >= 48 && c <= 57;
+    }
+
+    // Formats a value the way the matching Print::print() overload would
+    static format(kind, value, format) {
+        switch (kind) {
+            case 'none':
+                return '';
+            case 'string':
+            case 'unknown':
+                return String(value);
+            case 'chars': {
+                if (typeof value === 'string') return value;
+                const end = value.indexOf(0);
+                return String.fromCharCode(...(end < 0 ? value : value.slice(0, end)));
+            }
+            case 'float':
+                return HardwareSerial.formatFloat(value, format === undefined ? 2 : format);
+            case 'char':
+                if (format === undefined) return String.fromCharCode(value & 0xFF);
+                break;
+        }
+        return HardwareSerial.formatNumber(Number(value), format === undefined ? 10 : format);
+    }
+
+    static formatNumber(n, base) {
+        if (base < 2 || base > 36) base = 10;
+        if (base === 10) return String(n);
+        // Other bases print the 32-bit two's complement of negative numbers
+        return (n < 0 ? n >>> 0 : n).toString(base).toUpperCase();
+    }
+
+    // Print::printFloat() with AVR single precision
+    static formatFloat(number, digits) {
+        number = Math.fround(number);
+        if (Number.isNaN(number)) return 'nan';
+        if (!Number.isFinite(number)) return 'inf';
+        if (number > 4294967040) return 'ovf';
+        if (number < -4294967040) return '-ovf';
+        let text = '';
+        if (number < 0) {
+            text = '-';
+            number = -number;
+        }
+        let rounding = 0.5;
+        for (let i = 0; i < digits; i++) rounding = Math.fround(rounding / 10);
+        number = Math.fround(number + rounding);
+        const intPart = Math.floor(number);
+        let remainder = Math.fround(number - intPart);
+        text += intPart;
+        if (digits > 0) text += '.';
+        while (digits-- > 0) {
+            remainder = Math.fround(remainder * 10);
+            const digit = Math.floor(remainder);
+            text += digit;
+            remainder = Math.fround(remainder - digit);
+        }
+        return text;
+    }
+}
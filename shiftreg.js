@@ -0,0 +1,44 @@
+// 74HC595 serial-in, parallel-out shift register. A rising edge on SH_CP (clock) shifts DS (data)
+// in at Q0; a rising edge on ST_CP (latch) copies the eight bits to the outputs Q0-Q7. Q7' (serial
+// out) carries the bit leaving Q7, so chips chain by wiring it to the next chip's DS and sharing
+// the clock and latch. OE is taken as tied to GND and MR to 5V. ArduinoSimulator drives it.
+class ShiftRegister595 {
+    constructor(id) {
+        this.id = id;
+        this.data = null;  // Board pin id, or '<id>:Q7S' when chained from another register
+        this.clock = null; // Board pin id of SH_CP
+        this.latch = null; // Board pin id of ST_CP
+        this.reset();
+    }
+
+    reset() {
+        this.shift = 0;   // Shift register stage
+        this.outputs = 0; // Storage register, driving Q0-Q7
+        this.clockLevel = 0;
+        this.latchLevel = 0;
+    }
+
+    // Q7': the bit that the next clock edge pushes out of the register
+    get serialOut() {
+        return (this.shift >> 7) & 1;
+    }
+
+    clockIn(bit) {
+        this.shift = ((this.shift << 1) | bit) & 0xFF;
+    }
+
+    // Returns a mask of the outputs that changed
+    latchOut() {
+        const changed = this.outputs ^ this.shift;
+        this.outputs = this.shift;
+        return changed;
+    }
+
+    // Pin id of output Qn, as LED components wire to it
+    outputPin(n) {
+        return `${this.id}:Q${n}`;
+    }
+}
+
+// For the DC model in electrical.js: ±35 mA per output and 70 mA through VCC or GND
+const SHIFT_REGISTER_ELECTRICAL = { pinMaxMa: 35, totalMaxMa: 70, outputOhms: 50, pullupOhms: Infinity };
@@ -0,0 +1,18 @@
+// Example spec for headless.js: run it with `node headless.js specs/`
+module.exports = {
+    sketch: 'blink.ino', // relative to the spec
+    board: 'uno',        // optional
+    tests: {
+        'pin 13 blinks once a second': async (t) => {
+            await t.run(5000);                               // 5 s of simulated time
+            t.expectPeriod(13, 1000, { tolerance: 0.05 });  // every cycle 1000 ms ±5%
+            t.expectDuty(13, 0.5);
+            t.expectNoErrors();
+        },
+        'the button on pin 2 keeps it lit': async (t) => {
+            t.setPin(2, 0);                                  // drive pin 2 LOW
+            await t.run(1700);                               // the blink alone would be off by now
+            t.expectPin(13, 1);
+        }
+    }
+};
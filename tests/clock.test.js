@@ -0,0 +1,84 @@
+// The virtual clock as the screen sees it: slowed-down time moves through a delay() instead of
+// jumping to its end. Run with `node --test tests/`
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadSimulator } = require('../headless.js');
+
+const { ArduinoSimulator, VirtualClock } = loadSimulator();
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('display time follows real time through a sleep, up to the sketch time', async () => {
+    const clock = new VirtualClock();
+    clock.start();
+    clock.setSpeed(0.01); // 1 ms of virtual time takes 100 ms
+    const slept = clock.sleep(1000);
+    await sleep(50);
+    assert.equal(clock.micros(), 1000);
+    const halfway = clock.displayMicros();
+    assert.ok(halfway > 0 && halfway < 1000, `expected part of the way through, got ${halfway} us`);
+    await slept;
+    await sleep(5);
+    assert.equal(clock.displayMicros(), 1000); // Capped at the sketch's time
+    clock.stop();
+});
+
+test('a PWM pin in slow motion switches on and off during a delay()', async () => {
+    const sim = new ArduinoSimulator();
+    sim.onLog = () => {};
+    sim.setSpeed(1 / 50); // 490 Hz PWM: a cycle takes about 100 ms
+    const done = sim.run('void setup() { analogWrite(9, 128); }\nvoid loop() { delay(1000); }');
+    const period = 1e6 / sim.pwmFrequency('9');
+    const phases = new Set();
+    const times = [];
+    for (let i = 0; i < 15; i++) {
+        await sleep(20);
+        const t = sim.clock.displayMicros();
+        times.push(t);
+        phases.add(t % period < 0.5 * period ? 1 : 0);
+    }
+    sim.stop();
+    await done;
+    assert.ok(times.every((t, i) => i === 0 || t > times[i - 1]), 'display time stood still');
+    assert.deepEqual([...phases].sort(), [0, 1]);
+});
+
+test('a scanned 4-digit display shows one digit after another in slow motion', async () => {
+    const sim = new ArduinoSimulator();
+    sim.onLog = () => {};
+    sim.setSpeed(1 / 50); // Each digit's delay(4) takes 200 ms
+    const commons = ['10', '11', '12', '13'];
+    const levels = { 10: 1, 11: 1, 12: 1, 13: 1 };
+    // Lit time per digit between frames, as the display panel integrates it
+    let lit = [0, 0, 0, 0];
+    let since = 0;
+    const integrate = (now) => {
+        commons.forEach((pin, d) => { if (!levels[pin]) lit[d] += now - since; });
+        since = now;
+    };
+    sim.onPinChange = (pin, value) => {
+        if (!commons.includes(String(pin))) return;
+        integrate(sim.clock.displayMicros());
+        levels[pin] = value;
+    };
+    const done = sim.run(`void setup() {
+  for (int d = 10; d <= 13; d++) { pinMode(d, OUTPUT); digitalWrite(d, HIGH); }
+}
+void loop() {
+  for (int d = 10; d <= 13; d++) { digitalWrite(d, LOW); delay(4); digitalWrite(d, HIGH); }
+}`);
+    const shown = [];
+    for (let i = 0; i < 40; i++) {
+        await sleep(30);
+        integrate(sim.clock.displayMicros());
+        const most = Math.max(...lit);
+        shown.push(most > 0 ? lit.indexOf(most) : null);
+        lit = [0, 0, 0, 0];
+    }
+    sim.stop();
+    await done;
+    assert.ok(!shown.includes(null), `frames with nothing lit: ${shown.join(' ')}`);
+    assert.ok(new Set(shown).size >= 3, `digits shown: ${shown.join(' ')}`);
+});
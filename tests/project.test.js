@@ -0,0 +1,67 @@
+// Project files: a saved project loads back unchanged, and files from before the format had a
+// version are upgraded without losing components. Run with `node --test tests/`
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadSimulator } = require('../headless.js');
+
+const { readProject, ProjectError, PROJECT_FORMAT, PROJECT_VERSION, ANALOG_DEFAULT_VALUE } = loadSimulator();
+
+// As script.js builds it from its display kinds; only the digit is used here
+const DISPLAY_PINS = { digit1: ['a', 'b', 'c', 'd', 'e', 'f', 'g', 'dp'] };
+
+// Objects made in the simulator's context have its prototypes; compare them as saved
+const plain = value => JSON.parse(JSON.stringify(value));
+
+const project = {
+    format: PROJECT_FORMAT,
+    version: PROJECT_VERSION,
+    board: 'uno',
+    code: 'void setup() {}\nvoid loop() {}',
+    settings: { speed: 'max', overflowWarnings: true },
+    leds: [
+        { id: 0, pin: '13', color: '#FF003C', resistor: 220, ground: true, reversed: false, x: 40, y: 20 },
+        { id: 3, pin: 'sr-0:Q3', color: '#00F3FF', resistor: 1000, ground: false, reversed: true }
+    ],
+    inputs: [{ kind: 'switch', pin: '2', wiring: 'vcc', bounce: true, closed: true }],
+    analogs: [{ kind: 'ldr', pin: 'A0', value: 700 }],
+    strips: [{ pin: '6', count: 16, layout: 'ring', columns: 8 }],
+    rgbLeds: [{ pins: { r: '9', g: '10', b: null }, common: 'anode' }],
+    displays: [{ kind: 'digit1', pins: { a: '3', dp: null }, common: 'cathode' }],
+    shiftRegisters: [{ id: 'sr-0', pins: { data: '11', clock: '12', latch: '8' } }]
+};
+
+test('a saved project loads back unchanged', () => {
+    const loaded = readProject(plain(project), DISPLAY_PINS);
+    assert.deepEqual(plain(loaded), project);
+});
+
+test('a file from before versions keeps its LEDs, inputs and analogs', () => {
+    const v0 = {
+        code: 'void setup() {}',
+        leds: [{ id: 1, pin: 13, color: '#FF0000' }, { pin: '' }],
+        inputs: [{ pin: 2 }],
+        analogs: [{ kind: 'ldr', pin: 'A1', value: 300 }, { pin: 'A0' }]
+    };
+    const loaded = plain(readProject(v0, DISPLAY_PINS));
+    assert.equal(loaded.version, PROJECT_VERSION);
+    assert.deepEqual(loaded.leds, [
+        { id: 1, pin: '13', color: '#FF0000', resistor: 220, ground: true, reversed: false },
+        { id: 0, pin: null, color: '#00FF00', resistor: 220, ground: true, reversed: false }
+    ]);
+    assert.deepEqual(loaded.inputs, [{ kind: 'button', pin: '2', wiring: 'gnd', bounce: false, closed: false }]);
+    assert.deepEqual(loaded.analogs, [
+        { kind: 'ldr', pin: 'A1', value: 300 },
+        { kind: 'pot', pin: 'A0', value: ANALOG_DEFAULT_VALUE }
+    ]);
+    assert.deepEqual(plain(readProject(loaded, DISPLAY_PINS)), loaded);
+});
+
+test('a component list that is not a list is reported', () => {
+    assert.throws(() => readProject({ code: '', analogs: { pin: 'A0' }, leds: 'none' }, DISPLAY_PINS), (e) => {
+        assert.ok(e instanceof ProjectError);
+        assert.deepEqual([...e.problems], ['leds: expected a list, got "none"', 'analogs: expected a list, got {"pin":"A0"}']);
+        return true;
+    });
+});
@@ -0,0 +1,116 @@
+// Sketches behave as they would on an ATmega328: integers keep their width, division truncates,
+// the math helpers round as avr-libc does and delay() waits wherever it is called. What can't be
+// compiled is reported where it is. Run with `node --test tests/`
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadSimulator, SketchTester } = require('../headless.js');
+
+const { ArduinoSimulator, CompileError } = loadSimulator();
+
+// What a setup() of println() calls prints, one value per line, after `ms` of simulated time
+async function printed(body, ms = 10) {
+    const t = new SketchTester(`void setup() {\n  Serial.begin(9600);\n${body}\n}\nvoid loop() {}`);
+    await t.run(ms);
+    t.stop();
+    assert.deepEqual(t.logs.filter(l => l.type === 'error'), []);
+    return t.serial.trim().split('\r\n');
+}
+
+test('integers wrap around at their width', async () => {
+    assert.deepEqual(await printed(`
+  int i = 32767;
+  i++;
+  Serial.println(i);
+  byte b = 250;
+  b += 10;
+  Serial.println(b);
+  unsigned int u = 0;
+  u--;
+  Serial.println(u);
+  char c = 127;
+  c = c + 1;
+  Serial.println((int)c);
+  long l = 2147483647;
+  l = l + 1;
+  Serial.println(l);
+  int big = 300 * 300;
+  Serial.println(big);`), ['-32768', '4', '65535', '-128', '-2147483648', '24464']);
+});
+
+test('overflow is reported with its line when warnings are on', async () => {
+    const t = new SketchTester('void setup() {\n  int i = 32767;\n  i = i + 1;\n}\nvoid loop() {}');
+    t.sim.overflowWarnings = true;
+    await t.run(10);
+    t.stop();
+    const warnings = t.logs.filter(l => l.type === 'warning').map(l => l.msg);
+    assert.equal(warnings.length, 1);
+    assert.match(warnings[0], /line 3/);
+});
+
+test('integer division truncates toward zero', async () => {
+    assert.deepEqual(await printed(`
+  int a = 7, b = -7;
+  Serial.println(a / 2);
+  Serial.println(b / 2);
+  Serial.println(b % 2);
+  unsigned long ms = 1999;
+  Serial.println(ms / 1000);
+  float f = 7 / 2;
+  Serial.println(f);
+  Serial.println(7 / 2.0);`), ['3', '-3', '-1', '1', '3.00', '3.50']);
+});
+
+test('round() goes half away from zero and map() truncates like the core', async () => {
+    assert.deepEqual(await printed(`
+  Serial.println(round(2.5));
+  Serial.println(round(-2.5));
+  Serial.println(round(2.4));
+  Serial.println(map(512, 0, 1023, 0, 255));
+  Serial.println(map(3, 0, 10, 0, 4));
+  Serial.println(map(5, 0, 10, 100, 0));
+  Serial.println(map(-1, 0, 10, 0, 100));`), ['3', '-3', '2', '127', '1', '50', '-10']);
+});
+
+test('abs() stays in the promoted width', async () => {
+    assert.deepEqual(await printed(`
+  int i = -32768;
+  Serial.println(abs(i));
+  Serial.println(abs(-5));
+  char c = -128;
+  Serial.println(abs(c));
+  long l = -2147483647 - 1;
+  Serial.println(abs(l));
+  Serial.println(abs(-2.5));`), ['-32768', '5', '128', '-2147483648', '2.50']);
+});
+
+test('delay() inside the sketch\'s own functions waits for them', async () => {
+    assert.deepEqual(await printed(`
+  Serial.println(millis());
+  pause(250);
+  Serial.println(millis());
+  int v = slowRead() + slowRead();
+  Serial.println(v);
+  Serial.println(millis());
+  for (int i = 0; i < 3; i++) delay(10);
+  Serial.println(millis());
+}
+void pause(int ms) {
+  delay(ms);
+}
+int slowRead() {
+  delay(100);
+  return 7;`, 1000), ['0', '250', '14', '450', '480']);
+});
+
+test('an unsupported construct is reported at its line and column', () => {
+    const sim = new ArduinoSimulator();
+    assert.throws(() => sim.transpile('void setup() {\n  int x = 1;\n  int y = *&x;\n}\nvoid loop() {}'), (e) => {
+        assert.ok(e instanceof CompileError);
+        assert.match(e.message, /address/);
+        assert.equal(e.line, 3);
+        assert.equal(e.column, 12);
+        return true;
+    });
+});
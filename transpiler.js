@@ -0,0 +1,2927 @@
+// Arduino C/C++ subset front end: Lexer -> Preprocessor -> Parser (AST) -> CodeGenerator (JS)
+
+class CompileError extends Error {
+    constructor(message, line = 0, column = 0) {
+        super(message);
+        this.name = 'CompileError';
+        this.line = line;
+        this.column = column;
+    }
+
+    toString() {
+        return this.line ? `Compile error (line ${this.line}:${this.column}): ${this.message}` : `Compile error: ${this.message}`;
+    }
+}
+
+// --- Language Tables ---
+
+const PUNCTUATORS = [
+    '<<=', '>>=', '...',
+    '->', '++', '--', '<<', '>>', '<=', '>=', '==', '!=', '&&', '||',
+    '+=', '-=', '*=', '/=', '%=', '&=', '|=', '^=', '::', '##',
+    '{', '}', '[', ']', '(', ')', '<', '>', ';', ',', '.', ':', '?',
+    '~', '!', '+', '-', '*', '/', '%', '&', '|', '^', '=', '#'
+];
+
+const KEYWORDS = new Set([
+    'if', 'else', 'while', 'do', 'for', 'switch', 'case', 'default', 'break', 'continue', 'return',
+    'struct', 'enum', 'class', 'typedef', 'sizeof', 'true', 'false', 'const', 'constexpr', 'static',
+    'volatile', 'extern', 'inline', 'register', 'unsigned', 'signed', 'goto'
+]);
+
+// Qualifiers that only affect storage; PROGMEM tables live in RAM in the simulator
+const QUALIFIERS = new Set(['const', 'constexpr', 'static', 'volatile', 'extern', 'inline', 'register', 'PROGMEM']);
+
+// Spellings of the primitive types, mapped to canonical names
+const PRIMITIVE_TYPES = {
+    'void': 'void',
+    'bool': 'bool', 'boolean': 'bool',
+    'char': 'char', 'int8_t': 'char',
+    'byte': 'byte', 'uint8_t': 'byte',
+    'short': 'int', 'int': 'int', 'int16_t': 'int',
+    'word': 'unsigned int', 'uint16_t': 'unsigned int', 'size_t': 'unsigned int',
+    'long': 'long', 'int32_t': 'long',
+    'uint32_t': 'unsigned long',
+    'int64_t': 'long long', 'uint64_t': 'unsigned long long',
+    'float': 'float', 'double': 'double',
+    'String': 'String',
+    // FastLED typedefs
+    'fract8': 'byte', 'fract16': 'unsigned int', 'accum88': 'unsigned int', 'TBlendType': 'byte'
+};
+
+// AVR integer widths: int is 16 bits, long is 32 bits, unsigned types wrap modulo 2^n
+const INTEGER_WIDTHS = {
+    'bool': { range: [0, 1], cast: null },
+    'char': { range: [-128, 127], cast: '__i8' },
+    'byte': { range: [0, 255], cast: '__u8' },
+    'int': { range: [-32768, 32767], cast: '__i16' },
+    'unsigned int': { range: [0, 65535], cast: '__u16' },
+    'long': { range: [-2147483648, 2147483647], cast: '__i32' },
+    'unsigned long': { range: [0, 4294967295], cast: '__u32' }
+};
+
+// Size in bytes on an 8-bit AVR (used by sizeof)
+const TYPE_SIZES = {
+    'bool': 1, 'char': 1, 'byte': 1, 'int': 2, 'unsigned int': 2, 'long': 4, 'unsigned long': 4,
+    'long long': 8, 'unsigned long long': 8, 'float': 4, 'double': 4, 'String': 6, 'pointer': 2
+};
+
+// Identifiers that are fine in C++ but would break or shadow things in the generated JS
+const JS_RESERVED = new Set([
+    'arguments', 'await', 'delete', 'eval', 'export', 'function', 'import', 'in', 'instanceof', 'let',
+    'new', 'null', 'super', 'this', 'typeof', 'var', 'with', 'yield', 'undefined', 'NaN', 'Infinity',
+    'Math', 'Number', 'Array', 'Object', 'Promise', 'console', 'globalThis', 'window', 'document'
+]);
+
+// How print()/println() should format a value of this static type (the Arduino overload it picks)
+function printKind(type) {
+    if (Types.isString(type)) return 'string';
+    if (type.name === 'char' && type.dims.length === 1 && !type.pointer) return 'chars';
+    if (!Types.isScalar(type)) return 'unknown';
+    if (type.name === 'char') return 'char';
+    if (type.name === 'bool') return 'bool';
+    if (Types.isFloat(type)) return 'float';
+    if (Types.isUnsigned(type)) return 'unsigned';
+    return Types.isInteger(type) ? 'int' : 'unknown';
+}
+
+// Print::print/println/write take the value's kind as a leading argument so the runtime can format it
+function printEmitter(method) {
+    return function (args, node, self) {
+        if (args.length > 2) this.error(node, `no matching function for call to '${method}' with ${args.length} arguments`);
+        const kind = args.length ? printKind(args[0].type) : 'none';
+        const code = [JSON.stringify(kind), ...args.map(a => a.code)];
+        this.awaits++;
+        return { code: `(await ${self}.${method}(${code.join(', ')}))`, type: Types.of('unsigned int'), fresh: true };
+    };
+}
+
+// abs() is a macro on AVR, so an integer comes back negated in its promoted type:
+// abs(-32768) on an int overflows to -32768 as it does on the board
+function absEmitter(args, node) {
+    const arg = args[0];
+    if (!arg || !Types.isInteger(arg.type)) return { code: `Math.abs(${args.map(a => a.code).join(', ')})`, type: arg ? arg.type : Types.of('int') };
+    const type = Types.promote(arg.type);
+    return { code: this.wrap(`Math.abs(${arg.code})`, type, node.line), type };
+}
+
+// Methods of FastLED's CEveryNMillis and CEveryNSeconds timers
+function everyNMethods() {
+    return {
+        ready: { js: 'ready', returns: 'bool' },
+        reset: { js: 'reset', returns: 'void' },
+        trigger: { js: 'trigger', returns: 'void' },
+        setPeriod: { js: 'setPeriod', returns: 'void' },
+        getPeriod: { js: 'getPeriod', returns: 'unsigned long' },
+        getTime: { js: 'getTime', returns: 'unsigned long' },
+        getElapsed: { js: 'getElapsed', returns: 'unsigned long' },
+        getRemaining: { js: 'getRemaining', returns: 'unsigned long' }
+    };
+}
+
+// FastLED's CRGB::HTMLColorCode names
+const FASTLED_COLORS = {
+    AliceBlue: 0xF0F8FF, Amethyst: 0x9966CC, AntiqueWhite: 0xFAEBD7, Aqua: 0x00FFFF, Aquamarine: 0x7FFFD4,
+    Azure: 0xF0FFFF, Beige: 0xF5F5DC, Bisque: 0xFFE4C4, Black: 0x000000, BlanchedAlmond: 0xFFEBCD,
+    Blue: 0x0000FF, BlueViolet: 0x8A2BE2, Brown: 0xA52A2A, BurlyWood: 0xDEB887, CadetBlue: 0x5F9EA0,
+    Chartreuse: 0x7FFF00, Chocolate: 0xD2691E, Coral: 0xFF7F50, CornflowerBlue: 0x6495ED, Cornsilk: 0xFFF8DC,
+    Crimson: 0xDC143C, Cyan: 0x00FFFF, DarkBlue: 0x00008B, DarkCyan: 0x008B8B, DarkGoldenrod: 0xB8860B,
+    DarkGray: 0xA9A9A9, DarkGrey: 0xA9A9A9, DarkGreen: 0x006400, DarkKhaki: 0xBDB76B, DarkMagenta: 0x8B008B,
+    DarkOliveGreen: 0x556B2F, DarkOrange: 0xFF8C00, DarkOrchid: 0x9932CC, DarkRed: 0x8B0000,
+    DarkSalmon: 0xE9967A, DarkSeaGreen: 0x8FBC8F, DarkSlateBlue: 0x483D8B, DarkSlateGray: 0x2F4F4F,
+    DarkSlateGrey: 0x2F4F4F, DarkTurquoise: 0x00CED1, DarkViolet: 0x9400D3, DeepPink: 0xFF1493,
+    DeepSkyBlue: 0x00BFFF, DimGray: 0x696969, DimGrey: 0x696969, DodgerBlue: 0x1E90FF, FireBrick: 0xB22222,
+    FloralWhite: 0xFFFAF0, ForestGreen: 0x228B22, Fuchsia: 0xFF00FF, Gainsboro: 0xDCDCDC,
+    GhostWhite: 0xF8F8FF, Gold: 0xFFD700, Goldenrod: 0xDAA520, Gray: 0x808080, Grey: 0x808080,
+    Green: 0x008000, GreenYellow: 0xADFF2F, Honeydew: 0xF0FFF0, HotPink: 0xFF69B4, IndianRed: 0xCD5C5C,
+    Indigo: 0x4B0082, Ivory: 0xFFFFF0, Khaki: 0xF0E68C, Lavender: 0xE6E6FA, LavenderBlush: 0xFFF0F5,
+    LawnGreen: 0x7CFC00, LemonChiffon: 0xFFFACD, LightBlue: 0xADD8E6, LightCoral: 0xF08080,
+    LightCyan: 0xE0FFFF, LightGoldenrodYellow: 0xFAFAD2, LightGreen: 0x90EE90, LightGrey: 0xD3D3D3,
+    LightPink: 0xFFB6C1, LightSalmon: 0xFFA07A, LightSeaGreen: 0x20B2AA, LightSkyBlue: 0x87CEFA,
+    LightSlateGray: 0x778899, LightSlateGrey: 0x778899, LightSteelBlue: 0xB0C4DE, LightYellow: 0xFFFFE0,
+    Lime: 0x00FF00, LimeGreen: 0x32CD32, Linen: 0xFAF0E6, Magenta: 0xFF00FF, Maroon: 0x800000,
+    MediumAquamarine: 0x66CDAA, MediumBlue: 0x0000CD, MediumOrchid: 0xBA55D3, MediumPurple: 0x9370DB,
+    MediumSeaGreen: 0x3CB371, MediumSlateBlue: 0x7B68EE, MediumSpringGreen: 0x00FA9A,
+    MediumTurquoise: 0x48D1CC, MediumVioletRed: 0xC71585, MidnightBlue: 0x191970, MintCream: 0xF5FFFA,
+    MistyRose: 0xFFE4E1, Moccasin: 0xFFE4B5, NavajoWhite: 0xFFDEAD, Navy: 0x000080, OldLace: 0xFDF5E6,
+    Olive: 0x808000, OliveDrab: 0x6B8E23, Orange: 0xFFA500, OrangeRed: 0xFF4500, Orchid: 0xDA70D6,
+    PaleGoldenrod: 0xEEE8AA, PaleGreen: 0x98FB98, PaleTurquoise: 0xAFEEEE, PaleVioletRed: 0xDB7093,
+    PapayaWhip: 0xFFEFD5, PeachPuff: 0xFFDAB9, Peru: 0xCD853F, Pink: 0xFFC0CB, Plaid: 0xCC5533,
+    Plum: 0xDDA0DD, PowderBlue: 0xB0E0E6, Purple: 0x800080, Red: 0xFF0000, RosyBrown: 0xBC8F8F,
+    RoyalBlue: 0x4169E1, SaddleBrown: 0x8B4513, Salmon: 0xFA8072, SandyBrown: 0xF4A460, SeaGreen: 0x2E8B57,
+    Seashell: 0xFFF5EE, Sienna: 0xA0522D, Silver: 0xC0C0C0, SkyBlue: 0x87CEEB, SlateBlue: 0x6A5ACD,
+    SlateGray: 0x708090, SlateGrey: 0x708090, Snow: 0xFFFAFA, SpringGreen: 0x00FF7F, SteelBlue: 0x4682B4,
+    Tan: 0xD2B48C, Teal: 0x008080, Thistle: 0xD8BFD8, Tomato: 0xFF6347, Turquoise: 0x40E0D0,
+    Violet: 0xEE82EE, Wheat: 0xF5DEB3, White: 0xFFFFFF, WhiteSmoke: 0xF5F5F5, Yellow: 0xFFFF00,
+    YellowGreen: 0x9ACD32, FairyLight: 0xFFE42D, FairyLightNCC: 0xFF9D2A
+};
+
+// Arduino core API visible to sketches. `js` is the name in the execution context built by run().
+const ARDUINO_BUILTINS = {
+    functions: {
+        pinMode: { js: '_pinMode', returns: 'void' },
+        digitalWrite: { js: '_digitalWrite', returns: 'void' },
+        digitalRead: { js: '_digitalRead', returns: 'int', async: true },
+        analogWrite: { js: '_analogWrite', returns: 'void' },
+        analogRead: { js: '_analogRead', returns: 'int', async: true },
+        analogReference: { js: '_analogReference', returns: 'void' },
+        delay: { js: '_delay', returns: 'void', async: true },
+        delayMicroseconds: { js: '_delayMicroseconds', returns: 'void', async: true },
+        millis: { js: '_millis', returns: 'unsigned long' },
+        micros: { js: '_micros', returns: 'unsigned long' },
+        random: { js: '_random', returns: 'long' },
+        shiftOut: { js: '_shiftOut', returns: 'void' },
+        shiftIn: { js: '_shiftIn', returns: 'byte', async: true },
+        abs: { emit: absEmitter },
+        min: { js: 'Math.min', returns: 'arg' },
+        max: { js: 'Math.max', returns: 'arg' },
+        sq: { js: '__sq', returns: 'arg' },
+        constrain: { js: '__constrain', returns: 'arg' },
+        map: { js: '__map', returns: 'long' },
+        sqrt: { js: 'Math.sqrt', returns: 'double' },
+        pow: { js: 'Math.pow', returns: 'double' },
+        sin: { js: 'Math.sin', returns: 'double' },
+        cos: { js: 'Math.cos', returns: 'double' },
+        tan: { js: 'Math.tan', returns: 'double' },
+        atan2: { js: 'Math.atan2', returns: 'double' },
+        exp: { js: 'Math.exp', returns: 'double' },
+        log: { js: 'Math.log', returns: 'double' },
+        fabs: { js: 'Math.abs', returns: 'double' },
+        floor: { js: 'Math.floor', returns: 'double' },
+        ceil: { js: 'Math.ceil', returns: 'double' },
+        round: { js: '__round', returns: 'long' },
+        radians: { js: '__radians', returns: 'double' },
+        degrees: { js: '__degrees', returns: 'double' },
+        F: { js: '', returns: 'String' },
+        pgm_read_byte: { js: '', returns: 'byte', byAddress: true },
+        pgm_read_word: { js: '', returns: 'unsigned int', byAddress: true },
+        pgm_read_dword: { js: '', returns: 'unsigned long', byAddress: true },
+        pgm_read_float: { js: '', returns: 'float', byAddress: true },
+        // FastLED free functions (fastled.js); random and beat functions use the per-run instance
+        scale8: { js: 'FastLEDLib.scale8', returns: 'byte' },
+        scale8_video: { js: 'FastLEDLib.scale8_video', returns: 'byte' },
+        qadd8: { js: 'FastLEDLib.qadd8', returns: 'byte' },
+        qsub8: { js: 'FastLEDLib.qsub8', returns: 'byte' },
+        qmul8: { js: 'FastLEDLib.qmul8', returns: 'byte' },
+        add8: { js: 'FastLEDLib.add8', returns: 'byte' },
+        sub8: { js: 'FastLEDLib.sub8', returns: 'byte' },
+        mul8: { js: 'FastLEDLib.mul8', returns: 'byte' },
+        avg8: { js: 'FastLEDLib.avg8', returns: 'byte' },
+        blend8: { js: 'FastLEDLib.blend8', returns: 'byte' },
+        lerp8by8: { js: 'FastLEDLib.lerp8by8', returns: 'byte' },
+        map8: { js: 'FastLEDLib.map8', returns: 'byte' },
+        dim8_raw: { js: 'FastLEDLib.dim8_raw', returns: 'byte' },
+        dim8_video: { js: 'FastLEDLib.dim8_video', returns: 'byte' },
+        brighten8_raw: { js: 'FastLEDLib.brighten8_raw', returns: 'byte' },
+        ease8InOutQuad: { js: 'FastLEDLib.ease8InOutQuad', returns: 'byte' },
+        ease8InOutCubic: { js: 'FastLEDLib.ease8InOutCubic', returns: 'byte' },
+        triwave8: { js: 'FastLEDLib.triwave8', returns: 'byte' },
+        quadwave8: { js: 'FastLEDLib.quadwave8', returns: 'byte' },
+        cubicwave8: { js: 'FastLEDLib.cubicwave8', returns: 'byte' },
+        sin8: { js: 'FastLEDLib.sin8', returns: 'byte' },
+        cos8: { js: 'FastLEDLib.cos8', returns: 'byte' },
+        scale16: { js: 'FastLEDLib.scale16', returns: 'unsigned int' },
+        sin16: { js: 'FastLEDLib.sin16', returns: 'int' },
+        cos16: { js: 'FastLEDLib.cos16', returns: 'int' },
+        random8: { js: '_FastLEDLib.random8', returns: 'byte' },
+        beat8: { js: '_FastLEDLib.beat8', returns: 'byte' },
+        beatsin8: { js: '_FastLEDLib.beatsin8', returns: 'byte' },
+        random16: { js: '_FastLEDLib.random16', returns: 'unsigned int' },
+        random16_get_seed: { js: '_FastLEDLib.random16_get_seed', returns: 'unsigned int' },
+        beat16: { js: '_FastLEDLib.beat16', returns: 'unsigned int' },
+        beat88: { js: '_FastLEDLib.beat88', returns: 'unsigned int' },
+        beatsin16: { js: '_FastLEDLib.beatsin16', returns: 'unsigned int' },
+        beatsin88: { js: '_FastLEDLib.beatsin88', returns: 'unsigned int' },
+        random16_add_entropy: { js: '_FastLEDLib.random16_add_entropy', returns: 'void' },
+        random16_set_seed: { js: '_FastLEDLib.random16_set_seed', returns: 'void' },
+        fill_solid: { js: 'FastLEDLib.fill_solid', returns: 'void' },
+        fill_rainbow: { js: 'FastLEDLib.fill_rainbow', returns: 'void' },
+        fill_gradient_RGB: { js: 'FastLEDLib.fill_gradient_RGB', returns: 'void' },
+        fill_palette: { js: 'FastLEDLib.fill_palette', returns: 'void' },
+        fadeToBlackBy: { js: 'FastLEDLib.fadeToBlackBy', returns: 'void' },
+        fadeLightBy: { js: 'FastLEDLib.fadeLightBy', returns: 'void' },
+        fade_raw: { js: 'FastLEDLib.fade_raw', returns: 'void' },
+        fade_video: { js: 'FastLEDLib.fade_video', returns: 'void' },
+        nscale8: { js: 'FastLEDLib.nscale8', returns: 'void' },
+        blur1d: { js: 'FastLEDLib.blur1d', returns: 'void' },
+        nblendPaletteTowardPalette: { js: 'FastLEDLib.nblendPaletteTowardPalette', returns: 'void' },
+        blend: { js: 'FastLEDLib.blend', returns: 'CRGB', returnKind: 'class' },
+        nblend: { js: 'FastLEDLib.nblend', returns: 'CRGB', returnKind: 'class' },
+        ColorFromPalette: { js: 'FastLEDLib.ColorFromPalette', returns: 'CRGB', returnKind: 'class' },
+        HeatColor: { js: 'FastLEDLib.HeatColor', returns: 'CRGB', returnKind: 'class' }
+    },
+    constants: {
+        HIGH: { js: '1', type: 'int' },
+        LOW: { js: '0', type: 'int' },
+        OUTPUT: { js: '"OUTPUT"', type: 'int' },
+        INPUT: { js: '"INPUT"', type: 'int' },
+        INPUT_PULLUP: { js: '"INPUT_PULLUP"', type: 'int' },
+        // Uno pin names; ArduinoSimulator passes the selected board's own as options.constants
+        LED_BUILTIN: { js: '13', type: 'int' },
+        A0: { js: '14', type: 'int' },
+        A1: { js: '15', type: 'int' },
+        A2: { js: '16', type: 'int' },
+        A3: { js: '17', type: 'int' },
+        A4: { js: '18', type: 'int' },
+        A5: { js: '19', type: 'int' },
+        DEFAULT: { js: '"DEFAULT"', type: 'int' },
+        INTERNAL: { js: '"INTERNAL"', type: 'int' },
+        EXTERNAL: { js: '"EXTERNAL"', type: 'int' },
+        INTERNAL1V1: { js: '"INTERNAL1V1"', type: 'int' },
+        INTERNAL2V56: { js: '"INTERNAL2V56"', type: 'int' },
+        PI: { js: 'Math.PI', type: 'double' },
+        HALF_PI: { js: '(Math.PI / 2)', type: 'double' },
+        TWO_PI: { js: '(Math.PI * 2)', type: 'double' },
+        DEG_TO_RAD: { js: '(Math.PI / 180)', type: 'double' },
+        RAD_TO_DEG: { js: '(180 / Math.PI)', type: 'double' },
+        NULL: { js: '0', type: 'int' },
+        DEC: { js: '10', type: 'int' },
+        HEX: { js: '16', type: 'int' },
+        OCT: { js: '8', type: 'int' },
+        BIN: { js: '2', type: 'int' },
+        SERIAL_8N1: { js: '6', type: 'int' },
+        LSBFIRST: { js: '0', type: 'int' },
+        MSBFIRST: { js: '1', type: 'int' },
+        // Adafruit_NeoPixel colour order and data rate flags
+        NEO_RGB: { js: '6', type: 'unsigned int' },
+        NEO_GRB: { js: '82', type: 'unsigned int' },
+        NEO_RGBW: { js: '198', type: 'unsigned int' },
+        NEO_GRBW: { js: '210', type: 'unsigned int' },
+        NEO_KHZ800: { js: '0', type: 'unsigned int' },
+        NEO_KHZ400: { js: '256', type: 'unsigned int' },
+        // FastLED chipsets (template arguments of FastLED.addLeds), colour orders and blend types
+        NEOPIXEL: { js: '"NEOPIXEL"', type: 'int' },
+        WS2811: { js: '"WS2811"', type: 'int' },
+        WS2812: { js: '"WS2812"', type: 'int' },
+        WS2812B: { js: '"WS2812B"', type: 'int' },
+        WS2813: { js: '"WS2813"', type: 'int' },
+        WS2815: { js: '"WS2815"', type: 'int' },
+        SK6812: { js: '"SK6812"', type: 'int' },
+        APA106: { js: '"APA106"', type: 'int' },
+        PL9823: { js: '"PL9823"', type: 'int' },
+        UCS1903: { js: '"UCS1903"', type: 'int' },
+        TM1803: { js: '"TM1803"', type: 'int' },
+        TM1809: { js: '"TM1809"', type: 'int' },
+        APA102: { js: '"APA102"', type: 'int' },
+        SK9822: { js: '"SK9822"', type: 'int' },
+        DOTSTAR: { js: '"DOTSTAR"', type: 'int' },
+        WS2801: { js: '"WS2801"', type: 'int' },
+        LPD8806: { js: '"LPD8806"', type: 'int' },
+        P9813: { js: '"P9813"', type: 'int' },
+        RGB: { js: '10', type: 'int' },
+        RBG: { js: '17', type: 'int' },
+        GRB: { js: '66', type: 'int' },
+        GBR: { js: '80', type: 'int' },
+        BRG: { js: '129', type: 'int' },
+        BGR: { js: '136', type: 'int' },
+        NOBLEND: { js: '0', type: 'byte' },
+        LINEARBLEND: { js: '1', type: 'byte' },
+        // FastLED colour corrections and temperatures (accepted; the screen needs no correction)
+        TypicalSMD5050: { js: '16756976', type: 'unsigned long' },
+        TypicalLEDStrip: { js: '16756976', type: 'unsigned long' },
+        Typical8mmPixel: { js: '16769164', type: 'unsigned long' },
+        TypicalPixelString: { js: '16769164', type: 'unsigned long' },
+        UncorrectedColor: { js: '16777215', type: 'unsigned long' },
+        Candle: { js: '16749353', type: 'unsigned long' },
+        Tungsten40W: { js: '16762255', type: 'unsigned long' },
+        Tungsten100W: { js: '16766634', type: 'unsigned long' },
+        Halogen: { js: '16773600', type: 'unsigned long' },
+        CarbonArc: { js: '16775924', type: 'unsigned long' },
+        HighNoonSun: { js: '16777211', type: 'unsigned long' },
+        DirectSunlight: { js: '16777215', type: 'unsigned long' },
+        OvercastSky: { js: '13230847', type: 'unsigned long' },
+        ClearBlueSky: { js: '4234495', type: 'unsigned long' },
+        UncorrectedTemperature: { js: '16777215', type: 'unsigned long' },
+        // FastLED's predefined palettes
+        CloudColors_p: { js: 'FASTLED_PALETTES.CloudColors_p', type: 'CRGBPalette16', kind: 'class' },
+        LavaColors_p: { js: 'FASTLED_PALETTES.LavaColors_p', type: 'CRGBPalette16', kind: 'class' },
+        OceanColors_p: { js: 'FASTLED_PALETTES.OceanColors_p', type: 'CRGBPalette16', kind: 'class' },
+        ForestColors_p: { js: 'FASTLED_PALETTES.ForestColors_p', type: 'CRGBPalette16', kind: 'class' },
+        RainbowColors_p: { js: 'FASTLED_PALETTES.RainbowColors_p', type: 'CRGBPalette16', kind: 'class' },
+        RainbowStripeColors_p: { js: 'FASTLED_PALETTES.RainbowStripeColors_p', type: 'CRGBPalette16', kind: 'class' },
+        PartyColors_p: { js: 'FASTLED_PALETTES.PartyColors_p', type: 'CRGBPalette16', kind: 'class' },
+        HeatColors_p: { js: 'FASTLED_PALETTES.HeatColors_p', type: 'CRGBPalette16', kind: 'class' }
+    },
+    // Library classes the parser must recognise as type names
+    classes: {
+        HardwareSerial: {
+            js: 'HardwareSerial',
+            methods: {
+                begin: { js: 'begin', returns: 'void' },
+                end: { js: 'end', returns: 'void' },
+                print: { emit: printEmitter('print') },
+                println: { emit: printEmitter('println') },
+                write: { emit: printEmitter('write') },
+                flush: { js: 'flush', returns: 'void', async: true },
+                availableForWrite: { js: 'availableForWrite', returns: 'int' },
+                available: { js: 'available', returns: 'int', async: true },
+                read: { js: 'read', returns: 'int' },
+                peek: { js: 'peek', returns: 'int' },
+                setTimeout: { js: 'setTimeout', returns: 'void' },
+                parseInt: { js: 'parseInt', returns: 'long', async: true },
+                parseFloat: { js: 'parseFloat', returns: 'float', async: true },
+                readString: { js: 'readString', returns: 'String', async: true },
+                readStringUntil: { js: 'readStringUntil', returns: 'String', async: true }
+            }
+        },
+        Adafruit_NeoPixel: {
+            js: '_NeoPixel',
+            methods: {
+                begin: { js: 'begin', returns: 'void' },
+                show: { js: 'show', returns: 'void' },
+                setPixelColor: { js: 'setPixelColor', returns: 'void' },
+                getPixelColor: { js: 'getPixelColor', returns: 'unsigned long' },
+                fill: { js: 'fill', returns: 'void' },
+                clear: { js: 'clear', returns: 'void' },
+                setBrightness: { js: 'setBrightness', returns: 'void' },
+                getBrightness: { js: 'getBrightness', returns: 'byte' },
+                numPixels: { js: 'numPixels', returns: 'unsigned int' },
+                updateLength: { js: 'updateLength', returns: 'void' },
+                updateType: { js: 'updateType', returns: 'void' },
+                setPin: { js: 'setPin', returns: 'void' },
+                canShow: { js: 'canShow', returns: 'bool' },
+                Color: { js: 'Color', returns: 'unsigned long' },
+                ColorHSV: { js: 'ColorHSV', returns: 'unsigned long' },
+                gamma8: { js: 'gamma8', returns: 'byte' },
+                gamma32: { js: 'gamma32', returns: 'unsigned long' }
+            },
+            staticMethods: {
+                Color: { js: 'AdafruitNeoPixel.Color', returns: 'unsigned long' },
+                ColorHSV: { js: 'AdafruitNeoPixel.ColorHSV', returns: 'unsigned long' },
+                gamma8: { js: 'AdafruitNeoPixel.gamma8', returns: 'byte' },
+                gamma32: { js: 'AdafruitNeoPixel.gamma32', returns: 'unsigned long' }
+            }
+        },
+        // FastLED colour types are values: assignment copies and converts (fastled.js `from()`), and
+        // `operators` maps C++ operators to methods that work in place on a clone of the left operand
+        CRGB: {
+            js: 'CRGB',
+            value: true,
+            size: 3,
+            fields: { r: 'byte', g: 'byte', b: 'byte', red: 'byte', green: 'byte', blue: 'byte' },
+            methods: {
+                setRGB: { js: 'setRGB', returns: 'CRGB', returnKind: 'class', ref: true },
+                setHSV: { js: 'setHSV', returns: 'CRGB', returnKind: 'class', ref: true },
+                setHue: { js: 'setHue', returns: 'CRGB', returnKind: 'class', ref: true },
+                setColorCode: { js: 'setColorCode', returns: 'CRGB', returnKind: 'class', ref: true },
+                nscale8: { js: 'nscale8', returns: 'CRGB', returnKind: 'class', ref: true },
+                nscale8_video: { js: 'nscale8_video', returns: 'CRGB', returnKind: 'class', ref: true },
+                fadeToBlackBy: { js: 'fadeToBlackBy', returns: 'CRGB', returnKind: 'class', ref: true },
+                fadeLightBy: { js: 'fadeLightBy', returns: 'CRGB', returnKind: 'class', ref: true },
+                maximizeBrightness: { js: 'maximizeBrightness', returns: 'CRGB', returnKind: 'class', ref: true },
+                getLuma: { js: 'getLuma', returns: 'byte' },
+                getAverageLight: { js: 'getAverageLight', returns: 'byte' }
+            },
+            operators: {
+                '+': 'add', '-': 'sub', '*': 'mul', '/': 'div', '%': 'mod', '|': 'or', '&': 'and', '>>': 'shr',
+                '==': 'equals', '!=': 'equals', '<': 'compare', '>': 'compare', '<=': 'compare', '>=': 'compare'
+            },
+            statics: Object.fromEntries(Object.entries(FASTLED_COLORS).map(([name, code]) => [
+                name, { js: `new CRGB(0x${code.toString(16).padStart(6, '0').toUpperCase()})`, type: 'CRGB', kind: 'class' }
+            ]))
+        },
+        CHSV: {
+            js: 'CHSV',
+            value: true,
+            size: 3,
+            fields: { h: 'byte', s: 'byte', v: 'byte', hue: 'byte', sat: 'byte', val: 'byte' },
+            methods: {
+                setHSV: { js: 'setHSV', returns: 'CHSV', returnKind: 'class', ref: true }
+            }
+        },
+        CRGBPalette16: {
+            js: 'CRGBPalette16',
+            value: true,
+            size: 48,
+            // palette[i] is the i-th CRGB entry
+            index: { js: 'entries', type: 'CRGB' }
+        },
+        CFastLED: {
+            js: 'CFastLED',
+            methods: {
+                addLeds: { js: 'addLeds', returns: 'CLEDController', returnKind: 'class', template: true },
+                show: { js: 'show', returns: 'void' },
+                showColor: { js: 'showColor', returns: 'void' },
+                clear: { js: 'clear', returns: 'void' },
+                clearData: { js: 'clearData', returns: 'void' },
+                delay: { js: 'delay', returns: 'void', async: true },
+                setBrightness: { js: 'setBrightness', returns: 'void' },
+                getBrightness: { js: 'getBrightness', returns: 'byte' },
+                setMaxPowerInVoltsAndMilliamps: { js: 'setMaxPowerInVoltsAndMilliamps', returns: 'void' },
+                setMaxPowerInMilliWatts: { js: 'setMaxPowerInMilliWatts', returns: 'void' },
+                setCorrection: { js: 'setCorrection', returns: 'void' },
+                setTemperature: { js: 'setTemperature', returns: 'void' },
+                setDither: { js: 'setDither', returns: 'void' },
+                setMaxRefreshRate: { js: 'setMaxRefreshRate', returns: 'void' },
+                size: { js: 'size', returns: 'int' },
+                count: { js: 'count', returns: 'int' }
+            }
+        },
+        CLEDController: {
+            js: 'CLEDController',
+            methods: {
+                setCorrection: { js: 'setCorrection', returns: 'CLEDController', returnKind: 'class' },
+                setTemperature: { js: 'setTemperature', returns: 'CLEDController', returnKind: 'class' },
+                setDither: { js: 'setDither', returns: 'CLEDController', returnKind: 'class' },
+                size: { js: 'size', returns: 'int' }
+            }
+        },
+        // Timers behind EVERY_N_MILLISECONDS / EVERY_N_SECONDS
+        CEveryNMillis: { js: '_CEveryNMillis', methods: everyNMethods() },
+        CEveryNSeconds: { js: '_CEveryNSeconds', methods: everyNMethods() }
+    },
+    // Global instances of library classes
+    objects: {
+        Serial: { js: '_Serial', type: 'HardwareSerial' },
+        FastLED: { js: '_FastLED', type: 'CFastLED' }
+    }
+};
+
+// Library methods called with template arguments, e.g. FastLED.addLeds<WS2812B, 6, GRB>(...)
+const TEMPLATE_METHODS = new Set(Object.values(ARDUINO_BUILTINS.classes)
+    .flatMap(cls => Object.entries(cls.methods || {}).filter(([, m]) => m.template).map(([name]) => name)));
+
+// Helpers emitted at the top of every compiled sketch (language semantics, not Arduino API)
+const RUNTIME_PRELUDE = `
+const __array = (dims, make) => Array.from({ length: dims[0] }, () => dims.length > 1 ? __array(dims.slice(1), make) : make());
+const __fill = (dims, values, make) => {
+    if (dims.length > 1 && values.length && !Array.isArray(values[0])) {
+        const step = dims.slice(1).reduce((a, b) => a * b, 1);
+        const rows = [];
+        for (let i = 0; i < values.length; i += step) rows.push(values.slice(i, i + step));
+        values = rows;
+    }
+    return Array.from({ length: dims[0] }, (_, i) => dims.length > 1
+        ? __fill(dims.slice(1), values[i] || [], make)
+        : (i < values.length ? values[i] : make()));
+};
+const __cast = (bits, signed, type) => (v, line) => {
+    const r = bits === 32 ? (signed ? v | 0 : v >>> 0) : signed ? (v << (32 - bits)) >> (32 - bits) : v & ((1 << bits) - 1);
+    if (line && r !== Math.trunc(v)) _overflow(v, r, type, line);
+    return r;
+};
+const __i8 = __cast(8, true, 'char'), __u8 = __cast(8, false, 'byte');
+const __i16 = __cast(16, true, 'int'), __u16 = __cast(16, false, 'unsigned int');
+const __i32 = __cast(32, true, 'long'), __u32 = __cast(32, false, 'unsigned long');
+const __mul32 = (a, b, cast, line) => {
+    const p = a * b;
+    if (Number.isSafeInteger(p)) return cast(p, line);
+    const r = cast(Math.imul(a, b));
+    if (line) _overflow(p, r, cast === __u32 ? 'unsigned long' : 'long', line);
+    return r;
+};
+const __clone = v => Array.isArray(v) ? v.map(__clone) : (v && typeof v.clone === 'function') ? v.clone() : v;
+const __sq = x => x * x;
+const __constrain = (x, lo, hi) => x < lo ? lo : x > hi ? hi : x;
+const __map = (x, inMin, inMax, outMin, outMax) => {
+    [x, inMin, inMax, outMin, outMax] = [x, inMin, inMax, outMin, outMax].map(Math.trunc);
+    return (Math.trunc(Math.imul(x - inMin, outMax - outMin) / (inMax - inMin)) + outMin) | 0;
+};
+const __round = x => Math.sign(x) * Math.round(Math.abs(x));
+const __radians = d => d * Math.PI / 180;
+const __degrees = r => r * 180 / Math.PI;
+`;
+
+// --- Lexer ---
+
+class Lexer {
+    constructor(source) {
+        this.src = source;
+        this.pos = 0;
+        this.line = 1;
+        this.col = 1;
+    }
+
+    error(msg, line = this.line, col = this.col) {
+        throw new CompileError(msg, line, col);
+    }
+
+    advance(n = 1) {
+        for (let i = 0; i < n; i++) {
+            if (this.src[this.pos] === '\n') {
+                this.line++;
+                this.col = 1;
+            } else {
+                this.col++;
+            }
+            this.pos++;
+        }
+    }
+
+    // Skips blanks and comments. In a directive, stops at an unescaped newline and returns true.
+    skipSpace(inDirective) {
+        while (this.pos < this.src.length) {
+            const c = this.src[this.pos];
+            const n = this.src[this.pos + 1];
+            if (c === '\\' && (n === '\n' || (n === '\r' && this.src[this.pos + 2] === '\n'))) {
+                this.advance(n === '\r' ? 3 : 2);
+            } else if (c === '\n') {
+                if (inDirective) return true;
+                this.advance();
+            } else if (c === ' ' || c === '\t' || c === '\r' || c === '\f' || c === '\v') {
+                this.advance();
+            } else if (c === '/' && n === '/') {
+                while (this.pos < this.src.length && this.src[this.pos] !== '\n') this.advance();
+            } else if (c === '/' && n === '*') {
+                const line = this.line, col = this.col;
+                const end = this.src.indexOf('*/', this.pos + 2);
+                if (end < 0) this.error('unterminated comment', line, col);
+                this.advance(end + 2 - this.pos);
+            } else {
+                break;
+            }
+        }
+        return inDirective && this.pos >= this.src.length;
+    }
+
+    tokenize() {
+        const tokens = [];
+        let lineStart = true;
+        let lastLine = 0;
+        while (true) {
+            const before = this.pos;
+            this.skipSpace(false);
+            if (this.pos >= this.src.length) break;
+            if (this.line !== lastLine) lineStart = true;
+
+            if (this.src[this.pos] === '#' && lineStart) {
+                tokens.push(this.readDirective());
+                lastLine = this.line;
+                continue;
+            }
+            const tok = this.readToken();
+            tok.spaceBefore = this.pos - tok.length > before;
+            tokens.push(tok);
+            lineStart = false;
+            lastLine = this.line;
+        }
+        tokens.push({ type: 'eof', value: '<end of input>', line: this.line, col: this.col });
+        return tokens;
+    }
+
+    readDirective() {
+        const line = this.line, col = this.col;
+        this.advance(); // '#'
+        const body = [];
+        while (true) {
+            const before = this.pos;
+            if (this.skipSpace(true)) break;
+            const tok = this.readToken();
+            tok.spaceBefore = this.pos - tok.length > before;
+            body.push(tok);
+        }
+        const name = body.length ? body.shift() : null;
+        return { type: 'directive', value: name ? name.value : '', tokens: body, line, col };
+    }
+
+    readToken() {
+        const line = this.line, col = this.col, start = this.pos;
+        const c = this.src[this.pos];
+        const make = (type, value, extra) => Object.assign({ type, value, line, col, length: this.pos - start }, extra);
+
+        if (/[A-Za-z_]/.test(c)) {
+            let end = this.pos;
+            while (end < this.src.length && /[A-Za-z0-9_]/.test(this.src[end])) end++;
+            const word = this.src.slice(this.pos, end);
+            this.advance(end - this.pos);
+            return make(KEYWORDS.has(word) ? 'keyword' : 'ident', word);
+        }
+
+        if (/[0-9]/.test(c) || (c === '.' && /[0-9]/.test(this.src[this.pos + 1]))) {
+            return this.readNumber(make);
+        }
+
+        if (c === '"') {
+            this.advance();
+            let value = '';
+            while (this.src[this.pos] !== '"') {
+                if (this.pos >= this.src.length || this.src[this.pos] === '\n') this.error('missing terminating " character', line, col);
+                value += this.readChar();
+            }
+            this.advance();
+            return make('string', value);
+        }
+
+        if (c === '\'') {
+            this.advance();
+            if (this.src[this.pos] === '\'') this.error('empty character constant', line, col);
+            const ch = this.readChar();
+            if (this.src[this.pos] !== '\'') this.error('missing terminating \' character', line, col);
+            this.advance();
+            return make('char', ch.charCodeAt(0));
+        }
+
+        for (const p of PUNCTUATORS) {
+            if (this.src.startsWith(p, this.pos)) {
+                this.advance(p.length);
+                return make('punct', p);
+            }
+        }
+        this.error(`stray '${c}' in program`);
+    }
+
+    readChar() {
+        const c = this.src[this.pos];
+        if (c !== '\\') {
+            this.advance();
+            return c;
+        }
+        const e = this.src[this.pos + 1];
+        this.advance(2);
+        const simple = { n: '\n', t: '\t', r: '\r', '0': '\0', '\\': '\\', '\'': '\'', '"': '"', a: '\x07', b: '\b', f: '\f', v: '\v', '?': '?' };
+        if (e === 'x') {
+            let hex = '';
+            while (/[0-9a-fA-F]/.test(this.src[this.pos]) && hex.length < 2) {
+                hex += this.src[this.pos];
+                this.advance();
+            }
+            return String.fromCharCode(parseInt(hex || '0', 16));
+        }
+        if (/[0-7]/.test(e) && e !== '0' || (e === '0' && /[0-7]/.test(this.src[this.pos]))) {
+            let oct = e;
+            while (/[0-7]/.test(this.src[this.pos]) && oct.length < 3) {
+                oct += this.src[this.pos];
+                this.advance();
+            }
+            return String.fromCharCode(parseInt(oct, 8));
+        }
+        if (e in simple) return simple[e];
+        return e;
+    }
+
+    readNumber(make) {
+        const rest = this.src.slice(this.pos);
+        let m, value, isFloat = false;
+        if ((m = /^0[xX][0-9a-fA-F]+/.exec(rest))) {
+            value = parseInt(m[0].slice(2), 16);
+        } else if ((m = /^0[bB][01]+/.exec(rest))) {
+            value = parseInt(m[0].slice(2), 2);
+        } else if ((m = /^(\d+\.\d*|\.\d+|\d+)([eE][+-]?\d+)?/.exec(rest)) && (m[0].includes('.') || m[2])) {
+            value = parseFloat(m[0]);
+            isFloat = true;
+        } else if ((m = /^0[0-7]+/.exec(rest))) {
+            value = parseInt(m[0], 8);
+        } else {
+            m = /^\d+/.exec(rest);
+            value = parseInt(m[0], 10);
+        }
+        this.advance(m[0].length);
+        const suffix = /^[uUlLfF]*/.exec(this.src.slice(this.pos))[0];
+        this.advance(suffix.length);
+        if (/[A-Za-z0-9_]/.test(this.src[this.pos] || '')) this.error(`invalid suffix on numeric constant`);
+        const s = suffix.toLowerCase();
+        if (s.includes('f')) {
+            if (!isFloat) this.error('invalid suffix "f" on integer constant');
+        }
+        return make('number', value, {
+            isFloat,
+            unsigned: s.includes('u'),
+            long: (s.match(/l/g) || []).length
+        });
+    }
+}
+
+// --- Preprocessor ---
+
+// Function-like macros from Arduino.h and library headers
+const LIBRARY_MACROS = `
+#define lowByte(w) ((uint8_t) ((w) & 0xff))
+#define highByte(w) ((uint8_t) ((w) >> 8))
+#define bitRead(value, bit) (((value) >> (bit)) & 0x01)
+#define bitSet(value, bit) ((value) |= (1UL << (bit)))
+#define bitClear(value, bit) ((value) &= ~(1UL << (bit)))
+#define bitToggle(value, bit) ((value) ^= (1UL << (bit)))
+#define bitWrite(value, bit, bitvalue) ((bitvalue) ? bitSet(value, bit) : bitClear(value, bit))
+#define bit(b) (1UL << (b))
+#define EVERY_N_MILLISECONDS(N) __FASTLED_EVERY(__COUNTER__, CEveryNMillis, N)
+#define EVERY_N_MILLIS(N) __FASTLED_EVERY(__COUNTER__, CEveryNMillis, N)
+#define EVERY_N_SECONDS(N) __FASTLED_EVERY(__COUNTER__, CEveryNSeconds, N)
+#define EVERY_N_MILLISECONDS_I(NAME, N) static CEveryNMillis NAME(N); if (NAME.ready())
+#define EVERY_N_MILLIS_I(NAME, N) static CEveryNMillis NAME(N); if (NAME.ready())
+#define EVERY_N_SECONDS_I(NAME, N) static CEveryNSeconds NAME(N); if (NAME.ready())
+#define __FASTLED_EVERY(ID, TYPE, N) static TYPE __FASTLED_PASTE(__every, ID)(N); if (__FASTLED_PASTE(__every, ID).ready())
+#define __FASTLED_PASTE(A, B) A ## B
+`;
+
+class Preprocessor {
+    constructor(predefined = {}) {
+        this.macros = new Map();
+        this.includes = [];
+        this.warnings = [];
+        this.counter = 0; // __COUNTER__
+        Object.entries(predefined).forEach(([name, value]) => {
+            this.macros.set(name, { params: null, body: new Lexer(String(value)).tokenize().slice(0, -1) });
+        });
+        new Lexer(LIBRARY_MACROS).tokenize().filter(t => t.type === 'directive').forEach(t => this.directive(t));
+    }
+
+    process(tokens) {
+        const out = [];
+        const stack = []; // { active, taken, parentActive }
+        const active = () => stack.every(s => s.active);
+        let pending = [];
+
+        const flush = () => {
+            if (pending.length) {
+                out.push(...this.expand(pending, new Set()));
+                pending = [];
+            }
+        };
+
+        for (let i = 0; i < tokens.length; i++) {
+            const tok = tokens[i];
+            if (tok.type === 'eof') {
+                flush();
+                if (stack.length) throw new CompileError('unterminated #if', tok.line, tok.col);
+                out.push(tok);
+                break;
+            }
+            if (tok.type !== 'directive') {
+                if (active()) {
+                    pending.push(tok);
+                    // Function-like macro invocations may span many tokens; expand at statement ends
+                    if (tok.value === ';' || tok.value === '{' || tok.value === '}') flush();
+                }
+                continue;
+            }
+            flush();
+
+            const name = tok.value;
+            const args = tok.tokens;
+            const top = stack[stack.length - 1];
+            switch (name) {
+                case 'ifdef':
+                case 'ifndef': {
+                    const defined = args.length > 0 && this.macros.has(args[0].value);
+                    const cond = name === 'ifdef' ? defined : !defined;
+                    stack.push({ active: cond, taken: cond });
+                    break;
+                }
+                case 'if': {
+                    const cond = active() && this.evaluate(args, tok);
+                    stack.push({ active: cond, taken: cond });
+                    break;
+                }
+                case 'elif':
+                    if (!top) throw new CompileError('#elif without #if', tok.line, tok.col);
+                    stack.pop();
+                    if (top.taken || !active()) {
+                        stack.push({ active: false, taken: true });
+                    } else {
+                        const cond = this.evaluate(args, tok);
+                        stack.push({ active: cond, taken: cond });
+                    }
+                    break;
+                case 'else':
+                    if (!top) throw new CompileError('#else without #if', tok.line, tok.col);
+                    top.active = !top.taken;
+                    top.taken = true;
+                    break;
+                case 'endif':
+                    if (!top) throw new CompileError('#endif without #if', tok.line, tok.col);
+                    stack.pop();
+                    break;
+                default:
+                    if (!active()) break;
+                    this.directive(tok);
+            }
+        }
+        return out;
+    }
+
+    directive(tok) {
+        const args = tok.tokens;
+        switch (tok.value) {
+            case 'include':
+                this.includes.push(args.map(t => t.type === 'string' ? t.value : t.value).join('').replace(/^<|>$/g, ''));
+                break;
+            case 'define': {
+                const nameTok = args[0];
+                if (!nameTok || nameTok.type !== 'ident') {
+                    throw new CompileError('macro names must be identifiers', tok.line, tok.col);
+                }
+                let params = null;
+                let body = args.slice(1);
+                if (body.length && body[0].value === '(' && !body[0].spaceBefore) {
+                    const close = body.findIndex(t => t.value === ')');
+                    if (close < 0) throw new CompileError('missing \')\' in macro parameter list', nameTok.line, nameTok.col);
+                    params = body.slice(1, close).filter(t => t.value !== ',').map(t => t.value);
+                    body = body.slice(close + 1);
+                }
+                this.macros.set(nameTok.value, { params, body });
+                break;
+            }
+            case 'undef':
+                if (args[0]) this.macros.delete(args[0].value);
+                break;
+            case 'error':
+                throw new CompileError(`#error ${args.map(t => t.value).join(' ')}`, tok.line, tok.col);
+            case 'warning':
+                this.warnings.push({ msg: args.map(t => t.value).join(' '), line: tok.line });
+                break;
+            case 'pragma':
+            case 'line':
+            case '':
+                break;
+            default:
+                throw new CompileError(`invalid preprocessing directive #${tok.value}`, tok.line, tok.col);
+        }
+    }
+
+    evaluate(args, tok) {
+        // Replace defined(X) / defined X before expansion
+        const resolved = [];
+        for (let i = 0; i < args.length; i++) {
+            if (args[i].value === 'defined') {
+                const paren = args[i + 1] && args[i + 1].value === '(';
+                const nameTok = args[i + (paren ? 2 : 1)];
+                if (!nameTok) throw new CompileError('operator "defined" requires an identifier', tok.line, tok.col);
+                resolved.push({ type: 'number', value: this.macros.has(nameTok.value) ? 1 : 0, line: tok.line, col: tok.col });
+                i += paren ? 3 : 1;
+            } else {
+                resolved.push(args[i]);
+            }
+        }
+        const expanded = this.expand(resolved, new Set()).map(t =>
+            t.type === 'ident' || t.type === 'keyword'
+                ? { type: 'number', value: t.value === 'true' ? 1 : 0, line: t.line, col: t.col }
+                : t);
+        expanded.push({ type: 'eof', value: '<end of line>', line: tok.line, col: tok.col });
+        const parser = new Parser(expanded);
+        const expr = parser.parseExpression();
+        const value = constEvaluate(expr, () => 0);
+        if (value === null) throw new CompileError('#if expression is not constant', tok.line, tok.col);
+        return !!value;
+    }
+
+    expand(tokens, disabled) {
+        const out = [];
+        for (let i = 0; i < tokens.length; i++) {
+            const tok = tokens[i];
+            if (tok.type === 'ident' && tok.value === '__COUNTER__') {
+                out.push(Object.assign({}, tok, { type: 'number', value: this.counter++ }));
+                continue;
+            }
+            const macro = tok.type === 'ident' && !disabled.has(tok.value) ? this.macros.get(tok.value) : null;
+            if (!macro) {
+                out.push(tok);
+                continue;
+            }
+            const at = t => Object.assign({}, t, { line: tok.line, col: tok.col });
+            const inner = new Set(disabled).add(tok.value);
+
+            if (macro.params === null) {
+                out.push(...this.expand(macro.body.map(at), inner));
+                continue;
+            }
+            if (!tokens[i + 1] || tokens[i + 1].value !== '(') {
+                out.push(tok);
+                continue;
+            }
+            // Collect arguments
+            const args = [[]];
+            let depth = 0;
+            let j = i + 2;
+            for (; j < tokens.length; j++) {
+                const t = tokens[j];
+                if (t.value === '(') depth++;
+                if (t.value === ')') {
+                    if (depth === 0) break;
+                    depth--;
+                }
+                if (t.value === ',' && depth === 0) args.push([]);
+                else args[args.length - 1].push(t);
+            }
+            if (j >= tokens.length) throw new CompileError(`unterminated argument list invoking macro "${tok.value}"`, tok.line, tok.col);
+            if (args.length === 1 && args[0].length === 0) args.pop();
+            if (args.length !== macro.params.length) {
+                throw new CompileError(`macro "${tok.value}" requires ${macro.params.length} arguments, but ${args.length} given`, tok.line, tok.col);
+            }
+            const expandedArgs = args.map(a => this.expand(a, disabled));
+            const body = [];
+            for (let k = 0; k < macro.body.length; k++) {
+                const b = macro.body[k];
+                const idx = b.type === 'ident' ? macro.params.indexOf(b.value) : -1;
+                if (b.value === '#' && macro.body[k + 1]) {
+                    const p = macro.params.indexOf(macro.body[k + 1].value);
+                    if (p >= 0) {
+                        body.push(at({ type: 'string', value: args[p].map(t => t.type === 'string' ? `"${t.value}"` : t.value).join(' ') }));
+                        k++;
+                        continue;
+                    }
+                }
+                if (b.value === '##' && body.length && macro.body[k + 1]) {
+                    const next = macro.body[++k];
+                    const ni = macro.params.indexOf(next.value);
+                    const rhs = ni >= 0 ? args[ni] : [next];
+                    const lhs = body.pop();
+                    const pasted = new Lexer(String(lhs.value) + (rhs.length ? String(rhs[0].value) : '')).tokenize().slice(0, -1);
+                    body.push(...pasted.map(at), ...rhs.slice(1).map(at));
+                    continue;
+                }
+                if (idx >= 0) body.push(...expandedArgs[idx].map(at));
+                else body.push(at(b));
+            }
+            out.push(...this.expand(body, inner));
+            i = j;
+        }
+        return out;
+    }
+}
+
+// Evaluates a constant expression AST; lookup(name) resolves identifiers (null when unknown)
+function constEvaluate(node, lookup) {
+    const ev = n => constEvaluate(n, lookup);
+    switch (node.kind) {
+        case 'Number':
+        case 'Char':
+            return node.value;
+        case 'Bool':
+            return node.value ? 1 : 0;
+        case 'Ident':
+            return lookup(node.name);
+        case 'Unary': {
+            const v = ev(node.argument);
+            if (v === null) return null;
+            switch (node.op) {
+                case '-': return -v;
+                case '+': return v;
+                case '!': return v ? 0 : 1;
+                case '~': return ~v;
+            }
+            return null;
+        }
+        case 'Binary':
+        case 'Logical': {
+            const l = ev(node.left);
+            const r = ev(node.right);
+            if (l === null || r === null) return null;
+            switch (node.op) {
+                case '+': return l + r;
+                case '-': return l - r;
+                case '*': return l * r;
+                case '/': return node.isFloat ? l / r : Math.trunc(l / r);
+                case '%': return l % r;
+                case '<<': return l << r;
+                case '>>': return l >> r;
+                case '&': return l & r;
+                case '|': return l | r;
+                case '^': return l ^ r;
+                case '<': return +(l < r);
+                case '>': return +(l > r);
+                case '<=': return +(l <= r);
+                case '>=': return +(l >= r);
+                case '==': return +(l === r);
+                case '!=': return +(l !== r);
+                case '&&': return +(l && r);
+                case '||': return +(l || r);
+            }
+            return null;
+        }
+        case 'Conditional': {
+            const t = ev(node.test);
+            if (t === null) return null;
+            return t ? ev(node.consequent) : ev(node.alternate);
+        }
+        case 'Cast':
+            return ev(node.argument);
+        default:
+            return null;
+    }
+}
+
+// --- Parser ---
+
+class Parser {
+    constructor(tokens, typeNames = []) {
+        this.tokens = tokens;
+        this.pos = 0;
+        this.typeNames = new Set([...Object.keys(PRIMITIVE_TYPES), ...Object.keys(ARDUINO_BUILTINS.classes), ...typeNames]);
+        this.structs = new Set();
+        this.enums = new Set();
+        this.typedefs = new Map();
+    }
+
+    // --- Token helpers ---
+
+    peek(offset = 0) {
+        return this.tokens[Math.min(this.pos + offset, this.tokens.length - 1)];
+    }
+
+    next() {
+        const tok = this.peek();
+        if (tok.type !== 'eof') this.pos++;
+        return tok;
+    }
+
+    is(value, offset = 0) {
+        const tok = this.peek(offset);
+        return tok.value === value && (tok.type === 'punct' || tok.type === 'keyword' || tok.type === 'ident');
+    }
+
+    match(value) {
+        if (this.is(value)) return this.next();
+        return null;
+    }
+
+    expect(value, context) {
+        if (this.is(value)) return this.next();
+        const tok = this.peek();
+        const msg = `expected '${value}'${context ? ' ' + context : ''} before ${this.describe(tok)}`;
+        // A missing ';' is reported at the end of the line that lacks it, not where the next line starts
+        const prev = this.tokens[this.pos - 1];
+        if (value === ';' && prev && prev.line < tok.line) {
+            throw new CompileError(msg, prev.line, prev.col + (prev.length || 1));
+        }
+        this.error(tok, msg);
+    }
+
+    expectIdent(what = 'identifier') {
+        const tok = this.peek();
+        if (tok.type !== 'ident') this.error(tok, `expected ${what} before ${this.describe(tok)}`);
+        return this.next();
+    }
+
+    describe(tok) {
+        if (tok.type === 'eof') return 'end of input';
+        if (tok.type === 'string') return 'string constant';
+        if (tok.type === 'number' || tok.type === 'char') return 'numeric constant';
+        return `'${tok.value}'`;
+    }
+
+    error(tok, msg) {
+        throw new CompileError(msg, tok.line, tok.col);
+    }
+
+    node(kind, tok, props) {
+        return Object.assign({ kind, line: tok.line, col: tok.col }, props);
+    }
+
+    isTypeName(tok) {
+        return (tok.type === 'ident' || tok.value === 'unsigned' || tok.value === 'signed') && (this.typeNames.has(tok.value) || tok.value === 'unsigned' || tok.value === 'signed');
+    }
+
+    isDeclarationStart() {
+        const tok = this.peek();
+        if (QUALIFIERS.has(tok.value) || tok.value === 'struct' || tok.value === 'enum' || tok.value === 'typedef' || tok.value === 'class') return true;
+        if (!this.isTypeName(tok)) return false;
+        // `Type(` and `Type::` start expressions (functional casts, scoped names)
+        const nxt = this.peek(1);
+        return !(nxt.value === '(' || nxt.value === '::' || nxt.value === '.');
+    }
+
+    // --- Program ---
+
+    parseProgram() {
+        const body = [];
+        const start = this.peek();
+        while (this.peek().type !== 'eof') {
+            if (this.match(';')) continue;
+            body.push(...this.parseExternalDeclaration());
+        }
+        return this.node('Program', start, { body });
+    }
+
+    parseExternalDeclaration() {
+        const tok = this.peek();
+        if (tok.value === 'typedef') return [this.parseTypedef()];
+        if (tok.value === 'class') this.error(tok, 'user-defined classes are not supported; use a struct');
+        if (!this.isDeclarationStart()) {
+            this.error(tok, tok.type === 'ident'
+                ? `'${tok.value}' does not name a type`
+                : `expected declaration before ${this.describe(tok)}`);
+        }
+        const spec = this.parseDeclSpecifiers();
+        if (spec.definition && this.match(';')) return [spec.definition];
+
+        // Function definition or prototype?
+        const save = this.pos;
+        const pointer = this.parsePointers();
+        const nameTok = this.peek();
+        if (nameTok.type === 'ident' && this.is('(', 1) && this.looksLikeParams(2)) {
+            this.next();
+            return [...(spec.definition ? [spec.definition] : []), this.parseFunction(spec, pointer, nameTok)];
+        }
+        this.pos = save;
+        const decl = this.parseDeclaratorList(spec, tok);
+        return spec.definition ? [spec.definition, decl] : [decl];
+    }
+
+    // After `name (`: empty list or a type means a parameter list rather than constructor arguments
+    looksLikeParams(offset) {
+        const tok = this.peek(offset);
+        return tok.value === ')' || tok.value === 'void' || QUALIFIERS.has(tok.value) || tok.value === 'struct' || this.isTypeName(tok);
+    }
+
+    parseFunction(spec, pointer, nameTok) {
+        this.expect('(');
+        const params = [];
+        if (this.is('void') && this.is(')', 1)) this.next();
+        while (!this.is(')')) {
+            const pTok = this.peek();
+            const pSpec = this.parseDeclSpecifiers();
+            const ptr = this.parsePointers();
+            if (this.is('&')) this.error(this.peek(), 'reference parameters are not supported in the simulator');
+            let name = null;
+            if (this.peek().type === 'ident') name = this.next().value;
+            const dims = this.parseDims(true);
+            let def = null;
+            if (this.match('=')) def = this.parseAssignment();
+            params.push({ name, type: this.makeType(pSpec, ptr + (dims.length ? 1 : 0), []), default: def, line: pTok.line, col: pTok.col });
+            if (!this.match(',')) break;
+        }
+        this.expect(')', 'to close the parameter list');
+        const returnType = this.makeType(spec, pointer, []);
+        if (this.match(';')) {
+            return this.node('FunctionDecl', nameTok, { name: nameTok.value, returnType, params, body: null });
+        }
+        if (!this.is('{')) this.error(this.peek(), `expected '{' or ';' before ${this.describe(this.peek())}`);
+        const body = this.parseBlock();
+        return this.node('FunctionDecl', nameTok, { name: nameTok.value, returnType, params, body });
+    }
+
+    // Parses qualifiers and a type specifier. Returns { name, kind, isConst, isStatic, definition }
+    parseDeclSpecifiers() {
+        const spec = { name: null, kind: 'primitive', isConst: false, isStatic: false, definition: null };
+        const words = [];
+        const start = this.peek();
+        while (true) {
+            const tok = this.peek();
+            if (QUALIFIERS.has(tok.value)) {
+                this.next();
+                if (tok.value === 'const' || tok.value === 'constexpr') spec.isConst = true;
+                if (tok.value === 'static') spec.isStatic = true;
+                continue;
+            }
+            if (spec.name || words.length) {
+                if (['unsigned', 'signed', 'int', 'long', 'short', 'char', 'double'].includes(tok.value) && !spec.name) {
+                    words.push(this.next().value);
+                    continue;
+                }
+                break;
+            }
+            if (tok.value === 'struct') {
+                this.next();
+                const s = this.parseStructSpecifier(tok);
+                spec.name = s.name;
+                spec.kind = 'struct';
+                spec.definition = s.definition;
+                continue;
+            }
+            if (tok.value === 'enum') {
+                this.next();
+                const e = this.parseEnumSpecifier(tok);
+                spec.name = e.name;
+                spec.kind = 'enum';
+                spec.definition = e.definition;
+                continue;
+            }
+            if (['unsigned', 'signed', 'int', 'long', 'short', 'char', 'double'].includes(tok.value)) {
+                words.push(this.next().value);
+                continue;
+            }
+            if (tok.type === 'ident' && this.typeNames.has(tok.value)) {
+                this.next();
+                if (this.typedefs.has(tok.value)) {
+                    const t = this.typedefs.get(tok.value);
+                    Object.assign(spec, { name: t.name, kind: t.kind, typedefDims: t.dims, typedefPointer: t.pointer });
+                    if (t.isConst) spec.isConst = true;
+                } else if (this.structs.has(tok.value)) {
+                    spec.name = tok.value;
+                    spec.kind = 'struct';
+                } else if (this.enums.has(tok.value)) {
+                    spec.name = tok.value;
+                    spec.kind = 'enum';
+                } else if (ARDUINO_BUILTINS.classes[tok.value]) {
+                    spec.name = tok.value;
+                    spec.kind = 'class';
+                } else {
+                    spec.name = PRIMITIVE_TYPES[tok.value];
+                }
+                continue;
+            }
+            break;
+        }
+        if (words.length) spec.name = this.canonicalWords(words, start);
+        if (!spec.name) this.error(this.peek(), `expected type before ${this.describe(this.peek())}`);
+        return spec;
+    }
+
+    canonicalWords(words, tok) {
+        const unsigned = words.includes('unsigned');
+        const longs = words.filter(w => w === 'long').length;
+        let base;
+        if (words.includes('char')) base = unsigned ? 'byte' : 'char';
+        else if (words.includes('double')) base = 'double';
+        else if (longs >= 2) base = 'long long';
+        else if (longs === 1) base = 'long';
+        else base = 'int';
+        if (base === 'byte' || base === 'char' || base === 'double') return base;
+        if (unsigned && words.includes('signed') && words.indexOf('signed') !== words.indexOf('unsigned')) {
+            this.error(tok, 'both \'signed\' and \'unsigned\' in declaration specifiers');
+        }
+        return unsigned ? `unsigned ${base}` : base;
+    }
+
+    parseStructSpecifier(tok) {
+        let name = null;
+        if (this.peek().type === 'ident') name = this.next().value;
+        if (!this.is('{')) {
+            if (!name) this.error(this.peek(), 'expected struct name');
+            if (!this.structs.has(name)) this.error(tok, `'struct ${name}' has not been declared`);
+            return { name, definition: null };
+        }
+        if (!name) name = `__anon_struct_${tok.line}_${tok.col}`;
+        this.structs.add(name);
+        this.typeNames.add(name);
+        this.expect('{');
+        const fields = [];
+        while (!this.is('}')) {
+            if (this.peek().type === 'eof') this.expect('}', 'at end of struct');
+            const fTok = this.peek();
+            const fSpec = this.parseDeclSpecifiers();
+            do {
+                const ptr = this.parsePointers();
+                const nameTok = this.expectIdent('field name');
+                if (this.is('(')) this.error(this.peek(), 'member functions are not supported in the simulator');
+                const dims = this.parseDims(false);
+                let init = null;
+                if (this.match('=')) init = this.parseInitializer();
+                fields.push({ name: nameTok.value, type: this.makeType(fSpec, ptr, dims), init, line: fTok.line, col: fTok.col });
+            } while (this.match(','));
+            this.expect(';', 'after struct member');
+        }
+        this.expect('}');
+        return { name, definition: this.node('StructDecl', tok, { name, fields }) };
+    }
+
+    parseEnumSpecifier(tok) {
+        const scoped = !!(this.match('class') || this.match('struct'));
+        let name = null;
+        if (this.peek().type === 'ident') name = this.next().value;
+        if (this.match(':')) this.parseDeclSpecifiers(); // underlying type
+        if (!this.is('{')) {
+            if (!name || !this.enums.has(name)) this.error(tok, `use of enum '${name}' without previous declaration`);
+            return { name, definition: null };
+        }
+        if (!name) name = `__anon_enum_${tok.line}_${tok.col}`;
+        this.enums.add(name);
+        this.typeNames.add(name);
+        this.expect('{');
+        const members = [];
+        while (!this.is('}')) {
+            const mTok = this.expectIdent('enumerator');
+            let value = null;
+            if (this.match('=')) value = this.parseConditional();
+            members.push({ name: mTok.value, value, line: mTok.line, col: mTok.col });
+            if (!this.match(',')) break;
+        }
+        this.expect('}', 'to close the enum');
+        return { name, definition: this.node('EnumDecl', tok, { name, members, scoped }) };
+    }
+
+    parseTypedef() {
+        const tok = this.next();
+        const spec = this.parseDeclSpecifiers();
+        const ptr = this.parsePointers();
+        const nameTok = this.expectIdent('typedef name');
+        const dims = this.parseDims(false);
+        this.expect(';', 'after typedef');
+        this.typedefs.set(nameTok.value, { name: spec.name, kind: spec.kind, isConst: spec.isConst, pointer: ptr, dims });
+        this.typeNames.add(nameTok.value);
+        return spec.definition || this.node('Empty', tok, {});
+    }
+
+    parsePointers() {
+        let n = 0;
+        while (this.is('*') || this.is('const')) {
+            if (this.next().value === '*') n++;
+        }
+        return n;
+    }
+
+    parseDims(allowEmpty) {
+        const dims = [];
+        while (this.is('[')) {
+            const tok = this.next();
+            if (this.is(']')) {
+                if (!allowEmpty && dims.length) this.error(tok, 'array type has incomplete element type');
+                dims.push(null);
+            } else {
+                dims.push(this.parseConditional());
+            }
+            this.expect(']');
+        }
+        return dims;
+    }
+
+    makeType(spec, pointer, dims) {
+        return {
+            name: spec.name,
+            kind: spec.kind,
+            isConst: spec.isConst,
+            pointer: pointer + (spec.typedefPointer || 0),
+            dims: [...dims, ...(spec.typedefDims || [])]
+        };
+    }
+
+    parseDeclaratorList(spec, startTok) {
+        const declarators = [];
+        do {
+            const ptr = this.parsePointers();
+            if (this.is('&')) this.error(this.peek(), 'references are not supported in the simulator');
+            const nameTok = this.expectIdent();
+            const dims = this.parseDims(true);
+            this.match('PROGMEM'); // Also written after the name: const byte table[] PROGMEM = {...}
+            const type = this.makeType(spec, ptr, dims);
+            let init = null, ctorArgs = null;
+            if (this.match('=')) {
+                init = this.parseInitializer();
+            } else if (this.is('(')) {
+                this.next();
+                ctorArgs = this.parseArguments();
+            } else if (this.is('{')) {
+                init = this.parseInitializer();
+            }
+            declarators.push({ name: nameTok.value, type, init, ctorArgs, line: nameTok.line, col: nameTok.col });
+        } while (this.match(','));
+        this.expect(';', 'after declaration');
+        return this.node('VarDecl', startTok, { declarators, isStatic: spec.isStatic, isConst: spec.isConst });
+    }
+
+    parseInitializer() {
+        if (this.is('{')) {
+            const tok = this.next();
+            const elements = [];
+            while (!this.is('}')) {
+                elements.push(this.parseInitializer());
+                if (!this.match(',')) break;
+            }
+            this.expect('}', 'to close the initializer list');
+            return this.node('InitList', tok, { elements });
+        }
+        return this.parseAssignment();
+    }
+
+    // --- Statements ---
+
+    parseBlock() {
+        const tok = this.expect('{');
+        const body = [];
+        while (!this.is('}')) {
+            if (this.peek().type === 'eof') this.error(this.peek(), `expected '}' at end of input`);
+            body.push(this.parseStatement());
+        }
+        this.expect('}');
+        return this.node('Block', tok, { body });
+    }
+
+    parseStatement() {
+        const tok = this.peek();
+        if (tok.type === 'punct') {
+            if (tok.value === '{') return this.parseBlock();
+            if (tok.value === ';') {
+                this.next();
+                return this.node('Empty', tok, {});
+            }
+        }
+        if (tok.type === 'keyword') {
+            switch (tok.value) {
+                case 'if': return this.parseIf();
+                case 'while': return this.parseWhile();
+                case 'do': return this.parseDoWhile();
+                case 'for': return this.parseFor();
+                case 'switch': return this.parseSwitch();
+                case 'return': {
+                    this.next();
+                    const argument = this.is(';') ? null : this.parseExpression();
+                    this.expect(';', 'after return statement');
+                    return this.node('Return', tok, { argument });
+                }
+                case 'break':
+                case 'continue':
+                    this.next();
+                    this.expect(';', `after '${tok.value}'`);
+                    return this.node(tok.value === 'break' ? 'Break' : 'Continue', tok, {});
+                case 'case':
+                case 'default':
+                    this.error(tok, `'${tok.value}' label not within a switch statement`);
+                    break;
+                case 'goto':
+                    this.error(tok, '\'goto\' is not supported in the simulator');
+                    break;
+                case 'typedef':
+                    return this.parseTypedef();
+            }
+        }
+        if (this.isDeclarationStart()) {
+            const spec = this.parseDeclSpecifiers();
+            if (spec.definition && this.match(';')) return spec.definition;
+            const decl = this.parseDeclaratorList(spec, tok);
+            if (spec.definition) return this.node('Block', tok, { body: [spec.definition, decl], transparent: true });
+            return decl;
+        }
+        const expression = this.parseExpression();
+        this.expect(';', 'after expression');
+        return this.node('ExprStmt', tok, { expression });
+    }
+
+    parseParenExpression() {
+        this.expect('(');
+        const expr = this.parseExpression();
+        this.expect(')');
+        return expr;
+    }
+
+    parseIf() {
+        const tok = this.next();
+        const test = this.parseParenExpression();
+        const consequent = this.parseStatement();
+        const alternate = this.match('else') ? this.parseStatement() : null;
+        return this.node('If', tok, { test, consequent, alternate });
+    }
+
+    parseWhile() {
+        const tok = this.next();
+        const test = this.parseParenExpression();
+        const body = this.parseStatement();
+        return this.node('While', tok, { test, body });
+    }
+
+    parseDoWhile() {
+        const tok = this.next();
+        const body = this.parseStatement();
+        this.expect('while', 'after do-body');
+        const test = this.parseParenExpression();
+        this.expect(';', 'after do-while');
+        return this.node('DoWhile', tok, { test, body });
+    }
+
+    parseFor() {
+        const tok = this.next();
+        this.expect('(');
+        let init = null;
+        if (this.is(';')) {
+            this.next();
+        } else if (this.isDeclarationStart()) {
+            const spec = this.parseDeclSpecifiers();
+            init = this.parseDeclaratorList(spec, this.peek());
+        } else {
+            init = this.node('ExprStmt', this.peek(), { expression: this.parseExpression() });
+            this.expect(';', 'in for statement');
+        }
+        const test = this.is(';') ? null : this.parseExpression();
+        this.expect(';', 'in for statement');
+        const update = this.is(')') ? null : this.parseExpression();
+        this.expect(')', 'to close the for statement');
+        const body = this.parseStatement();
+        return this.node('For', tok, { init, test, update, body });
+    }
+
+    parseSwitch() {
+        const tok = this.next();
+        const discriminant = this.parseParenExpression();
+        this.expect('{', 'after switch');
+        const cases = [];
+        while (!this.is('}')) {
+            const cTok = this.peek();
+            let test = null;
+            if (this.match('case')) {
+                test = this.parseConditional();
+            } else if (!this.match('default')) {
+                if (cTok.type === 'eof') this.expect('}', 'at end of switch');
+                this.error(cTok, `statement before first 'case' label`);
+            }
+            this.expect(':', 'after case label');
+            const body = [];
+            while (!this.is('case') && !this.is('default') && !this.is('}')) {
+                if (this.peek().type === 'eof') this.expect('}', 'at end of switch');
+                body.push(this.parseStatement());
+            }
+            cases.push({ test, body, line: cTok.line, col: cTok.col });
+        }
+        this.expect('}');
+        return this.node('Switch', tok, { discriminant, cases });
+    }
+
+    // --- Expressions ---
+
+    parseExpression() {
+        const first = this.parseAssignment();
+        if (!this.is(',')) return first;
+        const expressions = [first];
+        while (this.match(',')) expressions.push(this.parseAssignment());
+        return this.node('Comma', first, { expressions });
+    }
+
+    parseAssignment() {
+        const left = this.parseConditional();
+        const tok = this.peek();
+        if (tok.type === 'punct' && ['=', '+=', '-=', '*=', '/=', '%=', '&=', '|=', '^=', '<<=', '>>='].includes(tok.value)) {
+            this.next();
+            if (!['Ident', 'Member', 'Index', 'Unary'].includes(left.kind) || (left.kind === 'Unary' && left.op !== '*')) {
+                this.error(tok, 'lvalue required as left operand of assignment');
+            }
+            const value = this.is('{') ? this.parseInitializer() : this.parseAssignment();
+            return this.node('Assign', tok, { op: tok.value, target: left, value });
+        }
+        return left;
+    }
+
+    parseConditional() {
+        const test = this.parseBinary(0);
+        if (!this.is('?')) return test;
+        const tok = this.next();
+        const consequent = this.parseExpression();
+        this.expect(':', 'in conditional expression');
+        const alternate = this.parseAssignment();
+        return this.node('Conditional', tok, { test, consequent, alternate });
+    }
+
+    parseBinary(minPrec) {
+        const PREC = {
+            '||': 1, '&&': 2, '|': 3, '^': 4, '&': 5, '==': 6, '!=': 6,
+            '<': 7, '>': 7, '<=': 7, '>=': 7, '<<': 8, '>>': 8, '+': 9, '-': 9, '*': 10, '/': 10, '%': 10
+        };
+        let left = this.parseUnary();
+        while (true) {
+            const tok = this.peek();
+            const prec = tok.type === 'punct' ? PREC[tok.value] : undefined;
+            if (prec === undefined || prec <= minPrec) break;
+            this.next();
+            const right = this.parseBinary(prec);
+            const kind = tok.value === '&&' || tok.value === '||' ? 'Logical' : 'Binary';
+            left = this.node(kind, tok, { op: tok.value, left, right });
+        }
+        return left;
+    }
+
+    parseUnary() {
+        const tok = this.peek();
+        if (tok.type === 'punct') {
+            if (tok.value === '++' || tok.value === '--') {
+                this.next();
+                return this.node('Update', tok, { op: tok.value, prefix: true, argument: this.parseUnary() });
+            }
+            if (['-', '+', '!', '~', '&', '*'].includes(tok.value)) {
+                this.next();
+                return this.node('Unary', tok, { op: tok.value, argument: this.parseUnary() });
+            }
+            // C-style cast: (type) expr
+            if (tok.value === '(' && this.isTypeName(this.peek(1)) && !this.is('(', 2) && !this.is('::', 2)) {
+                this.next();
+                const spec = this.parseDeclSpecifiers();
+                const ptr = this.parsePointers();
+                this.expect(')', 'to close the cast');
+                return this.node('Cast', tok, { type: this.makeType(spec, ptr, []), argument: this.parseUnary() });
+            }
+        }
+        if (tok.value === 'sizeof' && tok.type === 'keyword') {
+            this.next();
+            if (this.is('(') && (this.isTypeName(this.peek(1)) || this.is('struct', 1)) && !this.is('(', 2)) {
+                this.next();
+                const spec = this.parseDeclSpecifiers();
+                const ptr = this.parsePointers();
+                const dims = this.parseDims(false);
+                this.expect(')');
+                return this.node('Sizeof', tok, { type: this.makeType(spec, ptr, dims), argument: null });
+            }
+            return this.node('Sizeof', tok, { type: null, argument: this.parseUnary() });
+        }
+        return this.parsePostfix(this.parsePrimary());
+    }
+
+    parsePostfix(expr) {
+        while (true) {
+            const tok = this.peek();
+            if (tok.type !== 'punct') break;
+            if (tok.value === '(') {
+                this.next();
+                expr = this.node('Call', tok, { callee: expr, args: this.parseArguments() });
+            } else if (tok.value === '[') {
+                this.next();
+                const index = this.parseExpression();
+                this.expect(']');
+                expr = this.node('Index', tok, { object: expr, index });
+            } else if (tok.value === '.' || tok.value === '->') {
+                this.next();
+                const prop = this.expectIdent('member name');
+                expr = this.node('Member', prop, { object: expr, property: prop.value, arrow: tok.value === '->' });
+                if (this.is('<') && TEMPLATE_METHODS.has(prop.value)) expr.templateArgs = this.parseTemplateArguments();
+            } else if (tok.value === '++' || tok.value === '--') {
+                this.next();
+                expr = this.node('Update', tok, { op: tok.value, prefix: false, argument: expr });
+            } else {
+                break;
+            }
+        }
+        return expr;
+    }
+
+    // <WS2812B, DATA_PIN, GRB>: operands bind tighter than '<' and '>' so the list can't swallow them
+    parseTemplateArguments() {
+        this.expect('<');
+        const args = [];
+        while (!this.is('>')) {
+            args.push(this.parseBinary(7));
+            if (!this.match(',')) break;
+        }
+        this.expect('>', 'to close the template argument list');
+        return args;
+    }
+
+    parseArguments() {
+        const args = [];
+        while (!this.is(')')) {
+            args.push(this.is('{') ? this.parseInitializer() : this.parseAssignment());
+            if (!this.match(',')) break;
+        }
+        this.expect(')', 'to close the argument list');
+        return args;
+    }
+
+    parsePrimary() {
+        const tok = this.peek();
+        switch (tok.type) {
+            case 'number':
+                this.next();
+                return this.node('Number', tok, { value: tok.value, isFloat: tok.isFloat, unsigned: tok.unsigned, long: tok.long });
+            case 'char':
+                this.next();
+                return this.node('Char', tok, { value: tok.value });
+            case 'string': {
+                this.next();
+                let value = tok.value;
+                while (this.peek().type === 'string') value += this.next().value;
+                return this.node('String', tok, { value });
+            }
+            case 'keyword':
+                if (tok.value === 'true' || tok.value === 'false') {
+                    this.next();
+                    return this.node('Bool', tok, { value: tok.value === 'true' });
+                }
+                if (tok.value === 'unsigned' || tok.value === 'signed') break;
+                this.error(tok, `expected primary-expression before '${tok.value}'`);
+                break;
+            case 'ident': {
+                this.next();
+                if (this.is('::')) {
+                    this.next();
+                    const member = this.expectIdent('name after \'::\'');
+                    return this.node('Scope', member, { scope: tok.value, name: member.value });
+                }
+                if (this.typeNames.has(tok.value) && this.is('(')) {
+                    // Functional cast or construction: int(x), String(5), Point(1, 2)
+                    const spec = this.typeSpecFor(tok.value);
+                    this.next();
+                    return this.node('Construct', tok, { type: this.makeType(spec, 0, []), args: this.parseArguments() });
+                }
+                return this.node('Ident', tok, { name: tok.value });
+            }
+            case 'punct':
+                if (tok.value === '(') {
+                    this.next();
+                    const expr = this.parseExpression();
+                    this.expect(')');
+                    return expr;
+                }
+                break;
+        }
+        this.error(tok, `expected primary-expression before ${this.describe(tok)}`);
+    }
+
+    typeSpecFor(name) {
+        if (this.typedefs.has(name)) {
+            const t = this.typedefs.get(name);
+            return { name: t.name, kind: t.kind, isConst: false, typedefDims: t.dims, typedefPointer: t.pointer };
+        }
+        if (this.structs.has(name)) return { name, kind: 'struct', isConst: false };
+        if (this.enums.has(name)) return { name, kind: 'enum', isConst: false };
+        if (ARDUINO_BUILTINS.classes[name]) return { name, kind: 'class', isConst: false };
+        return { name: PRIMITIVE_TYPES[name], kind: 'primitive', isConst: false };
+    }
+}
+
+// --- Types ---
+
+const Types = {
+    of(name, extra) {
+        return Object.assign({ name, kind: 'primitive', isConst: false, pointer: 0, dims: [] }, extra);
+    },
+
+    isArray(t) {
+        return t.dims.length > 0;
+    },
+
+    // char* / char[] / String all behave as JS strings
+    isString(t) {
+        return (t.name === 'String' && !t.dims.length && !t.pointer) || (t.name === 'char' && t.pointer === 1 && !t.dims.length) || t.isStringArray;
+    },
+
+    isScalar(t) {
+        return !t.dims.length && !t.pointer && t.kind !== 'struct' && t.kind !== 'class' && t.name !== 'String';
+    },
+
+    isFloat(t) {
+        return this.isScalar(t) && (t.name === 'float' || t.name === 'double');
+    },
+
+    isInteger(t) {
+        return this.isScalar(t) && !this.isFloat(t) && t.name !== 'void' && t.name !== 'unknown';
+    },
+
+    isUnsigned(t) {
+        return ['byte', 'unsigned int', 'unsigned long', 'unsigned long long'].includes(t.name);
+    },
+
+    // Value range of an integer type, or null when it is not wrapped (64-bit types)
+    range(t) {
+        if (t.kind === 'enum') return INTEGER_WIDTHS.int.range;
+        const w = INTEGER_WIDTHS[t.name];
+        return w ? w.range : null;
+    },
+
+    // Prelude helper that wraps a value to this type's width
+    wrapper(t) {
+        if (t.kind === 'enum') return INTEGER_WIDTHS.int.cast;
+        const w = INTEGER_WIDTHS[t.name];
+        return w ? w.cast : null;
+    },
+
+    within(from, to) {
+        const a = this.range(from), b = this.range(to);
+        if (!b) return true;
+        return !!a && a[0] >= b[0] && a[1] <= b[1];
+    },
+
+    // Integer promotion then usual arithmetic conversions (AVR: int is 16 bits)
+    rank(t) {
+        return { 'int': 1, 'unsigned int': 2, 'long': 3, 'unsigned long': 4, 'long long': 5, 'unsigned long long': 6 }[this.promote(t).name];
+    },
+
+    promote(t) {
+        if (t.kind === 'enum' || ['bool', 'char', 'byte'].includes(t.name)) return this.of('int');
+        return this.of(t.name);
+    },
+
+    common(a, b) {
+        if (this.isFloat(a) || this.isFloat(b)) {
+            return this.of(a.name === 'double' || b.name === 'double' ? 'double' : 'float');
+        }
+        if (!this.isInteger(a) || !this.isInteger(b)) return this.of('unknown');
+        const pa = this.promote(a), pb = this.promote(b);
+        return this.rank(pa) >= this.rank(pb) ? pa : pb;
+    },
+
+    element(t) {
+        if (t.dims.length) return Object.assign({}, t, { dims: t.dims.slice(1), isStringArray: false });
+        if (t.pointer) return Object.assign({}, t, { pointer: t.pointer - 1 });
+        if (t.name === 'String') return this.of('char');
+        return this.of('unknown');
+    },
+
+    describe(t) {
+        return `${t.isConst ? 'const ' : ''}${t.name}${'*'.repeat(t.pointer)}${t.dims.map(d => `[${d === null ? '' : d}]`).join('')}`;
+    }
+};
+
+// --- Code Generator ---
+
+class CodeGenerator {
+    // options.debug adds the line hooks and call tracking of debugger.js
+    constructor(program, parser, constants = {}, options = {}) {
+        this.program = program;
+        this.parser = parser;
+        this.constants = Object.assign({}, ARDUINO_BUILTINS.constants, constants);
+        this.debug = !!options.debug;
+        this.scopes = [];
+        this.structs = new Map();
+        this.functions = new Map();
+        this.statics = [];
+        this.deferredInits = [];
+        this.currentFunction = null;
+        this.awaits = 0;
+        this.lines = [];
+        this.indent = 0;
+        this.usedNames = new Set(['user_init', 'user_setup', 'user_loop']);
+        this.temps = [];
+    }
+
+    error(node, msg) {
+        throw new CompileError(msg, node.line, node.col);
+    }
+
+    emit(line) {
+        this.lines.push('    '.repeat(this.indent) + line);
+    }
+
+    // --- Scopes ---
+
+    pushScope() {
+        this.scopes.push(new Map());
+    }
+
+    popScope() {
+        this.scopes.pop();
+    }
+
+    declare(name, symbol, node) {
+        const scope = this.scopes[this.scopes.length - 1];
+        if (scope.has(name) && scope.get(name).kind !== 'function') {
+            this.error(node, `redeclaration of '${name}'`);
+        }
+        scope.set(name, symbol);
+        return symbol;
+    }
+
+    lookup(name) {
+        for (let i = this.scopes.length - 1; i >= 0; i--) {
+            if (this.scopes[i].has(name)) return this.scopes[i].get(name);
+        }
+        return null;
+    }
+
+    jsName(name) {
+        return JS_RESERVED.has(name) || name.startsWith('__') ? `$${name}` : name;
+    }
+
+    uniqueName(base) {
+        let name = base, i = 1;
+        while (this.usedNames.has(name)) name = `${base}_${i++}`;
+        this.usedNames.add(name);
+        return name;
+    }
+
+    // --- Program ---
+
+    generate() {
+        this.pushScope();
+        const body = this.program.body;
+
+        // Pass 1: types, enums and function signatures (Arduino auto-generates prototypes)
+        body.forEach(decl => {
+            if (decl.kind === 'StructDecl') this.declareStruct(decl);
+            if (decl.kind === 'EnumDecl') this.declareEnum(decl);
+            if (decl.kind === 'FunctionDecl') this.declareFunction(decl);
+        });
+
+        this.emit('"use strict";');
+        RUNTIME_PRELUDE.trim().split('\n').forEach(l => this.emit(l));
+
+        body.forEach(decl => {
+            if (decl.kind === 'StructDecl') this.emitStruct(decl);
+        });
+
+        const globalsStart = this.lines.length;
+        body.forEach(decl => {
+            if (decl.kind === 'VarDecl') this.emitVarDecl(decl, true);
+        });
+        const globalLines = this.lines.splice(globalsStart);
+
+        body.forEach(decl => {
+            if (decl.kind === 'FunctionDecl' && decl.body) this.emitFunction(decl);
+        });
+        const functionLines = this.lines.splice(globalsStart);
+
+        if (this.temps.length) this.statics.unshift(`let ${this.temps.join(', ')};`);
+        this.lines.push(...this.statics, ...globalLines);
+        this.emit('async function user_init() {');
+        this.indent++;
+        this.deferredInits.forEach(l => this.emit(l));
+        this.indent--;
+        this.emit('}');
+        this.lines.push(...functionLines);
+
+        ['setup', 'loop'].forEach(name => {
+            const fn = this.functions.get(name);
+            if (!fn || !fn.defined) this.emit(`const user_${name} = null;`);
+        });
+        if (this.debug) this.emit(`const __globals = ${this.watchGetters(this.scopes.slice(0, 1))};`);
+        return this.lines.join('\n');
+    }
+
+    // { "name": () => jsName } for the variables of `scopes` (inner ones shadowing outer ones),
+    // leaving out constants, which the watch panel doesn't need
+    watchGetters(scopes) {
+        const vars = new Map();
+        scopes.forEach(scope => scope.forEach((sym, name) => {
+            if (sym.kind === 'var' && !sym.isConst) vars.set(name, sym.jsName);
+        }));
+        return `{ ${[...vars].map(([name, js]) => `"${name}": () => ${js}`).join(', ')} }`;
+    }
+
+    // Before each statement: lets the debugger stop here and read the locals in scope. A loop
+    // body starting on the loop's own line (`for (...) x += i;`) already has the loop's hook
+    // right before it, so that line isn't hit twice per iteration
+    emitLineHook(stmt) {
+        const locals = this.watchGetters(this.scopes.slice(1));
+        const hook = '    '.repeat(this.indent) + `if (__debug.hit(${stmt.line})) await __debug.pause(${locals});`;
+        if (this.lines[this.lines.length - 1] !== hook) this.lines.push(hook);
+    }
+
+    declareStruct(decl) {
+        const fields = new Map();
+        decl.fields.forEach(f => {
+            if (fields.has(f.name)) this.error(f, `duplicate member '${f.name}'`);
+            fields.set(f.name, f);
+        });
+        this.structs.set(decl.name, { decl, fields, jsName: this.uniqueName(this.jsName(decl.name)) });
+    }
+
+    declareEnum(decl) {
+        let next = 0;
+        decl.members.forEach(m => {
+            let value = next;
+            if (m.value) {
+                value = this.constValue(m.value);
+                if (value === null) this.error(m, `enumerator value for '${m.name}' is not an integer constant`);
+            }
+            const symbol = { kind: 'const', type: Types.of(decl.name, { kind: 'enum' }), value, jsName: String(value) };
+            if (decl.scoped) {
+                this.declareScoped(decl.name, m.name, symbol);
+            } else {
+                this.declare(m.name, symbol, m);
+                this.declareScoped(decl.name, m.name, symbol);
+            }
+            next = value + 1;
+        });
+    }
+
+    declareScoped(scope, name, symbol) {
+        if (!this.scopedNames) this.scopedNames = new Map();
+        this.scopedNames.set(`${scope}::${name}`, symbol);
+    }
+
+    declareFunction(decl) {
+        const existing = this.functions.get(decl.name);
+        if (existing) {
+            if (existing.defined && decl.body) this.error(decl, `redefinition of '${decl.name}'`);
+            if (existing.params.length !== decl.params.length) {
+                this.error(decl, `overloaded functions are not supported ('${decl.name}' declared with different parameters)`);
+            }
+            if (decl.body) {
+                existing.defined = true;
+                existing.params = decl.params;
+            }
+            return;
+        }
+        const jsName = decl.name === 'setup' || decl.name === 'loop'
+            ? `user_${decl.name}`
+            : this.uniqueName(this.jsName(decl.name));
+        const fn = { kind: 'function', name: decl.name, returnType: decl.returnType, params: decl.params, defined: !!decl.body, jsName };
+        this.functions.set(decl.name, fn);
+        this.declare(decl.name, fn, decl);
+    }
+
+    emitStruct(decl) {
+        const info = this.structs.get(decl.name);
+        const params = decl.fields.map(f => `${this.jsName(f.name)} = ${f.init ? this.emitInit(f.init, f.type).code : this.defaultValue(f.type, f)}`);
+        this.emit(`class ${info.jsName} {`);
+        this.indent++;
+        this.emit(`constructor(${params.join(', ')}) {`);
+        this.indent++;
+        decl.fields.forEach(f => this.emit(`this.${this.jsName(f.name)} = ${this.jsName(f.name)};`));
+        this.indent--;
+        this.emit('}');
+        this.emit(`clone() { return new ${info.jsName}(${decl.fields.map(f => `__clone(this.${this.jsName(f.name)})`).join(', ')}); }`);
+        this.indent--;
+        this.emit('}');
+    }
+
+    // --- Declarations ---
+
+    emitFunction(decl) {
+        const fn = this.functions.get(decl.name);
+        this.currentFunction = fn;
+        this.pushScope();
+        const params = decl.params.map(p => {
+            if (!p.name) return '_';
+            const sym = this.declare(p.name, { kind: 'var', type: p.type, jsName: this.jsName(p.name) }, p);
+            return p.default ? `${sym.jsName} = ${this.convert(this.emitExpr(p.default), p.type, p).code}` : sym.jsName;
+        });
+        this.emit(`async function ${fn.jsName}(${params.join(', ')}) {`);
+        const header = this.lines.length;
+        const outerTemps = this.temps;
+        this.temps = [];
+        this.indent++;
+        if (this.debug) {
+            this.emit(`__debug.enter("${decl.name}");`);
+            this.emit('try {');
+            this.indent++;
+        }
+        decl.body.body.forEach(s => this.emitStatement(s));
+        if (this.debug) {
+            this.indent--;
+            this.emit('} finally {');
+            this.emit('    __debug.leave();');
+            this.emit('}');
+        }
+        if (this.temps.length) this.lines.splice(header, 0, `${'    '.repeat(this.indent)}let ${this.temps.join(', ')};`);
+        this.indent--;
+        this.emit('}');
+        this.temps = outerTemps;
+        this.popScope();
+        this.currentFunction = null;
+    }
+
+    resolveDims(type, init, node) {
+        const dims = type.dims.map((d, i) => {
+            if (d === null) {
+                if (i === 0 && init) {
+                    if (init.kind === 'InitList') return init.elements.length;
+                    if (init.kind === 'String') return init.value.length + 1;
+                }
+                if (i === 0 && !init) this.error(node, `storage size of '${node.name}' isn't known`);
+                return null;
+            }
+            const v = this.constValue(d);
+            return v === null ? d : v;
+        });
+        return Object.assign({}, type, { dims });
+    }
+
+    emitVarDecl(decl, isGlobal) {
+        decl.declarators.forEach(d => {
+            let type = this.resolveDims(d.type, d.init, d);
+            if (type.name === 'char' && type.dims.length === 1 && d.init && d.init.kind === 'String') {
+                type = Object.assign({}, type, { isStringArray: true });
+            }
+            if (type.name === 'void' && !type.pointer) this.error(d, `variable or field '${d.name}' declared void`);
+            if (type.isConst && !d.init && !d.ctorArgs && !type.dims.length) this.error(d, `uninitialized const '${d.name}'`);
+
+            const hoisted = decl.isStatic && !isGlobal;
+            const jsName = hoisted
+                ? this.uniqueName(`__static_${this.currentFunction.name}_${d.name}`)
+                : (isGlobal ? this.uniqueName(this.jsName(d.name)) : this.jsName(d.name));
+            const symbol = { kind: 'var', type, jsName, isConst: type.isConst && !type.pointer };
+            if (symbol.isConst && Types.isScalar(type) && d.init) {
+                const v = this.constValue(d.init);
+                if (v !== null) symbol.value = v;
+            }
+
+            const awaitsBefore = this.awaits;
+            let value;
+            if (d.ctorArgs) {
+                value = this.emitConstruct(type, d.ctorArgs, d).code;
+            } else if (d.init) {
+                value = this.emitInit(d.init, type).code;
+            } else {
+                value = this.defaultValue(type, d);
+            }
+            const isAsync = this.awaits !== awaitsBefore;
+            this.declare(d.name, symbol, d);
+
+            const keyword = symbol.isConst && !isAsync ? 'const' : 'let';
+            if (hoisted) {
+                if (isAsync) {
+                    this.statics.push(`let ${jsName}, ${jsName}_ready = false;`);
+                    this.emit(`if (!${jsName}_ready) { ${jsName} = ${value}; ${jsName}_ready = true; }`);
+                } else {
+                    this.statics.push(`let ${jsName} = ${value};`);
+                }
+            } else if (isGlobal && isAsync) {
+                this.emit(`let ${jsName};`);
+                this.deferredInits.push(`${jsName} = ${value};`);
+            } else {
+                this.emit(`${keyword} ${jsName} = ${value};`);
+            }
+        });
+    }
+
+    defaultValue(type, node) {
+        if (type.dims.length) {
+            const dims = type.dims.map(d => typeof d === 'number' ? String(d) : d ? this.emitExpr(d).code : '0');
+            return `__array([${dims.join(', ')}], () => ${this.defaultValue(Types.element(Object.assign({}, type, { dims: [type.dims[type.dims.length - 1]] })), node)})`;
+        }
+        if (type.pointer) return Types.isString(type) ? '""' : 'null';
+        if (type.kind === 'struct') return `new ${this.structs.get(type.name).jsName}()`;
+        if (type.kind === 'class') return this.emitConstruct(type, [], node).code;
+        if (type.name === 'String') return '""';
+        if (type.name === 'bool') return 'false';
+        return '0';
+    }
+
+    // Brace/aggregate initialisation against a declared type
+    emitInit(init, type) {
+        if (type.dims.length) {
+            const elemType = Types.element(type);
+            if (init.kind === 'String' && type.name === 'char' && type.dims.length === 1) {
+                return { code: JSON.stringify(init.value), type };
+            }
+            if (init.kind !== 'InitList') {
+                return this.convert(this.emitExpr(init), type, init);
+            }
+            const size = type.dims[0];
+            const leaf = Object.assign({}, type, { dims: [] });
+            const dims = type.dims.map(d => typeof d === 'number' ? String(d) : this.emitExpr(d).code);
+            if (type.dims.length > 1 && init.elements.every(e => e.kind !== 'InitList')) {
+                // Flat initializer for a multi-dimensional array: {1, 2, 3, 4} for [2][2]
+                const values = init.elements.map(e => this.emitInit(e, leaf).code);
+                return { code: `__fill([${dims.join(', ')}], [${values.join(', ')}], () => ${this.defaultValue(leaf, init)})`, type };
+            }
+            const elems = init.elements.map(e => this.emitInit(e, elemType).code);
+            if (typeof size === 'number' && elemType.dims.length === 0) {
+                if (elems.length > size) this.error(init, 'too many initializers for array');
+                const pad = this.defaultValue(elemType, init);
+                while (elems.length < size) elems.push(pad);
+                return { code: `[${elems.join(', ')}]`, type };
+            }
+            return { code: `__fill([${dims.join(', ')}], [${elems.join(', ')}], () => ${this.defaultValue(leaf, init)})`, type };
+        }
+        if (type.kind === 'struct' && init.kind === 'InitList') {
+            const info = this.structs.get(type.name);
+            if (init.elements.length > info.decl.fields.length) this.error(init, `too many initializers for '${type.name}'`);
+            const args = init.elements.map((e, i) => this.emitInit(e, info.decl.fields[i].type).code);
+            return { code: `new ${info.jsName}(${args.join(', ')})`, type };
+        }
+        if (init.kind === 'InitList') {
+            if (init.elements.length === 0) return { code: this.defaultValue(type, init), type };
+            if (type.kind === 'class') return this.emitConstruct(type, init.elements, init);
+            if (init.elements.length !== 1) this.error(init, `scalar object requires one element in initializer`);
+            return this.emitInit(init.elements[0], type);
+        }
+        return this.convert(this.emitExpr(init), type, init);
+    }
+
+    emitConstruct(type, args, node) {
+        if (type.kind === 'struct') {
+            const info = this.structs.get(type.name);
+            const code = args.map((a, i) => {
+                const field = info.decl.fields[i];
+                if (!field) this.error(node, `too many initializers for '${type.name}'`);
+                return this.emitInit(a, field.type).code;
+            });
+            return { code: `new ${info.jsName}(${code.join(', ')})`, type };
+        }
+        if (type.kind === 'class') {
+            const cls = ARDUINO_BUILTINS.classes[type.name];
+            const code = args.map(a => this.emitExpr(a).code);
+            return { code: `new ${cls.js}(${code.join(', ')})`, type: Types.of(type.name, { kind: 'class' }) };
+        }
+        if (type.name === 'String') {
+            const code = args.map(a => this.emitExpr(a));
+            if (code.length === 0) return { code: '""', type };
+            if (code.length === 2 && Types.isFloat(code[0].type)) {
+                return { code: `${code[0].code}.toFixed(${code[1].code})`, type };
+            }
+            if (code.length === 2) return { code: `(${code[0].code}).toString(${code[1].code}).toUpperCase()`, type };
+            if (code[0].type.name === 'char' && Types.isScalar(code[0].type)) return { code: `String.fromCharCode(${code[0].code})`, type };
+            if (Types.isFloat(code[0].type)) return { code: `${code[0].code}.toFixed(2)`, type };
+            return { code: `String(${code[0].code})`, type };
+        }
+        // Functional cast: int(x), byte(x), float(x)
+        if (args.length !== 1) this.error(node, `invalid cast to '${type.name}'`);
+        return this.convert(this.emitExpr(args[0]), type, node, true);
+    }
+
+    // --- Statements ---
+
+    emitBody(stmt) {
+        if (stmt.kind === 'Block') {
+            this.pushScope();
+            stmt.body.forEach(s => this.emitStatement(s));
+            this.popScope();
+        } else {
+            this.pushScope();
+            this.emitStatement(stmt);
+            this.popScope();
+        }
+    }
+
+    emitStatement(stmt) {
+        const declares = stmt.kind === 'StructDecl' || stmt.kind === 'EnumDecl';
+        if (this.debug && stmt.kind !== 'Block' && stmt.kind !== 'Empty' && !declares) this.emitLineHook(stmt);
+        switch (stmt.kind) {
+            case 'Block':
+                if (stmt.transparent) {
+                    stmt.body.forEach(s => this.emitStatement(s));
+                    return;
+                }
+                this.emit('{');
+                this.indent++;
+                this.emitBody(stmt);
+                this.indent--;
+                this.emit('}');
+                return;
+            case 'Empty':
+                return;
+            case 'VarDecl':
+                this.emitVarDecl(stmt, false);
+                return;
+            case 'StructDecl':
+                this.declareStruct(stmt);
+                this.emitStruct(stmt);
+                return;
+            case 'EnumDecl':
+                this.declareEnum(stmt);
+                return;
+            case 'ExprStmt':
+                this.emit(`${this.unwrap(this.emitExpr(stmt.expression, true).code)};`);
+                return;
+            case 'If':
+                this.emit(`if (${this.condition(stmt.test)}) {`);
+                this.emitNested(stmt.consequent);
+                if (stmt.alternate) {
+                    this.emit('} else {');
+                    this.emitNested(stmt.alternate);
+                }
+                this.emit('}');
+                return;
+            case 'While':
+                this.emit(`while (${this.condition(stmt.test)}) {`);
+                this.emitLoopBody(stmt);
+                this.emit('}');
+                return;
+            case 'DoWhile':
+                this.emit('do {');
+                this.emitLoopBody(stmt);
+                this.emit(`} while (${this.condition(stmt.test)});`);
+                return;
+            case 'For': {
+                this.pushScope();
+                let init = '';
+                if (stmt.init && stmt.init.kind === 'VarDecl') {
+                    const start = this.lines.length;
+                    const saved = this.indent;
+                    this.indent = 0;
+                    this.emitVarDecl(stmt.init, false);
+                    this.indent = saved;
+                    const decls = this.lines.splice(start).map(l => l.replace(/;$/, '').replace(/^(let|const) /, ''));
+                    init = `let ${decls.join(', ')}`;
+                } else if (stmt.init) {
+                    init = this.emitExpr(stmt.init.expression, true).code;
+                }
+                const test = stmt.test ? this.condition(stmt.test) : '';
+                const update = stmt.update ? this.emitExpr(stmt.update, true).code : '';
+                this.emit(`for (${init}; ${test}; ${update}) {`);
+                this.emitLoopBody(stmt);
+                this.emit('}');
+                this.popScope();
+                return;
+            }
+            case 'Switch': {
+                const disc = this.emitExpr(stmt.discriminant);
+                if (!Types.isInteger(disc.type) && disc.type.name !== 'unknown') {
+                    this.error(stmt.discriminant, 'switch quantity not an integer');
+                }
+                this.emit(`switch (${disc.type.name === 'bool' ? `+${disc.code}` : disc.code}) {`);
+                this.indent++;
+                this.pushScope();
+                stmt.cases.forEach(c => {
+                    if (c.test) {
+                        const v = this.constValue(c.test);
+                        if (v === null) this.error(c, 'case label does not reduce to an integer constant');
+                        this.emit(`case ${v}: {`);
+                    } else {
+                        this.emit('default: {');
+                    }
+                    this.indent++;
+                    c.body.forEach(s => this.emitStatement(s));
+                    this.indent--;
+                    this.emit('}');
+                });
+                this.popScope();
+                this.indent--;
+                this.emit('}');
+                return;
+            }
+            case 'Return': {
+                const fn = this.currentFunction;
+                const isVoid = fn.returnType.name === 'void' && !fn.returnType.pointer;
+                if (stmt.argument && isVoid) this.error(stmt, `return-statement with a value, in function returning 'void'`);
+                if (!stmt.argument) {
+                    this.emit('return;');
+                } else {
+                    this.emit(`return ${this.unwrap(this.convert(this.emitExpr(stmt.argument), fn.returnType, stmt).code)};`);
+                }
+                return;
+            }
+            case 'Break':
+                this.emit('break;');
+                return;
+            case 'Continue':
+                this.emit('continue;');
+                return;
+            default:
+                this.error(stmt, `unsupported statement '${stmt.kind}'`);
+        }
+    }
+
+    emitNested(stmt) {
+        this.indent++;
+        this.emitBody(stmt);
+        this.indent--;
+    }
+
+    // Every iteration starts at a back-edge check, so a loop that never calls delay() still
+    // lets the page run and can be stopped (see ArduinoSimulator._loopEdge). The debugger
+    // stops at the loop's line once per iteration too, so even `while (true) {}` can be paused.
+    emitLoopBody(loop) {
+        this.indent++;
+        this.emit(`{ const __wait = _loopEdge(${loop.line}); if (__wait) await __wait; }`);
+        if (this.debug) this.emitLineHook(loop);
+        this.emitBody(loop.body);
+        this.indent--;
+    }
+
+    condition(expr) {
+        return this.unwrap(this.emitExpr(expr).code);
+    }
+
+    // Drops one pair of redundant outer parentheses: "(a < b)" -> "a < b"
+    unwrap(code) {
+        if (code[0] !== '(' || code[code.length - 1] !== ')') return code;
+        let depth = 0;
+        for (let i = 0; i < code.length; i++) {
+            const c = code[i];
+            if (c === '"' || c === '\'') {
+                for (i++; i < code.length && code[i] !== c; i++) {
+                    if (code[i] === '\\') i++;
+                }
+            } else if (c === '(') {
+                depth++;
+            } else if (c === ')' && --depth === 0 && i < code.length - 1) {
+                return code;
+            }
+        }
+        return code.slice(1, -1);
+    }
+
+    // --- Expressions ---
+
+    constValue(expr) {
+        return constEvaluate(expr, name => {
+            const sym = this.lookup(name);
+            if (sym && sym.value !== undefined) return sym.value;
+            return null;
+        });
+    }
+
+    // Converts an emitted expression to the declared target type
+    convert(expr, target, node, explicit = false) {
+        const from = expr.type;
+        if (target.kind === 'struct' && !target.dims.length && !target.pointer) {
+            if (from.kind !== 'struct' && from.name !== 'unknown') {
+                this.error(node, `conversion from '${Types.describe(from)}' to non-scalar type '${target.name}' requested`);
+            }
+            return { code: this.isFresh(expr) ? expr.code : `${expr.code}.clone()`, type: target };
+        }
+        const cls = target.kind === 'class' && !target.dims.length && !target.pointer && ARDUINO_BUILTINS.classes[target.name];
+        if (cls && cls.value) {
+            // CRGB leds[i] = CHSV(...) or = 0xFF0000 converts; a copy of another value is cloned
+            if (this.isFresh(expr) && from.name === target.name) return { code: expr.code, type: target };
+            return { code: `${cls.js}.from(${expr.code})`, type: target };
+        }
+        if (target.name === 'bool' && Types.isScalar(target) && from.name !== 'bool') {
+            return { code: `!!(${expr.code})`, type: target };
+        }
+        if (Types.isInteger(target) && Types.isString(from) && !explicit) {
+            this.error(node, `invalid conversion from '${Types.describe(from)}' to '${target.name}'`);
+        }
+        if (Types.isInteger(target) && (Types.isFloat(from) || (Types.isInteger(from) && !Types.within(from, target)))) {
+            // Constants that already fit need no runtime wrap
+            const range = Types.range(target);
+            const value = expr.constant;
+            if (range && Number.isInteger(value) && value >= range[0] && value <= range[1]) {
+                return { code: expr.code, type: target };
+            }
+            return { code: this.wrap(expr.code, target, explicit ? 0 : node.line), type: target };
+        }
+        return { code: expr.code, type: target };
+    }
+
+    // Wraps an integer expression to the width of `type`; a line number enables overflow reporting
+    wrap(code, type, line) {
+        const cast = Types.wrapper(type);
+        if (!cast) return Types.isInteger(type) ? `Math.trunc(${this.unwrap(code)})` : code;
+        return `${cast}(${this.unwrap(code)}${line ? `, ${line}` : ''})`;
+    }
+
+    isFresh(expr) {
+        return /^new /.test(expr.code) || /^\(await /.test(expr.code) || expr.fresh;
+    }
+
+    emitExpr(node, statement = false) {
+        switch (node.kind) {
+            case 'Number': {
+                let type;
+                if (node.isFloat) type = 'double';
+                else if (node.long || node.value > 0x7FFF) {
+                    type = node.unsigned || node.value > 0x7FFFFFFF ? 'unsigned long' : 'long';
+                } else type = node.unsigned ? 'unsigned int' : 'int';
+                const code = node.isFloat && Number.isInteger(node.value) ? node.value.toFixed(1) : String(node.value);
+                return { code, type: Types.of(type), constant: node.isFloat ? undefined : node.value };
+            }
+            case 'Char':
+                return { code: String(node.value), type: Types.of('char'), constant: node.value };
+            case 'Bool':
+                return { code: String(node.value), type: Types.of('bool'), constant: node.value ? 1 : 0 };
+            case 'String':
+                return { code: JSON.stringify(node.value), type: Types.of('char', { pointer: 1, isConst: true }) };
+            case 'Ident':
+                return this.emitIdent(node);
+            case 'Scope': {
+                const sym = this.scopedNames && this.scopedNames.get(`${node.scope}::${node.name}`);
+                if (sym) return { code: sym.jsName, type: sym.type };
+                const cls = ARDUINO_BUILTINS.classes[node.scope];
+                if (cls && cls.statics && cls.statics[node.name]) {
+                    const s = cls.statics[node.name];
+                    return { code: s.js, type: Types.of(s.type, { kind: s.kind || 'primitive' }), fresh: true };
+                }
+                this.error(node, `'${node.name}' is not a member of '${node.scope}'`);
+                break;
+            }
+            case 'Binary':
+                return this.emitBinary(node);
+            case 'Logical': {
+                const l = this.emitExpr(node.left);
+                const r = this.emitExpr(node.right);
+                return { code: `(${l.code} ${node.op} ${r.code})`, type: Types.of('bool') };
+            }
+            case 'Unary':
+                return this.emitUnary(node);
+            case 'Update':
+                return this.emitUpdate(node, statement);
+            case 'Assign':
+                return this.emitAssign(node, statement);
+            case 'Conditional': {
+                const t = this.emitExpr(node.test);
+                const c = this.emitExpr(node.consequent);
+                const a = this.emitExpr(node.alternate);
+                const type = Types.isScalar(c.type) && Types.isScalar(a.type) ? Types.common(c.type, a.type) : c.type;
+                return { code: `(${t.code} ? ${c.code} : ${a.code})`, type: type.name === 'unknown' ? c.type : type };
+            }
+            case 'Comma': {
+                const parts = node.expressions.map(e => this.emitExpr(e, statement));
+                return { code: `(${parts.map(p => p.code).join(', ')})`, type: parts[parts.length - 1].type };
+            }
+            case 'Cast':
+                return this.convert(this.emitExpr(node.argument), node.type, node, true);
+            case 'Construct':
+                return Object.assign(this.emitConstruct(node.type, node.args, node), { fresh: true });
+            case 'Sizeof':
+                const size = this.sizeOf(node);
+                return { code: String(size), type: Types.of('unsigned int'), constant: size };
+            case 'Call':
+                return this.emitCall(node);
+            case 'Index': {
+                const obj = this.emitExpr(node.object);
+                const idx = this.emitExpr(node.index);
+                if (!Types.isInteger(idx.type) && idx.type.name !== 'unknown') {
+                    this.error(node.index, 'array subscript is not an integer');
+                }
+                if (Types.isString(obj.type)) {
+                    return { code: `${obj.code}.charCodeAt(${idx.code})`, type: Types.of('char') };
+                }
+                const cls = obj.type.kind === 'class' && !obj.type.dims.length && ARDUINO_BUILTINS.classes[obj.type.name];
+                if (cls && cls.index) {
+                    return { code: `${obj.code}.${cls.index.js}[${idx.code}]`, type: Types.of(cls.index.type, { kind: 'class' }), lvalue: true };
+                }
+                if (!obj.type.dims.length && !obj.type.pointer && obj.type.name !== 'unknown') {
+                    this.error(node, 'subscripted value is neither array nor pointer');
+                }
+                return { code: `${obj.code}[${idx.code}]`, type: Types.element(obj.type), lvalue: true };
+            }
+            case 'Member':
+                return this.emitMember(node);
+            case 'InitList':
+                this.error(node, 'braced initializer is only allowed in a declaration or assignment');
+                break;
+            default:
+                this.error(node, `unsupported expression '${node.kind}'`);
+        }
+    }
+
+    emitIdent(node) {
+        const sym = this.lookup(node.name);
+        if (sym) {
+            if (sym.kind === 'function') return { code: sym.jsName, type: Types.of('unknown'), fn: sym };
+            const constant = sym.value !== undefined && Types.isInteger(sym.type) ? sym.value : undefined;
+            return { code: sym.jsName, type: sym.type, lvalue: sym.kind === 'var', symbol: sym, constant };
+        }
+        const constant = this.constants[node.name];
+        if (constant) return { code: constant.js, type: Types.of(constant.type, { kind: constant.kind || 'primitive' }) };
+        const obj = ARDUINO_BUILTINS.objects[node.name];
+        if (obj) return { code: obj.js, type: Types.of(obj.type, { kind: 'class' }) };
+        // Arduino binary constants B0 .. B11111111
+        if (/^B[01]{1,8}$/.test(node.name)) {
+            const value = parseInt(node.name.slice(1), 2);
+            return { code: String(value), type: Types.of('int'), constant: value };
+        }
+        this.error(node, `'${node.name}' was not declared in this scope`);
+    }
+
+    emitBinary(node) {
+        const l = this.emitExpr(node.left);
+        const r = this.emitExpr(node.right);
+        return this.arith(node.op, l, r, node);
+    }
+
+    // Binary operator on already-emitted operands, with AVR integer semantics
+    arith(op, l, r, node) {
+        const cls = l.type.kind === 'class' && !l.type.dims.length && ARDUINO_BUILTINS.classes[l.type.name];
+        if (cls && cls.operators) {
+            const method = cls.operators[op];
+            if (!method) this.error(node, `no match for 'operator${op}' (operand types are '${Types.describe(l.type)}' and '${Types.describe(r.type)}')`);
+            if (op === '==' || op === '!=') return { code: `${op === '!=' ? '!' : ''}${l.code}.${method}(${r.code})`, type: Types.of('bool') };
+            if (method === 'compare') return { code: `(${l.code}.compare(${r.code}) ${op} 0)`, type: Types.of('bool') };
+            return { code: `${l.code}.clone().${method}(${r.code})`, type: l.type, fresh: true };
+        }
+        if (['==', '!=', '<', '>', '<=', '>='].includes(op)) {
+            if (Types.isInteger(l.type) && Types.isInteger(r.type)) {
+                // Usual arithmetic conversions: -1 < 1u is false on a real compiler
+                const common = Types.common(l.type, r.type);
+                return { code: `(${this.coerce(l, common)} ${op} ${this.coerce(r, common)})`, type: Types.of('bool') };
+            }
+            return { code: `(${l.code} ${op} ${r.code})`, type: Types.of('bool') };
+        }
+
+        // String concatenation
+        if (op === '+' && (l.type.name === 'String' || r.type.name === 'String')) {
+            const part = e => e.type.name === 'char' && Types.isScalar(e.type) ? `String.fromCharCode(${e.code})` : e.code;
+            return { code: `(${part(l)} + ${part(r)})`, type: Types.of('String') };
+        }
+
+        // leds + n: the LEDs from the nth on, as FastLED's functions take them
+        if (op === '+' && l.type.name === 'CRGB' && l.type.dims.length === 1 && Types.isInteger(r.type)) {
+            return { code: `FastLEDLib.offset(${l.code}, ${r.code})`, type: Object.assign({}, l.type, { dims: [null] }) };
+        }
+        if (!Types.isScalar(l.type) && l.type.name !== 'unknown' && !(l.type.pointer && ['+', '-'].includes(op))) {
+            this.error(node, `invalid operands of types '${Types.describe(l.type)}' and '${Types.describe(r.type)}' to binary 'operator${op}'`);
+        }
+        const type = ['<<', '>>'].includes(op) ? Types.promote(l.type) : Types.common(l.type, r.type);
+        if (['%', '&', '|', '^', '<<', '>>'].includes(op) && (Types.isFloat(l.type) || Types.isFloat(r.type))) {
+            this.error(node, `invalid operands of types '${Types.describe(l.type)}' and '${Types.describe(r.type)}' to binary 'operator${op}'`);
+        }
+        if (!Types.isInteger(type)) return { code: `(${l.code} ${op} ${r.code})`, type };
+
+        const lc = this.coerce(l, type);
+        const rc = ['<<', '>>'].includes(op) ? r.code : this.coerce(r, type);
+        const range = Types.range(type);
+        const constant = l.constant !== undefined && r.constant !== undefined ? this.constValue(node) : undefined;
+        const result = code => {
+            // Constant expressions that fit need no runtime wrap
+            if (constant !== undefined && constant !== null && (!range || (constant >= range[0] && constant <= range[1]))) {
+                return { code: String(constant), type, constant };
+            }
+            return { code: this.wrap(code, type, node.line), type };
+        };
+        const bits = range && range[1] > 65535;
+        switch (op) {
+            case '/':
+                return result(range ? `(${lc} / ${rc})` : `Math.trunc(${lc} / ${rc})`);
+            case '*':
+                if (bits && !constant) {
+                    return { code: `__mul32(${lc}, ${rc}, ${Types.wrapper(type)}, ${node.line})`, type };
+                }
+                return result(`(${lc} * ${rc})`);
+            case '%':
+                return { code: this.wrap(`(${lc} % ${rc})`, type, 0), type };
+            case '>>':
+                return { code: `(${lc} ${Types.isUnsigned(type) ? '>>>' : '>>'} ${rc})`, type };
+            case '<<':
+                // JS << works on signed 32 bits; shift 32-bit values arithmetically so bit 31 survives
+                return result(bits ? `(${lc} * 2 ** ${rc})` : `(${lc} << ${rc})`);
+            case '&':
+            case '|':
+            case '^':
+                // JS bitwise operators yield signed 32-bit results
+                if (type.name === 'unsigned long') return { code: this.wrap(`(${lc} ${op} ${rc})`, type, 0), type };
+                return { code: `(${lc} ${op} ${rc})`, type };
+            default:
+                return result(`(${lc} ${op} ${rc})`);
+        }
+    }
+
+    // Converts an integer operand to the common type (signed -> unsigned wraps without a warning)
+    coerce(operand, type) {
+        if (!Types.isInteger(operand.type) || Types.within(operand.type, type)) return operand.code;
+        const range = Types.range(type);
+        if (Number.isInteger(operand.constant) && range && operand.constant >= range[0] && operand.constant <= range[1]) return operand.code;
+        return this.wrap(operand.code, type, 0);
+    }
+
+    emitUnary(node) {
+        if (node.op === '&') {
+            this.error(node, 'taking the address of a value is not supported in the simulator');
+        }
+        const arg = this.emitExpr(node.argument);
+        switch (node.op) {
+            case '!':
+                return { code: `!${arg.code}`, type: Types.of('bool') };
+            case '*':
+                if (!arg.type.pointer && !arg.type.dims.length) this.error(node, `invalid type argument of unary '*'`);
+                return { code: `${arg.code}[0]`, type: Types.element(arg.type), lvalue: true };
+            default: {
+                if (!Types.isScalar(arg.type)) {
+                    if (arg.type.name !== 'unknown') this.error(node, `wrong type argument to unary ${node.op === '~' ? 'complement' : node.op === '-' ? 'minus' : 'plus'}`);
+                    return { code: `(${node.op}${arg.code})`, type: arg.type };
+                }
+                if (Types.isFloat(arg.type)) return { code: `(${node.op}${arg.code})`, type: arg.type };
+                const type = Types.promote(arg.type);
+                const code = `(${node.op}${this.coerce(arg, type)})`;
+                const range = Types.range(type);
+                const constant = arg.constant !== undefined ? this.constValue(node) : null;
+                if (node.op === '+' || (constant !== null && (!range || (constant >= range[0] && constant <= range[1])))) {
+                    return { code: constant !== null ? String(constant) : code, type, constant: constant !== null ? constant : undefined };
+                }
+                // Negating an unsigned value wraps; ~ is a bit operation and never "overflows"
+                return { code: this.wrap(code, type, node.op === '-' ? node.line : 0), type };
+            }
+        }
+    }
+
+    lvalue(node) {
+        const target = this.emitExpr(node);
+        if (!target.lvalue) this.error(node, 'lvalue required as left operand of assignment');
+        if (target.symbol && target.symbol.isConst) this.error(node, `assignment of read-only variable '${node.name}'`);
+        if (target.type.dims.length) this.error(node, 'invalid array assignment');
+        return target;
+    }
+
+    // Read/write access to an lvalue that evaluates its subexpressions only once
+    lvalueRef(node) {
+        const target = this.lvalue(node);
+        if (/^[\w$]+(\.[\w$]+|\[[\w$.]+\])*$/.test(target.code)) {
+            return { prefix: '', read: target.code, write: v => `${target.code} = ${v}`, type: target.type };
+        }
+        const obj = this.temp();
+        if (node.kind === 'Member') {
+            const prop = `${obj}.${this.jsName(node.property)}`;
+            return {
+                prefix: `${obj} = ${this.emitExpr(node.object).code}, `,
+                read: prop, write: v => `${prop} = ${v}`, type: target.type
+            };
+        }
+        const key = this.temp();
+        const base = node.kind === 'Index' ? node.object : node.argument;
+        const index = node.kind === 'Index' ? this.emitExpr(node.index).code : '0';
+        const elem = `${obj}[${key}]`;
+        return {
+            prefix: `${obj} = ${this.emitExpr(base).code}, ${key} = ${index}, `,
+            read: elem, write: v => `${elem} = ${v}`, type: target.type
+        };
+    }
+
+    temp() {
+        const name = `__t${this.temps.length}`;
+        this.temps.push(name);
+        return name;
+    }
+
+    emitUpdate(node, statement) {
+        const op = node.op === '++' ? '+' : '-';
+        const argType = this.peekType(node.argument);
+        if (!Types.isInteger(argType) || !Types.wrapper(argType)) {
+            const target = this.lvalue(node.argument);
+            if (statement || node.prefix) {
+                return { code: `${statement ? '' : '('}${target.code} ${op}= 1${statement ? '' : ')'}`, type: target.type };
+            }
+            return { code: `${target.code}${node.op}`, type: target.type };
+        }
+        const ref = this.lvalueRef(node.argument);
+        const assign = `${ref.prefix}${ref.write(this.wrap(`${ref.read} ${op} 1`, ref.type, node.line))}`;
+        if (statement) return { code: ref.prefix ? `(${assign})` : assign, type: ref.type };
+        if (node.prefix) return { code: `(${assign})`, type: ref.type };
+        // Postfix value: the old value, recovered from the new one modulo the type width
+        return { code: this.wrap(`(${assign}) ${op === '+' ? '-' : '+'} 1`, ref.type, 0), type: ref.type };
+    }
+
+    // Static type of an expression without keeping its code
+    peekType(node) {
+        const saved = this.temps.length;
+        const awaits = this.awaits;
+        const type = this.emitExpr(node).type;
+        this.temps.length = saved;
+        this.awaits = awaits;
+        return type;
+    }
+
+    emitAssign(node, statement) {
+        let code, type;
+        if (node.op === '=') {
+            const target = this.lvalue(node.target);
+            const value = node.value.kind === 'InitList'
+                ? this.emitInit(node.value, target.type)
+                : this.convert(this.emitExpr(node.value), target.type, node.value);
+            code = `${target.code} = ${value.code}`;
+            type = target.type;
+        } else {
+            const ref = this.lvalueRef(node.target);
+            const current = { code: ref.read, type: ref.type };
+            const result = this.arith(node.op.slice(0, -1), current, this.emitExpr(node.value), node);
+            code = `${ref.prefix}${ref.write(this.convert(result, ref.type, node).code)}`;
+            type = ref.type;
+        }
+        return { code: statement ? code : `(${code})`, type };
+    }
+
+    emitMember(node) {
+        const obj = this.emitExpr(node.object);
+        if (obj.type.kind === 'struct') {
+            const info = this.structs.get(obj.type.name);
+            const field = info.fields.get(node.property);
+            if (!field) this.error(node, `'struct ${obj.type.name}' has no member named '${node.property}'`);
+            return { code: `${obj.code}.${this.jsName(node.property)}`, type: field.type, lvalue: true };
+        }
+        const cls = ARDUINO_BUILTINS.classes[obj.type.name];
+        if (cls && cls.fields && cls.fields[node.property]) {
+            return { code: `${obj.code}.${node.property}`, type: Types.of(cls.fields[node.property]), lvalue: true };
+        }
+        this.error(node, `request for member '${node.property}' in '${node.object.name || 'expression'}', which is of non-class type '${Types.describe(obj.type)}'`);
+    }
+
+    emitArgs(args, params, node) {
+        return args.map((a, i) => {
+            const p = params && params[i];
+            if (p && p.type) {
+                if (a.kind === 'InitList') return this.emitInit(a, p.type).code;
+                return this.convert(this.emitExpr(a), p.type, a).code;
+            }
+            return this.emitExpr(a).code;
+        });
+    }
+
+    emitCall(node) {
+        const callee = node.callee;
+        if (callee.kind === 'Ident') {
+            const sym = this.lookup(callee.name);
+            if (sym && sym.kind === 'function') {
+                const required = sym.params.filter(p => !p.default).length;
+                if (node.args.length < required || node.args.length > sym.params.length) {
+                    this.error(node, `${node.args.length < required ? 'too few' : 'too many'} arguments to function '${callee.name}'`);
+                }
+                const args = this.emitArgs(node.args, sym.params, node);
+                this.awaits++;
+                return { code: `(await ${sym.jsName}(${args.join(', ')}))`, type: sym.returnType, fresh: true };
+            }
+            if (sym) this.error(node, `'${callee.name}' cannot be used as a function`);
+            const builtin = ARDUINO_BUILTINS.functions[callee.name];
+            if (builtin) return this.emitBuiltinCall(builtin, node.args, node);
+            this.error(callee, `'${callee.name}' was not declared in this scope`);
+        }
+        if (callee.kind === 'Member') return this.emitMethodCall(node);
+        if (callee.kind === 'Scope') {
+            const cls = ARDUINO_BUILTINS.classes[callee.scope];
+            const fn = cls && cls.staticMethods && cls.staticMethods[callee.name];
+            if (fn) return this.emitBuiltinCall(fn, node.args, node);
+        }
+        this.error(node, 'expression cannot be used as a function');
+    }
+
+    emitBuiltinCall(builtin, args, node, self) {
+        const emitted = args.map(a => {
+            if (builtin.byAddress && a.kind === 'Unary' && a.op === '&') return this.emitExpr(a.argument);
+            return this.emitExpr(a);
+        });
+        if (builtin.emit) return builtin.emit.call(this, emitted, node, self);
+        if (builtin.template) {
+            // FastLED.addLeds<WS2812B, 6, GRB>(...) passes the template arguments as a leading array
+            const targs = node.callee.templateArgs;
+            if (!targs) this.error(node, `'${node.callee.property}' needs template arguments, e.g. ${node.callee.property}<WS2812B, 6, GRB>`);
+            emitted.unshift({ code: `[${targs.map(a => this.emitExpr(a).code).join(', ')}]` });
+        }
+        let type;
+        if (builtin.returns === 'arg') {
+            type = emitted.length > 1 ? Types.common(emitted[0].type, emitted[1].type) : emitted[0] ? emitted[0].type : Types.of('int');
+        } else {
+            type = Types.of(builtin.returns, { kind: builtin.returnKind || 'primitive' });
+        }
+        const fnName = self ? `${self}.${builtin.js}` : builtin.js;
+        let code = fnName ? `${fnName}(${emitted.map(e => e.code).join(', ')})` : `(${emitted.map(e => e.code).join(', ')})`;
+        if (builtin.async) {
+            this.awaits++;
+            code = `(await ${code})`;
+        }
+        // Methods returning *this (leds[i].nscale8(64)) yield the object itself, not a copy
+        return { code, type, fresh: !builtin.ref };
+    }
+
+    emitMethodCall(node) {
+        const member = node.callee;
+        const obj = this.emitExpr(member.object);
+        const method = member.property;
+
+        if (Types.isString(obj.type)) {
+            const args = node.args.map(a => this.emitExpr(a).code);
+            const s = obj.code;
+            const strings = {
+                length: [`${s}.length`, 'unsigned int'],
+                charAt: [`${s}.charCodeAt(${args[0]})`, 'char'],
+                indexOf: [`${s}.indexOf(${args.join(', ')})`, 'int'],
+                lastIndexOf: [`${s}.lastIndexOf(${args.join(', ')})`, 'int'],
+                substring: [`${s}.substring(${args.join(', ')})`, 'String'],
+                toInt: [`(parseInt(${s}, 10) || 0)`, 'long'],
+                toFloat: [`(parseFloat(${s}) || 0)`, 'float'],
+                equals: [`(${s} === ${args[0]})`, 'bool'],
+                equalsIgnoreCase: [`(${s}.toLowerCase() === String(${args[0]}).toLowerCase())`, 'bool'],
+                startsWith: [`${s}.startsWith(${args[0]})`, 'bool'],
+                endsWith: [`${s}.endsWith(${args[0]})`, 'bool'],
+                c_str: [s, 'String']
+            };
+            if (strings[method]) return { code: strings[method][0], type: Types.of(strings[method][1]) };
+            this.error(member, `'String' has no member named '${method}'`);
+        }
+
+        const cls = ARDUINO_BUILTINS.classes[obj.type.name];
+        const fn = cls && cls.methods && cls.methods[method];
+        if (fn) return this.emitBuiltinCall(fn, node.args, node, obj.code);
+        this.error(member, `'${Types.describe(obj.type)}' has no member named '${method}'`);
+    }
+
+    sizeOf(node) {
+        if (node.type) return this.sizeOfType(this.resolveDims(node.type, null, node), node);
+        const arg = node.argument;
+        if (arg.kind === 'Ident') {
+            const sym = this.lookup(arg.name);
+            if (sym && sym.kind === 'var') {
+                if (sym.type.isStringArray) return sym.type.dims[0];
+                return this.sizeOfType(sym.type, node);
+            }
+        }
+        return this.sizeOfType(this.emitExpr(arg).type, node);
+    }
+
+    sizeOfType(type, node) {
+        let size;
+        if (type.pointer) size = TYPE_SIZES.pointer;
+        else if (type.kind === 'enum') size = 2;
+        else if (type.kind === 'struct') {
+            size = this.structs.get(type.name).decl.fields.reduce((sum, f) => sum + this.sizeOfType(this.resolveDims(f.type, f.init, f), node), 0);
+        } else if (type.kind === 'class') size = ARDUINO_BUILTINS.classes[type.name].size || 0;
+        else size = TYPE_SIZES[type.name];
+        if (size === undefined) this.error(node, `invalid application of 'sizeof' to type '${type.name}'`);
+        type.dims.forEach(d => {
+            if (typeof d !== 'number') this.error(node, 'sizeof of a variable-length array is not a constant');
+            size *= d;
+        });
+        return size;
+    }
+}
+
+// --- Facade ---
+
+class ArduinoTranspiler {
+    // options.defines: extra predefined macros; options.constants: board-specific entries that
+    // override ARDUINO_BUILTINS.constants (pin names, LED_BUILTIN); options.debug: see CodeGenerator
+    constructor(options = {}) {
+        this.predefined = Object.assign({ ARDUINO: 10819 }, options.defines);
+        this.constants = options.constants || {};
+        this.debug = !!options.debug;
+    }
+
+    compile(source) {
+        const tokens = new Lexer(source).tokenize();
+        const preprocessor = new Preprocessor(this.predefined);
+        const expanded = preprocessor.process(tokens);
+        const parser = new Parser(expanded);
+        const ast = parser.parseProgram();
+        const generator = new CodeGenerator(ast, parser, this.constants, { debug: this.debug });
+        const code = generator.generate();
+        return { code, ast, includes: preprocessor.includes, warnings: preprocessor.warnings };
+    }
+
+    transpile(source) {
+        return this.compile(source).code;
+    }
+}
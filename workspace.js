@@ -0,0 +1,167 @@
+// Projects kept in the browser. A workspace of named sketches lives in localStorage, each
+// autosaved together with the version a load or template last replaced, so that replacement
+// can be undone. Share links carry a whole project in the URL fragment, deflated where the
+// browser can, so they need no server.
+const WORKSPACE_KEY = 'neoled.workspace';
+const SKETCH_KEY_PREFIX = 'neoled.sketch.';
+const SHARE_PREFIX = '#p=';       // deflate-raw, then base64url
+const SHARE_PLAIN_PREFIX = '#j='; // base64url JSON, for browsers without CompressionStream
+
+class ProjectStore {
+    constructor(storage) {
+        this.storage = storage;
+        const saved = this.read(WORKSPACE_KEY);
+        this.sketches = saved && Array.isArray(saved.sketches) ? saved.sketches : []; // [{ id, name, updated }]
+        this.current = saved && this.find(saved.current) ? saved.current : null;
+        if (!this.current && this.sketches.length > 0) this.current = this.sketches[0].id;
+    }
+
+    read(key) {
+        try {
+            return JSON.parse(this.storage.getItem(key));
+        } catch (e) {
+            return null;
+        }
+    }
+
+    // Throws when the storage is full or unavailable (private browsing)
+    write(key, value) {
+        this.storage.setItem(key, JSON.stringify(value));
+    }
+
+    writeIndex() {
+        this.write(WORKSPACE_KEY, { current: this.current, sketches: this.sketches });
+    }
+
+    find(id) {
+        return this.sketches.find(s => s.id === id) || null;
+    }
+
+    // Adds a sketch and makes it the current one. When the storage is full it throws and the
+    // workspace is left as it was
+    create(name, project) {
+        const id = `${Date.now().toString(36)}${Math.random().toString(36).slice(2, 6)}`;
+        this.write(SKETCH_KEY_PREFIX + id, { project, previous: null });
+        const current = this.current;
+        this.sketches.push({ id, name, updated: Date.now() });
+        this.current = id;
+        try {
+            this.writeIndex();
+        } catch (e) {
+            this.sketches.pop();
+            this.current = current;
+            this.storage.removeItem(SKETCH_KEY_PREFIX + id);
+            throw e;
+        }
+        return id;
+    }
+
+    // Makes a sketch the current one and returns its project
+    open(id) {
+        if (!this.find(id)) return null;
+        this.current = id;
+        this.writeIndex();
+        return this.load(id);
+    }
+
+    load(id) {
+        const entry = this.read(SKETCH_KEY_PREFIX + id);
+        return entry ? entry.project : null;
+    }
+
+    // With `replacing`, the saved project is kept as the one to revert to: the project is a
+    // file, a template or a revert taking its place rather than an edit of it
+    save(id, project, replacing = false) {
+        const entry = this.read(SKETCH_KEY_PREFIX + id) || { project: null, previous: null };
+        if (replacing && entry.project) entry.previous = entry.project;
+        entry.project = project;
+        this.write(SKETCH_KEY_PREFIX + id, entry);
+        const sketch = this.find(id);
+        if (sketch) sketch.updated = Date.now();
+        this.writeIndex();
+    }
+
+    canRevert(id) {
+        const entry = this.read(SKETCH_KEY_PREFIX + id);
+        return !!(entry && entry.previous);
+    }
+
+    // Swaps a sketch back to the project it had before the last replacement and returns it.
+    // The one it leaves becomes the previous version, so reverting again undoes the revert.
+    revert(id) {
+        const entry = this.read(SKETCH_KEY_PREFIX + id);
+        if (!entry || !entry.previous) return null;
+        [entry.project, entry.previous] = [entry.previous, entry.project];
+        this.write(SKETCH_KEY_PREFIX + id, entry);
+        this.writeIndex();
+        return entry.project;
+    }
+
+    rename(id, name) {
+        const sketch = this.find(id);
+        if (!sketch) return;
+        sketch.name = name;
+        this.writeIndex();
+    }
+
+    // Deletes a sketch; deleting the current one leaves none current
+    remove(id) {
+        this.sketches = this.sketches.filter(s => s.id !== id);
+        this.storage.removeItem(SKETCH_KEY_PREFIX + id);
+        if (this.current === id) this.current = null;
+        this.writeIndex();
+    }
+
+    // The most recently saved sketch
+    latest() {
+        return this.sketches.reduce((a, b) => (!a || b.updated > a.updated ? b : a), null);
+    }
+
+    // A name not used by any sketch yet: "Sketch 3", "Blink (2)"
+    uniqueName(base) {
+        const names = new Set(this.sketches.map(s => s.name));
+        if (!names.has(base)) return base;
+        let n = 2;
+        while (names.has(`${base} (${n})`)) n++;
+        return `${base} (${n})`;
+    }
+}
+
+// URL fragment carrying a project
+async function encodeShareFragment(project) {
+    const json = new TextEncoder().encode(JSON.stringify(project));
+    if (typeof CompressionStream === 'undefined') return SHARE_PLAIN_PREFIX + toBase64Url(json);
+    const stream = new Blob([json]).stream().pipeThrough(new CompressionStream('deflate-raw'));
+    return SHARE_PREFIX + toBase64Url(new Uint8Array(await new Response(stream).arrayBuffer()));
+}
+
+// The project in a share link's fragment; null when the fragment isn't one. Throws when it is
+// but has been cut short or altered.
+async function decodeShareFragment(hash) {
+    let bytes;
+    if (hash.startsWith(SHARE_PREFIX)) {
+        if (typeof DecompressionStream === 'undefined') throw new Error('this browser cannot open compressed share links');
+        const stream = new Blob([fromBase64Url(hash.slice(SHARE_PREFIX.length))]).stream()
+            .pipeThrough(new DecompressionStream('deflate-raw'));
+        bytes = new Uint8Array(await new Response(stream).arrayBuffer());
+    } else if (hash.startsWith(SHARE_PLAIN_PREFIX)) {
+        bytes = fromBase64Url(hash.slice(SHARE_PLAIN_PREFIX.length));
+    } else {
+        return null;
+    }
+    return JSON.parse(new TextDecoder().decode(bytes));
+}
+
+// Base64 with the URL-safe alphabet and no padding (RFC 4648 section 5)
+function toBase64Url(bytes) {
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += 0x8000) {
+        binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+    }
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    return Uint8Array.from(binary, c => c.charCodeAt(0));
+}